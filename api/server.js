@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const fs = require('fs');
 const path = require('path');
 const FiveDVerifier = require('../src/verifier/FiveDVerifier');
 const CentralBrainClient = require('../src/analytics/CentralBrainClient');
@@ -11,6 +12,24 @@ const CentralBrainClient = require('../src/analytics/CentralBrainClient');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Repository verified by /health and /api/status (default: where the server runs)
+const REPO_PATH = process.env.DREDD_REPO_PATH || process.cwd();
+
+// Checkouts of webhook repositories, as <DREDD_REPOS_DIR>/<owner>/<repo>
+const REPOS_DIR = process.env.DREDD_REPOS_DIR || null;
+
+/**
+ * Checked-out repository for a webhook payload's repository (null when not checked out here)
+ */
+function webhookRepoPath(repository) {
+  const fullName = repository && repository.full_name;
+  if (!REPOS_DIR || typeof fullName !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(fullName) || fullName.includes('..')) {
+    return null;
+  }
+  const repoPath = path.join(REPOS_DIR, fullName);
+  return fs.existsSync(repoPath) ? repoPath : null;
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../web')));
@@ -25,7 +44,7 @@ CentralBrainClient.configure({
 // Health endpoint with 5D metrics
 app.get('/health', async (req, res) => {
   try {
-    const verifier = new FiveDVerifier();
+    const verifier = new FiveDVerifier({ repoPath: REPO_PATH });
     const verification = await verifier.verify();
 
     res.json({
@@ -101,8 +120,8 @@ app.post('/webhook/github', async (req, res) => {
 
       console.log(`🔄 Push to ${repository.full_name}: ${commits.length} commits`);
 
-      // Run 5D verification on commits
-      const verifier = new FiveDVerifier();
+      // Run 5D verification on the pushed repository's checkout (or the default repository)
+      const verifier = new FiveDVerifier({ repoPath: webhookRepoPath(repository) || REPO_PATH });
       const results = await verifier.verify();
 
       // Send to Central Brain
@@ -137,7 +156,7 @@ app.post('/webhook/github', async (req, res) => {
 // Status endpoint (detailed)
 app.get('/api/status', async (req, res) => {
   try {
-    const verifier = new FiveDVerifier();
+    const verifier = new FiveDVerifier({ repoPath: REPO_PATH });
     const verification = await verifier.verify();
 
     res.json({
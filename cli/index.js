@@ -7,22 +7,56 @@
 
 const { program } = require('commander');
 const chalk = require('chalk');
-const GitAnalyzer = require('./git-analyzer');
-const PatternDetector = require('./pattern-detector');
-const FourDimensionalVerifier = require('./4d-verifier');
-const centralBrainSender = require('./central-brain-sender');
+const GitAnalyzer = require('../src/git/GitAnalyzer');
+const PatternDetector = require('../src/patterns/PatternDetector');
+const FourDimensionalVerifier = require('../src/verifier/FiveDVerifier');
+const centralBrainSender = require('../src/analytics/CentralBrainClient');
+const Baseline = require('../src/patterns/Baseline');
+const FixEngine = require('../src/fix/FixEngine');
+const KevCatalog = require('../src/kev/KevCatalog');
+const { SCHEMA_VERSION, ID_FORMAT, validateIncident, formatIssues, readIncidentFiles } = require('../src/patterns/IncidentSchema');
+const { testIncident } = require('../src/patterns/IncidentExamples');
+const { candidatePatterns, suggestFiles, commitExample, buildIncident } = require('../src/patterns/IncidentScaffold');
+const builtinIncidents = require('../src/patterns/incidents');
+const config = require('../src/utils/config');
+const { loadConfig, SCHEMA: CONFIG_SCHEMA } = require('../src/utils/configLoader');
+const { createUnifiedDiff } = require('../src/utils/unifiedDiff');
+const { fileFromContent } = require('../src/git/DiffParser');
+const { cleanMessage } = require('../src/git/CommitMessagePolicy');
+const { formatUsd, priceTableVersion } = require('../src/iac/IacAnalyzer');
+const { HOOKS, installHooks, uninstallHooks } = require('../src/hooks/HookInstaller');
+const { SKIP_VARIABLE, TRAILER: BYPASS_TRAILER, bypassReason, auditLogPath, recordBypass, readBypasses } = require('../src/hooks/Bypass');
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
 
 program
   .name('dredd')
   .description('Judge Dredd Autonomous Agent - Real-time code governance')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-c, --config <key=value>', 'Override a setting for this run (repeatable, e.g. -c severity.blocking=CRITICAL,HIGH)',
+    (value, previous) => previous.concat(value), []);
+
+// Layered configuration: defaults < ~/.dredd/config < .dreddrc < DREDD_* < -c flags
+let loadedConfig = null;
+program.hook('preAction', () => {
+  try {
+    loadedConfig = loadConfig({ flags: program.opts().config });
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+});
 
 /**
  * dredd review - Review uncommitted changes
  */
 program
   .command('review [files...]')
-  .description('Review uncommitted changes for violations')
+  .description('Review uncommitted changes (or the given files) for violations')
+  .option('--range <base..head>', 'Review every commit in a range on its own (e.g. origin/main..HEAD)')
+  .option('--squash', 'With --range: review the whole range as one diff')
+  .option('--staged', 'Review exactly what is staged (the commit that would be created)')
   .option('--analytics-endpoint <url>', 'Central Brain analytics endpoint')
   .option('--analytics-api-key <key>', 'Central Brain API key')
   .action(async (files, options) => {
@@ -37,36 +71,102 @@ program
     }
 
     const git = new GitAnalyzer();
-    const detector = new PatternDetector();
 
     try {
+      if (options.squash && !options.range) {
+        throw new Error('--squash needs --range');
+      }
+      if (options.range && files.length > 0) {
+        throw new Error('Pass either files or --range, not both');
+      }
+      if (options.staged && (options.range || files.length > 0)) {
+        throw new Error('--staged reviews the index - pass no files or --range with it');
+      }
+
+      // Staged changes and ranges are judged by the project configuration they start from
+      if (options.staged) {
+        await loadBaseConfig(git, await git.hasHead() ? 'HEAD' : null);
+      } else if (options.range) {
+        const { base, mergeBase } = await git.resolveRange(options.range);
+        await loadBaseConfig(git, mergeBase || base);
+      }
+
       // Load incident patterns
+      const detector = new PatternDetector();
       await detector.loadIncidentPatterns();
 
-      // Get uncommitted changes
-      const changes = await git.getUncommittedChanges();
+      // Commit range (pull request gate): each commit judged on its own, or the range squashed
+      if (options.range) {
+        const results = await reviewRange(git, detector, options.range, { squash: options.squash });
+
+        const context = {
+          source: 'cli-review-range',
+          range: options.range,
+          timestamp: new Date().toISOString()
+        };
+        centralBrainSender.sendViolations(results.violations, context).catch(err => {
+          // Fail silently - don't break CLI
+        });
+        centralBrainSender.sendCommendations(results.commendations, context).catch(err => {
+          // Fail silently - don't break CLI
+        });
+
+        displayRangeCommits(options.range, results.commits, options.squash);
+        displayResults(results);
+        process.exit(results.hasBlocking ? 1 : 0);
+      }
+
+      // The index alone: staged diff and staged file contents, whatever the working tree holds
+      if (options.staged) {
+        const results = await reviewStaged(git, detector);
+        if (!results) process.exit(0);
+
+        const context = {
+          source: 'cli-review-staged',
+          timestamp: new Date().toISOString()
+        };
+        centralBrainSender.sendViolations(results.violations, context).catch(err => {
+          // Fail silently - don't break CLI
+        });
+        centralBrainSender.sendCommendations(results.commendations, context).catch(err => {
+          // Fail silently - don't break CLI
+        });
+
+        displayResults(results);
+        process.exit(results.hasBlocking ? 1 : 0);
+      }
+
+      // Get uncommitted changes, parsed per file and hunk - or the given files in full
+      const changes = files.length > 0
+        ? await readTargetFiles(git, files)
+        : await git.getUncommittedDiff();
 
       if (!changes.hasChanges) {
         console.log(chalk.green('✅ No uncommitted changes to review\n'));
         process.exit(0);
       }
 
-      // Get modified files for context
-      const modifiedFiles = await git.getModifiedFiles();
-      console.log(chalk.cyan(`Analyzing ${modifiedFiles.length} modified file(s)...\n`));
+      console.log(chalk.cyan(`Analyzing ${changes.files.length} modified file(s)...\n`));
 
-      // Analyze changes
-      const results = await detector.analyze(changes.combined, {
+      // Analyze changes file by file (added lines only)
+      const analysis = await detector.analyzeFiles(changes.files, {
         source: 'cli-review',
-        timestamp: new Date().toISOString(),
-        files: modifiedFiles.map(f => f.file)
+        timestamp: new Date().toISOString()
+      }, {
+        readFile: file => git.readWorkingFile(file),
+        readOriginal: file => git.readFileAtRevision('HEAD', file),
+        sensitivePaths: await git.getSensitivePaths()
       });
 
+      // Pre-existing (baseline) findings are reported but never block
+      const baseline = await loadBaseline(git);
+      const results = baseline.apply(analysis);
+
       // Send to Central Brain (async - don't wait)
       const context = {
         source: 'cli-review',
         timestamp: new Date().toISOString(),
-        files: modifiedFiles.map(f => f.file)
+        files: changes.files.map(f => f.path)
       };
       centralBrainSender.sendViolations(results.violations, context).catch(err => {
         // Fail silently - don't break CLI
@@ -78,8 +178,8 @@ program
       // Display results
       displayResults(results);
 
-      // Exit code
-      process.exit(results.hasCritical ? 1 : 0);
+      // Exit code (severity.blocking decides which severities fail the review)
+      process.exit(results.hasBlocking ? 1 : 0);
 
     } catch (error) {
       console.error(chalk.red(`❌ Review failed: ${error.message}`));
@@ -87,6 +187,178 @@ program
     }
   });
 
+/**
+ * dredd commit-msg - Check a commit message (git commit-msg hook)
+ */
+program
+  .command('commit-msg <file>')
+  .description('Check a commit message against the staged changes (pass the file git gives the commit-msg hook)')
+  .action(async (file) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Reviewing commit message...\n'));
+
+    try {
+      const results = await checkCommitMessageFile(new GitAnalyzer(), file);
+      displayResults(results);
+
+      // Exit code (severity.blocking decides which severities reject the commit)
+      process.exit(results.hasBlocking ? 1 : 0);
+
+    } catch (error) {
+      console.error(chalk.red(`❌ Commit message check failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * dredd hooks - Install Dredd as git hooks (pre-commit, commit-msg, pre-push)
+ */
+const hooksCommand = program
+  .command('hooks')
+  .description('Install, remove or run the Dredd git hooks');
+
+hooksCommand
+  .command('install')
+  .description('Write the pre-commit, commit-msg and pre-push hooks (existing hooks are chained, not replaced)')
+  .action(async () => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Installing git hooks\n'));
+
+    try {
+      const git = new GitAnalyzer();
+      const hooksDir = await git.getHooksDir();
+      const installed = await installHooks(hooksDir, [process.execPath, __filename]);
+
+      for (const { hook, action, chained } of installed) {
+        const note = chained ? chalk.gray(` (runs ${path.basename(chained)} first)`) : '';
+        console.log(chalk.green(`✅ ${hook}: ${action}`) + note);
+      }
+      console.log(chalk.gray(`\n   Hooks directory: ${hooksDir}`));
+      console.log(chalk.gray('   Thresholds: hooks.preCommit.blocking, hooks.commitMsg.blocking, hooks.prePush.blocking'));
+      console.log(chalk.gray(`   Audited bypass: ${SKIP_VARIABLE}="<reason>" git commit ...\n`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Hook installation failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+hooksCommand
+  .command('uninstall')
+  .description('Remove the Dredd hooks and restore the hooks they chained')
+  .action(async () => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Removing git hooks\n'));
+
+    try {
+      const git = new GitAnalyzer();
+      const removed = await uninstallHooks(await git.getHooksDir());
+
+      for (const { hook, action } of removed) {
+        if (action === 'removed') console.log(chalk.green(`✅ ${hook}: removed`));
+        if (action === 'restored') console.log(chalk.green(`✅ ${hook}: removed, original hook restored`));
+        if (action === 'foreign') console.log(chalk.yellow(`⚠️  ${hook}: not a Dredd hook - left alone`));
+        if (action === 'missing') console.log(chalk.gray(`   ${hook}: not installed`));
+      }
+      console.log();
+    } catch (error) {
+      console.error(chalk.red(`❌ Hook removal failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+hooksCommand
+  .command('run <hook> [args...]')
+  .description('Run a hook (called by the installed hook scripts with git\'s arguments)')
+  .action(async (hook, args) => {
+    console.log(chalk.bold.blue(`\n👨‍⚖️ Judge Dredd: ${hook} hook\n`));
+
+    const git = new GitAnalyzer();
+
+    try {
+      if (!HOOKS.includes(hook)) {
+        throw new Error(`Unknown hook: ${hook} (known: ${HOOKS.join(', ')})`);
+      }
+
+      // The audited bypass: recorded, then let through
+      const reason = bypassReason();
+      if (reason) {
+        const entry = await recordHookBypass(git, hook, reason);
+        if (hook === 'commit-msg' && args[0]) {
+          await git.addMessageTrailer(args[0], BYPASS_TRAILER, reason);
+        }
+        console.log(chalk.yellow(`⚠️  Dredd skipped by ${entry.user.name || 'unknown'}${entry.user.email ? ` <${entry.user.email}>` : ''}: ${reason}`));
+        console.log(chalk.gray(`   Recorded in ${auditLogPath(await git.getRepoRoot())}\n`));
+        process.exit(0);
+      }
+
+      // A commit or push is judged by the project configuration it starts from
+      const refs = hook === 'pre-push' ? await readPush(git, args[0], await readStdin()) : null;
+      if (refs) {
+        const first = refs.find(ref => ref.commits.length > 0);
+        await loadBaseConfig(git, first ? first.base : null);
+      } else {
+        await loadBaseConfig(git, await git.hasHead() ? 'HEAD' : null);
+      }
+      applyHookThreshold(hook);
+
+      let results;
+      if (hook === 'pre-commit') {
+        const detector = new PatternDetector();
+        await detector.loadIncidentPatterns();
+        // Test evidence belongs in the message, which the commit-msg hook judges
+        results = await reviewStaged(git, detector, { messageEvidence: true });
+      } else if (hook === 'commit-msg') {
+        if (!args[0]) throw new Error('commit-msg needs the commit message file');
+        results = await checkCommitMessageFile(git, args[0]);
+      } else {
+        results = await reviewPush(git, refs);
+      }
+
+      if (!results) process.exit(0);
+
+      displayResults(results);
+      if (results.hasBlocking) {
+        console.log(chalk.gray(`   To skip Dredd (recorded with your name and reason): ${SKIP_VARIABLE}="<reason>" git ${hook === 'pre-push' ? 'push' : 'commit'} ...\n`));
+      }
+
+      // Exit code (hooks.<hook>.blocking, or severity.blocking, decides what stops git)
+      process.exit(results.hasBlocking ? 1 : 0);
+
+    } catch (error) {
+      console.error(chalk.red(`❌ ${hook} hook failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+hooksCommand
+  .command('log')
+  .description(`Show who skipped Dredd and why (${SKIP_VARIABLE} bypasses)`)
+  .action(async () => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Hook bypasses\n'));
+
+    try {
+      const git = new GitAnalyzer();
+      const repoRoot = await git.getRepoRoot();
+      const bypasses = await readBypasses(repoRoot);
+
+      if (bypasses.length === 0) {
+        console.log(chalk.green(`✅ No bypasses recorded in ${auditLogPath(repoRoot)}\n`));
+        return;
+      }
+
+      for (const entry of bypasses) {
+        if (entry.invalid) {
+          console.log(chalk.red(`   Unreadable entry: ${entry.invalid}`));
+          continue;
+        }
+        const who = `${entry.user.name || 'unknown'}${entry.user.email ? ` <${entry.user.email}>` : ''}`;
+        console.log(`${chalk.yellow(entry.timestamp)} ${chalk.bold(entry.hook)} ${who}`);
+        console.log(chalk.gray(`   ${entry.branch}${entry.head ? ` @ ${entry.head.substring(0, 7)}` : ''}: ${entry.reason}`));
+      }
+      console.log(chalk.gray(`\n${bypasses.length} bypass(es) recorded in ${auditLogPath(repoRoot)}\n`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Reading the bypass log failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 /**
  * dredd ask - Ask Judge Dredd a question
  */
@@ -182,10 +454,10 @@ program
       console.log('  Zero dependencies on CISA KEV catalog.');
       console.log('  Actively exploited vulnerabilities must be patched within 24 hours.\n');
       console.log(chalk.green('✅ ALWAYS:'));
-      console.log('  1. Run: npm run security:kev-check');
+      console.log('  1. Run: dredd kev');
       console.log('  2. If KEV match found, update dependency immediately');
       console.log('  3. If no update available, find alternative package');
-      console.log('  4. Verify fix with npm run security:kev-check');
+      console.log('  4. Verify fix with dredd kev');
       console.log('  5. Document remediation in commit message\n');
       console.log('Financial Risk:');
       console.log(chalk.red('  - Data breach: $4.45M average (IBM 2023)'));
@@ -193,7 +465,7 @@ program
       console.log(chalk.red('  - Total risk: $5M-$20M\n'));
       console.log('Daily KEV Scan:');
       console.log('  KEV catalog is updated daily by CISA.');
-      console.log('  Run npm run security:kev-check daily or automate with cron.\n');
+      console.log('  Refresh the snapshot with dredd kev update --from <file>, then run dredd kev.\n');
     } else if (q.includes('you awake') || q.includes('awake')) {
       console.log(chalk.green('👨‍⚖️ I AM THE LAW, and I am always awake.\n'));
       console.log('Judge Dredd Agent v1.1.0 - Operational');
@@ -238,12 +510,20 @@ program
 
       if (securityCheck.detected) {
         console.log(chalk.red('⚠️  WARNING: Security control changes detected'));
-        console.log(chalk.red(`   Files: ${securityCheck.files.map(f => f.file).join(', ')}`));
+        displayProtectedPaths(securityCheck);
         if (securityCheck.hasRemoval) {
-          console.log(chalk.red('   🚨 CRITICAL: Security controls being removed\n'));
-        } else {
+          console.log(chalk.red('   🚨 CRITICAL: Security controls being removed'));
+          securityCheck.workflowChanges.forEach(({ file, note }) => {
+            console.log(chalk.red(`      ${file}: ${note}`));
+          });
+          securityCheck.files.forEach(({ file, removals }) => {
+            removals.forEach(note => console.log(chalk.red(`      ${file}: ${note}`)));
+          });
           console.log();
         }
+        if (securityCheck.owners.length > 0) {
+          console.log(chalk.yellow(`   Approval required from: ${securityCheck.owners.join(', ')}\n`));
+        }
       } else {
         console.log(chalk.green('✅ No security control changes\n'));
       }
@@ -296,22 +576,43 @@ program
       const commits = await git.getRecentCommits(5);
 
       let totalViolations = 0;
+      const baseline = await loadBaseline(git);
+      const sensitivePaths = await git.getSensitivePaths();
 
       for (const commit of commits) {
-        const diff = await git.getCommitDiff(commit.hash);
-        const results = await detector.analyze(diff, {
+        const files = await git.getCommitFiles(commit.hash);
+        const results = await detector.analyzeFiles(files, {
           commit: commit.hash.substring(0, 7),
           subject: commit.subject
+        }, {
+          readFile: file => git.readFileAtRevision(commit.hash, file),
+          readOriginal: file => git.readFileAtRevision(`${commit.hash}^`, file),
+          messageEvidence: true,
+          sensitivePaths
         });
 
-        totalViolations += results.violations.length;
+        totalViolations += baseline.apply(results).violations.length;
+
+        // What the commit says about itself (test evidence, issue references, wording)
+        const messageResults = await detector.analyzeCommitMessage(commit.message, files.map(file => file.path), {
+          commit: commit.hash.substring(0, 7),
+          source: 'session-start'
+        }, { sensitivePaths });
+        for (const finding of [...messageResults.violations, ...messageResults.warnings]) {
+          console.log(chalk.yellow(`   ${commit.hash.substring(0, 7)} [${finding.severity}] ${finding.message}`));
+        }
+        totalViolations += messageResults.violations.length;
       }
 
       // Check uncommitted changes
-      const changes = await git.getUncommittedChanges();
+      const changes = await git.getUncommittedDiff();
       if (changes.hasChanges) {
         console.log('\nAnalyzing uncommitted changes...');
-        const results = await detector.analyze(changes.combined);
+        const results = baseline.apply(await detector.analyzeFiles(changes.files, {}, {
+          readFile: file => git.readWorkingFile(file),
+          readOriginal: file => git.readFileAtRevision('HEAD', file),
+          sensitivePaths
+        }));
         totalViolations += results.violations.length;
 
         // Send to Central Brain (async - don't wait)
@@ -344,61 +645,1086 @@ program
   });
 
 /**
- * Helper: Display analysis results
+ * dredd baseline - Record pre-existing findings so only new ones block
  */
-function displayResults(results) {
-  if (!results.hasViolations && results.warnings.length === 0) {
-    if (results.commendations.length > 0) {
-      console.log(chalk.green('✅ COMMENDATIONS:\n'));
-      results.commendations.forEach(c => {
-        console.log(chalk.green(`   ✅ ${c.type}: ${c.message}`));
+const baselineCommand = program
+  .command('baseline')
+  .description('Manage the findings baseline (.dredd/baseline.json)');
+
+baselineCommand
+  .command('create')
+  .description('Record a fingerprint of every current finding in the repository')
+  .action(async () => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Creating baseline\n'));
+
+    try {
+      const git = new GitAnalyzer();
+      const findings = await scanRepository(git);
+
+      const baseline = await loadBaseline(git);
+      const count = baseline.create(findings);
+      await baseline.save();
+
+      console.log(chalk.green(`✅ Baseline created: ${count} finding(s) recorded in ${baseline.path}`));
+      console.log(chalk.gray('   Commit this file so the whole team shares the baseline.\n'));
+    } catch (error) {
+      console.error(chalk.red(`❌ Baseline creation failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+baselineCommand
+  .command('prune')
+  .description('Drop baseline entries that no longer occur')
+  .action(async () => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Pruning baseline\n'));
+
+    try {
+      const git = new GitAnalyzer();
+      const baseline = await loadBaseline(git);
+
+      if (baseline.entries.length === 0) {
+        console.log(chalk.yellow('⚠️  No baseline found - run dredd baseline create first\n'));
+        return;
+      }
+
+      const findings = await scanRepository(git);
+      const removed = baseline.prune(findings);
+      await baseline.save();
+
+      console.log(chalk.green(`✅ Pruned ${removed} resolved finding(s), ${baseline.entries.length} remaining\n`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Baseline prune failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * dredd kev - Check locked dependencies against the offline CISA KEV catalog
+ */
+const kevCommand = program
+  .command('kev')
+  .description('Check package-lock.json against the offline CISA KEV catalog')
+  .option('--lockfile <path>', 'Lockfile to check (default: package-lock.json at the repository root)')
+  .action(async (options) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: KEV Zero Tolerance Check\n'));
+
+    try {
+      const catalog = await new KevCatalog(config.paths.kev).load();
+      if (!catalog.loaded) {
+        console.error(chalk.red(`❌ No KEV snapshot found in ${config.paths.kev}`));
+        console.error(chalk.gray('   Download known_exploited_vulnerabilities.json from CISA, then run:'));
+        console.error(chalk.gray('   dredd kev update --from known_exploited_vulnerabilities.json [--advisories advisories.json]\n'));
+        process.exit(1);
+      }
+
+      const git = new GitAnalyzer();
+      const lockfile = options.lockfile
+        ? path.resolve(options.lockfile)
+        : path.join(await git.getRepoRoot(), 'package-lock.json');
+      const content = await fs.readFile(lockfile, 'utf8');
+
+      const age = catalog.snapshotAge();
+      console.log(`KEV catalog: ${chalk.cyan(catalog.catalog.catalogVersion || 'unknown version')} ` +
+        `(${catalog.vulnerabilities.size} vulnerabilities, ${catalog.advisories.length} package advisories)`);
+      if (age !== null && age > 7) {
+        console.log(chalk.yellow(`⚠️  Snapshot is ${age} days old - CISA updates the catalog daily`));
+      }
+      console.log(`Lockfile: ${chalk.cyan(lockfile)}\n`);
+
+      const detector = new PatternDetector();
+      await detector.loadIncidentPatterns();
+
+      const matches = catalog.checkLockfile(content);
+      const violations = detector.createKevViolations(matches, {
+        source: 'cli-kev',
+        file: path.relative(process.cwd(), lockfile) || lockfile,
+        timestamp: new Date().toISOString()
+      }, content);
+
+      displayResults({
+        violations,
+        warnings: [],
+        commendations: [],
+        suppressed: [],
+        exempted: [],
+        dependencies: [],
+        costs: [],
+        hasViolations: violations.length > 0,
+        hasCritical: violations.some(v => v.severity === 'CRITICAL'),
+        hasBlocking: violations.length > 0
       });
-      console.log();
+
+      const overdue = matches.filter(match => match.overdue);
+      if (overdue.length > 0) {
+        console.log(chalk.red.bold(`⏰ ${overdue.length} of ${matches.length} past the 24-hour remediation deadline: ` +
+          overdue.map(match => `${match.cve} (${match.package}@${match.version})`).join(', ') + '\n'));
+      }
+
+      process.exit(violations.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red(`❌ KEV check failed: ${error.message}`));
+      process.exit(1);
     }
-    console.log(chalk.green('✅ No violations detected - THE LAW is upheld\n'));
-    return;
-  }
+  });
 
-  // Display violations
-  if (results.violations.length > 0) {
-    console.log(chalk.red.bold('🚨 VIOLATIONS DETECTED\n'));
+kevCommand
+  .command('update')
+  .description('Refresh the KEV snapshot from a local catalog file')
+  .requiredOption('--from <file>', 'CISA known_exploited_vulnerabilities.json')
+  .option('--advisories <file>', 'Package advisory mapping (npm package → CVE ranges)')
+  .action(async (options) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Updating KEV snapshot\n'));
 
-    results.violations.forEach((v, i) => {
-      console.log(chalk.red(`${i + 1}. [${v.severity}] ${v.message}`));
-      if (v.incident) {
-        console.log(chalk.yellow(`   Incident: ${v.incident}`));
+    try {
+      const catalog = new KevCatalog(config.paths.kev);
+      const result = await catalog.update(path.resolve(options.from), options.advisories ? path.resolve(options.advisories) : null);
+
+      console.log(chalk.green(`✅ KEV snapshot updated: ${result.vulnerabilities} vulnerabilities` +
+        (result.catalogVersion ? ` (catalog ${result.catalogVersion})` : '')));
+      console.log(chalk.gray(`   ${result.advisories} package advisories in ${catalog.advisoriesPath}\n`));
+    } catch (error) {
+      console.error(chalk.red(`❌ KEV update failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * dredd incidents - Maintain incident documents
+ */
+const incidentsCommand = program
+  .command('incidents')
+  .alias('incident')
+  .description('Maintain incident documents (the law)');
+
+incidentsCommand
+  .command('new')
+  .description('Scaffold an incident document from a real bad commit')
+  .requiredOption('--from <commit>', 'Commit whose diff the incident is learned from')
+  .option('--out <dir>', 'Directory to write the incident to (default: paths.incidents)')
+  .action(async (options) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: New incident\n'));
+
+    const git = new GitAnalyzer();
+    const prompter = createPrompter();
+
+    try {
+      const commit = await git.getCommit(options.from);
+      if (!commit) {
+        throw new Error(`Unknown commit: ${options.from}`);
       }
-      console.log(`   ${v.details}`);
-      if (v.financialRisk) {
-        const risk = `$${(v.financialRisk.min / 1000000).toFixed(1)}M-$${(v.financialRisk.max / 1000000).toFixed(1)}M`;
-        console.log(chalk.red.bold(`   💰 Financial Risk: ${risk} ${v.financialRisk.proven ? '(proven)' : '(estimated)'}`));
+      const { hash } = commit;
+      const files = await git.getCommitFiles(hash);
+
+      const candidates = candidatePatterns(files);
+      if (candidates.textPatterns.length === 0) {
+        throw new Error(`No distinctive added lines in ${hash.substring(0, 7)} to learn patterns from`);
       }
-      console.log(chalk.blue(`   📜 The Law: ${v.law}`));
-      if (v.suggestedFix) {
-        console.log(chalk.green(`\n   🛠️  Suggested Fix:\n   ${v.suggestedFix.split('\n').join('\n   ')}`));
+      console.log(chalk.gray(`Learning from ${hash.substring(0, 7)} ${commit.subject}\n`));
+
+      // Detection: which proposed patterns become the law
+      const textPatterns = await choosePatterns(prompter, 'Candidate detection patterns (added lines)', candidates.textPatterns, '1');
+      if (textPatterns.length === 0) {
+        throw new Error('At least one detection pattern is required');
       }
-      console.log();
-    });
-  }
+      const exclusions = await choosePatterns(prompter, 'Candidate exclusions (removed lines - the correct approach)', candidates.exclusions, 'none');
 
-  // Display warnings
-  if (results.warnings.length > 0) {
-    console.log(chalk.yellow.bold('⚠️  WARNINGS\n'));
+      const chosen = candidates.textPatterns.filter(candidate => textPatterns.includes(candidate.pattern));
+      const globs = await ask(prompter, 'Limit to files (comma-separated globs, "none" for any file)', suggestFiles(chosen).join(', '));
+      const fileScope = globs === 'none' ? [] : globs.split(',').map(glob => glob.trim()).filter(Boolean);
 
-    results.warnings.forEach((w, i) => {
-      console.log(chalk.yellow(`${i + 1}. [${w.severity}] ${w.message}`));
-      console.log(`   ${w.details}`);
-      if (w.incident) {
-        console.log(chalk.yellow(`   Incident: ${w.incident}`));
+      // Rule metadata
+      const dir = path.resolve(options.out || config.paths.incidents);
+      const existing = new Set((await fs.readdir(dir).catch(() => [])).map(name => path.basename(name, '.json')));
+      const id = await ask(prompter, 'Incident id', `commit-${hash.substring(0, 7)}`, value => {
+        if (!ID_FORMAT.test(value)) return 'ids are letters, digits and _ . # - (starting with a letter or digit)';
+        if (builtinIncidents[value]) return `"${value}" is a built-in incident`;
+        if (existing.has(value)) return `${path.join(dir, `${value}.json`)} already exists`;
+        return null;
+      });
+      const title = await ask(prompter, 'Title', commit.subject);
+      const severity = await ask(prompter, `Severity (${Object.keys(config.severity).join(', ')})`, 'HIGH', value =>
+        config.severity[value.toUpperCase()] ? null : 'unknown severity');
+      const law = await ask(prompter, 'The law (one sentence)', null);
+      const financialImpact = parseImpact(await ask(prompter, 'Financial impact range in USD (e.g. 50k-2M, blank for none)', '', value =>
+        value === '' || parseImpact(value) ? null : 'expected <min>-<max>, e.g. 50000-250000 or 50k-2M'));
+      const suggestedFix = await ask(prompter, 'Suggested fix (blank for none)', '');
+
+      const incident = buildIncident({
+        id,
+        title,
+        severity: severity.toUpperCase(),
+        law,
+        suggestedFix,
+        financialImpact,
+        textPatterns,
+        exclusions,
+        files: fileScope,
+        example: commitExample(commit, files, textPatterns, fileScope)
+      });
+
+      const { errors, warnings } = validateIncident(incident);
+      formatIssues(warnings).forEach(line => console.log(chalk.yellow(`   ⚠️  ${line}`)));
+      if (errors.length > 0) {
+        formatIssues(errors).forEach(line => console.log(chalk.red(`   ❌ ${line}`)));
+        throw new Error('The incident is not schema-valid - nothing was written');
       }
-      if (w.suggestedFix) {
-        console.log(chalk.green(`   🛠️  Suggested Fix:\n   ${w.suggestedFix.split('\n').join('\n   ')}`));
+
+      // The commit it was learned from must trigger it
+      const detector = new PatternDetector();
+      detector.incidents = { [incident.id]: incident };
+      const result = await testIncident(detector, incident);
+      if (!incident.examples || result.failures.length > 0) {
+        console.log(chalk.yellow(`\n⚠️  ${hash.substring(0, 7)} does not trigger the incident - edit its patterns before relying on it`));
+      }
+
+      const file = path.join(dir, `${incident.id}.json`);
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify(incident, null, 2) + '\n', { flag: 'wx' }).catch(error => {
+        throw error.code === 'EEXIST' ? new Error(`${file} already exists`) : error;
+      });
+
+      console.log(chalk.green(`\n✅ Wrote ${file}`));
+      console.log(chalk.gray(`   Review the patterns, then: dredd incidents lint ${dir} && dredd incidents test ${incident.id}\n`));
+      prompter.close();
+      process.exit(0);
+    } catch (error) {
+      prompter.close();
+      console.error(chalk.red(`❌ Incident scaffolding failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+incidentsCommand
+  .command('lint [dir]')
+  .description('Validate incident documents: schema, regexes, duplicate ids (default: built-in and local incidents)')
+  .action(async (dir) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Linting incident documents\n'));
+
+    try {
+      const builtinDir = path.resolve(__dirname, '../src/patterns/incidents');
+      const targets = dir
+        ? [path.resolve(dir)]
+        : [builtinDir, config.paths.incidents];
+
+      let errors = 0;
+      let warnings = 0;
+      let checked = 0;
+
+      for (const target of targets) {
+        try {
+          await fs.access(target);
+        } catch (error) {
+          if (dir) throw new Error(`Directory not found: ${target}`);
+          continue;
+        }
+
+        // Local documents may be partial overrides of a built-in incident
+        const reports = await readIncidentFiles(target, target === builtinDir ? {} : builtinIncidents);
+        console.log(chalk.bold(`${path.relative(process.cwd(), target) || target} (${reports.length} files)`));
+
+        for (const report of reports) {
+          const name = path.basename(report.file);
+          console.log(report.errors.length > 0
+            ? chalk.red(`  ❌ ${name}`)
+            : chalk.green(`  ✅ ${name}`) + (report.warnings.length > 0 ? chalk.yellow(` (${report.warnings.length} warning(s))`) : ''));
+
+          for (const line of formatIssues(report.errors)) {
+            console.log(chalk.red(`     ${line}`));
+          }
+          for (const line of formatIssues(report.warnings)) {
+            console.log(chalk.yellow(`     ⚠️  ${line}`));
+          }
+
+          errors += report.errors.length;
+          warnings += report.warnings.length;
+          checked++;
+        }
+        console.log();
       }
+
+      console.log(errors > 0
+        ? chalk.red(`❌ ${checked} file(s) checked: ${errors} error(s), ${warnings} warning(s)\n`)
+        : chalk.green(`✅ ${checked} file(s) checked: no errors, ${warnings} warning(s) (schema v${SCHEMA_VERSION})\n`));
+
+      process.exit(errors > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red(`❌ Incident lint failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+incidentsCommand
+  .command('test [ids...]')
+  .description('Run every incident\'s embedded examples through the detector and report regressions')
+  .action(async (ids) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Testing incident examples\n'));
+
+    try {
+      // The incidents actually in force: built-ins merged with Central Brain or local overrides
+      const detector = new PatternDetector();
+      await detector.loadIncidentPatterns();
       console.log();
-    });
-  }
 
-  // Display commendations if any
+      const unknown = ids.filter(id => !detector.incidents[id]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown incident(s): ${unknown.join(', ')}`);
+      }
+
+      const incidents = ids.length > 0
+        ? ids.map(id => detector.incidents[id])
+        : Object.values(detector.incidents);
+      const width = Math.max(8, ...incidents.map(incident => incident.id.length)) + 2;
+
+      console.log(chalk.bold(`${'Incident'.padEnd(width)}${'Match'.padEnd(9)}${'No match'.padEnd(10)}Result`));
+
+      const results = [];
+      for (const incident of incidents) {
+        const result = await testIncident(detector, incident);
+        results.push(result);
+
+        const examples = result.match.total + result.noMatch.total;
+        const status = examples === 0
+          ? chalk.gray('– no examples')
+          : result.failures.length > 0 ? chalk.red('❌ FAIL') : chalk.green('✅ PASS');
+
+        console.log(
+          result.id.padEnd(width) +
+          `${result.match.passed}/${result.match.total}`.padEnd(9) +
+          `${result.noMatch.passed}/${result.noMatch.total}`.padEnd(10) +
+          status
+        );
+      }
+
+      const failed = results.filter(result => result.failures.length > 0);
+      for (const result of failed) {
+        console.log(chalk.red(`\n${result.id}:`));
+        for (const failure of result.failures) {
+          console.log(chalk.red(`  ${failure.expectation === 'match' ? 'should trigger, did not' : 'should not trigger, did'}: ${failure.label}`));
+        }
+      }
+
+      const untested = results.filter(result => result.match.total + result.noMatch.total === 0).length;
+      console.log(failed.length > 0
+        ? chalk.red(`\n❌ ${failed.length} of ${results.length} incident(s) failed their examples\n`)
+        : chalk.green(`\n✅ ${results.length - untested} incident(s) passed` + (untested > 0 ? chalk.gray(`, ${untested} without examples`) : '') + '\n'));
+
+      process.exit(failed.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(chalk.red(`❌ Incident test failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * dredd config - Inspect the layered configuration
+ */
+const configCommand = program
+  .command('config')
+  .description('Inspect the layered configuration (.dreddrc)');
+
+configCommand
+  .command('print')
+  .description('Show the merged configuration and where each value came from')
+  .action(() => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Configuration\n'));
+
+    console.log(chalk.bold('Layers (later wins):'));
+    loadedConfig.layers.forEach((source, i) => console.log(chalk.gray(`   ${i + 1}. ${source}`)));
+    console.log();
+
+    const item = value => value && typeof value === 'object' ? JSON.stringify(value) : String(value);
+    const format = value => value === null ? 'null' : Array.isArray(value) ? `[${value.map(item).join(', ')}]` : String(value);
+    const sourceColor = source => source === 'default' ? chalk.gray(source) : chalk.cyan(source);
+
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      const value = loadedConfig.values[key];
+
+      if (CONFIG_SCHEMA[key].type === 'overrides') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) {
+          console.log(`${chalk.bold(key)} = {}  ${sourceColor(loadedConfig.sources[key])}`);
+        }
+        for (const [id, severity] of entries) {
+          console.log(`${chalk.bold(`${key}.${id}`)} = ${severity}  ${sourceColor(loadedConfig.sources[`${key}.${id}`])}`);
+        }
+        continue;
+      }
+
+      console.log(`${chalk.bold(key)} = ${format(value)}  ${sourceColor(loadedConfig.sources[key])}`);
+    }
+    console.log();
+  });
+
+/**
+ * dredd fix - Apply machine-readable fixes for mechanical laws
+ */
+program
+  .command('fix [files...]')
+  .description('Apply incident fix descriptors to changed (or given) files')
+  .option('--dry-run', 'Show a unified diff instead of writing files')
+  .option('--interactive', 'Confirm each fix before applying it')
+  .action(async (files, options) => {
+    console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: Applying fixes...\n'));
+
+    const git = new GitAnalyzer();
+    const detector = new PatternDetector();
+
+    try {
+      await detector.loadIncidentPatterns();
+
+      const repoRoot = await git.getRepoRoot();
+      const targets = files.length > 0
+        ? files.map(file => path.relative(repoRoot, path.resolve(file)))
+        : (await git.getUncommittedDiff()).files
+          .filter(f => !f.binary && f.status !== 'deleted')
+          .map(f => f.path);
+
+      if (targets.length === 0) {
+        console.log(chalk.green('✅ Nothing to fix\n'));
+        return;
+      }
+
+      const engine = new FixEngine(detector, { baseline: await loadBaseline(git) });
+      const prompter = options.interactive ? createPrompter() : null;
+      let totalApplied = 0;
+      let totalUnfixable = 0;
+
+      for (const file of targets) {
+        const content = await git.readWorkingFile(file);
+        if (content === null) continue;
+
+        const result = await engine.fixFile(file, content, {
+          context: { source: 'cli-fix' },
+          confirm: options.interactive
+            ? (finding, before, after) => confirmFix(prompter, file, finding, before, after)
+            : null
+        });
+
+        if (result.applied.length === 0 && result.unfixable.length === 0) continue;
+        totalApplied += result.applied.length;
+        totalUnfixable += result.unfixable.length;
+
+        console.log(chalk.cyan(`📄 ${file}`));
+        result.applied.forEach(({ finding, description }) => {
+          console.log(chalk.green(`   🛠️  ${description}`) + chalk.gray(` (${finding.incidentId || finding.type})`));
+        });
+        result.unfixable.forEach(finding => {
+          const line = finding.location && finding.location.line ? `line ${finding.location.line}: ` : '';
+          console.log(chalk.yellow(`   ✋ No automatic fix applies - ${line}${finding.message.trim()}`) + chalk.gray(` (${finding.incidentId || finding.type})`));
+        });
+
+        if (result.applied.length === 0) {
+          console.log();
+          continue;
+        }
+        if (options.dryRun) {
+          console.log();
+          console.log(colorizeDiff(createUnifiedDiff(file, content, result.content)).trimEnd());
+        } else {
+          await fs.writeFile(path.join(repoRoot, file), result.content);
+        }
+        console.log();
+      }
+
+      if (prompter) prompter.close();
+
+      if (totalUnfixable > 0) {
+        console.log(chalk.yellow(`⚠️  ${totalUnfixable} finding(s) need a manual fix\n`));
+      }
+      if (totalApplied === 0) {
+        if (totalUnfixable === 0) console.log(chalk.green('✅ No fixable findings\n'));
+      } else if (options.dryRun) {
+        console.log(chalk.yellow(`⚠️  Dry run: ${totalApplied} fix(es) not written\n`));
+      } else {
+        console.log(chalk.green(`✅ Applied ${totalApplied} fix(es) - review with git diff before committing\n`));
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Fix failed: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * Helper: Ask whether to apply a single fix (shows its diff)
+ */
+async function confirmFix(prompter, file, finding, before, after) {
+  console.log(chalk.bold(`\n${finding.message}`));
+  console.log(chalk.gray(`   ${finding.fix.description || ''}`));
+  console.log(colorizeDiff(createUnifiedDiff(file, before, after)).trimEnd());
+
+  const answer = await prompter.ask('Apply this fix? [y/N] ');
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Helper: Ask a question with a default; invalid answers are asked again
+ * @param {object} prompter - See createPrompter
+ * @param {string} question - Question text
+ * @param {string|null} fallback - Answer on an empty line (null = an answer is required)
+ * @param {Function} validate - value => problem or null
+ */
+async function ask(prompter, question, fallback, validate = () => null) {
+  while (true) {
+    const suffix = fallback ? ` [${fallback}]` : '';
+    const answer = (await prompter.ask(`${question}${suffix}: `)).trim() || fallback || '';
+    const problem = answer === '' && fallback === null ? 'an answer is required' : validate(answer);
+    if (!problem) return answer;
+
+    if (prompter.done) {
+      throw new Error(`${question}: ${problem}`);
+    }
+    console.log(chalk.yellow(`   ${problem}`));
+  }
+}
+
+/**
+ * Helper: List proposed patterns and let the user pick some ("1,3", "all" or "none")
+ * @returns {string[]} Chosen pattern sources
+ */
+async function choosePatterns(prompter, heading, candidates, fallback) {
+  if (candidates.length === 0) return [];
+
+  console.log(chalk.bold(`${heading}:`));
+  candidates.forEach((candidate, i) => {
+    console.log(`  ${i + 1}. ${chalk.cyan(candidate.pattern)}`);
+    console.log(chalk.gray(`     ${candidate.file}:${candidate.line}  ${candidate.text}`));
+  });
+
+  const answer = await ask(prompter, 'Use (numbers, "all" or "none")', fallback, value =>
+    /^(all|none|\d+(\s*,\s*\d+)*)$/.test(value) && value.split(',').every(n => !/\d/.test(n) || (n > 0 && n <= candidates.length))
+      ? null
+      : `expected numbers between 1 and ${candidates.length}, "all" or "none"`);
+  console.log();
+
+  if (answer === 'none') return [];
+  if (answer === 'all') return candidates.map(candidate => candidate.pattern);
+  return [...new Set(answer.split(',').map(n => candidates[Number(n) - 1].pattern))];
+}
+
+/**
+ * Helper: Parse a financial impact range ("50000-250000", "50k-2M")
+ * @returns {object|null} { min, max }
+ */
+function parseImpact(value) {
+  const amount = /^\$?(\d+(?:\.\d+)?)\s*([kKmM]?)$/;
+  const parts = String(value).split('-').map(part => part.trim().replace(/,/g, '').match(amount));
+  if (parts.length !== 2 || parts.some(part => !part)) return null;
+
+  const [min, max] = parts.map(([, number, unit]) =>
+    Math.round(Number(number) * ({ k: 1e3, m: 1e6 }[unit.toLowerCase()] || 1)));
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Helper: Line prompter over stdin (works for TTYs and piped answers; EOF answers '')
+ */
+function createPrompter() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    done: false,
+    async ask(question) {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      this.done = this.done || Boolean(done);
+      return done ? '' : value;
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * Helper: Colorize a unified diff for the terminal
+ */
+function colorizeDiff(diff) {
+  return diff.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Helper: Read explicit review targets as fully-added files (e.g. dredd review Dockerfile)
+ */
+async function readTargetFiles(git, files) {
+  const repoRoot = await git.getRepoRoot();
+  const targets = [];
+
+  for (const file of files) {
+    const relative = path.relative(repoRoot, path.resolve(file));
+    const content = await git.readWorkingFile(relative);
+    if (content === null) {
+      console.log(chalk.yellow(`⚠️  Skipping ${file} (not readable)`));
+      continue;
+    }
+    targets.push(fileFromContent(relative, content));
+  }
+
+  return { files: targets, hasChanges: targets.length > 0 };
+}
+
+/**
+ * Helper: Load the repository baseline (empty if none exists)
+ */
+async function loadBaseline(git) {
+  const baseline = new Baseline(Baseline.defaultPath(await git.getRepoRoot()));
+  return baseline.load();
+}
+
+/**
+ * Helper: Check a commit message file against the staged changes
+ */
+async function checkCommitMessageFile(git, file) {
+  const detector = new PatternDetector();
+  const message = cleanMessage(await fs.readFile(file, 'utf8'));
+  const files = await git.getStagedFiles();
+
+  return detector.analyzeCommitMessage(message, files, {
+    source: 'commit-msg',
+    timestamp: new Date().toISOString()
+  }, { sensitivePaths: await git.getSensitivePaths() });
+}
+
+/**
+ * Helper: Review what is staged (review --staged, pre-commit) - the diff of the index against
+ * HEAD, with whole-file rules reading the staged blobs, so the verdict is the commit's.
+ * @param {object} options - { messageEvidence: true } when the commit message is judged later (commit-msg hook)
+ * @returns {object|null} Results, or null when nothing is staged
+ */
+async function reviewStaged(git, detector, options = {}) {
+  const changes = await git.getStagedDiff();
+  if (!changes.hasChanges) {
+    console.log(chalk.green('✅ No staged changes to review\n'));
+    return null;
+  }
+
+  console.log(chalk.cyan(`Analyzing ${changes.files.length} staged file(s)...\n`));
+
+  const analysis = await detector.analyzeFiles(changes.files, {
+    source: 'cli-review-staged',
+    timestamp: new Date().toISOString()
+  }, {
+    readFile: file => git.readIndexFile(file),
+    readOriginal: file => git.readFileAtRevision('HEAD', file),
+    messageEvidence: Boolean(options.messageEvidence),
+    sensitivePaths: await git.getSensitivePaths()
+  });
+
+  const baseline = await loadBaseline(git);
+  return baseline.apply(analysis);
+}
+
+// What git passes a pre-push hook for a ref it deletes (or that does not exist on the remote)
+const ZERO_HASH = /^0+$/;
+
+/**
+ * Helper: Read what a push sends (pre-push) - git writes one
+ * "<local ref> <local hash> <remote ref> <remote hash>" line per ref
+ * @returns {Array} [{ label, base, commits }] per pushed ref - base is the commit the outgoing
+ *                  commits start from (null for a new history)
+ */
+async function readPush(git, remote, input) {
+  const refs = [];
+
+  for (const line of input.split('\n').filter(line => line.trim())) {
+    const [localRef, localHash, remoteRef, remoteHash] = line.trim().split(/\s+/);
+    if (!localHash || ZERO_HASH.test(localHash)) continue;   // deleting a remote ref
+
+    // What no branch of the remote has (nor the tip being replaced, when we have it) -
+    // commits merged in from the remote are not reviewed again; a new history's root is
+    const known = remoteHash && !ZERO_HASH.test(remoteHash) && await git.resolveCommit(remoteHash);
+    const commits = await git.getOutgoingCommits(localHash, {
+      remote: remote || 'origin',
+      remoteHash: known || null
+    });
+    const base = known || (commits.length > 0 && commits[0].parents[0]) || null;
+
+    refs.push({ label: `${localRef} → ${remoteRef}`, base, commits });
+  }
+
+  return refs;
+}
+
+/**
+ * Helper: Review what a push sends (pre-push) - every outgoing commit on its own
+ * @param {Array} refs - readPush() results
+ * @returns {object|null} Combined results, or null when nothing new is pushed
+ */
+async function reviewPush(git, refs) {
+  const detector = new PatternDetector();
+  await detector.loadIncidentPatterns();
+  const baseline = await loadBaseline(git);
+  const sensitivePaths = await git.getSensitivePaths();
+  const reviewed = [];
+
+  for (const { label, commits } of refs) {
+    if (commits.length === 0) continue;
+
+    console.log(chalk.cyan(`Analyzing ${commits.length} outgoing commit(s) in ${label}...\n`));
+    const results = await reviewCommits(git, detector, commits, { source: 'pre-push', baseline, sensitivePaths });
+    displayRangeCommits(label, results.commits, false);
+    reviewed.push(results);
+  }
+
+  if (reviewed.length === 0) {
+    console.log(chalk.green('✅ No new commits to review\n'));
+    return null;
+  }
+  return combineResults(reviewed);
+}
+
+/**
+ * Helper: Reload the configuration with the project layer as of a revision (none when null),
+ * so a change cannot relax the policy that judges it
+ */
+async function loadBaseConfig(git, revision) {
+  loadedConfig = loadConfig({
+    flags: program.opts().config,
+    project: revision ? await git.readProjectConfig(revision) : null
+  });
+}
+
+/**
+ * Helper: Apply a hook's fail threshold (hooks.<hook>.blocking) over severity.blocking
+ */
+function applyHookThreshold(hook) {
+  const setting = config.hooks[hook.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())];
+  if (!setting || setting.blocking === null) return;
+
+  for (const severity of Object.keys(config.severity)) {
+    config.severity[severity].blocking = setting.blocking.includes(severity);
+  }
+}
+
+/**
+ * Helper: Record a DREDD_SKIP bypass - who, why, and where the repository stood
+ */
+async function recordHookBypass(git, hook, reason) {
+  return recordBypass(await git.getRepoRoot(), {
+    hook,
+    reason,
+    user: await git.getIdentity(),
+    branch: await git.getCurrentBranch(),
+    head: await git.resolveCommit('HEAD')
+  });
+}
+
+/**
+ * Helper: Read standard input (empty when run from a terminal)
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Helper: Review a commit range ("base..head") - every commit on its own, or squashed into
+ * one diff from the merge base. Every finding carries the commit it came from.
+ * @returns {object} Combined results, plus commits: [{ hash, author, email, subject, violations, warnings }]
+ */
+async function reviewRange(git, detector, range, options = {}) {
+  const { base, head, mergeBase } = await git.resolveRange(range);
+  const commits = await git.getRangeCommits(base, head);
+  const baseline = await loadBaseline(git);
+  const sensitivePaths = await git.getSensitivePaths();
+
+  if (options.squash) {
+    // What merging the range would change: the diff from where it left base
+    const from = mergeBase || base;
+    const files = await git.getDiffFiles(from, head);
+    console.log(chalk.cyan(`Analyzing ${range} squashed: ${commits.length} commit(s), ${files.length} file(s)...\n`));
+
+    const analysis = await detector.analyzeFiles(files, {
+      source: 'cli-review-range',
+      range
+    }, {
+      readFile: file => git.readFileAtRevision(head, file),
+      readOriginal: file => git.readFileAtRevision(from, file),
+      messageEvidence: true,
+      sensitivePaths
+    });
+
+    // Test evidence may be in any of the range's commit messages
+    const evidence = await detector.analyzeCommitMessage(commits.map(commit => commit.message).join('\n\n'),
+      files.map(file => file.path), { source: 'cli-review-range', range }, { evidenceOnly: true });
+    const results = combineResults([baseline.apply(analysis), evidence]);
+
+    // Attribute each finding to the commit that wrote its line - or, for findings about
+    // something removed or the file as a whole, the last commit in the range that touched the file
+    const byHash = new Map(commits.map(commit => [commit.hash, commit]));
+    const lastTouched = new Map();
+    for (const finding of [...results.violations, ...results.warnings, ...results.baselined]) {
+      const { file, line } = finding.location || {};
+      if (!file) continue;
+
+      let commit = line ? byHash.get(await git.getLineCommit(head, file, line)) : null;
+      if (!commit) {
+        if (!lastTouched.has(file)) {
+          const [latest] = await git.getFileHistory([`:(literal)${file}`], { range: { base, head }, limit: 1 });
+          lastTouched.set(file, latest ? byHash.get(latest.hash) || null : null);
+        }
+        commit = lastTouched.get(file);
+      }
+      if (commit) finding.commit = attribution(commit);
+    }
+
+    return { ...results, commits: commits.map(commit => summarizeCommit(commit, results)) };
+  }
+
+  console.log(chalk.cyan(`Analyzing ${commits.length} commit(s) in ${range}...\n`));
+  return reviewCommits(git, detector, commits, { source: 'cli-review-range', baseline, sensitivePaths });
+}
+
+/**
+ * Helper: Review commits one by one - each diff against its parent (a root commit against the
+ * empty tree), and each message against the files it changes
+ * @param {object} options - { source, baseline, sensitivePaths }
+ * @returns {object} Combined results, plus commits (see reviewRange)
+ */
+async function reviewCommits(git, detector, commits, options) {
+  const { source, baseline, sensitivePaths } = options;
+
+  const perCommit = [];
+  for (const commit of commits) {
+    const short = commit.hash.substring(0, 7);
+    const files = await git.getCommitFiles(commit.hash);
+
+    const results = baseline.apply(await detector.analyzeFiles(files, {
+      source,
+      commit: short,
+      subject: commit.subject
+    }, {
+      readFile: file => git.readFileAtRevision(commit.hash, file),
+      readOriginal: file => (commit.parents.length > 0 ? git.readFileAtRevision(`${commit.hash}^`, file) : null),
+      messageEvidence: true,
+      sensitivePaths
+    }));
+
+    // What the commit says about itself (test evidence, issue references, wording)
+    const messageResults = await detector.analyzeCommitMessage(commit.message, files.map(file => file.path), {
+      source,
+      commit: short
+    }, { sensitivePaths });
+
+    const combined = combineResults([results, messageResults]);
+    for (const entry of [...combined.violations, ...combined.warnings, ...combined.baselined, ...combined.dependencies, ...combined.costs]) {
+      entry.commit = attribution(commit);
+    }
+    perCommit.push({ commit, results: combined });
+  }
+
+  return {
+    ...combineResults(perCommit.map(entry => entry.results)),
+    commits: perCommit.map(({ commit, results }) => summarizeCommit(commit, results))
+  };
+}
+
+/**
+ * Helper: How a finding names its commit
+ */
+function attribution(commit) {
+  return { hash: commit.hash, author: commit.author.name, email: commit.author.email, subject: commit.subject };
+}
+
+/**
+ * Helper: A commit with the number of findings attributed to it
+ */
+function summarizeCommit(commit, results) {
+  const mine = finding => finding.commit && finding.commit.hash === commit.hash;
+  return {
+    ...attribution(commit),
+    violations: results.violations.filter(mine).length,
+    warnings: results.warnings.filter(mine).length
+  };
+}
+
+/**
+ * Helper: Combine several analysis results into one (findings concatenated, flags recomputed)
+ */
+function combineResults(list) {
+  const combined = {
+    violations: [],
+    warnings: [],
+    commendations: [],
+    suppressed: [],
+    exempted: [],
+    baselined: [],
+    dependencies: [],
+    costs: [],
+    pluginErrors: []
+  };
+
+  for (const results of list) {
+    for (const key of Object.keys(combined)) {
+      combined[key].push(...(results[key] || []));
+    }
+  }
+
+  // The same commendation or plugin failure repeats for every commit - report it once
+  const unique = (entries, key) => entries.filter((entry, i) => entries.findIndex(other => key(other) === key(entry)) === i);
+  combined.commendations = unique(combined.commendations, c => `${c.type}|${c.message}`);
+  combined.pluginErrors = unique(combined.pluginErrors, e => `${e.specifier}|${e.hook}|${e.file}|${e.message}`);
+
+  return {
+    ...combined,
+    hasViolations: combined.violations.length > 0,
+    hasCritical: combined.violations.some(v => v.severity === 'CRITICAL'),
+    hasBlocking: combined.violations.some(PatternDetector.isBlocking)
+  };
+}
+
+/**
+ * Helper: Analyze every tracked file and return all findings
+ */
+async function scanRepository(git) {
+  const detector = new PatternDetector();
+  await detector.loadIncidentPatterns();
+
+  const files = await git.getTrackedFiles();
+  console.log(chalk.cyan(`Scanning ${files.length} tracked file(s)...\n`));
+
+  const results = await detector.analyzeFiles(files, {
+    source: 'cli-baseline',
+    timestamp: new Date().toISOString()
+  }, {
+    readFile: file => git.readWorkingFile(file),
+    sensitivePaths: await git.getSensitivePaths()
+  });
+
+  return [...results.violations, ...results.warnings];
+}
+
+/**
+ * Helper: List the commits of a reviewed range with their findings
+ */
+function displayRangeCommits(range, commits, squashed) {
+  if (commits.length === 0) {
+    console.log(chalk.green(`✅ No commits in ${range}\n`));
+    return;
+  }
+
+  console.log(chalk.bold(`📜 COMMITS (${commits.length} in ${range}${squashed ? ', squashed' : ''})\n`));
+  commits.forEach(commit => {
+    const counts = [
+      commit.violations > 0 ? `${commit.violations} violation(s)` : null,
+      commit.warnings > 0 ? `${commit.warnings} warning(s)` : null
+    ].filter(Boolean);
+    const line = `${commit.hash.substring(0, 7)} ${commit.author}: ${commit.subject}`;
+
+    if (commit.violations > 0) {
+      console.log(chalk.red(`   🚨 ${line} (${counts.join(', ')})`));
+    } else if (commit.warnings > 0) {
+      console.log(chalk.yellow(`   ⚠️  ${line} (${counts.join(', ')})`));
+    } else {
+      console.log(chalk.green(`   ✅ ${line}`));
+    }
+  });
+  console.log();
+}
+
+/**
+ * Helper: List the protected paths a change touches, why each is protected and who owns it
+ */
+function displayProtectedPaths(securityCheck) {
+  console.log(chalk.red(`   Protected paths touched (${securityCheck.files.length}):`));
+  securityCheck.files.forEach(({ status, file, paths, owners }) => {
+    const why = paths.length > 0 ? paths.join(', ') : 'security workflow';
+    console.log(chalk.red(`      ${status} ${file}`) + chalk.gray(`  (${why})`));
+    if (owners.length > 0) {
+      console.log(chalk.gray(`         owners: ${owners.join(', ')}`));
+    }
+  });
+  console.log();
+}
+
+/**
+ * Helper: Display analysis results
+ */
+function displayResults(results) {
+  displayPluginErrors(results.pluginErrors);
+  displaySuppressions(results.suppressed);
+  displayExemptions(results.exempted);
+  displayBaselined(results.baselined);
+  displayDependencyChanges(results.dependencies);
+  displayCostChanges(results.costs);
+
+  if (!results.hasViolations && results.warnings.length === 0) {
+    if (results.commendations.length > 0) {
+      console.log(chalk.green('✅ COMMENDATIONS:\n'));
+      results.commendations.forEach(c => {
+        console.log(chalk.green(`   ✅ ${c.type}: ${c.message}`));
+      });
+      console.log();
+    }
+    console.log(chalk.green('✅ No violations detected - THE LAW is upheld\n'));
+    return;
+  }
+
+  // Display violations
+  if (results.violations.length > 0) {
+    console.log(chalk.red.bold('🚨 VIOLATIONS DETECTED\n'));
+
+    results.violations.forEach((v, i) => {
+      console.log(chalk.red(`${i + 1}. [${v.severity}] ${v.message}`));
+      displayLocation(v.location);
+      displayCommit(v.commit);
+      if (v.incident) {
+        console.log(chalk.yellow(`   Incident: ${v.incident}`));
+      }
+      if (v.plugin) {
+        console.log(chalk.yellow(`   Plugin: ${v.plugin}`));
+      }
+      if (v.details) {
+        console.log(`   ${v.details}`);
+      }
+      if (v.financialRisk) {
+        const risk = `$${(v.financialRisk.min / 1000000).toFixed(1)}M-$${(v.financialRisk.max / 1000000).toFixed(1)}M`;
+        console.log(chalk.red.bold(`   💰 Financial Risk: ${risk} ${v.financialRisk.proven ? '(proven)' : '(estimated)'}`));
+      }
+      if (v.law) {
+        console.log(chalk.blue(`   📜 The Law: ${v.law}`));
+      }
+      if (v.suggestedFix) {
+        console.log(chalk.green(`\n   🛠️  Suggested Fix:\n   ${v.suggestedFix.split('\n').join('\n   ')}`));
+      }
+      console.log();
+    });
+  }
+
+  // Display warnings
+  if (results.warnings.length > 0) {
+    console.log(chalk.yellow.bold('⚠️  WARNINGS\n'));
+
+    results.warnings.forEach((w, i) => {
+      console.log(chalk.yellow(`${i + 1}. [${w.severity}] ${w.message}`));
+      displayLocation(w.location);
+      displayCommit(w.commit);
+      if (w.details) {
+        console.log(`   ${w.details}`);
+      }
+      if (w.incident) {
+        console.log(chalk.yellow(`   Incident: ${w.incident}`));
+      }
+      if (w.plugin) {
+        console.log(chalk.yellow(`   Plugin: ${w.plugin}`));
+      }
+      if (w.suggestedFix) {
+        console.log(chalk.green(`   🛠️  Suggested Fix:\n   ${w.suggestedFix.split('\n').join('\n   ')}`));
+      }
+      console.log();
+    });
+  }
+
+  // Display commendations if any
   if (results.commendations.length > 0) {
     console.log(chalk.green('✅ COMMENDATIONS:\n'));
     results.commendations.forEach(c => {
@@ -408,6 +1734,145 @@ function displayResults(results) {
   }
 }
 
+/**
+ * Helper: Summarize dependency changes per manifest
+ */
+function displayDependencyChanges(dependencies) {
+  if (!dependencies || dependencies.length === 0) return;
+
+  const MAX_LISTED = 10;
+  const kinds = [
+    ['added', '+', chalk.green],
+    ['removed', '-', chalk.red],
+    ['upgraded', '↑', chalk.cyan],
+    ['downgraded', '↓', chalk.yellow],
+    ['changed', '~', chalk.gray]
+  ];
+
+  console.log(chalk.bold('📦 DEPENDENCY CHANGES\n'));
+  dependencies.forEach(manifest => {
+    const counts = kinds
+      .filter(([kind]) => manifest[kind].length > 0)
+      .map(([kind]) => `${manifest[kind].length} ${kind}`);
+    const commit = manifest.commit ? ` @ ${manifest.commit.hash.substring(0, 7)}` : '';
+    console.log(`   ${manifest.file}${commit} (${counts.join(', ')})`);
+
+    kinds.forEach(([kind, marker, color]) => {
+      manifest[kind].slice(0, MAX_LISTED).forEach(entry => {
+        console.log(color(`      ${marker} ${entry}`));
+      });
+      if (manifest[kind].length > MAX_LISTED) {
+        console.log(chalk.gray(`      ... and ${manifest[kind].length - MAX_LISTED} more ${kind}`));
+      }
+    });
+  });
+  console.log();
+}
+
+/**
+ * Helper: Summarize projected infrastructure cost changes per template
+ */
+function displayCostChanges(costs) {
+  if (!costs || costs.length === 0) return;
+
+  console.log(chalk.bold(`💵 INFRASTRUCTURE COST (monthly estimate, price table ${priceTableVersion})\n`));
+  costs.forEach(template => {
+    const delta = `${template.delta >= 0 ? '+' : ''}${formatUsd(template.delta)}`;
+    const color = template.delta > 0 ? chalk.yellow : chalk.green;
+    const commit = template.commit ? ` @ ${template.commit.hash.substring(0, 7)}` : '';
+    console.log(`   ${template.file}${commit}: ${formatUsd(template.before)} → ${formatUsd(template.after)} ${color(`(${delta})`)}`);
+    template.changes.forEach(change => {
+      console.log(chalk.gray(`      ${change}`));
+    });
+  });
+  console.log();
+}
+
+/**
+ * Helper: Summarize baseline (pre-existing) findings - reported, not blocking
+ */
+function displayBaselined(baselined) {
+  if (!baselined || baselined.length === 0) return;
+
+  console.log(chalk.gray.bold(`📦 BASELINE FINDINGS (${baselined.length} pre-existing, not blocking)\n`));
+  baselined.forEach(finding => {
+    const where = finding.location && finding.location.file
+      ? ` ${finding.location.file}${finding.location.line ? `:${finding.location.line}` : ''}`
+      : '';
+    console.log(chalk.gray(`   [${finding.severity}] ${finding.incidentId || finding.type}${where}`));
+  });
+  console.log();
+}
+
+/**
+ * Helper: Display plugin failures - the plugin's laws were not (fully) enforced
+ */
+function displayPluginErrors(pluginErrors) {
+  if (!pluginErrors || pluginErrors.length === 0) return;
+
+  console.log(chalk.yellow.bold(`🔌 PLUGIN ERRORS (${pluginErrors.length})\n`));
+  pluginErrors.forEach(error => {
+    const where = error.file ? ` (${error.file})` : '';
+    console.log(chalk.yellow(`   ${error.plugin} ${error.hook}${where}: ${error.message}`));
+  });
+  console.log(chalk.gray('   These plugins\' rules were skipped where they failed.\n'));
+}
+
+/**
+ * Helper: Display active suppressions so nothing is silently hidden
+ */
+function displaySuppressions(suppressed) {
+  if (!suppressed || suppressed.length === 0) return;
+
+  console.log(chalk.magenta.bold(`🙈 ACTIVE SUPPRESSIONS (${suppressed.length})\n`));
+  suppressed.forEach(({ finding, suppression }) => {
+    const where = finding.location ? `${finding.location.file || ''}:${finding.location.line}` : '';
+    const until = suppression.until ? ` (until ${suppression.until})` : '';
+    console.log(chalk.magenta(`   ${suppression.incident} ${where} - ${finding.type}`));
+    console.log(chalk.gray(`      Reason: ${suppression.reason}${until}`));
+  });
+  console.log();
+}
+
+/**
+ * Helper: Display findings skipped because the rule exempts the file's class
+ */
+function displayExemptions(exempted) {
+  if (!exempted || exempted.length === 0) return;
+
+  console.log(chalk.gray.bold(`📄 EXEMPTIONS APPLIED (${exempted.length})\n`));
+  exempted.forEach(({ finding, exemption }) => {
+    const location = finding.location || {};
+    const where = location.line ? `${location.file}:${location.line}` : (location.file || '');
+    console.log(chalk.gray(`   ${finding.incidentId || finding.type} ${where} - ${exemption.class} (${exemption.reason})`));
+  });
+  console.log();
+}
+
+/**
+ * Helper: Display where a finding was detected (file:line:column + offending line)
+ */
+function displayLocation(location) {
+  if (!location || !location.file) return;
+
+  let position = location.line ? `:${location.line}` : '';
+  if (location.line && location.column) {
+    position += `:${location.column}`;
+  }
+  console.log(chalk.cyan(`   📍 ${location.file}${position}`));
+  if (location.lineText) {
+    console.log(chalk.gray(`      ${location.lineText.trim()}`));
+  }
+}
+
+/**
+ * Helper: Display the commit a finding came from (range reviews)
+ */
+function displayCommit(commit) {
+  if (!commit) return;
+  console.log(chalk.magenta(`   🔖 ${commit.hash.substring(0, 7)} ${commit.author}: ${commit.subject}`));
+}
+
 /**
  * dredd 4d - Run 4D truth verification
  */
@@ -415,10 +1880,12 @@ program
   .command('4d')
   .description('Run 4D truth verification (commits + corpus + evidence + time)')
   .option('-v, --verbose', 'Verbose output')
+  .option('--repo <path>', 'Repository to verify (default: current directory)')
   .action(async (options) => {
     console.log(chalk.bold.blue('\n👨‍⚖️ Judge Dredd: 4D Mode Activated\n'));
 
     const verifier = new FourDimensionalVerifier({
+      repoPath: options.repo,
       verbose: options.verbose || false
     });
 
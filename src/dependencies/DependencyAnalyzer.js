@@ -0,0 +1,171 @@
+/**
+ * Judge Dredd Agent - Dependency Analyzer
+ * Supply-chain checks on package.json / package-lock.json changes, referenced by
+ * incidents via `pattern.detection.dependencies`
+ *
+ * Each check receives the parsed manifest before and after the change (before is null
+ * for new files) plus the new content, and returns hits: [{ line, lineText, values }]
+ */
+
+const { diffManifests } = require('./ManifestParser');
+const POPULAR_PACKAGES = require('./popular-packages.json');
+
+const LIFECYCLE_SCRIPTS = ['preinstall', 'install', 'postinstall', 'prepare', 'prepublish'];
+const URL_SPEC = /^(git\+|git:|github:|gitlab:|bitbucket:|https?:|file:.*\.(tgz|tar\.gz)$)|^[\w.-]+\/[\w.-]+(#.*)?$/i;
+const REGISTRY = /^https:\/\/registry\.(npmjs\.org|yarnpkg\.com)\//;
+
+// Look-alike characters squatters substitute (paypa1, l0dash)
+const LOOKALIKES = { 0: 'o', 1: 'l', 3: 'e', 5: 's', 7: 't', rn: 'm' };
+
+/**
+ * Locate the first line containing a needle
+ */
+function findLine(content, needle) {
+  const lines = String(content || '').split('\n');
+  const index = lines.findIndex(line => line.includes(needle));
+  return index === -1 ? { line: null, lineText: null } : { line: index + 1, lineText: lines[index] };
+}
+
+/**
+ * Line declaring a package (package.json: "name": ..., lockfile: "node_modules/name": ...)
+ */
+function packageLine(content, entry, type) {
+  return findLine(content, type === 'package' ? `"${entry.name}"` : `"${entry.key}"`);
+}
+
+/**
+ * Edit distance where swapping two adjacent characters counts as one edit (lodahs → lodash)
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Name with separators dropped and look-alike characters folded
+ */
+function foldName(name) {
+  return Object.entries(LOOKALIKES)
+    .reduce((folded, [from, to]) => folded.split(from).join(to), name.toLowerCase())
+    .replace(/[-_.]/g, '');
+}
+
+/**
+ * Popular package a name imitates, or null
+ */
+function findSimilarPackage(name, popular = POPULAR_PACKAGES) {
+  // Scoped packages are owned by their scope - squatting happens on bare names
+  if (name.startsWith('@') || popular.includes(name) || name.length < 4) return null;
+
+  return popular.find(candidate => {
+    if (candidate.startsWith('@')) return false;
+    if (foldName(candidate) === foldName(name)) return true;
+    const threshold = candidate.length >= 8 ? 2 : 1;
+    return editDistance(candidate, name) <= threshold;
+  }) || null;
+}
+
+const CHECKS = {
+  /**
+   * New or changed lifecycle scripts (package.json) and newly added packages with install scripts (lockfile)
+   */
+  'install-script'(before, after, content) {
+    if (!after) return [];
+
+    if (after.type === 'package') {
+      return LIFECYCLE_SCRIPTS
+        .filter(script => after.scripts[script] && after.scripts[script] !== (before ? before.scripts[script] : undefined))
+        .map(script => ({
+          ...findLine(content, `"${script}"`),
+          values: { package: 'package.json', script, command: ` (${after.scripts[script]})` }
+        }));
+    }
+
+    const changes = diffManifests(before, after);
+    return [...changes.added, ...changes.upgraded, ...changes.downgraded, ...changes.changed]
+      .filter(entry => entry.hasInstallScript && !(before && before.packages[entry.key] && before.packages[entry.key].hasInstallScript))
+      .map(entry => ({
+        ...packageLine(content, entry, after.type),
+        values: { package: `${entry.name}@${entry.to}`, script: 'install', command: '' }
+      }));
+  },
+
+  /**
+   * Dependencies installed from git repositories, tarballs or URLs instead of the registry
+   */
+  'url-dependency'(before, after, content) {
+    if (!after) return [];
+    const changes = diffManifests(before, after);
+
+    return [...changes.added, ...changes.upgraded, ...changes.downgraded, ...changes.changed]
+      .filter(entry => after.type === 'package'
+        ? URL_SPEC.test(entry.spec || '')
+        : Boolean(entry.resolved) && !REGISTRY.test(entry.resolved) && !entry.resolved.startsWith('file:'))
+      .map(entry => {
+        const source = after.type === 'package' ? entry.spec : entry.resolved;
+        return {
+          ...packageLine(content, entry, after.type),
+          values: { package: entry.name, source }
+        };
+      });
+  },
+
+  /**
+   * Newly added packages whose names imitate popular packages
+   */
+  typosquat(before, after, content) {
+    if (!after || after.type !== 'package') return [];
+
+    return diffManifests(before, after).added
+      .map(entry => ({ entry, similarTo: findSimilarPackage(entry.name) }))
+      .filter(({ similarTo }) => similarTo)
+      .map(({ entry, similarTo }) => ({
+        ...packageLine(content, entry, after.type),
+        values: { package: entry.name, similarTo }
+      }));
+  }
+};
+
+/**
+ * Run a named dependency check
+ * @param {string} check - Check name (from pattern.detection.dependencies)
+ * @param {object|null} before - parseManifest() of the old version
+ * @param {object|null} after - parseManifest() of the new version
+ * @param {string} content - New file content (for line numbers)
+ * @returns {Array} Hits (empty for unknown checks so newer incidents degrade gracefully)
+ */
+function runDependencyCheck(check, before, after, content) {
+  const run = CHECKS[check];
+  return run ? run(before, after, content) : [];
+}
+
+/**
+ * Summarize dependency churn for reporting (and the Temporal Decay dimension)
+ * @returns {object} { added, removed, upgraded, downgraded, changed } - lists of "name@version" labels
+ */
+function summarizeChanges(before, after) {
+  const changes = diffManifests(before, after);
+  const label = entry => entry.from && entry.to ? `${entry.name} ${entry.from} → ${entry.to}` : `${entry.name}@${entry.to || entry.from}`;
+
+  return Object.fromEntries(Object.entries(changes).map(([kind, entries]) => [kind, entries.map(label)]));
+}
+
+module.exports = {
+  runDependencyCheck,
+  summarizeChanges,
+  findSimilarPackage,
+  editDistance,
+  checks: Object.keys(CHECKS)
+};
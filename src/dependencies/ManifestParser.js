@@ -0,0 +1,158 @@
+/**
+ * Judge Dredd Agent - Manifest Parser
+ * Parses package.json / package-lock.json and compares two versions of them
+ */
+
+const path = require('path');
+
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+/**
+ * Check if a file path is an npm manifest (package.json or package-lock.json)
+ */
+function isManifest(file) {
+  return manifestType(file) !== null;
+}
+
+/**
+ * 'package' for package.json, 'lock' for package-lock.json / npm-shrinkwrap.json, else null
+ */
+function manifestType(file) {
+  if (!file) return null;
+  const name = path.basename(String(file));
+  if (name === 'package.json') return 'package';
+  if (name === 'package-lock.json' || name === 'npm-shrinkwrap.json') return 'lock';
+  return null;
+}
+
+/**
+ * Parse a manifest
+ * @param {string} content - File content
+ * @param {string} type - 'package' or 'lock'
+ * @returns {object|null} { type, packages: { key: { name, version, spec, dependencyType, resolved, hasInstallScript } },
+ *                          scripts } or null when missing or invalid JSON
+ */
+function parseManifest(content, type) {
+  if (typeof content !== 'string') return null;
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data !== 'object') return null;
+
+  const packages = {};
+
+  if (type === 'package') {
+    for (const dependencyType of DEPENDENCY_TYPES) {
+      for (const [name, spec] of Object.entries(data[dependencyType] || {})) {
+        packages[name] = { name, version: null, spec: String(spec), dependencyType, resolved: null, hasInstallScript: false };
+      }
+    }
+  } else if (data.packages) {
+    // lockfileVersion 2/3: keyed by install path ("node_modules/a/node_modules/b")
+    for (const [installPath, entry] of Object.entries(data.packages)) {
+      if (!installPath || !entry) continue;
+      const name = entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      packages[installPath] = {
+        name,
+        version: entry.version || null,
+        spec: null,
+        dependencyType: entry.dev ? 'devDependencies' : 'dependencies',
+        resolved: entry.resolved || null,
+        hasInstallScript: Boolean(entry.hasInstallScript)
+      };
+    }
+  } else if (data.dependencies) {
+    // lockfileVersion 1: nested dependency trees
+    const walk = (dependencies, prefix) => {
+      for (const [name, entry] of Object.entries(dependencies)) {
+        const installPath = `${prefix}node_modules/${name}`;
+        packages[installPath] = {
+          name,
+          version: entry.version || null,
+          spec: null,
+          dependencyType: entry.dev ? 'devDependencies' : 'dependencies',
+          resolved: entry.resolved || null,
+          hasInstallScript: false
+        };
+        if (entry.dependencies) walk(entry.dependencies, `${installPath}/`);
+      }
+    };
+    walk(data.dependencies, '');
+  }
+
+  return {
+    type,
+    packages,
+    scripts: type === 'package' && data.scripts && typeof data.scripts === 'object' ? data.scripts : {}
+  };
+}
+
+/**
+ * Parse the numeric part of a version or range ("^1.2.3" → [1, 2, 3])
+ */
+function parseVersion(value) {
+  const match = String(value || '').match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  return match ? [Number(match[1]), Number(match[2] || 0), Number(match[3] || 0)] : null;
+}
+
+/**
+ * Compare two versions or ranges by their numeric part (-1, 0, 1; null if not comparable)
+ */
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) return null;
+
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] < right[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Compare two parsed manifests
+ * @param {object|null} before - parseManifest() of the old version (null for new files)
+ * @param {object|null} after - parseManifest() of the new version
+ * @returns {object} { added, removed, upgraded, downgraded, changed } - each [{ key, name, from, to, ... }]
+ */
+function diffManifests(before, after) {
+  const oldPackages = before ? before.packages : {};
+  const newPackages = after ? after.packages : {};
+  const label = entry => entry.version || entry.spec;
+  const changes = { added: [], removed: [], upgraded: [], downgraded: [], changed: [] };
+
+  for (const [key, entry] of Object.entries(newPackages)) {
+    const old = oldPackages[key];
+    if (!old) {
+      changes.added.push({ key, ...entry, to: label(entry) });
+      continue;
+    }
+    if (label(old) === label(entry) && old.resolved === entry.resolved) continue;
+
+    const change = { key, ...entry, from: label(old), to: label(entry) };
+    const order = compareVersions(change.from, change.to);
+    if (order === -1) changes.upgraded.push(change);
+    else if (order === 1) changes.downgraded.push(change);
+    else changes.changed.push(change);
+  }
+
+  for (const [key, entry] of Object.entries(oldPackages)) {
+    if (!newPackages[key]) {
+      changes.removed.push({ key, ...entry, from: label(entry) });
+    }
+  }
+
+  return changes;
+}
+
+module.exports = {
+  isManifest,
+  manifestType,
+  parseManifest,
+  compareVersions,
+  diffManifests
+};
@@ -0,0 +1,150 @@
+/**
+ * Judge Dredd Agent - Dockerfile Analyzer
+ * Structural Dockerfile checks referenced by incidents via `pattern.detection.dockerfile`
+ *
+ * Each check returns hits: [{ line, lines, values, note }]
+ *   line   - line to report (FROM, USER or RUN line)
+ *   lines  - every line that contributed (used to attribute findings to a diff)
+ *   values - placeholders for the incident's message/details ({{stage}}, {{image}}, ...)
+ *   note   - optional extra detail (e.g. how an ARG resolved)
+ */
+
+const LOCKFILES = /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|package\*\.json|\*\.json)$/;
+
+/**
+ * Human-readable stage label
+ */
+function stageLabel(stage) {
+  return stage.name ? `'${stage.name}'` : `#${stage.index + 1}`;
+}
+
+/**
+ * Lines a stage's FROM depends on (FROM line + global ARG lines)
+ */
+function fromLines(stage) {
+  return [stage.line, ...stage.argLines];
+}
+
+/**
+ * Note explaining ARG substitution on a FROM line
+ */
+function resolutionNote(stage) {
+  return stage.rawImage !== stage.image ? `Resolved: FROM ${stage.rawImage} → ${stage.image}` : null;
+}
+
+const CHECKS = {
+  /**
+   * Base images built on Alpine (musl libc)
+   */
+  'alpine-base-image'(parsed) {
+    return parsed.stages
+      .filter(stage => stage.imageRef && /alpine/i.test(`${stage.imageRef.name}:${stage.imageRef.tag || ''}`))
+      .map(stage => ({
+        line: stage.line,
+        lines: fromLines(stage),
+        values: { stage: stageLabel(stage), image: stage.image },
+        note: resolutionNote(stage)
+      }));
+  },
+
+  /**
+   * FROM --platform pinned to anything other than linux/amd64
+   */
+  platform(parsed) {
+    return parsed.stages
+      .filter(stage => stage.platform && !stage.platform.includes('$') && stage.platform !== 'linux/amd64')
+      .map(stage => ({
+        line: stage.line,
+        lines: fromLines(stage),
+        values: { stage: stageLabel(stage), image: stage.image, platform: stage.platform },
+        note: `Stage ${stageLabel(stage)} pins --platform=${stage.platform} (Azure Container Apps require linux/amd64)`
+      }));
+  },
+
+  /**
+   * Final stage running as root (no USER, or USER root/0)
+   */
+  'root-user'(parsed) {
+    const final = parsed.stages[parsed.stages.length - 1];
+    if (!final) return [];
+
+    const user = final.user ? final.user.split(':')[0] : null;
+    if (user && user !== 'root' && user !== '0') return [];
+
+    const stageLines = [];
+    for (let line = final.line; line <= final.endLine; line++) stageLines.push(line);
+
+    return [{
+      line: final.userLine && final.userLine >= final.line ? final.userLine : final.line,
+      lines: stageLines,
+      values: { stage: stageLabel(final), image: final.image, user: user || 'root (no USER instruction)' },
+      note: null
+    }];
+  },
+
+  /**
+   * Untagged or :latest base images
+   */
+  'latest-tag'(parsed) {
+    return parsed.stages
+      .filter(stage => stage.imageRef &&
+        !stage.image.includes('$') &&
+        stage.imageRef.name.toLowerCase() !== 'scratch' &&
+        !stage.imageRef.digest &&
+        (!stage.imageRef.tag || stage.imageRef.tag === 'latest'))
+      .map(stage => ({
+        line: stage.line,
+        lines: fromLines(stage),
+        values: { stage: stageLabel(stage), image: stage.image },
+        note: resolutionNote(stage)
+      }));
+  },
+
+  /**
+   * `npm install` in a stage that never copied a lockfile
+   */
+  'npm-install-no-lockfile'(parsed) {
+    const hits = [];
+
+    for (const stage of parsed.stages) {
+      let hasLockfile = false;
+
+      for (const instruction of stage.instructions) {
+        if (instruction.instruction === 'COPY' || instruction.instruction === 'ADD') {
+          const sources = instruction.args.split(/\s+/).filter(arg => arg && !arg.startsWith('--')).slice(0, -1);
+          if (sources.some(source => source === '.' || source === './' || LOCKFILES.test(source))) {
+            hasLockfile = true;
+          }
+        }
+
+        if (instruction.instruction === 'RUN' && !hasLockfile &&
+            /\bnpm\s+(install|i)\b(?![^&;|]*\s(-g|--global)\b)/.test(instruction.args)) {
+          hits.push({
+            line: instruction.line,
+            lines: instruction.lines,
+            values: { stage: stageLabel(stage), image: stage.image },
+            note: null
+          });
+        }
+      }
+    }
+
+    return hits;
+  }
+};
+
+/**
+ * Run a named Dockerfile check
+ * @param {string} check - Check name (from pattern.detection.dockerfile)
+ * @param {object} parsed - Output of parseDockerfile()
+ * @returns {Array} Hits (empty for unknown checks so newer incidents degrade gracefully)
+ */
+function runDockerfileCheck(check, parsed) {
+  const run = CHECKS[check];
+  return run ? run(parsed) : [];
+}
+
+module.exports = {
+  runDockerfileCheck,
+  checks: Object.keys(CHECKS)
+};
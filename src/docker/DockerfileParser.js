@@ -0,0 +1,222 @@
+/**
+ * Judge Dredd Agent - Dockerfile Parser
+ * Parses Dockerfiles into stages with resolved ARG/ENV substitution
+ */
+
+const path = require('path');
+
+/**
+ * Check if a file path is a Dockerfile (Dockerfile, Dockerfile.prod, app.dockerfile, Containerfile)
+ */
+function isDockerfile(file) {
+  if (!file) return false;
+  const name = path.basename(String(file));
+  return /^(Dockerfile|Containerfile)(\..+)?$/i.test(name) || /\.dockerfile$/i.test(name);
+}
+
+/**
+ * Substitute $VAR / ${VAR} / ${VAR:-default} / ${VAR:+alt} references
+ * @param {string} value - Raw value
+ * @param {object} vars - Known variables
+ * @returns {string} Resolved value (unknown variables are left as-is)
+ */
+function substitute(value, vars) {
+  return String(value).replace(/\$(?:\{(\w+)(?::([-+])([^}]*))?\}|(\w+))/g, (ref, braced, operator, word, bare) => {
+    const name = braced || bare;
+    const known = Object.prototype.hasOwnProperty.call(vars, name) && vars[name] !== null;
+
+    if (operator === '-') return known && vars[name] !== '' ? vars[name] : word;
+    if (operator === '+') return known && vars[name] !== '' ? word : '';
+    return known ? vars[name] : ref;
+  });
+}
+
+/**
+ * Parse an image reference into name, tag and digest
+ */
+function parseImageRef(ref) {
+  let rest = ref;
+  let digest = null;
+
+  const at = rest.indexOf('@');
+  if (at !== -1) {
+    digest = rest.slice(at + 1);
+    rest = rest.slice(0, at);
+  }
+
+  // A tag colon comes after the last slash (registry:port/name has its colon before it)
+  let tag = null;
+  const colon = rest.lastIndexOf(':');
+  if (colon > rest.lastIndexOf('/')) {
+    tag = rest.slice(colon + 1);
+    rest = rest.slice(0, colon);
+  }
+
+  return { name: rest, tag, digest };
+}
+
+/**
+ * Split a Dockerfile into logical instructions (continuations joined, comments dropped)
+ * @returns {Array} [{ instruction, args, line, endLine, lines }]
+ */
+function tokenize(content) {
+  const rawLines = String(content).split('\n');
+  const instructions = [];
+  let current = null;
+  let heredoc = null;
+
+  rawLines.forEach((rawLine, index) => {
+    const number = index + 1;
+    const line = rawLine.replace(/\r$/, '');
+
+    if (heredoc) {
+      current.lines.push(number);
+      current.endLine = number;
+      if (line.trim() === heredoc) {
+        heredoc = null;
+        instructions.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    if (!current && /^\s*(#|$)/.test(line)) return;
+    if (current && /^\s*#/.test(line)) return;
+
+    const continues = /\\\s*$/.test(line);
+    const text = continues ? line.replace(/\\\s*$/, '') : line;
+
+    if (!current) {
+      const match = text.match(/^\s*(\w+)\s*(.*)$/);
+      if (!match) return;
+      current = {
+        instruction: match[1].toUpperCase(),
+        args: match[2],
+        line: number,
+        endLine: number,
+        lines: [number]
+      };
+    } else {
+      current.args += ' ' + text.trim();
+      current.endLine = number;
+      current.lines.push(number);
+    }
+
+    if (continues) return;
+
+    const marker = current.args.match(/<<-?\s*["']?(\w+)["']?/);
+    if (marker && ['RUN', 'COPY', 'ADD'].includes(current.instruction)) {
+      heredoc = marker[1];
+      return;
+    }
+
+    instructions.push(current);
+    current = null;
+  });
+
+  if (current) instructions.push(current);
+  return instructions;
+}
+
+/**
+ * Parse a Dockerfile into global ARGs and build stages
+ * @param {string} content - Dockerfile content
+ * @returns {object} { globalArgs, stages: [{ index, name, line, endLine, rawImage, image, imageRef, platform,
+ *                     baseStage, instructions, user, userLine }], instructions }
+ */
+function parseDockerfile(content) {
+  const instructions = tokenize(content);
+  const globalArgs = {};
+  const globalArgLines = {};
+  const stages = [];
+  let stage = null;
+
+  for (const instruction of instructions) {
+    const { instruction: keyword, args } = instruction;
+
+    if (keyword === 'FROM') {
+      const tokens = args.trim().split(/\s+/);
+      let platform = null;
+      while (tokens[0] && tokens[0].startsWith('--')) {
+        const flag = tokens.shift();
+        const platformFlag = flag.match(/^--platform=(.+)$/);
+        if (platformFlag) platform = platformFlag[1];
+      }
+
+      const rawImage = tokens[0] || '';
+      const name = tokens[1] && tokens[1].toUpperCase() === 'AS' ? tokens[2] : null;
+      const image = substitute(rawImage, globalArgs);
+      const baseStage = stages.find(s => s.name && s.name.toLowerCase() === image.toLowerCase()) || null;
+
+      // ARG lines that fed this FROM (for diff attribution)
+      const argLines = [];
+      rawImage.replace(/\$\{?(\w+)/g, (ref, arg) => {
+        if (globalArgLines[arg]) argLines.push(globalArgLines[arg]);
+        return ref;
+      });
+
+      stage = {
+        index: stages.length,
+        name,
+        line: instruction.line,
+        endLine: instruction.endLine,
+        rawImage,
+        image,
+        imageRef: baseStage ? null : parseImageRef(image),
+        platform: platform ? substitute(platform, globalArgs) : null,
+        rawPlatform: platform,
+        argLines,
+        baseStage,
+        instructions: [],
+        vars: {},
+        user: baseStage ? baseStage.user : null,
+        userLine: baseStage ? baseStage.userLine : null
+      };
+      stages.push(stage);
+      continue;
+    }
+
+    if (!stage) {
+      // ARGs before the first FROM are global (visible to FROM lines)
+      if (keyword === 'ARG') {
+        const [argName, ...defaultParts] = args.trim().split('=');
+        globalArgs[argName] = defaultParts.length > 0 ? defaultParts.join('=').replace(/^["']|["']$/g, '') : null;
+        globalArgLines[argName] = instruction.line;
+      }
+      continue;
+    }
+
+    stage.instructions.push(instruction);
+    stage.endLine = instruction.endLine;
+
+    if (keyword === 'ARG') {
+      const [argName, ...defaultParts] = args.trim().split('=');
+      stage.vars[argName] = defaultParts.length > 0
+        ? substitute(defaultParts.join('=').replace(/^["']|["']$/g, ''), stage.vars)
+        : (globalArgs[argName] !== undefined ? globalArgs[argName] : null);
+    } else if (keyword === 'ENV') {
+      const pairs = args.match(/(\w+)=("[^"]*"|'[^']*'|\S+)/g);
+      if (pairs) {
+        for (const pair of pairs) {
+          const [envName, ...valueParts] = pair.split('=');
+          stage.vars[envName] = substitute(valueParts.join('=').replace(/^["']|["']$/g, ''), stage.vars);
+        }
+      } else {
+        const [envName, ...valueParts] = args.trim().split(/\s+/);
+        stage.vars[envName] = substitute(valueParts.join(' '), stage.vars);
+      }
+    } else if (keyword === 'USER') {
+      stage.user = substitute(args.trim(), stage.vars);
+      stage.userLine = instruction.line;
+    }
+  }
+
+  return { globalArgs, stages, instructions };
+}
+
+module.exports = {
+  isDockerfile,
+  substitute,
+  parseImageRef,
+  parseDockerfile
+};
@@ -0,0 +1,191 @@
+/**
+ * Judge Dredd Agent - Fix Engine
+ * Applies machine-readable fix descriptors carried by incident rules (rule.fix)
+ *
+ * Descriptor shape:
+ *   {
+ *     "description": "Replace Alpine base image with node:20-slim",
+ *     "edits": [
+ *       { "type": "replace", "pattern": "...", "flags": "i", "replacement": "$1node:20-slim" },
+ *       { "type": "insert", "anchor": "</head>", "position": "before", "content": "...", "unless": "..." }
+ *     ]
+ *   }
+ *
+ * `replace` edits apply to the line the finding was located on (whole file if unknown).
+ * `insert` edits place content before/after the first anchor match unless `unless` already matches.
+ * Edits only match what they can rewrite safely; a finding none of whose edits applies is
+ * reported as unfixable (left for a human), never patched halfway.
+ *
+ * Descriptors can arrive from Central Brain, so their patterns get the same treatment as
+ * detection patterns (see patterns/SafeRegex): screened for catastrophic backtracking and run
+ * with the per-pattern time budget. A fix whose pattern fails either check is skipped.
+ */
+
+const config = require('../utils/config');
+const Baseline = require('../patterns/Baseline');
+const { screenPattern, RegexExecutor } = require('../patterns/SafeRegex');
+const { fileFromContent } = require('../git/DiffParser');
+
+// Guard against descriptors that keep re-triggering their own rule
+const MAX_ITERATIONS = 50;
+
+class FixEngine {
+  /**
+   * @param {PatternDetector} detector - Detector with incidents loaded
+   * @param {object} options - { baseline } findings recorded in the baseline are left alone
+   */
+  constructor(detector, options = {}) {
+    this.detector = detector;
+    this.baseline = options.baseline || null;
+    // Share the detector's worker when it has one
+    this.executor = (detector.ruleEngine && detector.ruleEngine.executor) ||
+      new RegexExecutor({ timeoutMs: config.patterns.timeBudgetMs });
+  }
+
+  /**
+   * Compile and screen a descriptor pattern (string or RegExp source)
+   * @throws {Error} When the pattern is invalid or can backtrack catastrophically
+   */
+  compile(pattern, flags) {
+    const regex = new RegExp(pattern, flags !== undefined ? flags : 'i');
+    const problem = screenPattern(regex.source);
+    if (problem) {
+      throw new Error(`Fix pattern /${regex.source}/ rejected: ${problem}`);
+    }
+    return regex;
+  }
+
+  /**
+   * Run a pattern operation within the time budget
+   * @throws {Error} When the pattern exceeds it
+   */
+  budgeted(regex, reply) {
+    if (reply.timedOut) {
+      throw new Error(`Fix pattern /${regex.source}/ exceeded the ${this.executor.timeoutMs}ms time budget`);
+    }
+    return reply;
+  }
+
+  /**
+   * Replace within the time budget
+   */
+  replace(regex, text, replacement) {
+    return this.budgeted(regex, this.executor.replace(regex, text, replacement)).result;
+  }
+
+  /**
+   * First match within the time budget ({ index, text } or null)
+   */
+  match(regex, text) {
+    return this.budgeted(regex, this.executor.exec(regex, text)).match;
+  }
+
+  /**
+   * Apply a single edit to content
+   * @returns {string} Updated content (unchanged if the edit does not apply)
+   */
+  applyEdit(content, edit, location) {
+    if (edit.type === 'replace') {
+      const regex = this.compile(edit.pattern, edit.flags);
+      const replacement = edit.replacement || '';
+
+      if (location && location.line) {
+        const lines = content.split('\n');
+        const index = location.line - 1;
+        if (index < lines.length) {
+          lines[index] = this.replace(regex, lines[index], replacement);
+        }
+        return lines.join('\n');
+      }
+      return this.replace(regex, content, replacement);
+    }
+
+    if (edit.type === 'insert') {
+      if (edit.unless && this.match(this.compile(edit.unless, edit.unlessFlags), content)) {
+        return content;
+      }
+
+      const match = this.match(this.compile(edit.anchor, edit.flags), content);
+      if (!match) return content;
+
+      const at = edit.position === 'after' ? match.index + match.text.length : match.index;
+      return content.slice(0, at) + edit.content + content.slice(at);
+    }
+
+    throw new Error(`Unknown fix edit type: ${edit.type}`);
+  }
+
+  /**
+   * Apply a finding's fix descriptor to content
+   * @returns {string|null} Updated content, or null if the fix changes nothing
+   */
+  applyFix(content, finding) {
+    const fix = finding.fix;
+    if (!fix || !Array.isArray(fix.edits)) return null;
+
+    let updated = content;
+    for (const edit of fix.edits) {
+      updated = this.applyEdit(updated, edit, finding.location);
+    }
+
+    return updated === content ? null : updated;
+  }
+
+  /**
+   * Fix every fixable finding in a file, re-analyzing after each fix
+   * @param {string} file - File path
+   * @param {string} content - Current file content
+   * @param {object} options - { confirm(finding, before, after) => Promise<boolean>, context }
+   * @returns {object} { content, applied: [{ finding, description }], declined: [finding],
+   *                   unfixable: [finding] } - unfixable findings have a fix none of whose edits applies
+   */
+  async fixFile(file, content, options = {}) {
+    let current = content;
+    const applied = [];
+    const declined = [];
+    const unfixable = [];
+    const skipped = new Set();
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      const results = await this.detector.analyzeFiles(
+        [fileFromContent(file, current)],
+        options.context || {},
+        { readFile: async () => current }
+      );
+
+      const finding = [...results.violations, ...results.warnings].find(f =>
+        f.fix &&
+        !skipped.has(Baseline.fingerprint(f)) &&
+        !(this.baseline && this.baseline.has(f))
+      );
+      if (!finding) break;
+
+      const fingerprint = Baseline.fingerprint(finding);
+      let updated;
+      try {
+        updated = this.applyFix(current, finding);
+      } catch (error) {
+        console.warn(`⚠️  Fix for ${finding.incidentId || finding.type} skipped: ${error.message}`);
+        updated = null;
+      }
+      if (updated === null) {
+        skipped.add(fingerprint);
+        unfixable.push(finding);
+        continue;
+      }
+
+      if (options.confirm && !(await options.confirm(finding, current, updated))) {
+        skipped.add(fingerprint);
+        declined.push(finding);
+        continue;
+      }
+
+      applied.push({ finding, description: finding.fix.description || finding.message });
+      current = updated;
+    }
+
+    return { content: current, applied, declined, unfixable };
+  }
+}
+
+module.exports = FixEngine;
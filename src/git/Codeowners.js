@@ -0,0 +1,98 @@
+/**
+ * Judge Dredd Agent - CODEOWNERS
+ * Reads the repository's CODEOWNERS file (GitHub locations and semantics)
+ *
+ * Rules are tried in order and the last matching rule wins; a rule without owners leaves its
+ * paths unowned. Patterns follow GitHub's gitignore-style rules and are turned into globs
+ * (see utils/glob): `*.js` and `apps/` match at any depth, `/build/` and `docs/*` are
+ * anchored to the repository root, and `docs/*` does not reach into subdirectories.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('../utils/glob');
+
+// Where GitHub looks, in order
+const LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Globs for a CODEOWNERS pattern (null for patterns CODEOWNERS does not support)
+ */
+function patternToGlobs(pattern) {
+  // Negation and character ranges are not valid in CODEOWNERS - GitHub ignores the rule
+  if (pattern.startsWith('!') || /\[/.test(pattern)) return null;
+
+  let glob = pattern.replace(/\\#/g, '#');
+  const directory = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  if (!glob) return null;
+
+  // A slash at the start or in the middle anchors the pattern to the repository root
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\/+/, '');
+  if (!anchored && !glob.startsWith('**')) glob = `**/${glob}`;
+
+  if (directory) return [`${glob}/**`];
+  // `docs/*` matches the files in docs, not the ones in its subdirectories
+  if (glob.endsWith('/*')) return [glob];
+  return [glob, `${glob}/**`];
+}
+
+/**
+ * Parse CODEOWNERS content
+ * @returns {Array} [{ pattern, globs, owners, line }] in file order
+ */
+function parseCodeowners(content) {
+  const rules = [];
+
+  String(content).split('\n').forEach((raw, index) => {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) return;
+
+    const [pattern, ...owners] = line.split(/\s+/);
+    const globs = patternToGlobs(pattern);
+    if (!globs) return;
+
+    rules.push({ pattern, globs, owners, line: index + 1 });
+  });
+
+  return rules;
+}
+
+/**
+ * Find and parse the repository's CODEOWNERS
+ * @param {string} repoRoot - Repository root
+ * @returns {object|null} { file, rules } or null when the repository has none
+ */
+function loadCodeowners(repoRoot) {
+  for (const location of LOCATIONS) {
+    const file = path.join(repoRoot, location);
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      continue;
+    }
+    return { file, rules: parseCodeowners(content) };
+  }
+  return null;
+}
+
+/**
+ * The rule that decides a file's owners (the last one that matches)
+ * @returns {object|null} Rule, or null when none matches
+ */
+function ruleFor(rules, file) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    if (matchesAny(file, rules[i].globs)) return rules[i];
+  }
+  return null;
+}
+
+module.exports = {
+  LOCATIONS,
+  patternToGlobs,
+  parseCodeowners,
+  loadCodeowners,
+  ruleFor
+};
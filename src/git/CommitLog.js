@@ -0,0 +1,140 @@
+/**
+ * Judge Dredd Agent - Commit Log
+ * Parses `git log -z --raw --numstat` output into structured commit records
+ *
+ * Every header field is NUL-terminated and read by position, so multi-line bodies, pipes in
+ * subjects and odd file names cannot bleed into each other. A record looks like:
+ *   {
+ *     hash, parents: [hash], subject, body, message,
+ *     author: { name, email, timestamp (ms) }, committer: { name, email, timestamp (ms) },
+ *     trailers: [{ key: 'Signed-off-by', value: 'A <a@example.com>' }],
+ *     files: [{ path, oldPath, status, similarity, added, deleted, binary }]
+ *   }
+ * `status` is git's letter (A added, M modified, D deleted, R renamed, C copied, T type change);
+ * `oldPath` is set for renames and copies. `added`/`deleted` are null for binary files.
+ * Merge commits have no files (their changes belong to the commits they merge).
+ */
+
+// Starts every record; header fields follow by position
+const RECORD_START = '\x1e';
+
+const FIELDS = [
+  ['hash', '%H'],
+  ['parents', '%P'],
+  ['authorName', '%an'],
+  ['authorEmail', '%ae'],
+  ['authorTime', '%at'],
+  ['committerName', '%cn'],
+  ['committerEmail', '%ce'],
+  ['committerTime', '%ct'],
+  ['subject', '%s'],
+  ['body', '%b'],
+  ['trailers', '%(trailers:only,unfold)'],
+  ['message', '%B']
+];
+
+/**
+ * `git log` arguments that produce parseable records (add revisions, limits and pathspecs)
+ */
+const LOG_ARGS = [
+  '-z',
+  '--raw',
+  '--numstat',
+  '-M',
+  '--no-color',
+  '--no-ext-diff',
+  `--format=%x1e${FIELDS.map(([, placeholder]) => `${placeholder}%x00`).join('')}`
+];
+
+const RAW_ENTRY = /^:\d+ \d+ [0-9a-f]+ [0-9a-f]+ ([A-Z])(\d*)$/;
+const NUMSTAT_ENTRY = /^(\d+|-)\t(\d+|-)\t(.*)$/s;
+
+/**
+ * Parse trailers ("Key: value" lines, already unfolded by git)
+ */
+function parseTrailers(text) {
+  return text.split('\n')
+    .map(line => line.match(/^([\w-]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => ({ key, value: value.trim() }));
+}
+
+/**
+ * Parse `git log` output produced with LOG_ARGS
+ * @param {string} stdout - Raw output
+ * @returns {Array} Commit records, in log order
+ */
+function parseCommitLog(stdout) {
+  const tokens = stdout.split('\0');
+  const commits = [];
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (!tokens[i].startsWith(RECORD_START)) {
+      i++;
+      continue;
+    }
+
+    const header = {};
+    FIELDS.forEach(([name], offset) => {
+      header[name] = tokens[i + offset] === undefined ? '' : tokens[i + offset];
+    });
+    header.hash = header.hash.slice(RECORD_START.length);
+    i += FIELDS.length;
+
+    // Raw entries (status, paths) come first, then numstat entries (line counts) in the same order
+    const files = [];
+    const counts = [];
+    while (i < tokens.length && !tokens[i].startsWith(RECORD_START)) {
+      const token = tokens[i].replace(/^\n/, '');
+      const raw = token.match(RAW_ENTRY);
+      const numstat = raw ? null : token.match(NUMSTAT_ENTRY);
+
+      if (raw) {
+        const [, status, similarity] = raw;
+        const twoPaths = status === 'R' || status === 'C';
+        files.push({
+          path: twoPaths ? tokens[i + 2] : tokens[i + 1],
+          oldPath: twoPaths ? tokens[i + 1] : null,
+          status,
+          similarity: similarity ? Number(similarity) : null
+        });
+        i += twoPaths ? 3 : 2;
+      } else if (numstat) {
+        const [, added, deleted, path] = numstat;
+        counts.push({
+          added: added === '-' ? null : Number(added),
+          deleted: deleted === '-' ? null : Number(deleted),
+          binary: added === '-' && deleted === '-'
+        });
+        // Renames and copies leave the path empty and follow with old and new paths
+        i += path === '' ? 3 : 1;
+      } else {
+        i++;
+      }
+    }
+
+    commits.push({
+      hash: header.hash,
+      parents: header.parents.split(' ').filter(Boolean),
+      subject: header.subject,
+      body: header.body.replace(/\s+$/, ''),
+      message: header.message.replace(/\s+$/, ''),
+      author: { name: header.authorName, email: header.authorEmail, timestamp: Number(header.authorTime) * 1000 },
+      committer: { name: header.committerName, email: header.committerEmail, timestamp: Number(header.committerTime) * 1000 },
+      trailers: parseTrailers(header.trailers),
+      files: files.map((file, index) => ({
+        ...file,
+        ...(counts[index] || { added: null, deleted: null, binary: false })
+      }))
+    });
+  }
+
+  return commits;
+}
+
+module.exports = {
+  LOG_ARGS,
+  parseCommitLog,
+  parseTrailers
+};
@@ -0,0 +1,144 @@
+/**
+ * Judge Dredd Agent - Commit Message Policy
+ * Judges what a commit says about itself, next to what it changes
+ *
+ * Checks (finding type):
+ *   COMMIT_MISSING_ISSUE   - security-sensitive files (see git/SensitivePaths) changed without an issue reference
+ *   COMMIT_NOT_CONVENTIONAL - subject is not a Conventional Commit (only with commitMessages.conventional)
+ *   COMMIT_VAGUE_MESSAGE   - subject says nothing ("fix stuff", "wip", "updates")
+ *
+ * Local test evidence for workflow and deploy changes (Issue #41) is judged by PatternDetector
+ * against the incident document itself, so local overrides and severity policy apply.
+ */
+
+const config = require('../utils/config');
+const SensitivePathRegistry = require('./SensitivePaths');
+
+// Words that carry no information on their own - a subject made only of these is vague
+const VAGUE_WORDS = new Set([
+  'fix', 'fixes', 'fixed', 'fixing', 'update', 'updates', 'updated', 'change', 'changes', 'changed',
+  'stuff', 'things', 'thing', 'wip', 'misc', 'minor', 'tweak', 'tweaks', 'cleanup', 'temp', 'tmp',
+  'test', 'tests', 'testing', 'it', 'this', 'that', 'some', 'more', 'small', 'quick', 'code', 'bug',
+  'bugs', 'issue', 'issues', 'again', 'work', 'commit', 'asdf', 'oops', 'the', 'a', 'and', 'various'
+]);
+
+// Messages git writes itself, and autosquash markers - not judged for wording
+const GENERATED = /^(?:Merge (?:branch|pull request|remote-tracking branch|tag)|Revert "|fixup! |squash! |amend! )/;
+
+const SCISSORS = /^# -+ >8 -+$/m;
+
+/**
+ * Clean a commit message file the way git does before storing it: drop everything below the
+ * scissors line (commit --verbose), git's comment lines and trailing blank lines.
+ * Only "# ..." lines count as comments - `git commit -m "#41 ..."` keeps its issue reference.
+ * @param {string} raw - Message file content
+ * @param {string} commentChar - core.commentChar (default '#')
+ */
+function cleanMessage(raw, commentChar = '#') {
+  const scissors = raw.search(SCISSORS);
+  const kept = (scissors === -1 ? raw : raw.slice(0, scissors))
+    .split('\n')
+    .filter(line => line !== commentChar && !line.startsWith(`${commentChar} `));
+  return kept.join('\n').replace(/\s+$/, '');
+}
+
+/**
+ * Split a message into subject and body
+ */
+function splitMessage(message) {
+  const [subject, ...body] = message.split('\n');
+  return { subject: subject.trim(), body: body.join('\n').trim() };
+}
+
+/**
+ * Whether a subject is a Conventional Commit: type(scope)!: description
+ */
+function isConventional(subject, types = config.commitMessages.types) {
+  const match = subject.match(/^([a-z]+)(?:\([^()\s][^()]*\))?!?: \S/);
+  return Boolean(match && types.includes(match[1]));
+}
+
+/**
+ * Whether a subject says nothing about the change
+ */
+function isVague(subject) {
+  const description = subject.replace(/^[a-z]+(?:\([^()]*\))?!?:\s*/, '');
+  const words = description.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return words.length === 0 || words.every(word => VAGUE_WORDS.has(word));
+}
+
+/**
+ * Check a commit message against the policy
+ * @param {string} message - Cleaned commit message
+ * @param {string[]} files - Paths the commit changes
+ * @param {object} context - Analysis context (commit, source)
+ * @param {object} options - { sensitivePaths: SensitivePathRegistry (default: configured paths only) }
+ * @returns {Array} [{ bucket, finding }]
+ */
+function checkCommitMessage(message, files, context = {}, options = {}) {
+  const { subject } = splitMessage(message);
+  const results = [];
+  const location = { file: null, line: 1, column: null, lineText: subject };
+  const add = (bucket, finding) => results.push({ bucket, finding: { ...finding, location, context } });
+
+  if (!subject) {
+    add('violations', {
+      type: 'COMMIT_VAGUE_MESSAGE',
+      severity: 'MEDIUM',
+      message: '📝 EMPTY COMMIT MESSAGE',
+      details: 'The commit has no subject line.',
+      law: 'Every change explains itself',
+      suggestedFix: 'Describe what changed and why in the subject line.'
+    });
+    return results;
+  }
+
+  const registry = options.sensitivePaths || new SensitivePathRegistry();
+  const sensitive = files.filter(file => registry.isSensitive(file));
+  if (sensitive.length > 0 && !new RegExp(config.commitMessages.issuePattern).test(message)) {
+    const owners = [...new Set(sensitive.flatMap(file => registry.owners(file)))];
+    add('violations', {
+      type: 'COMMIT_MISSING_ISSUE',
+      severity: 'HIGH',
+      message: '🔗 SECURITY-SENSITIVE CHANGE WITHOUT AN ISSUE REFERENCE',
+      details: `This commit changes ${sensitive.join(', ')} but does not reference the issue that authorized it.` +
+        (owners.length > 0 ? ` Approval needed from ${owners.join(', ')}.` : ''),
+      law: 'Security control changes are traceable to an approved issue',
+      suggestedFix: 'Reference the issue in the commit message, e.g. "Refs #43".'
+    });
+  }
+
+  if (GENERATED.test(subject)) return results;
+
+  if (config.commitMessages.conventional && !isConventional(subject)) {
+    add('violations', {
+      type: 'COMMIT_NOT_CONVENTIONAL',
+      severity: 'MEDIUM',
+      message: '📝 COMMIT SUBJECT IS NOT A CONVENTIONAL COMMIT',
+      details: `Expected "<type>(<scope>): <description>" with type one of ${config.commitMessages.types.join(', ')}.`,
+      law: 'Commit history is machine-readable (Conventional Commits)',
+      suggestedFix: 'Start the subject with its type, e.g. "fix(auth): reject expired session tokens".'
+    });
+  }
+
+  if (isVague(subject)) {
+    add('violations', {
+      type: 'COMMIT_VAGUE_MESSAGE',
+      severity: 'MEDIUM',
+      message: `📝 VAGUE COMMIT MESSAGE: "${subject}"`,
+      details: 'The subject does not say what changed or why.',
+      law: 'Every change explains itself',
+      suggestedFix: 'Name the thing that changed and the reason, e.g. "Pin node base image to 20.11 for reproducible builds".'
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  cleanMessage,
+  splitMessage,
+  isConventional,
+  isVague,
+  checkCommitMessage
+};
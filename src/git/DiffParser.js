@@ -0,0 +1,211 @@
+/**
+ * Judge Dredd Agent - Diff Parser
+ * Parses unified diffs (git diff / git show) into files, hunks and lines
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Unquote a git path ("a/foo\tbar" style quoting for special characters)
+ */
+function unquotePath(raw) {
+  if (!raw.startsWith('"')) return raw;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw.slice(1, -1);
+  }
+}
+
+/**
+ * Strip the a/ or b/ prefix from a diff path (returns null for /dev/null)
+ */
+function stripPrefix(raw) {
+  const unquoted = unquotePath(raw.trim());
+  if (unquoted === '/dev/null') return null;
+  return unquoted.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse the paths from a `diff --git a/x b/y` line
+ */
+function parseDiffGitLine(line) {
+  const rest = line.slice('diff --git '.length);
+  const quoted = rest.match(/^("(?:[^"\\]|\\.)*"|\S+) ("(?:[^"\\]|\\.)*"|\S+)$/);
+
+  if (quoted) {
+    return { oldPath: stripPrefix(quoted[1]), newPath: stripPrefix(quoted[2]) };
+  }
+
+  // Unquoted paths containing spaces: split on " b/"
+  const separator = rest.indexOf(' b/');
+  return {
+    oldPath: stripPrefix(rest.slice(0, separator)),
+    newPath: stripPrefix(rest.slice(separator + 1))
+  };
+}
+
+/**
+ * Parse a unified diff into per-file, per-hunk structures
+ * @param {string} diff - Output of git diff / git show
+ * @returns {Array} [{ path, oldPath, status, binary, hunks: [{ header, oldStart, oldLines, newStart, newLines, lines }] }]
+ */
+function parseUnifiedDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  const lines = String(diff || '').split('\n');
+
+  for (const line of lines) {
+    if (line.startsWith('diff --git ')) {
+      const { oldPath, newPath } = parseDiffGitLine(line);
+      file = {
+        path: newPath || oldPath,
+        oldPath: oldPath || newPath,
+        status: 'modified',
+        binary: false,
+        hunks: []
+      };
+      hunk = null;
+      files.push(file);
+      continue;
+    }
+
+    if (!file) continue;
+
+    if (hunk) {
+      if (line.startsWith('+')) {
+        hunk.lines.push({ type: 'add', content: line.slice(1), oldLine: null, newLine: newLine++ });
+        continue;
+      }
+      if (line.startsWith('-')) {
+        hunk.lines.push({ type: 'del', content: line.slice(1), oldLine: oldLine++, newLine: null });
+        continue;
+      }
+      if (line.startsWith(' ')) {
+        hunk.lines.push({ type: 'context', content: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+        continue;
+      }
+      if (line.startsWith('\\')) {
+        // "\ No newline at end of file"
+        continue;
+      }
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      oldLine = parseInt(header[1], 10);
+      newLine = parseInt(header[3], 10);
+      hunk = {
+        header: line,
+        oldStart: oldLine,
+        oldLines: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+        newStart: newLine,
+        newLines: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+        section: header[5] || '',
+        lines: []
+      };
+      file.hunks.push(hunk);
+      continue;
+    }
+
+    // Extended header lines (only meaningful before the first hunk)
+    if (line.startsWith('new file mode')) {
+      file.status = 'added';
+    } else if (line.startsWith('deleted file mode')) {
+      file.status = 'deleted';
+    } else if (line.startsWith('rename from ')) {
+      file.status = 'renamed';
+      file.oldPath = unquotePath(line.slice('rename from '.length));
+    } else if (line.startsWith('rename to ')) {
+      file.status = 'renamed';
+      file.path = unquotePath(line.slice('rename to '.length));
+    } else if (line.startsWith('Binary files ') || line.startsWith('GIT binary patch')) {
+      file.binary = true;
+    } else if (line.startsWith('--- ')) {
+      const oldPath = stripPrefix(line.slice(4));
+      if (oldPath) file.oldPath = oldPath;
+    } else if (line.startsWith('+++ ')) {
+      const newPath = stripPrefix(line.slice(4));
+      if (newPath) file.path = newPath;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get the added lines of a parsed file with their new line numbers
+ * @param {object} file - Parsed diff file
+ * @returns {Array} [{ number, content }]
+ */
+function getAddedLines(file) {
+  const added = [];
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === 'add') {
+        added.push({ number: line.newLine, content: line.content });
+      }
+    }
+  }
+  return added;
+}
+
+/**
+ * Get the removed lines of a parsed file with their old line numbers
+ * @param {object} file - Parsed diff file
+ * @returns {Array} [{ number, content }]
+ */
+function getRemovedLines(file) {
+  const removed = [];
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line.type === 'del') {
+        removed.push({ number: line.oldLine, content: line.content });
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Build a parsed "all lines added" file entry (e.g. for untracked files)
+ * @param {string} filePath - File path
+ * @param {string} content - File content
+ */
+function fileFromContent(filePath, content) {
+  const contentLines = String(content).split('\n');
+  if (contentLines[contentLines.length - 1] === '') contentLines.pop();
+
+  return {
+    path: filePath,
+    oldPath: filePath,
+    status: 'added',
+    binary: false,
+    hunks: contentLines.length === 0 ? [] : [{
+      header: `@@ -0,0 +1,${contentLines.length} @@`,
+      oldStart: 0,
+      oldLines: 0,
+      newStart: 1,
+      newLines: contentLines.length,
+      section: '',
+      lines: contentLines.map((content, i) => ({
+        type: 'add',
+        content,
+        oldLine: null,
+        newLine: i + 1
+      }))
+    }]
+  };
+}
+
+module.exports = {
+  parseUnifiedDiff,
+  getAddedLines,
+  getRemovedLines,
+  fileFromContent
+};
@@ -1,34 +1,257 @@
 /**
  * Judge Dredd Agent - Git Analyzer
  * Analyzes git repository state and changes
+ *
+ * Works on any repository path: git runs there through argument arrays (never a shell), with
+ * revisions validated before use. Failures throw GitError rather than reading as "no changes".
  */
 
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
+const fs = require('fs').promises;
+const os = require('os');
+const { existsSync } = require('fs');
+const path = require('path');
+const { parseUnifiedDiff, fileFromContent, getRemovedLines } = require('./DiffParser');
+const { LOG_ARGS, parseCommitLog } = require('./CommitLog');
+const SensitivePathRegistry = require('./SensitivePaths');
+const GitError = require('./GitError');
+const { PROJECT_FILES } = require('../utils/configLoader');
+const { isWorkflowFile, parseWorkflow } = require('../workflows/WorkflowParser');
+const { runWorkflowCheck } = require('../workflows/WorkflowAnalyzer');
 
-const execAsync = promisify(exec);
+// Workflow checks that mean a security control is being removed or switched off
+const WORKFLOW_REMOVAL_CHECKS = ['job-removed', 'step-removed', 'disabled', 'continue-on-error'];
+
+const execFileAsync = promisify(execFile);
+
+// Diffs of large changes easily exceed execFile's default 1MB buffer
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// Diffs are parsed, so user configuration must not colour them or hand them to an external tool
+const DIFF_OPTIONS = ['--no-color', '--no-ext-diff'];
+
+// A single revision (hash, ref, HEAD~2, v1.0^{commit}, main@{upstream}): never an option,
+// never a range, and no whitespace, control characters or `rev:path` separators
+const REVISION = /^[^-\s:\x00-\x1f\x7f][^\s:\x00-\x1f\x7f]*$/;
+
+// git's explanations for a revision or path that does not exist
+const MISSING_OBJECT = /does not exist|exists on disk, but not in|invalid object name|unknown revision|bad revision/i;
+
+/**
+ * Reject anything that is not a plain revision before it reaches git
+ * @throws {GitError} INVALID_REVISION
+ */
+function assertRevision(revision) {
+  if (typeof revision !== 'string' || !REVISION.test(revision) || revision.includes('..')) {
+    throw new GitError(`Invalid git revision: ${JSON.stringify(revision)}`, { code: 'INVALID_REVISION' });
+  }
+}
+
+/**
+ * Turn an execFile failure into a GitError
+ */
+function toGitError(error, args, cwd) {
+  const stderr = typeof error.stderr === 'string' ? error.stderr.trim() : '';
+  const reason = stderr.split('\n')[0].replace(/^(fatal|error):\s*/, '');
+  const details = { args, cwd, exitCode: typeof error.code === 'number' ? error.code : null, stderr };
+
+  if (error.code === 'ENOENT') {
+    // spawn reports a missing working directory the same way as a missing binary
+    return existsSync(cwd)
+      ? new GitError('git is not installed or not on PATH', { ...details, code: 'GIT_NOT_FOUND' })
+      : new GitError(`Repository path does not exist: ${cwd}`, { ...details, code: 'NOT_A_REPOSITORY' });
+  }
+  if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+    return new GitError(`git ${args[0]} output exceeded ${MAX_BUFFER / 1024 / 1024}MB`, details);
+  }
+  if (/not a git repository/i.test(stderr)) {
+    return new GitError(`Not a git repository: ${cwd}`, { ...details, code: 'NOT_A_REPOSITORY' });
+  }
+  return new GitError(`git ${args[0]} failed: ${reason || error.message}`, details);
+}
 
 class GitAnalyzer {
   /**
-   * Get uncommitted changes (both staged and unstaged)
+   * @param {string} repoPath - Any directory inside the repository to analyze (default: cwd)
+   */
+  constructor(repoPath = process.cwd()) {
+    this.repoPath = path.resolve(repoPath);
+    this.repoRoot = null;
+  }
+
+  /**
+   * Run git with an argument array (no shell) in the repository
+   * @returns {string} stdout
+   * @throws {GitError}
+   */
+  async run(args) {
+    try {
+      const { stdout } = await execFileAsync('git', args, { cwd: this.repoPath, maxBuffer: MAX_BUFFER });
+      return stdout;
+    } catch (error) {
+      throw toGitError(error, args, this.repoPath);
+    }
+  }
+
+  /**
+   * Whether the repository has a commit yet (false right after `git init`)
+   */
+  async hasHead() {
+    return (await this.resolveCommit('HEAD')) !== null;
+  }
+
+  /**
+   * The tree uncommitted changes are measured from: HEAD, or the empty tree before the first commit
+   */
+  async getBaseRevision() {
+    if (await this.hasHead()) return 'HEAD';
+    return (await this.run(['hash-object', '-t', 'tree', os.devNull])).trim();
+  }
+
+  /**
+   * Get uncommitted changes as raw diffs, kept apart:
+   *   staged   - index vs HEAD (what the next commit records)
+   *   unstaged - working tree vs index (edits that are not being committed)
+   *   combined - working tree vs HEAD (both together, each file once)
    */
   async getUncommittedChanges() {
+    const base = await this.getBaseRevision();
+    const unstaged = await this.run(['diff', ...DIFF_OPTIONS]);
+    const staged = await this.run(['diff', '--cached', ...DIFF_OPTIONS, base]);
+    const combined = await this.run(['diff', ...DIFF_OPTIONS, base]);
+
+    return {
+      unstaged,
+      staged,
+      combined,
+      hasChanges: !!(unstaged.trim() || staged.trim())
+    };
+  }
+
+  /**
+   * Get uncommitted changes parsed per file and hunk (working tree vs HEAD).
+   * Untracked files are included with every line marked as added.
+   */
+  async getUncommittedDiff() {
+    const files = parseUnifiedDiff(await this.run(['diff', ...DIFF_OPTIONS, await this.getBaseRevision()]));
+
+    const untracked = await this.run(['ls-files', '--others', '--exclude-standard', '--full-name', '-z', ':/']);
+    for (const file of untracked.split('\0').filter(Boolean)) {
+      const content = await this.readWorkingFile(file);
+      if (content !== null && !content.includes('\0')) {
+        files.push(fileFromContent(file, content));
+      }
+    }
+
+    return { files, hasChanges: files.length > 0 };
+  }
+
+  /**
+   * Get the staged changes parsed per file and hunk (index vs HEAD) - what the next commit
+   * records, whatever the working tree holds. Read whole files with readIndexFile to match.
+   */
+  async getStagedDiff() {
+    const files = parseUnifiedDiff(await this.run(['diff', '--cached', ...DIFF_OPTIONS, await this.getBaseRevision()]));
+    return { files, hasChanges: files.length > 0 };
+  }
+
+  /**
+   * Get every tracked text file as a parsed diff entry with all lines added
+   * (used to fingerprint pre-existing findings for the baseline)
+   */
+  async getTrackedFiles() {
+    const stdout = await this.run(['ls-files', '--full-name', '-z', ':/']);
+    const files = [];
+
+    for (const file of stdout.split('\0').filter(Boolean)) {
+      const content = await this.readWorkingFile(file);
+      if (content !== null && !content.includes('\0')) {
+        files.push(fileFromContent(file, content));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Get the repository root (diff paths are relative to it).
+   * Outside a repository - or where git is not installed - this is the repository path itself.
+   */
+  async getRepoRoot() {
+    if (!this.repoRoot) {
+      try {
+        this.repoRoot = (await this.run(['rev-parse', '--show-toplevel'])).trim();
+      } catch (error) {
+        if (error.code !== 'NOT_A_REPOSITORY' && error.code !== 'GIT_NOT_FOUND') throw error;
+        return this.repoPath;
+      }
+    }
+    return this.repoRoot;
+  }
+
+  /**
+   * Read a file from the working tree (null if missing)
+   * @param {string} file - Path relative to the repository root
+   */
+  async readWorkingFile(file) {
     try {
-      // Get unstaged changes
-      const { stdout: unstaged } = await execAsync('git diff');
+      return await fs.readFile(path.join(await this.getRepoRoot(), file), 'utf8');
+    } catch (error) {
+      if (error instanceof GitError) throw error;
+      return null;
+    }
+  }
 
-      // Get staged changes
-      const { stdout: staged } = await execAsync('git diff --cached');
+  /**
+   * Read a file as staged in the index (`git show :path`; null if it is not in the index)
+   * @param {string} file - Path relative to the repository root
+   */
+  async readIndexFile(file) {
+    try {
+      return await this.run(['show', `:${file}`]);
+    } catch (error) {
+      if (error.code === 'GIT_FAILED' && MISSING_OBJECT.test(error.stderr)) return null;
+      throw error;
+    }
+  }
 
-      return {
-        unstaged,
-        staged,
-        combined: unstaged + '\n' + staged,
-        hasChanges: !!(unstaged.trim() || staged.trim())
-      };
+  /**
+   * Read a file as of a revision (null if the file - or the revision - does not exist)
+   */
+  async readFileAtRevision(revision, file) {
+    assertRevision(revision);
+    try {
+      return await this.run(['show', `${revision}:${file}`]);
     } catch (error) {
-      console.error('❌ Failed to get uncommitted changes:', error.message);
-      return { unstaged: '', staged: '', combined: '', hasChanges: false };
+      if (error.code === 'GIT_FAILED' && MISSING_OBJECT.test(error.stderr)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Read the project configuration (.dreddrc.*) as of a revision: the nearest one from the
+   * repository path up to the repository root, as the loader finds it on disk
+   * @returns {object|null} { source: "<revision>:<path>", file: absolute path, content }, or null when there is none
+   * @throws {Error} When one directory holds several
+   */
+  async readProjectConfig(revision) {
+    const root = await this.getRepoRoot();
+    let dir = (await this.run(['rev-parse', '--show-prefix'])).trim().replace(/\/$/, '');
+
+    while (true) {
+      const found = [];
+      for (const name of PROJECT_FILES) {
+        const file = dir ? `${dir}/${name}` : name;
+        const content = await this.readFileAtRevision(revision, file);
+        if (content !== null) found.push({ source: `${revision}:${file}`, file: path.join(root, file), content });
+      }
+      if (found.length > 1) {
+        throw new Error(`Multiple project configurations in ${revision}:${dir || '.'}: ${found.map(entry => path.basename(entry.file)).join(', ')}`);
+      }
+      if (found.length === 1) return found[0];
+      if (!dir) return null;
+      dir = path.posix.dirname(dir) === '.' ? '' : path.posix.dirname(dir);
     }
   }
 
@@ -36,111 +259,308 @@ class GitAnalyzer {
    * Get list of modified files
    */
   async getModifiedFiles() {
+    const entries = (await this.run(['status', '--porcelain', '-z'])).split('\0');
+    const files = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry) continue;
+
+      const status = entry.substring(0, 2).trim();
+      files.push({ status, file: entry.substring(3) });
+
+      // Renames and copies are followed by their original path
+      if (/[RC]/.test(entry.substring(0, 2))) i++;
+    }
+
+    return files;
+  }
+
+  /**
+   * Get current branch name ('HEAD' when detached)
+   */
+  async getCurrentBranch() {
     try {
-      const { stdout } = await execAsync('git status --porcelain');
-
-      return stdout.split('\n')
-        .filter(Boolean)
-        .map(line => {
-          const status = line.substring(0, 2).trim();
-          const file = line.substring(3);
-          return { status, file };
-        });
+      return (await this.run(['symbolic-ref', '--short', '-q', 'HEAD'])).trim();
     } catch (error) {
-      console.error('❌ Failed to get modified files:', error.message);
-      return [];
+      // Exit 1 without a message: HEAD is detached
+      if (error.exitCode === 1 && !error.stderr) return 'HEAD';
+      throw error;
     }
   }
 
   /**
-   * Get current branch name
+   * Get the identity git records commits under (user.name / user.email, or GIT_AUTHOR_*)
+   * @returns {object} { name, email } - empty strings when git has no identity configured
    */
-  async getCurrentBranch() {
+  async getIdentity() {
     try {
-      const { stdout } = await execAsync('git rev-parse --abbrev-ref HEAD');
-      return stdout.trim();
+      const ident = (await this.run(['var', 'GIT_AUTHOR_IDENT'])).trim();
+      const match = ident.match(/^(.*) <(.*)> \d+ [+-]\d{4}$/);
+      return match ? { name: match[1], email: match[2] } : { name: ident, email: '' };
     } catch (error) {
-      return 'unknown';
+      if (error.code !== 'GIT_FAILED') throw error;
+      return { name: '', email: '' };
     }
   }
 
   /**
-   * Get recent commits
+   * Get the hooks directory (honours core.hooksPath and worktrees)
+   */
+  async getHooksDir() {
+    return path.resolve(this.repoPath, (await this.run(['rev-parse', '--git-path', 'hooks'])).trim());
+  }
+
+  /**
+   * Add a trailer to a commit message file in place (git interpret-trailers)
+   */
+  async addMessageTrailer(messageFile, key, value) {
+    await this.run(['interpret-trailers', '--in-place', '--if-exists', 'addIfDifferent', '--trailer', `${key}: ${value}`, path.resolve(this.repoPath, messageFile)]);
+  }
+
+  /**
+   * Get commit records from `git log` (see CommitLog for the record shape)
+   * @param {Array} args - Extra `git log` arguments: limits, validated revisions, `--` pathspecs
+   */
+  async getCommitLog(args) {
+    if (!(await this.hasHead())) return [];
+    return parseCommitLog(await this.run(['log', ...LOG_ARGS, ...args]));
+  }
+
+  /**
+   * Get recent commits, newest first
+   * @returns {Array} Commit records (see CommitLog)
    */
   async getRecentCommits(count = 10) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new TypeError(`Commit count must be a positive integer: ${count}`);
+    }
+    return this.getCommitLog([`-${count}`]);
+  }
+
+  /**
+   * Get one commit record (null when the revision names no commit)
+   */
+  async getCommit(revision) {
+    const hash = await this.resolveCommit(revision);
+    if (!hash) return null;
+    const [commit] = await this.getCommitLog(['-1', hash]);
+    return commit || null;
+  }
+
+  /**
+   * Resolve a revision to a commit hash (null when it names no commit)
+   */
+  async resolveCommit(revision) {
+    assertRevision(revision);
     try {
-      const { stdout } = await execAsync(
-        `git log -${count} --pretty=format:'%H|%s|%b'`
-      );
-
-      return stdout.split('\n').filter(Boolean).map(line => {
-        const [hash, subject, body] = line.split('|');
-        return { hash, subject, body: body || '' };
-      });
+      return (await this.run(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`])).trim() || null;
     } catch (error) {
-      return [];
+      // --quiet: exit 1 without a message means "no such commit"
+      if (error.exitCode === 1 && !error.stderr) return null;
+      throw error;
     }
   }
 
+  /**
+   * Get the full message (subject and body) of a commit
+   */
+  async getCommitMessage(commitHash) {
+    assertRevision(commitHash);
+    const stdout = await this.run(['log', '-1', '--format=%B', commitHash]);
+    return stdout.replace(/\s+$/, '');
+  }
+
+  /**
+   * Get the paths staged for commit (what a commit-msg hook is about to record)
+   */
+  async getStagedFiles() {
+    const stdout = await this.run(['diff', '--cached', '--name-only', '-z']);
+    return stdout.split('\0').filter(Boolean);
+  }
+
   /**
    * Get diff for specific commit
    */
   async getCommitDiff(commitHash) {
+    assertRevision(commitHash);
+    return this.run(['show', ...DIFF_OPTIONS, commitHash]);
+  }
+
+  /**
+   * Get diff for specific commit, parsed per file and hunk
+   */
+  async getCommitFiles(commitHash) {
+    const diff = await this.getCommitDiff(commitHash);
+    return parseUnifiedDiff(diff);
+  }
+
+  /**
+   * Resolve a commit range ("base..head", as in `git log origin/main..HEAD`)
+   * @returns {object} { base, head, mergeBase } - commit hashes; mergeBase is null for unrelated histories
+   * @throws {GitError} INVALID_REVISION (not a range) or UNKNOWN_REVISION (an end names no commit)
+   */
+  async resolveRange(range) {
+    const match = typeof range === 'string' ? range.match(/^([^.]+(?:\.[^.]+)*)\.\.([^.]+(?:\.[^.]+)*)$/) : null;
+    if (!match) {
+      throw new GitError(`Invalid commit range: ${JSON.stringify(range)} (expected base..head)`, { code: 'INVALID_REVISION' });
+    }
+
+    const [base, head] = await Promise.all(match.slice(1).map(async revision => {
+      const hash = await this.resolveCommit(revision);
+      if (!hash) throw new GitError(`Unknown commit: ${revision}`, { code: 'UNKNOWN_REVISION' });
+      return hash;
+    }));
+
+    let mergeBase = null;
     try {
-      const { stdout } = await execAsync(`git show ${commitHash}`);
-      return stdout;
+      mergeBase = (await this.run(['merge-base', base, head])).trim() || null;
     } catch (error) {
-      return '';
+      // Exit 1 without a message: no common ancestor
+      if (!(error.exitCode === 1 && !error.stderr)) throw error;
+    }
+
+    return { base, head, mergeBase };
+  }
+
+  /**
+   * Get the commits reachable from head but not from base, oldest first.
+   * Merge commits are left out - their changes are reviewed in the commits they merge.
+   * @returns {Array} Commit records (see CommitLog)
+   */
+  async getRangeCommits(base, head) {
+    assertRevision(base);
+    assertRevision(head);
+    return this.getCommitLog(['--reverse', '--no-merges', `${base}..${head}`]);
+  }
+
+  /**
+   * Get the commits a push sends, oldest first: reachable from head, but not from the remote's
+   * branches or the given remote tip. Merge commits are left out (see getRangeCommits).
+   * @param {string} head - Commit being pushed
+   * @param {object} options - { remote: name (a URL, or an unknown name, compares against every
+   *                           remote), remoteHash: the tip being replaced, when the remote has it }
+   * @returns {Array} Commit records (see CommitLog) - a root commit among them has no parents
+   */
+  async getOutgoingCommits(head, options = {}) {
+    assertRevision(head);
+    const remotes = (await this.run(['remote'])).split('\n').filter(Boolean);
+    const known = remotes.includes(options.remote) ? `--remotes=${options.remote}/*` : '--remotes';
+
+    const exclude = [known];
+    if (options.remoteHash) {
+      assertRevision(options.remoteHash);
+      exclude.push(options.remoteHash);
+    }
+    return this.getCommitLog(['--reverse', '--no-merges', head, '--not', ...exclude]);
+  }
+
+  /**
+   * Get the commit that last changed a line, as of a revision (git blame)
+   * @returns {string|null} Commit hash, or null when the file or line does not exist there
+   */
+  async getLineCommit(revision, file, line) {
+    assertRevision(revision);
+    try {
+      const stdout = await this.run(['blame', '--porcelain', '-L', `${line},${line}`, revision, '--', file]);
+      return stdout.split(' ')[0] || null;
+    } catch (error) {
+      if (error.code === 'GIT_FAILED' && (MISSING_OBJECT.test(error.stderr) || /no such path|has only \d+ lines?/i.test(error.stderr))) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the diff between two revisions, parsed per file and hunk
+   */
+  async getDiffFiles(from, to) {
+    assertRevision(from);
+    assertRevision(to);
+    return parseUnifiedDiff(await this.run(['diff', ...DIFF_OPTIONS, from, to]));
+  }
+
+  /**
+   * Get commits that touched the given paths, newest first
+   * @param {Array} pathspecs - Git pathspecs (e.g. '*package.json')
+   * @param {object} options - { since: '90 days ago', limit: 50, range: { base, head } }
+   * @returns {Array} Commit records (see CommitLog) - files limited to the pathspecs
+   */
+  async getFileHistory(pathspecs, options = {}) {
+    const args = [];
+    if (options.since) args.push(`--since=${options.since}`);
+    if (options.limit) args.push('-n', String(Number.parseInt(options.limit, 10)));
+    if (options.range) {
+      assertRevision(options.range.base);
+      assertRevision(options.range.head);
+      args.push(`${options.range.base}..${options.range.head}`);
     }
+    args.push('--', ...pathspecs);
+
+    return this.getCommitLog(args);
+  }
+
+  /**
+   * Get the sensitive path registry: configured paths plus CODEOWNERS security paths
+   */
+  async getSensitivePaths() {
+    return SensitivePathRegistry.load(await this.getRepoRoot());
   }
 
   /**
    * Check if changes involve security controls
    * (Issue #43 pattern detection)
+   * @returns {object} { detected, files: [{ status, file, paths, owners, removals }], hasRemoval,
+   *                   workflowChanges, owners } - owners are everyone whose approval the change needs
    */
   async hasSecurityControlChanges() {
-    try {
-      const modifiedFiles = await this.getModifiedFiles();
-
-      // Security-sensitive files
-      const securityFiles = [
-        'scripts/judge-dredd.js',
-        '.github/workflows/deploy.yml',
-        '.github/workflows/sbom-security-pipeline.yml',
-        '.github/workflows/azure-governance-check.yml',
-        'CLAUDE.md'
-      ];
-
-      const securityChanges = modifiedFiles.filter(({ file }) =>
-        securityFiles.some(secFile => file.includes(secFile))
-      );
-
-      if (securityChanges.length > 0) {
-        // Get diff to check for removals
-        const { combined } = await this.getUncommittedChanges();
-
-        // Check for security control removal patterns
-        const removalPatterns = [
-          /^-.*judge-dredd/im,
-          /^-.*security.*pipeline/im,
-          /^-.*sbom/im,
-          /^-.*kev/im,
-          /^-.*haveibeenpwned/im
-        ];
-
-        const hasRemoval = removalPatterns.some(pattern => pattern.test(combined));
-
-        return {
-          detected: true,
-          files: securityChanges,
-          hasRemoval
-        };
+    const registry = await this.getSensitivePaths();
+    const modifiedFiles = await this.getModifiedFiles();
+
+    // Workflows are compared before/after instead of grepping the diff
+    const workflowChanges = [];
+    for (const { file } of modifiedFiles.filter(({ file }) => isWorkflowFile(file))) {
+      const before = parseWorkflow(await this.readFileAtRevision('HEAD', file));
+      const after = parseWorkflow(await this.readWorkingFile(file));
+      if (!before) continue;
+
+      for (const check of WORKFLOW_REMOVAL_CHECKS) {
+        for (const hit of runWorkflowCheck(check, before, after)) {
+          workflowChanges.push({ file, note: hit.note });
+        }
       }
+    }
 
-      return { detected: false, files: [], hasRemoval: false };
-    } catch (error) {
-      return { detected: false, files: [], hasRemoval: false };
+    const securityChanges = modifiedFiles
+      .map(({ status, file }) => ({ status, file, match: registry.match(file) }))
+      .filter(({ file, match }) => match || workflowChanges.some(change => change.file === file));
+
+    if (securityChanges.length === 0) {
+      return { detected: false, files: [], hasRemoval: false, workflowChanges: [], owners: [] };
     }
+
+    // Removals are judged per file, by the removal rule its path declares
+    const { files: diffFiles } = await this.getUncommittedDiff();
+    const files = securityChanges.map(({ status, file, match }) => {
+      const diff = diffFiles.find(entry => entry.path === file);
+      return {
+        status,
+        file,
+        paths: match ? match.paths : [],
+        owners: match ? match.owners : registry.owners(file),
+        removals: registry.findRemovals(file, {
+          deleted: status.includes('D'),
+          removedLines: diff ? getRemovedLines(diff) : []
+        })
+      };
+    });
+
+    return {
+      detected: true,
+      files,
+      hasRemoval: workflowChanges.length > 0 || files.some(file => file.removals.length > 0),
+      workflowChanges,
+      owners: [...new Set(files.flatMap(file => file.owners))]
+    };
   }
 
   /**
@@ -153,3 +573,4 @@ class GitAnalyzer {
 }
 
 module.exports = GitAnalyzer;
+module.exports.GitError = GitError;
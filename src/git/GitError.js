@@ -0,0 +1,29 @@
+/**
+ * Judge Dredd Agent - Git Error
+ * A git invocation that failed (or a revision rejected before git ever ran)
+ *
+ * `code` tells callers what went wrong without parsing messages:
+ *   INVALID_REVISION - the revision is not a plain ref/hash expression (never passed to git)
+ *   UNKNOWN_REVISION - the revision names no commit
+ *   GIT_NOT_FOUND    - git is not installed or not on PATH
+ *   NOT_A_REPOSITORY - the repository path is not inside a git work tree
+ *   GIT_FAILED       - any other non-zero exit (see `exitCode` and `stderr`)
+ */
+
+class GitError extends Error {
+  /**
+   * @param {string} message - What failed, with git's own explanation
+   * @param {object} details - { code, args, cwd, exitCode, stderr }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.code = details.code || 'GIT_FAILED';
+    this.args = details.args || [];
+    this.cwd = details.cwd || null;
+    this.exitCode = details.exitCode === undefined ? null : details.exitCode;
+    this.stderr = details.stderr || '';
+  }
+}
+
+module.exports = GitError;
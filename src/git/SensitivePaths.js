@@ -0,0 +1,121 @@
+/**
+ * Judge Dredd Agent - Sensitive Path Registry
+ * Which files are security controls, who must approve changes to them, and what counts as
+ * removing them
+ *
+ * Paths come from two places, merged:
+ *   config.sensitivePaths - globs, or { path, removal } entries (.dreddrc)
+ *   CODEOWNERS            - paths whose owners include a security team (config.codeowners.securityOwners)
+ *
+ * `removal` declares, per path, what a removal of the control looks like:
+ *   { fileDeleted: true }              - the file being deleted (the default)
+ *   { deletedLines: 'any' }            - any deleted line
+ *   { deletedLines: ['sbom', 'kev'] }  - deleted lines matching these patterns (case-insensitive)
+ */
+
+const config = require('../utils/config');
+const { matchesAny } = require('../utils/glob');
+const { loadCodeowners, ruleFor } = require('./Codeowners');
+
+const DEFAULT_REMOVAL = { fileDeleted: true, deletedLines: [] };
+
+/**
+ * Normalize a config.sensitivePaths entry (plain globs get the default removal rule)
+ */
+function normalizeEntry(entry) {
+  if (typeof entry === 'string') {
+    return { path: entry, removal: { ...DEFAULT_REMOVAL }, source: 'config' };
+  }
+  const removal = { ...DEFAULT_REMOVAL, ...(entry.removal || {}) };
+  return { path: entry.path, removal, source: 'config' };
+}
+
+/**
+ * Combine the removal rules of every entry that matches a file
+ */
+function mergeRemoval(rules) {
+  const lines = rules.map(rule => rule.deletedLines);
+  return {
+    fileDeleted: rules.some(rule => rule.fileDeleted),
+    deletedLines: lines.includes('any') ? 'any' : [...new Set(lines.flat())]
+  };
+}
+
+class SensitivePathRegistry {
+  /**
+   * @param {Array} entries - config.sensitivePaths entries
+   * @param {object|null} codeowners - loadCodeowners() result
+   */
+  constructor(entries = config.sensitivePaths, codeowners = null) {
+    this.entries = entries.map(normalizeEntry);
+    this.codeowners = codeowners;
+    this.securityOwners = new RegExp(config.codeowners.securityOwners, 'i');
+  }
+
+  /**
+   * Registry for a repository: configured paths plus its CODEOWNERS
+   */
+  static load(repoRoot) {
+    return new SensitivePathRegistry(config.sensitivePaths, loadCodeowners(repoRoot));
+  }
+
+  /**
+   * Owners of a file in CODEOWNERS (empty when unowned or there is no CODEOWNERS)
+   */
+  owners(file) {
+    const rule = this.codeowners ? ruleFor(this.codeowners.rules, file) : null;
+    return rule ? rule.owners : [];
+  }
+
+  /**
+   * Match a file against the registry
+   * @returns {object|null} { paths: [globs or CODEOWNERS patterns], owners, securityOwners, removal }
+   *                        or null when the file is not sensitive
+   */
+  match(file) {
+    const entries = this.entries.filter(entry => matchesAny(file, [entry.path]));
+    const rule = this.codeowners ? ruleFor(this.codeowners.rules, file) : null;
+    const owners = rule ? rule.owners : [];
+    const securityOwners = owners.filter(owner => this.securityOwners.test(owner));
+
+    const paths = entries.map(entry => entry.path);
+    const removals = entries.map(entry => entry.removal);
+    if (securityOwners.length > 0) {
+      paths.push(`CODEOWNERS:${rule.line} ${rule.pattern}`);
+      removals.push(DEFAULT_REMOVAL);
+    }
+    if (paths.length === 0) return null;
+
+    return { paths, owners, securityOwners, removal: mergeRemoval(removals) };
+  }
+
+  /**
+   * Whether changes to a file are security control changes
+   */
+  isSensitive(file) {
+    return this.match(file) !== null;
+  }
+
+  /**
+   * What a change removes from a sensitive file, by its declared removal rule
+   * @param {string} file - Path
+   * @param {object} change - { deleted: boolean, removedLines: [{ number, content }] }
+   * @returns {string[]} Notes ("file deleted", "line 12 deleted: - run: npm audit"); empty when nothing is removed
+   */
+  findRemovals(file, change) {
+    const match = this.match(file);
+    if (!match) return [];
+
+    const { fileDeleted, deletedLines } = match.removal;
+    if (change.deleted && fileDeleted) return ['file deleted'];
+
+    const patterns = deletedLines === 'any' ? null : deletedLines.map(source => new RegExp(source, 'i'));
+    if (patterns && patterns.length === 0) return [];
+
+    return (change.removedLines || [])
+      .filter(line => line.content.trim() && (!patterns || patterns.some(pattern => pattern.test(line.content))))
+      .map(line => `line ${line.number} deleted: ${line.content.trim()}`);
+  }
+}
+
+module.exports = SensitivePathRegistry;
@@ -0,0 +1,92 @@
+/**
+ * Judge Dredd Agent - Hook Bypass
+ * The one sanctioned way past a Dredd hook: DREDD_SKIP="<reason>"
+ *
+ * A bypass needs a real reason ("1" or "true" is refused) and is written to the audit log,
+ * <repoRoot>/.dredd/bypass.jsonl, one JSON object per line:
+ *   { timestamp, hook, reason, user: { name, email }, branch, head }
+ * The commit-msg hook also adds a `Dredd-Bypass: <reason>` trailer, so the skip travels with
+ * the commit. `git commit --no-verify` skips every hook without a trace - only a CI review of
+ * the range (dredd review --range) catches that.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const SKIP_VARIABLE = 'DREDD_SKIP';
+
+const TRAILER = 'Dredd-Bypass';
+
+// Values that switch the bypass on without saying why
+const NOT_A_REASON = /^(1|0|true|false|yes|no|y|n|on|off|skip)$/i;
+
+const MIN_REASON_LENGTH = 10;
+
+/**
+ * The bypass reason in the environment
+ * @returns {string|null} The reason on one line, or null when Dredd is not being skipped
+ * @throws {Error} When DREDD_SKIP is set without a usable reason
+ */
+function bypassReason(env = process.env) {
+  const raw = env[SKIP_VARIABLE];
+  if (raw === undefined || raw.trim() === '') return null;
+
+  const reason = raw.replace(/\s+/g, ' ').trim();
+  if (NOT_A_REASON.test(reason) || reason.length < MIN_REASON_LENGTH) {
+    throw new Error(`${SKIP_VARIABLE} needs a reason (at least ${MIN_REASON_LENGTH} characters), e.g. ${SKIP_VARIABLE}="hotfix for INC-42, reviewed by @security"`);
+  }
+  return reason;
+}
+
+/**
+ * Where a repository's bypasses are recorded
+ */
+function auditLogPath(repoRoot) {
+  return path.join(repoRoot, '.dredd', 'bypass.jsonl');
+}
+
+/**
+ * Append a bypass to the audit log
+ * @param {string} repoRoot - Repository root
+ * @param {object} entry - { hook, reason, user: { name, email }, branch, head }
+ * @returns {object} The recorded entry (with its timestamp)
+ */
+async function recordBypass(repoRoot, entry) {
+  const file = auditLogPath(repoRoot);
+  const record = { timestamp: new Date().toISOString(), ...entry };
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.appendFile(file, JSON.stringify(record) + '\n');
+  return record;
+}
+
+/**
+ * Read the audit log (empty when nothing was ever skipped)
+ * @returns {Array} Entries, oldest first; unparsable lines are returned as { invalid: line }
+ */
+async function readBypasses(repoRoot) {
+  let content;
+  try {
+    content = await fs.readFile(auditLogPath(repoRoot), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return content.split('\n').filter(line => line.trim()).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return { invalid: line };
+    }
+  });
+}
+
+module.exports = {
+  SKIP_VARIABLE,
+  TRAILER,
+  bypassReason,
+  auditLogPath,
+  recordBypass,
+  readBypasses
+};
@@ -0,0 +1,168 @@
+/**
+ * Judge Dredd Agent - Hook Installer
+ * Writes (and removes) the git hooks that run Dredd: pre-commit, commit-msg and pre-push
+ *
+ * Installed hooks chain with whatever was there before: an existing hook is kept next to
+ * ours as `<hook>.dredd-chained` and runs first with the same arguments (and, for pre-push,
+ * the same standard input). If it fails, the hook fails without running Dredd. Uninstalling
+ * puts the original back. Our scripts carry MARKER, so installing twice only refreshes them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HOOKS = ['pre-commit', 'commit-msg', 'pre-push'];
+
+// First comment line of every hook we write
+const MARKER = '# dredd-hook';
+
+const CHAINED_SUFFIX = '.dredd-chained';
+
+// Hooks git feeds on standard input (the chained hook and Dredd both need it)
+const STDIN_HOOKS = ['pre-push'];
+
+/**
+ * Quote a value for a POSIX shell
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * The script for a hook
+ * @param {string} hook - Hook name
+ * @param {string[]} command - How to run the Dredd CLI (e.g. [node, cli/index.js])
+ */
+function hookScript(hook, command) {
+  const dredd = [...command, 'hooks', 'run', hook].map(shellQuote).join(' ');
+  const chained = `"$(dirname "$0")/${hook}${CHAINED_SUFFIX}"`;
+  const lines = [
+    '#!/bin/sh',
+    `${MARKER}: ${hook} (written by \`dredd hooks install\`, removed by \`dredd hooks uninstall\`)`,
+    '# Skip Dredd (recorded in .dredd/bypass.jsonl): DREDD_SKIP="<reason>" git ...',
+    ''
+  ];
+
+  if (STDIN_HOOKS.includes(hook)) {
+    lines.push(
+      'input=$(cat)',
+      `if [ -x ${chained} ]; then`,
+      `  printf '%s\\n' "$input" | ${chained} "$@" || exit $?`,
+      'fi',
+      `printf '%s\\n' "$input" | ${dredd} "$@"`
+    );
+  } else {
+    lines.push(
+      `if [ -x ${chained} ]; then`,
+      `  ${chained} "$@" || exit $?`,
+      'fi',
+      `exec ${dredd} "$@"`
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Read a hook file (null when it does not exist)
+ */
+async function readHook(file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Whether a hook file is one we wrote
+ */
+function isDreddHook(content) {
+  return content !== null && content.includes(MARKER);
+}
+
+/**
+ * Install hooks, chaining existing ones
+ * @param {string} hooksDir - The repository's hooks directory (git rev-parse --git-path hooks)
+ * @param {string[]} command - How to run the Dredd CLI
+ * @param {string[]} hooks - Hooks to install (default: all)
+ * @returns {Array} [{ hook, file, action: 'installed' | 'updated' | 'chained', chained }]
+ * @throws {Error} When a foreign hook would overwrite one already chained (nothing is installed)
+ */
+async function installHooks(hooksDir, command, hooks = HOOKS) {
+  const stat = await fs.stat(hooksDir).catch(() => null);
+  if (stat && !stat.isDirectory()) {
+    // e.g. core.hooksPath=/dev/null, which switches hooks off
+    throw new Error(`Hooks directory ${hooksDir} is not a directory (check core.hooksPath) - git would never run the hooks`);
+  }
+  await fs.mkdir(hooksDir, { recursive: true });
+
+  // Check every hook before touching any, so a conflict leaves the directory as it was
+  for (const hook of hooks) {
+    const file = path.join(hooksDir, hook);
+    const existing = await readHook(file);
+    if (existing !== null && !isDreddHook(existing) && (await readHook(file + CHAINED_SUFFIX)) !== null) {
+      throw new Error(`${file} is not a Dredd hook, but ${hook}${CHAINED_SUFFIX} already exists - move one of them aside first`);
+    }
+  }
+
+  const installed = [];
+  for (const hook of hooks) {
+    const file = path.join(hooksDir, hook);
+    const chainedFile = file + CHAINED_SUFFIX;
+    const existing = await readHook(file);
+    let action = 'installed';
+
+    if (isDreddHook(existing)) {
+      action = 'updated';
+    } else if (existing !== null) {
+      await fs.rename(file, chainedFile);
+      action = 'chained';
+    }
+
+    await fs.writeFile(file, hookScript(hook, command), { mode: 0o755 });
+    await fs.chmod(file, 0o755);
+    installed.push({ hook, file, action, chained: (await readHook(chainedFile)) !== null ? chainedFile : null });
+  }
+
+  return installed;
+}
+
+/**
+ * Remove our hooks, restoring the ones they chained
+ * @returns {Array} [{ hook, file, action: 'removed' | 'restored' | 'foreign' | 'missing' }]
+ */
+async function uninstallHooks(hooksDir, hooks = HOOKS) {
+  const removed = [];
+
+  for (const hook of hooks) {
+    const file = path.join(hooksDir, hook);
+    const chainedFile = file + CHAINED_SUFFIX;
+    const existing = await readHook(file);
+
+    if (existing === null) {
+      removed.push({ hook, file, action: 'missing' });
+    } else if (!isDreddHook(existing)) {
+      // Someone replaced our hook - leave theirs alone
+      removed.push({ hook, file, action: 'foreign' });
+    } else if ((await readHook(chainedFile)) !== null) {
+      await fs.rename(chainedFile, file);
+      removed.push({ hook, file, action: 'restored' });
+    } else {
+      await fs.unlink(file);
+      removed.push({ hook, file, action: 'removed' });
+    }
+  }
+
+  return removed;
+}
+
+module.exports = {
+  HOOKS,
+  MARKER,
+  CHAINED_SUFFIX,
+  hookScript,
+  installHooks,
+  uninstallHooks
+};
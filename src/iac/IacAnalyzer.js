@@ -0,0 +1,207 @@
+/**
+ * Judge Dredd Agent - Infrastructure-as-Code Analyzer
+ * Enterprise sprawl and cost checks on Terraform / Bicep / ARM changes, referenced by
+ * incidents via `pattern.detection.iac`
+ *
+ * Monthly costs come from the offline, versioned price table (azure-prices.json) - fixed
+ * charges only, so estimates are a floor. Each check receives the parsed template before
+ * and after the change (before is null for new files) and returns hits: [{ line, lineText, values }].
+ * The cost threshold is judged on the change as a whole (combineCosts), so resources moved
+ * between templates cost nothing and a spend spread over several files still adds up.
+ */
+
+const config = require('../utils/config');
+const PRICES = require('./azure-prices.json');
+
+// Resource type (any syntax) → price table entry
+const BY_TYPE = new Map();
+for (const [id, entry] of Object.entries(PRICES.resources)) {
+  for (const type of entry.types) {
+    BY_TYPE.set(type.toLowerCase(), { id, ...entry });
+  }
+}
+
+/**
+ * Format a monthly amount ($1,277.50)
+ */
+function formatUsd(amount) {
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Price a parsed resource
+ * @returns {object|null} { id, label, sku, assumed, monthly, enterprise } or null for resources
+ *                        the table does not cover (or SKUs it does not know)
+ */
+function priceResource(resource) {
+  const entry = BY_TYPE.get(String(resource.kind).toLowerCase());
+  if (!entry) return null;
+
+  // Literal SKUs are matched by name (Premium_1 → Premium); with none, the default SKU is assumed
+  const sku = resource.sku
+    .map(value => [value, value.replace(/_\d+$/, '')])
+    .flat()
+    .find(value => Object.prototype.hasOwnProperty.call(entry.skus, value));
+  if (!sku && resource.sku.length > 0) return null;
+
+  const chosen = sku || entry.defaultSku;
+  return {
+    id: entry.id,
+    label: entry.label,
+    sku: chosen,
+    assumed: !sku,
+    monthly: entry.skus[chosen] * resource.count,
+    enterprise: entry.enterprise || (entry.enterpriseSkus || []).includes(chosen)
+  };
+}
+
+/**
+ * Identity of a resource across versions of a template
+ */
+function resourceKey(resource) {
+  return `${String(resource.kind).toLowerCase()}/${resource.name}`;
+}
+
+/**
+ * Estimate a template's monthly cost
+ * @returns {object} { total, items: [{ resource, price }] } - priced resources only
+ */
+function estimateCost(template) {
+  const items = (template ? template.resources : [])
+    .map(resource => ({ resource, price: priceResource(resource) }))
+    .filter(item => item.price);
+  return { total: items.reduce((sum, item) => sum + item.price.monthly, 0), items };
+}
+
+/**
+ * Priced resources that are new, or whose price changed (SKU, count)
+ */
+function changedItems(before, after) {
+  const previous = new Map(estimateCost(before).items.map(item => [resourceKey(item.resource), item]));
+  return estimateCost(after).items
+    .map(item => ({ ...item, previous: previous.get(resourceKey(item.resource)) || null }))
+    .filter(item => !item.previous || item.previous.price.monthly !== item.price.monthly);
+}
+
+/**
+ * Summarize the projected cost change of a template (for reporting)
+ * @returns {object|null} { before, after, delta, changes: ["Azure Firewall fw (Premium) +$1,277.50"] }
+ *                        or null when no priced resource changed
+ */
+function summarizeCost(before, after) {
+  const previous = estimateCost(before);
+  const next = estimateCost(after);
+  const delta = next.total - previous.total;
+
+  const nextKeys = new Set(next.items.map(item => resourceKey(item.resource)));
+  const changes = changedItems(before, after).map(item => {
+    const difference = item.price.monthly - (item.previous ? item.previous.price.monthly : 0);
+    return `${describe(item)} ${difference >= 0 ? '+' : ''}${formatUsd(difference)}`;
+  });
+  for (const item of previous.items.filter(old => !nextKeys.has(resourceKey(old.resource)))) {
+    changes.push(`${describe(item)} removed -${formatUsd(item.price.monthly)}`);
+  }
+
+  if (changes.length === 0) return null;
+  return { before: previous.total, after: next.total, delta, changes };
+}
+
+/**
+ * Combine the cost summaries of every template a change touches
+ * @param {Array} costs - [{ file, before, after, delta, changes }] (see summarizeCost)
+ * @returns {object|null} { before, after, delta, changes, files, anchor } - anchor is the file with
+ *                        the largest increase, where a cost finding is reported; null without costs
+ */
+function combineCosts(costs) {
+  if (costs.length === 0) return null;
+
+  const sum = key => costs.reduce((total, cost) => total + cost[key], 0);
+  const anchor = costs.reduce((top, cost) => (cost.delta > top.delta ? cost : top));
+  return {
+    before: sum('before'),
+    after: sum('after'),
+    delta: sum('delta'),
+    changes: costs.length === 1
+      ? costs[0].changes
+      : costs.flatMap(cost => cost.changes.map(change => `${cost.file}: ${change}`)),
+    files: costs.map(cost => cost.file),
+    anchor: anchor.file
+  };
+}
+
+/**
+ * "Azure Firewall hub (Premium)" - with the assumption spelled out when the SKU was not literal
+ */
+function describe(item) {
+  const count = item.resource.count > 1 ? ` x${item.resource.count}` : '';
+  const sku = item.price.assumed ? `${item.price.sku}, assumed` : item.price.sku;
+  return `${item.price.label} ${item.resource.name || ''}${count} (${sku})`.replace(/ +\(/, ' (');
+}
+
+const CHECKS = {
+  /**
+   * Enterprise resources (firewalls, gateways, DDoS plans, premium SKUs) being added
+   */
+  'enterprise-resource'(before, after) {
+    if (!after) return [];
+
+    return changedItems(before, after)
+      .filter(item => item.price.enterprise && !(item.previous && item.previous.price.enterprise))
+      .map(item => ({
+        line: item.resource.line,
+        lineText: item.resource.lineText,
+        values: {
+          resource: describe(item),
+          monthly: formatUsd(item.price.monthly),
+          priceTable: PRICES.version
+        }
+      }));
+  },
+
+  /**
+   * Projected monthly cost increase of the whole change (combineCosts) at or above the cost
+   * threshold (config.cost.monthlyThreshold), reported on the template given the change
+   */
+  'cost-increase'(before, after, change) {
+    if (!after || !change || change.delta < config.cost.monthlyThreshold) return [];
+
+    const first = changedItems(before, after).find(item => item.resource.line) || { resource: {} };
+    return [{
+      line: first.resource.line || null,
+      lineText: first.resource.lineText || null,
+      values: {
+        templates: change.files.join(', '),
+        delta: formatUsd(change.delta),
+        before: formatUsd(change.before),
+        after: formatUsd(change.after),
+        threshold: formatUsd(config.cost.monthlyThreshold),
+        breakdown: change.changes.join('; '),
+        priceTable: PRICES.version
+      }
+    }];
+  }
+};
+
+/**
+ * Run a named IaC check
+ * @param {string} check - Check name (from pattern.detection.iac)
+ * @param {object|null} before - parseTemplate() of the old version
+ * @param {object|null} after - parseTemplate() of the new version
+ * @param {object|null} change - combineCosts() of the change, for the template that reports it
+ * @returns {Array} Hits (empty for unknown checks so newer incidents degrade gracefully)
+ */
+function runIacCheck(check, before, after, change = null) {
+  const run = CHECKS[check];
+  return run ? run(before, after, change) : [];
+}
+
+module.exports = {
+  runIacCheck,
+  summarizeCost,
+  combineCosts,
+  estimateCost,
+  formatUsd,
+  priceTableVersion: PRICES.version,
+  checks: Object.keys(CHECKS)
+};
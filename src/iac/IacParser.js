@@ -0,0 +1,373 @@
+/**
+ * Judge Dredd Agent - Infrastructure-as-Code Parser
+ * Finds the resources Terraform (HCL), Bicep and ARM JSON templates deploy
+ *
+ * Every parser returns the same shape so checks do not care about the syntax:
+ *   { type, resources: [{ kind, name, sku: [candidate names], count, line, lineText }] }
+ * `kind` is the provider resource type (azurerm_firewall, Microsoft.Network/azureFirewalls);
+ * `sku` lists every literal SKU name/tier found on the resource (empty when set from a variable);
+ * `count` is the literal count/copy count (1 when absent or computed).
+ */
+
+const path = require('path');
+
+const ARM_SCHEMA = /deploymentTemplate\.json#?/;
+
+/**
+ * Template type of a file: 'terraform', 'bicep', 'arm' or null.
+ * JSON files are ARM templates only when their $schema says so (pass the content to check).
+ */
+function iacType(file, content = null) {
+  if (!file) return null;
+  const extension = path.extname(String(file)).toLowerCase();
+  if (extension === '.tf') return 'terraform';
+  if (extension === '.bicep') return 'bicep';
+  if (extension === '.json' && typeof content === 'string' && ARM_SCHEMA.test(content.slice(0, 2000))) return 'arm';
+  return null;
+}
+
+/**
+ * Whether a path can hold a template (before its content is known)
+ */
+function isTemplateCandidate(file) {
+  return ['.tf', '.bicep', '.json'].includes(path.extname(String(file || '')).toLowerCase());
+}
+
+// ---------------------------------------------------------------------------
+// Terraform (HCL)
+// ---------------------------------------------------------------------------
+
+/**
+ * Tokenize HCL: strings (with ${} interpolation), heredocs, identifiers, numbers,
+ * punctuation and newlines; comments are dropped
+ * @returns {Array} [{ kind: 'string'|'heredoc'|'ident'|'number'|'punct'|'newline', value, line }]
+ */
+function tokenizeHcl(content) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '\n') {
+      tokens.push({ kind: 'newline', value: '\n', line });
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#' || (char === '/' && next === '/')) {
+      while (i < content.length && content[i] !== '\n') i++;
+    } else if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      const stop = end === -1 ? content.length : end + 2;
+      line += (content.slice(i, stop).match(/\n/g) || []).length;
+      i = stop;
+    } else if (char === '"') {
+      const start = i;
+      const startLine = line;
+      let depth = 0;
+      i++;
+      while (i < content.length) {
+        if (content[i] === '\\') {
+          i += 2;
+          continue;
+        }
+        if (content[i] === '\n') line++;
+        if (content[i] === '$' && content[i + 1] === '{') {
+          depth++;
+          i += 2;
+          continue;
+        }
+        if (depth > 0 && content[i] === '}') depth--;
+        else if (depth === 0 && content[i] === '"') break;
+        i++;
+      }
+      i++;
+      tokens.push({ kind: 'string', value: content.slice(start + 1, i - 1), line: startLine });
+    } else if (char === '<' && next === '<' && /^<<-?[A-Za-z_]\w*\r?\n/.test(content.slice(i, i + 80))) {
+      const [header, marker] = content.slice(i).match(/^<<-?([A-Za-z_]\w*)\r?\n/);
+      const startLine = line;
+      const bodyStart = i + header.length;
+      const terminator = new RegExp(`^[ \\t]*${marker}[ \\t]*\\r?$`, 'm');
+      const rest = content.slice(bodyStart);
+      const end = rest.search(terminator);
+      const body = end === -1 ? rest : rest.slice(0, end);
+      line += 1 + (body.match(/\n/g) || []).length;
+      i = end === -1 ? content.length : bodyStart + end + rest.slice(end).indexOf(marker) + marker.length;
+      tokens.push({ kind: 'heredoc', value: body, line: startLine });
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = content.slice(i).match(/^[A-Za-z_][\w.-]*/);
+      tokens.push({ kind: 'ident', value: match[0], line });
+      i += match[0].length;
+    } else if (/\d/.test(char)) {
+      const match = content.slice(i).match(/^\d+(?:\.\d+)?/);
+      tokens.push({ kind: 'number', value: Number(match[0]), line });
+      i += match[0].length;
+    } else {
+      tokens.push({ kind: 'punct', value: char, line });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an HCL body (top level or inside a block) into attributes and nested blocks
+ * @returns {object} { attributes: { name: literal | undefined }, blocks: [{ type, labels, line, body }], end }
+ */
+function parseHclBody(tokens, start) {
+  const body = { attributes: {}, blocks: [], end: tokens.length };
+  let i = start;
+
+  while (i < tokens.length) {
+    const token = tokens[i];
+
+    if (token.kind === 'newline' || (token.kind === 'punct' && token.value === ',')) {
+      i++;
+    } else if (token.kind === 'punct' && token.value === '}') {
+      body.end = i + 1;
+      return body;
+    } else if (token.kind === 'ident' && tokens[i + 1] && tokens[i + 1].value === '=' && tokens[i + 1].kind === 'punct') {
+      // Attribute: the value runs to the end of the line, brackets included
+      const value = [];
+      let depth = 0;
+      i += 2;
+      while (i < tokens.length && !(depth === 0 && tokens[i].kind === 'newline')) {
+        if (tokens[i].kind === 'punct' && '([{'.includes(tokens[i].value)) depth++;
+        if (tokens[i].kind === 'punct' && ')]}'.includes(tokens[i].value)) {
+          if (depth === 0) break;
+          depth--;
+        }
+        value.push(tokens[i]);
+        i++;
+      }
+      body.attributes[token.value] = literal(value);
+    } else if (token.kind === 'ident') {
+      // Block: type, labels, then a braced body
+      const labels = [];
+      let j = i + 1;
+      while (j < tokens.length && (tokens[j].kind === 'string' || tokens[j].kind === 'ident')) {
+        labels.push(tokens[j].value);
+        j++;
+      }
+      if (tokens[j] && tokens[j].kind === 'punct' && tokens[j].value === '{') {
+        const nested = parseHclBody(tokens, j + 1);
+        body.blocks.push({ type: token.value, labels, line: token.line, body: nested });
+        i = nested.end;
+      } else {
+        i = j + 1;
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return body;
+}
+
+/**
+ * Literal value of an attribute's tokens (undefined for expressions: variables, functions, interpolation)
+ */
+function literal(tokens) {
+  if (tokens.length !== 1) return undefined;
+  const [token] = tokens;
+  if (token.kind === 'number') return token.value;
+  if (token.kind === 'string' && !token.value.includes('${')) return token.value;
+  return undefined;
+}
+
+/**
+ * Parse Terraform HCL
+ */
+function parseTerraform(content) {
+  const lines = content.split('\n');
+  const top = parseHclBody(tokenizeHcl(content), 0);
+
+  const resources = top.blocks
+    .filter(block => block.type === 'resource' && block.labels.length === 2)
+    .map(block => {
+      const { attributes, blocks } = block.body;
+      const sku = [attributes.sku_tier, attributes.sku_name, attributes.tier, attributes.sku];
+      for (const skuBlock of blocks.filter(nested => nested.type === 'sku')) {
+        sku.push(skuBlock.body.attributes.tier, skuBlock.body.attributes.name);
+      }
+
+      return {
+        kind: block.labels[0],
+        name: block.labels[1],
+        sku: sku.filter(value => typeof value === 'string'),
+        count: Number.isInteger(attributes.count) ? attributes.count : 1,
+        line: block.line,
+        lineText: lines[block.line - 1]
+      };
+    });
+
+  return { type: 'terraform', resources };
+}
+
+// ---------------------------------------------------------------------------
+// Bicep
+// ---------------------------------------------------------------------------
+
+const BICEP_RESOURCE = /^\s*resource\s+\w+\s+'([^'@]+)@[^']*'\s+(existing\s+)?=/;
+
+/**
+ * Index just past the brace that closes the one at `open` (Bicep strings and comments skipped)
+ */
+function closeBicepBrace(content, open) {
+  let depth = 0;
+  let i = open;
+
+  while (i < content.length) {
+    if (content.startsWith("'''", i)) {
+      const end = content.indexOf("'''", i + 3);
+      i = end === -1 ? content.length : end + 3;
+      continue;
+    }
+    const char = content[i];
+    if (char === "'") {
+      i++;
+      while (i < content.length && content[i] !== "'") i += content[i] === '\\' ? 2 : 1;
+    } else if (char === '/' && content[i + 1] === '/') {
+      while (i < content.length && content[i] !== '\n') i++;
+      continue;
+    } else if (char === '/' && content[i + 1] === '*') {
+      const end = content.indexOf('*/', i + 2);
+      i = end === -1 ? content.length : end + 2;
+      continue;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+    i++;
+  }
+
+  return content.length;
+}
+
+/**
+ * Parse Bicep
+ */
+function parseBicep(content) {
+  const lines = content.split('\n');
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+
+  const resources = [];
+  lines.forEach((line, index) => {
+    const declaration = line.match(BICEP_RESOURCE);
+    if (!declaration || declaration[2]) return;   // `existing` resources are referenced, not deployed
+
+    const open = content.indexOf('{', offsets[index]);
+    if (open === -1) return;
+    const body = content.slice(open, closeBicepBrace(content, open));
+
+    const sku = [];
+    for (const [, object] of body.matchAll(/\bsku\s*:\s*\{([^{}]*)\}/g)) {
+      for (const [, , value] of object.matchAll(/\b(tier|name)\s*:\s*'([^'$]*)'/g)) {
+        sku.push(value);
+      }
+    }
+
+    resources.push({
+      kind: declaration[1],
+      name: (line.match(/resource\s+(\w+)/) || [])[1],
+      sku,
+      count: 1,
+      line: index + 1,
+      lineText: line
+    });
+  });
+
+  return { type: 'bicep', resources };
+}
+
+// ---------------------------------------------------------------------------
+// ARM JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an ARM template (resources as an array, or keyed by symbolic name in languageVersion 2.0)
+ */
+function parseArm(content) {
+  let template;
+  try {
+    template = JSON.parse(content);
+  } catch (error) {
+    return null;
+  }
+  if (!template || typeof template !== 'object') return null;
+
+  const lines = content.split('\n');
+  const searchFrom = {};
+  const locate = kind => {
+    const needle = `"${kind}"`;
+    const index = lines.findIndex((line, i) => i >= (searchFrom[kind] || 0) && line.includes(needle));
+    if (index === -1) return { line: null, lineText: null };
+    searchFrom[kind] = index + 1;
+    return { line: index + 1, lineText: lines[index] };
+  };
+
+  const resources = [];
+  const visit = list => {
+    const entries = Array.isArray(list) ? list : Object.values(list || {});
+    for (const resource of entries) {
+      if (!resource || typeof resource !== 'object' || typeof resource.type !== 'string') continue;
+      if (resource.existing) continue;
+
+      const skus = [resource.sku, resource.properties && resource.properties.sku].filter(Boolean);
+      const sku = skus.flatMap(object => [object.tier, object.name])
+        .filter(value => typeof value === 'string' && !value.startsWith('['));
+
+      resources.push({
+        kind: resource.type,
+        name: typeof resource.name === 'string' ? resource.name : null,
+        sku,
+        count: resource.copy && Number.isInteger(resource.copy.count) ? resource.copy.count : 1,
+        ...locate(resource.type)
+      });
+
+      if (resource.resources) visit(resource.resources);
+    }
+  };
+  visit(template.resources);
+
+  return { type: 'arm', resources };
+}
+
+/**
+ * Parse a template
+ * @param {string} content - File content
+ * @param {string} type - 'terraform', 'bicep' or 'arm' (see iacType)
+ * @returns {object|null} { type, resources } or null when missing or unparsable
+ */
+function parseTemplate(content, type) {
+  if (typeof content !== 'string') return null;
+
+  switch (type) {
+    case 'terraform':
+      return parseTerraform(content);
+    case 'bicep':
+      return parseBicep(content);
+    case 'arm':
+      return parseArm(content);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  iacType,
+  isTemplateCandidate,
+  parseTemplate,
+  tokenizeHcl
+};
@@ -0,0 +1,206 @@
+/**
+ * Judge Dredd Agent - CISA KEV Catalog (offline)
+ * Resolves package-lock.json entries against a local KEV snapshot
+ *
+ * Two files live in the KEV directory (compliance/kev):
+ *   known_exploited_vulnerabilities.json - CISA catalog snapshot (as published by CISA)
+ *   advisories.json - offline mapping of npm packages to CVEs:
+ *     { "version": 1, "advisories": [{ "cve": "CVE-...", "package": "name", "vulnerable": "<1.2.3", "patched": "1.2.3" }] }
+ *
+ * A package matches when its locked version satisfies an advisory's `vulnerable` range
+ * and the advisory's CVE is in the KEV catalog.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const { parseManifest } = require('../dependencies/ManifestParser');
+
+const CATALOG_FILE = 'known_exploited_vulnerabilities.json';
+const ADVISORIES_FILE = 'advisories.json';
+const ADVISORIES_VERSION = 1;
+
+// THE LAW: actively exploited vulnerabilities are patched within 24 hours
+const REMEDIATION_HOURS = 24;
+
+class KevCatalog {
+  /**
+   * @param {string} directory - Directory holding the snapshot and advisory mapping
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.catalog = null;
+    this.vulnerabilities = new Map();
+    this.advisories = [];
+  }
+
+  get catalogPath() {
+    return path.join(this.directory, CATALOG_FILE);
+  }
+
+  get advisoriesPath() {
+    return path.join(this.directory, ADVISORIES_FILE);
+  }
+
+  /**
+   * Whether a catalog snapshot is installed
+   */
+  get loaded() {
+    return this.catalog !== null;
+  }
+
+  /**
+   * Validate a CISA KEV catalog document
+   * @throws {Error} When the document is not a KEV catalog
+   */
+  static validateCatalog(data) {
+    if (!data || !Array.isArray(data.vulnerabilities)) {
+      throw new Error('Not a CISA KEV catalog: missing "vulnerabilities" array');
+    }
+    const invalid = data.vulnerabilities.findIndex(v => !v || !/^CVE-\d{4}-\d+$/.test(v.cveID));
+    if (invalid !== -1) {
+      throw new Error(`Not a CISA KEV catalog: vulnerabilities[${invalid}] has no valid cveID`);
+    }
+  }
+
+  /**
+   * Validate an advisory mapping document
+   * @throws {Error} When an advisory is malformed
+   */
+  static validateAdvisories(data) {
+    if (!data || !Array.isArray(data.advisories)) {
+      throw new Error('Invalid advisory mapping: missing "advisories" array');
+    }
+    data.advisories.forEach((advisory, i) => {
+      if (!advisory || !advisory.cve || !advisory.package) {
+        throw new Error(`Invalid advisory mapping: advisories[${i}] needs "cve" and "package"`);
+      }
+      if (!semver.validRange(advisory.vulnerable)) {
+        throw new Error(`Invalid advisory mapping: advisories[${i}] has invalid range "${advisory.vulnerable}"`);
+      }
+    });
+  }
+
+  /**
+   * Load the snapshot and advisory mapping (missing files load as empty)
+   */
+  async load() {
+    const read = async (file, validate) => {
+      try {
+        const data = JSON.parse(await fs.readFile(file, 'utf8'));
+        validate(data);
+        return data;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Invalid KEV file ${file}: ${error.message}`);
+      }
+    };
+
+    this.catalog = await read(this.catalogPath, KevCatalog.validateCatalog);
+    this.vulnerabilities = new Map(
+      (this.catalog ? this.catalog.vulnerabilities : []).map(v => [v.cveID, v])
+    );
+
+    const advisories = await read(this.advisoriesPath, KevCatalog.validateAdvisories);
+    this.advisories = advisories ? advisories.advisories : [];
+
+    return this;
+  }
+
+  /**
+   * Replace the snapshot (and optionally the advisory mapping) from local files
+   * @param {string} catalogFile - CISA KEV JSON (known_exploited_vulnerabilities.json)
+   * @param {string} advisoriesFile - Optional advisory mapping
+   * @returns {object} { vulnerabilities, advisories, catalogVersion }
+   */
+  async update(catalogFile, advisoriesFile = null) {
+    const catalog = JSON.parse(await fs.readFile(catalogFile, 'utf8'));
+    KevCatalog.validateCatalog(catalog);
+
+    let advisories = null;
+    if (advisoriesFile) {
+      advisories = JSON.parse(await fs.readFile(advisoriesFile, 'utf8'));
+      KevCatalog.validateAdvisories(advisories);
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.catalogPath, JSON.stringify(catalog, null, 2) + '\n');
+    if (advisories) {
+      await fs.writeFile(this.advisoriesPath, JSON.stringify({ version: ADVISORIES_VERSION, ...advisories }, null, 2) + '\n');
+    }
+
+    await this.load();
+    return {
+      vulnerabilities: this.vulnerabilities.size,
+      advisories: this.advisories.length,
+      catalogVersion: catalog.catalogVersion || null
+    };
+  }
+
+  /**
+   * Age of the snapshot in days (null if unknown)
+   */
+  snapshotAge(now = new Date()) {
+    const released = this.catalog && Date.parse(this.catalog.dateReleased);
+    return released ? Math.floor((now - released) / (24 * 60 * 60 * 1000)) : null;
+  }
+
+  /**
+   * Remediation deadline for a KEV entry: 24 hours after CISA added it to the catalog, so the
+   * clock keeps running across checks. Entries without a usable dateAdded start it at `now`.
+   * @returns {object} { deadline (ISO), overdue, overdueDays }
+   */
+  static remediationDeadline(vulnerability, now = new Date()) {
+    const added = Date.parse(vulnerability && vulnerability.dateAdded);
+    const start = Number.isNaN(added) ? now.getTime() : added;
+    const deadline = start + REMEDIATION_HOURS * 60 * 60 * 1000;
+    const overdue = now.getTime() > deadline;
+
+    return {
+      deadline: new Date(deadline).toISOString(),
+      overdue,
+      overdueDays: overdue ? Math.floor((now.getTime() - deadline) / (24 * 60 * 60 * 1000)) : 0
+    };
+  }
+
+  /**
+   * Resolve every locked package against the advisories and the KEV catalog
+   * @param {string} lockfileContent - package-lock.json content
+   * @param {Date} now - Check time (decides which deadlines have passed)
+   * @returns {Array} [{ cve, package, version, installPath, patched, deadline, overdue, overdueDays, vulnerability }]
+   */
+  checkLockfile(lockfileContent, now = new Date()) {
+    const lockfile = parseManifest(lockfileContent, 'lock');
+    if (!lockfile) {
+      throw new Error('Invalid package-lock.json');
+    }
+
+    const matches = [];
+
+    for (const [installPath, entry] of Object.entries(lockfile.packages)) {
+      const version = semver.valid(entry.version);
+      if (!version) continue;
+
+      for (const advisory of this.advisories) {
+        if (advisory.package !== entry.name) continue;
+        if (!this.vulnerabilities.has(advisory.cve)) continue;
+        if (!semver.satisfies(version, advisory.vulnerable, { includePrerelease: true })) continue;
+
+        matches.push({
+          cve: advisory.cve,
+          package: entry.name,
+          version,
+          installPath,
+          patched: advisory.patched || null,
+          ...KevCatalog.remediationDeadline(this.vulnerabilities.get(advisory.cve), now),
+          vulnerability: this.vulnerabilities.get(advisory.cve)
+        });
+      }
+    }
+
+    return matches;
+  }
+}
+
+module.exports = KevCatalog;
+module.exports.REMEDIATION_HOURS = REMEDIATION_HOURS;
@@ -0,0 +1,169 @@
+/**
+ * Judge Dredd Agent - Findings Baseline
+ * Records pre-existing findings so only newly introduced violations block
+ *
+ * Fingerprint = incident id + file + normalized line content, so entries
+ * survive line shifts caused by unrelated edits.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isBlocking } = require('./PatternDetector');
+
+const BASELINE_VERSION = 1;
+
+class Baseline {
+  /**
+   * @param {string} baselinePath - Path to .dredd/baseline.json
+   */
+  constructor(baselinePath) {
+    this.path = baselinePath;
+    this.entries = [];
+    this.fingerprints = new Set();
+    this.loaded = false;
+  }
+
+  /**
+   * Default baseline location for a repository
+   */
+  static defaultPath(repoRoot) {
+    return path.join(repoRoot, '.dredd', 'baseline.json');
+  }
+
+  /**
+   * Normalize a line so whitespace-only edits do not change the fingerprint
+   */
+  static normalizeLine(lineText) {
+    return String(lineText || '').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Fingerprint a finding (incident id + file + normalized line content)
+   */
+  static fingerprint(finding) {
+    const location = finding.location || {};
+    const parts = [
+      finding.incidentId || finding.type,
+      location.file || '',
+      Baseline.normalizeLine(location.lineText)
+    ];
+
+    return crypto.createHash('sha256').update(parts.join('\n')).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * Load the baseline file (a missing file is an empty baseline)
+   */
+  async load() {
+    try {
+      const content = await fs.readFile(this.path, 'utf8');
+      const data = JSON.parse(content);
+      this.entries = Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid baseline file ${this.path}: ${error.message}`);
+      }
+      this.entries = [];
+    }
+
+    this.fingerprints = new Set(this.entries.map(e => e.fingerprint));
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Write the baseline file
+   */
+  async save() {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+    const data = {
+      version: BASELINE_VERSION,
+      updatedAt: new Date().toISOString(),
+      entries: this.entries
+    };
+
+    await fs.writeFile(this.path, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  /**
+   * Replace the baseline with the given findings
+   * @param {Array} findings - Current violations and warnings
+   */
+  create(findings) {
+    const entries = new Map();
+
+    for (const finding of findings) {
+      const fingerprint = Baseline.fingerprint(finding);
+      if (entries.has(fingerprint)) continue;
+
+      const location = finding.location || {};
+      entries.set(fingerprint, {
+        fingerprint,
+        incident: finding.incidentId || finding.type,
+        severity: finding.severity,
+        file: location.file || null,
+        line: location.line || null,
+        lineText: location.lineText ? Baseline.normalizeLine(location.lineText) : null
+      });
+    }
+
+    this.entries = [...entries.values()];
+    this.fingerprints = new Set(entries.keys());
+    return this.entries.length;
+  }
+
+  /**
+   * Drop entries that no longer occur in the given findings
+   * @param {Array} findings - Current violations and warnings
+   * @returns {number} Number of entries removed
+   */
+  prune(findings) {
+    const current = new Set(findings.map(f => Baseline.fingerprint(f)));
+    const before = this.entries.length;
+
+    this.entries = this.entries.filter(entry => current.has(entry.fingerprint));
+    this.fingerprints = new Set(this.entries.map(e => e.fingerprint));
+
+    return before - this.entries.length;
+  }
+
+  /**
+   * Check if a finding is recorded in the baseline
+   */
+  has(finding) {
+    return this.fingerprints.has(Baseline.fingerprint(finding));
+  }
+
+  /**
+   * Split analysis results into new findings and baseline (pre-existing) findings
+   * @param {object} results - PatternDetector results
+   * @returns {object} Results where violations/warnings are new only, plus `baselined`
+   */
+  apply(results) {
+    const baselined = [];
+    const isNew = finding => {
+      if (this.has(finding)) {
+        baselined.push(finding);
+        return false;
+      }
+      return true;
+    };
+
+    const violations = results.violations.filter(isNew);
+    const warnings = results.warnings.filter(isNew);
+
+    return {
+      ...results,
+      violations,
+      warnings,
+      baselined,
+      hasViolations: violations.length > 0,
+      hasCritical: violations.some(v => v.severity === 'CRITICAL'),
+      hasBlocking: violations.some(isBlocking)
+    };
+  }
+}
+
+module.exports = Baseline;
@@ -0,0 +1,94 @@
+/**
+ * Judge Dredd Agent - File Classifier
+ * Classifies files by path, extension and front-matter so incidents can declare which
+ * kinds of files they exempt (`pattern.detection.exemptions`)
+ *
+ * Classes:
+ *   documentation      - markup and prose (.md, .rst, README, CHANGELOG, ...)
+ *   investor-materials - pitch decks and investor updates (investor/ and pitch/ paths)
+ *
+ * Classification looks at the file, never at what the diff says about itself: typing
+ * "THE LAW" into a workflow does not make it documentation. Markdown files can opt into
+ * a class through front-matter:
+ *
+ *   ---
+ *   dredd-classification: investor-materials
+ *   ---
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+const { matchesAny } = require('../utils/glob');
+
+const CLASSES = {
+  documentation: {
+    extensions: ['.md', '.mdx', '.markdown', '.rst', '.adoc', '.txt'],
+    paths: ['**/README', '**/CHANGELOG', '**/LICENSE', '**/AUTHORS', '**/CONTRIBUTING']
+  },
+  'investor-materials': {
+    extensions: [],
+    paths: ['**/investor*/**', '**/pitch*/**', '**/*pitch-deck*', '**/*investor-update*']
+  }
+};
+
+// Only markup files carry front-matter - anywhere else it would break the file anyway
+const FRONT_MATTER_EXTENSIONS = ['.md', '.mdx', '.markdown'];
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?(?:\n|$)/;
+const FRONT_MATTER_KEY = 'dredd-classification';
+
+/**
+ * Classes declared in a markup file's front-matter
+ * @returns {string[]} Declared class names (unknown names are dropped)
+ */
+function frontMatterClasses(content) {
+  const block = typeof content === 'string' ? content.match(FRONT_MATTER) : null;
+  if (!block) return [];
+
+  let data;
+  try {
+    data = YAML.parse(block[1]);
+  } catch (error) {
+    return [];
+  }
+  if (!data || typeof data !== 'object' || data[FRONT_MATTER_KEY] === undefined) return [];
+
+  const declared = Array.isArray(data[FRONT_MATTER_KEY]) ? data[FRONT_MATTER_KEY] : [data[FRONT_MATTER_KEY]];
+  return declared.filter(name => Object.prototype.hasOwnProperty.call(CLASSES, name));
+}
+
+/**
+ * Classify a file
+ * @param {string} file - File path (nothing is classified without one)
+ * @param {string|null} content - Whole-file content, for front-matter (optional)
+ * @returns {Array} [{ class, reason }] - one entry per class, with the first rule that matched
+ */
+function classifyFile(file, content = null) {
+  if (!file) return [];
+
+  const extension = path.extname(String(file)).toLowerCase();
+  const classes = [];
+
+  for (const [name, definition] of Object.entries(CLASSES)) {
+    if (definition.extensions.includes(extension)) {
+      classes.push({ class: name, reason: `extension ${extension}` });
+    } else if (matchesAny(file, definition.paths) || matchesAny(file, definition.paths.map(glob => `${glob}.*`))) {
+      classes.push({ class: name, reason: `path ${file}` });
+    }
+  }
+
+  if (FRONT_MATTER_EXTENSIONS.includes(extension)) {
+    for (const name of frontMatterClasses(content)) {
+      if (!classes.some(entry => entry.class === name)) {
+        classes.push({ class: name, reason: `front-matter ${FRONT_MATTER_KEY}: ${name}` });
+      }
+    }
+  }
+
+  return classes;
+}
+
+module.exports = {
+  classifyFile,
+  frontMatterClasses,
+  classes: Object.keys(CLASSES)
+};
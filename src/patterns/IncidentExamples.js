@@ -0,0 +1,148 @@
+/**
+ * Judge Dredd Agent - Incident Examples
+ * Runs the examples embedded in incident documents through PatternDetector, so a regex
+ * edited in Central Brain or a local override cannot quietly break detection
+ *
+ * Incident documents carry:
+ *   examples.match   - examples that must trigger the incident
+ *   examples.noMatch - examples that must not (the exceptions the law already allows)
+ *
+ * An example is a string (added text, no file) or an object:
+ *   { description, file, content, original, deleted }
+ * `content` is analyzed as a newly added file; `original` is the content before the change
+ * (workflow and manifest comparisons); `deleted` analyzes the removal of `original`.
+ */
+
+const EXPECTATIONS = { match: true, noMatch: false };
+
+/**
+ * Normalize an example to { description, file, content, original, deleted }
+ */
+function normalizeExample(example) {
+  if (typeof example === 'string') {
+    return { description: null, file: null, content: example, original: null, deleted: false };
+  }
+  return {
+    description: example.description || null,
+    file: example.file || null,
+    content: typeof example.content === 'string' ? example.content : '',
+    original: typeof example.original === 'string' ? example.original : null,
+    deleted: Boolean(example.deleted)
+  };
+}
+
+/**
+ * Short label identifying an example in reports
+ */
+function describeExample(example) {
+  if (example.description) return example.description;
+  const firstLine = (example.content || example.original || '').split('\n').find(line => line.trim()) || '';
+  const text = firstLine.trim().length > 60 ? `${firstLine.trim().slice(0, 57)}...` : firstLine.trim();
+  return example.file ? `${example.file}: ${text}` : text;
+}
+
+/**
+ * Check whether an example triggers an incident
+ * @param {PatternDetector} detector - Detector with incidents loaded
+ * @param {object} incident - Incident document
+ * @param {object} example - Normalized example
+ * @returns {boolean} True when the incident produced a finding (suppressed findings count)
+ */
+async function triggers(detector, incident, example) {
+  const context = { source: 'incident-examples', file: example.file || undefined };
+
+  let results;
+  if (example.deleted) {
+    results = await detector.analyze('', context, { lines: [], original: example.original, deleted: true });
+  } else {
+    const lines = example.content.split('\n').map((content, i) => ({ number: i + 1, content }));
+    results = await detector.analyze(example.content, context, {
+      lines,
+      content: example.content,
+      original: example.original
+    });
+  }
+
+  return [...results.violations, ...results.warnings, ...results.suppressed.map(entry => entry.finding)]
+    .some(finding => finding.incidentId === incident.id);
+}
+
+/**
+ * Run every example of an incident
+ * @param {PatternDetector} detector - Detector with incidents loaded
+ * @param {object} incident - Incident document
+ * @returns {object} { id, match: { passed, total }, noMatch: { passed, total }, failures: [{ expectation, label }] }
+ */
+async function testIncident(detector, incident) {
+  const examples = incident.examples || {};
+  const result = { id: incident.id, failures: [] };
+
+  for (const [expectation, shouldTrigger] of Object.entries(EXPECTATIONS)) {
+    const list = (examples[expectation] || []).map(normalizeExample);
+    result[expectation] = { passed: 0, total: list.length };
+
+    for (const example of list) {
+      if (await triggers(detector, incident, example) === shouldTrigger) {
+        result[expectation].passed++;
+      } else {
+        result.failures.push({ expectation, label: describeExample(example) });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lines of an incident document's top-level `examples` member - violations on purpose, which
+ * the keyword laws skip when the document itself is reviewed
+ * @param {string} content - File content
+ * @returns {object|null} { start, end } (1-based, inclusive), or null when the content is not
+ *                        an incident document (JSON with `pattern`) with examples
+ */
+function examplesLines(content) {
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch {
+    return null;
+  }
+  if (!document || typeof document !== 'object' || !document.pattern || document.examples === undefined) {
+    return null;
+  }
+
+  // Strings cannot span lines in JSON, so lines only advance outside them
+  let depth = 0;
+  let line = 1;
+  let key = null;
+  let start = null;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"') {
+      let end = i + 1;
+      while (content[end] !== '"') end += content[end] === '\\' ? 2 : 1;
+      if (depth === 1) key = JSON.parse(content.slice(i, end + 1));
+      i = end;
+    } else if (char === '\n') {
+      line++;
+    } else if (char === ':' && depth === 1 && key === 'examples' && start === null) {
+      start = line;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+    }
+
+    if (start !== null && depth === 1 && (char === '}' || char === ']' || char === ',')) {
+      return { start, end: line };
+    }
+  }
+  return start !== null ? { start, end: line } : null;
+}
+
+module.exports = {
+  normalizeExample,
+  describeExample,
+  examplesLines,
+  testIncident
+};
@@ -0,0 +1,164 @@
+/**
+ * Judge Dredd Agent - Incident Scaffolding
+ * Turns a real bad commit into a draft incident document (`dredd incidents new --from <commit>`)
+ *
+ *   candidatePatterns() - detection regexes proposed from the commit's lines: added lines become
+ *                         textPatterns (what the bad commit introduced), removed lines become
+ *                         exclusions (the correct approach it took away)
+ *   buildIncident()     - a schema-valid document, with the commit preloaded as a must-trigger example
+ *
+ * Proposed patterns are literal lines with whitespace and numbers generalized, screened like
+ * every other incident pattern (see SafeRegex). They are a starting point for a human to edit.
+ */
+
+const path = require('path');
+const { matchesAny } = require('../utils/glob');
+const { getAddedLines, getRemovedLines } = require('../git/DiffParser');
+const { screenPattern } = require('./SafeRegex');
+
+const MAX_CANDIDATES = 8;
+const MAX_PATTERN_LENGTH = 120;
+const MIN_LETTERS = 6;
+
+/**
+ * Escape regex metacharacters
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Generalize a line into a pattern: literal tokens, any whitespace between them, any number
+ * where the commit had one (versions, ports, sizes)
+ * @returns {string|null} Pattern source, or null when the line is too plain to detect anything
+ */
+function generalizeLine(line) {
+  const letters = (line.match(/[A-Za-z]/g) || []).length;
+  if (letters < MIN_LETTERS) return null;
+
+  const tokens = [];
+  let length = 0;
+  for (const token of line.trim().split(/\s+/)) {
+    const pattern = escapeRegex(token).replace(/\d+/g, '\\d+');
+    if (tokens.length > 0 && length + pattern.length > MAX_PATTERN_LENGTH) break;
+    tokens.push(pattern);
+    length += pattern.length + 3;
+  }
+  return tokens.join('\\s+');
+}
+
+/**
+ * Propose detection patterns from a commit's parsed diff files
+ * @param {Array} files - Parsed diff files (see git/DiffParser)
+ * @returns {object} { textPatterns: [...], exclusions: [...] } - each
+ *                   [{ pattern, file, line, text }], most distinctive first
+ */
+function candidatePatterns(files) {
+  const candidates = { textPatterns: [], exclusions: [] };
+
+  for (const file of files) {
+    if (file.binary) continue;
+
+    const sources = [
+      ['textPatterns', getAddedLines(file)],
+      ['exclusions', getRemovedLines(file)]
+    ];
+    for (const [list, lines] of sources) {
+      for (const { number, content } of lines) {
+        const pattern = generalizeLine(content);
+        if (!pattern || screenPattern(pattern)) continue;
+        if (candidates[list].some(candidate => candidate.pattern === pattern)) continue;
+        if (!new RegExp(pattern, 'i').test(content)) continue;
+
+        candidates[list].push({ pattern, file: file.path, line: number, text: content.trim() });
+      }
+    }
+  }
+
+  // Lines with more letters say more about the mistake than braces and short keywords
+  const score = candidate => (candidate.text.match(/[A-Za-z]/g) || []).length;
+  for (const list of Object.keys(candidates)) {
+    candidates[list] = candidates[list]
+      .map((candidate, i) => ({ candidate, i }))
+      .sort((a, b) => score(b.candidate) - score(a.candidate) || a.i - b.i)
+      .slice(0, MAX_CANDIDATES)
+      .map(({ candidate }) => candidate);
+  }
+
+  return candidates;
+}
+
+/**
+ * File globs for the paths a set of candidates came from
+ */
+function suggestFiles(candidates) {
+  return [...new Set(candidates.map(candidate => `**/${path.basename(candidate.file)}`))];
+}
+
+/**
+ * The commit itself as a must-trigger example: the added lines of the first file in scope
+ * that one of the chosen text patterns matches
+ * @param {object} commit - { hash, subject }
+ * @param {Array} files - Parsed diff files
+ * @param {string[]} patterns - Chosen text patterns
+ * @param {string[]} globs - Chosen file scope (empty = any file)
+ * @returns {object|null} Example, or null when no file's added lines match
+ */
+function commitExample(commit, files, patterns, globs = []) {
+  for (const file of files) {
+    if (file.binary) continue;
+    if (globs.length > 0 && !matchesAny(file.path, globs)) continue;
+
+    const content = getAddedLines(file).map(line => line.content).join('\n');
+    if (patterns.some(pattern => new RegExp(pattern, 'i').test(content))) {
+      return {
+        description: `Commit ${commit.hash.substring(0, 7)}: ${commit.subject}`,
+        file: file.path,
+        content
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the incident document
+ * @param {object} answers - { id, title, severity, law, message, details, suggestedFix,
+ *                           financialImpact: { min, max } | null, textPatterns, exclusions, files, example }
+ */
+function buildIncident(answers) {
+  const incident = { id: answers.id, title: answers.title };
+
+  if (answers.financialImpact) {
+    incident.financialImpact = { ...answers.financialImpact, proven: true };
+  }
+
+  const detection = { textPatterns: answers.textPatterns };
+  if (answers.exclusions.length > 0) detection.exclusions = answers.exclusions;
+  if (answers.files.length > 0) detection.files = answers.files;
+  incident.pattern = { detection };
+
+  incident.rule = {
+    type: answers.id.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+    severity: answers.severity,
+    bucket: 'violations',
+    message: answers.message || `🚨 ${answers.title.toUpperCase()}`,
+    details: answers.details || answers.title,
+    law: answers.law
+  };
+  if (answers.suggestedFix) incident.rule.suggestedFix = answers.suggestedFix;
+
+  if (answers.example) {
+    incident.examples = { match: [answers.example] };
+  }
+
+  return incident;
+}
+
+module.exports = {
+  generalizeLine,
+  candidatePatterns,
+  suggestFiles,
+  commitExample,
+  buildIncident
+};
@@ -0,0 +1,380 @@
+/**
+ * Judge Dredd Agent - Incident Schema
+ * Versioned schema for incident documents (built-in, local and Central Brain)
+ *
+ * Schema version 1 (documents without `schemaVersion` are treated as version 1):
+ *   id                  - required, [A-Za-z0-9][A-Za-z0-9_.#-]* (usable in dredd-ignore comments)
+ *   schemaVersion       - optional, 1
+ *   title               - optional string
+ *   financialImpact     - optional { min: number, max: number, proven?: boolean }, min <= max
+ *   pattern.detection   - required, at least one detection mechanism:
+ *     textPatterns / exclusions / requiredEvidence - arrays of patterns (string or { pattern, flags })
+ *     requiredElements  - array of { name, pattern, flags? }
+ *     files / excludeFiles - arrays of globs
+ *     exemptions        - file classes the rule does not apply to (see FileClassifier)
+ *     scope             - 'diff' | 'file'
+ *     dockerfile / secrets / dependencies / iac / kev / config - check name
+ *     workflow          - check name or array of check names
+ *   rule                - optional strings type, label, message, details, law, suggestedFix;
+ *                         severity (CRITICAL | HIGH | MEDIUM | INFO); bucket (violations | warnings); fix
+ *   examples            - optional { match: [...], noMatch: [...] } (see IncidentExamples), each example
+ *                         a string or { description, file, content, original, deleted }
+ *
+ * Errors reject the incident. Warnings (e.g. a check this agent does not know yet) do not.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../utils/config');
+const { mergeIncident } = require('./RuleEngine');
+const { screenPattern } = require('./SafeRegex');
+const dockerfileChecks = require('../docker/DockerfileAnalyzer').checks;
+const workflowChecks = require('../workflows/WorkflowAnalyzer').checks;
+const secretsChecks = require('./SecretsDetector').checks;
+const dependencyChecks = require('../dependencies/DependencyAnalyzer').checks;
+const iacChecks = require('../iac/IacAnalyzer').checks;
+const configChecks = require('../utils/configAnalyzer').checks;
+const fileClasses = require('./FileClassifier').classes;
+
+const SCHEMA_VERSION = 1;
+
+const ID_FORMAT = /^[A-Za-z0-9][A-Za-z0-9_.#-]*$/;
+const SEVERITIES = Object.keys(config.severity);
+const BUCKETS = ['violations', 'warnings'];
+const RULE_STRINGS = ['type', 'label', 'message', 'details', 'law', 'suggestedFix'];
+const PATTERN_LISTS = ['textPatterns', 'exclusions', 'requiredEvidence'];
+
+// Structural checks by detection kind
+const CHECKS = {
+  dockerfile: dockerfileChecks,
+  workflow: workflowChecks,
+  secrets: secretsChecks,
+  dependencies: dependencyChecks,
+  iac: iacChecks,
+  kev: ['lockfile'],
+  config: configChecks
+};
+
+const MECHANISMS = [...PATTERN_LISTS.filter(list => list !== 'exclusions'), 'requiredElements', ...Object.keys(CHECKS)];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate a regex pattern spec (string or { pattern, flags })
+ * @returns {string|null} Problem description
+ */
+function patternProblem(spec) {
+  let source = spec;
+  let flags = 'i';
+
+  if (isObject(spec)) {
+    if (typeof spec.pattern !== 'string') return 'pattern object needs a "pattern" string';
+    if (spec.flags !== undefined && typeof spec.flags !== 'string') return '"flags" must be a string';
+    source = spec.pattern;
+    flags = spec.flags !== undefined ? spec.flags : 'i';
+  } else if (typeof spec !== 'string') {
+    return 'must be a string or { pattern, flags } object';
+  }
+
+  if (source === '') return 'empty pattern matches everything';
+
+  try {
+    new RegExp(source, flags);
+  } catch (error) {
+    return error.message;
+  }
+  return screenPattern(source);
+}
+
+/**
+ * Validate an incident document
+ * @param {object} incident - Incident document (merged with its built-in base, if any)
+ * @returns {object} { errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+function validateIncident(incident) {
+  const errors = [];
+  const warnings = [];
+  const error = (at, message) => errors.push({ path: at, message });
+  const warning = (at, message) => warnings.push({ path: at, message });
+
+  if (!isObject(incident)) {
+    error('', 'incident must be a JSON object');
+    return { errors, warnings };
+  }
+
+  // Identity and version
+  if (typeof incident.id !== 'string' || incident.id === '') {
+    error('id', 'required string is missing');
+  } else if (!ID_FORMAT.test(incident.id)) {
+    error('id', `"${incident.id}" may only contain letters, digits, _ . # -`);
+  }
+
+  if (incident.schemaVersion !== undefined && incident.schemaVersion !== SCHEMA_VERSION) {
+    error('schemaVersion', `unsupported version ${JSON.stringify(incident.schemaVersion)} (this agent supports ${SCHEMA_VERSION})`);
+  }
+  if (incident.title !== undefined && typeof incident.title !== 'string') {
+    error('title', 'must be a string');
+  }
+
+  // Financial impact
+  if (incident.financialImpact !== undefined) {
+    const impact = incident.financialImpact;
+    if (!isObject(impact)) {
+      error('financialImpact', 'must be an object { min, max, proven }');
+    } else {
+      for (const bound of ['min', 'max']) {
+        if (typeof impact[bound] !== 'number' || !Number.isFinite(impact[bound]) || impact[bound] < 0) {
+          error(`financialImpact.${bound}`, 'required non-negative number');
+        }
+      }
+      if (typeof impact.min === 'number' && typeof impact.max === 'number' && impact.min > impact.max) {
+        error('financialImpact', `min (${impact.min}) is greater than max (${impact.max})`);
+      }
+      if (impact.proven !== undefined && typeof impact.proven !== 'boolean') {
+        error('financialImpact.proven', 'must be a boolean');
+      }
+    }
+  }
+
+  // Detection
+  const detection = isObject(incident.pattern) ? incident.pattern.detection : undefined;
+  if (!isObject(incident.pattern)) {
+    error('pattern', 'required object is missing');
+  } else if (!isObject(detection)) {
+    error('pattern.detection', 'required object is missing');
+  } else {
+    for (const list of PATTERN_LISTS) {
+      if (detection[list] === undefined) continue;
+      if (!Array.isArray(detection[list])) {
+        error(`pattern.detection.${list}`, 'must be an array');
+        continue;
+      }
+      detection[list].forEach((spec, i) => {
+        const problem = patternProblem(spec);
+        if (problem) error(`pattern.detection.${list}[${i}]`, problem);
+      });
+    }
+
+    if (detection.requiredElements !== undefined) {
+      if (!Array.isArray(detection.requiredElements)) {
+        error('pattern.detection.requiredElements', 'must be an array');
+      } else {
+        detection.requiredElements.forEach((element, i) => {
+          if (!isObject(element) || typeof element.name !== 'string' || element.name === '') {
+            error(`pattern.detection.requiredElements[${i}].name`, 'required string is missing');
+          }
+          const problem = patternProblem(isObject(element) ? element : null);
+          if (problem) error(`pattern.detection.requiredElements[${i}]`, problem);
+        });
+      }
+    }
+
+    for (const globs of ['files', 'excludeFiles']) {
+      if (detection[globs] === undefined) continue;
+      if (!Array.isArray(detection[globs]) || detection[globs].some(glob => typeof glob !== 'string' || glob === '')) {
+        error(`pattern.detection.${globs}`, 'must be an array of non-empty glob strings');
+      }
+    }
+
+    if (detection.exemptions !== undefined) {
+      if (!Array.isArray(detection.exemptions) || detection.exemptions.some(name => typeof name !== 'string')) {
+        error('pattern.detection.exemptions', 'must be an array of file class names');
+      } else {
+        detection.exemptions
+          .filter(name => !fileClasses.includes(name))
+          .forEach(name => warning('pattern.detection.exemptions', `unknown file class "${name}" (known: ${fileClasses.join(', ')}) - ignored by this agent`));
+      }
+    }
+
+    if (detection.scope !== undefined && !['diff', 'file'].includes(detection.scope)) {
+      error('pattern.detection.scope', `must be "diff" or "file" (got ${JSON.stringify(detection.scope)})`);
+    }
+
+    for (const [kind, known] of Object.entries(CHECKS)) {
+      if (detection[kind] === undefined) continue;
+      const names = kind === 'workflow' && Array.isArray(detection[kind]) ? detection[kind] : [detection[kind]];
+      names.forEach(name => {
+        if (typeof name !== 'string' || name === '') {
+          error(`pattern.detection.${kind}`, 'must be a check name');
+        } else if (!known.includes(name)) {
+          warning(`pattern.detection.${kind}`, `unknown check "${name}" (known: ${known.join(', ')}) - ignored by this agent`);
+        }
+      });
+    }
+
+    if (!MECHANISMS.some(mechanism => {
+      const value = detection[mechanism];
+      return Array.isArray(value) ? value.length > 0 : value !== undefined;
+    })) {
+      error('pattern.detection', `no detection mechanism - the law can never trigger (use one of: ${MECHANISMS.join(', ')})`);
+    }
+  }
+
+  // Rule
+  if (incident.rule !== undefined) {
+    const rule = incident.rule;
+    if (!isObject(rule)) {
+      error('rule', 'must be an object');
+    } else {
+      for (const field of RULE_STRINGS) {
+        if (rule[field] !== undefined && typeof rule[field] !== 'string') {
+          error(`rule.${field}`, 'must be a string');
+        }
+      }
+      if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+        error('rule.severity', `must be one of ${SEVERITIES.join(', ')} (got ${JSON.stringify(rule.severity)})`);
+      }
+      if (rule.bucket !== undefined && !BUCKETS.includes(rule.bucket)) {
+        error('rule.bucket', `must be one of ${BUCKETS.join(', ')} (got ${JSON.stringify(rule.bucket)})`);
+      }
+      if (rule.fix !== undefined) {
+        validateFix(rule.fix, error);
+      }
+    }
+  }
+
+  // Examples
+  if (incident.examples !== undefined) {
+    validateExamples(incident.examples, error);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate embedded examples (see IncidentExamples)
+ */
+function validateExamples(examples, error) {
+  if (!isObject(examples)) {
+    error('examples', 'must be an object { match, noMatch }');
+    return;
+  }
+
+  for (const expectation of ['match', 'noMatch']) {
+    if (examples[expectation] === undefined) continue;
+    if (!Array.isArray(examples[expectation])) {
+      error(`examples.${expectation}`, 'must be an array');
+      continue;
+    }
+
+    examples[expectation].forEach((example, i) => {
+      const at = `examples.${expectation}[${i}]`;
+      if (typeof example === 'string') return;
+      if (!isObject(example)) {
+        error(at, 'must be a string or { description, file, content, original, deleted } object');
+        return;
+      }
+      for (const field of ['description', 'file', 'content', 'original']) {
+        if (example[field] !== undefined && typeof example[field] !== 'string') {
+          error(`${at}.${field}`, 'must be a string');
+        }
+      }
+      if (example.deleted !== undefined && typeof example.deleted !== 'boolean') {
+        error(`${at}.deleted`, 'must be a boolean');
+      }
+      if (example.deleted ? typeof example.original !== 'string' : typeof example.content !== 'string') {
+        error(at, example.deleted ? 'deleted examples need "original"' : 'required "content" string is missing');
+      }
+    });
+  }
+}
+
+/**
+ * Validate a fix descriptor (see fix/FixEngine)
+ */
+function validateFix(fix, error) {
+  if (!isObject(fix) || !Array.isArray(fix.edits)) {
+    error('rule.fix.edits', 'required array is missing');
+    return;
+  }
+
+  fix.edits.forEach((edit, i) => {
+    const at = `rule.fix.edits[${i}]`;
+    if (!isObject(edit)) {
+      error(at, 'must be an object');
+      return;
+    }
+
+    const check = (field, flags) => {
+      const problem = patternProblem({ pattern: edit[field], flags: edit[flags] });
+      if (problem) error(`${at}.${field}`, problem);
+    };
+
+    if (edit.type === 'replace') {
+      check('pattern', 'flags');
+      if (edit.replacement !== undefined && typeof edit.replacement !== 'string') {
+        error(`${at}.replacement`, 'must be a string');
+      }
+    } else if (edit.type === 'insert') {
+      check('anchor', 'flags');
+      if (edit.unless !== undefined) check('unless', 'unlessFlags');
+      if (typeof edit.content !== 'string') error(`${at}.content`, 'required string is missing');
+      if (edit.position !== undefined && !['before', 'after'].includes(edit.position)) {
+        error(`${at}.position`, 'must be "before" or "after"');
+      }
+    } else {
+      error(`${at}.type`, `must be "replace" or "insert" (got ${JSON.stringify(edit.type)})`);
+    }
+  });
+}
+
+/**
+ * Format validation issues for display
+ */
+function formatIssues(issues) {
+  return issues.map(issue => `${issue.path || '(root)'}: ${issue.message}`);
+}
+
+/**
+ * Read and validate every incident file in a directory
+ * Documents overriding a built-in incident are validated merged with it (partial overrides are allowed).
+ * @param {string} dir - Directory of *.json incident documents
+ * @param {object} builtins - Built-in incidents keyed by id
+ * @returns {Array} [{ file, id, incident, errors, warnings }] in file name order
+ */
+async function readIncidentFiles(dir, builtins = {}) {
+  const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  const reports = [];
+  const seen = new Map();
+
+  for (const file of files) {
+    const report = { file: path.join(dir, file), id: null, incident: null, errors: [], warnings: [] };
+    reports.push(report);
+
+    let document;
+    try {
+      document = JSON.parse(await fs.readFile(report.file, 'utf8'));
+    } catch (error) {
+      report.errors.push({ path: '', message: `invalid JSON: ${error.message}` });
+      continue;
+    }
+
+    report.id = isObject(document) && typeof document.id === 'string' ? document.id : null;
+    const merged = report.id && builtins[report.id] ? mergeIncident(builtins[report.id], document) : document;
+    const { errors, warnings } = validateIncident(merged);
+    report.errors.push(...errors);
+    report.warnings.push(...warnings);
+
+    if (report.id) {
+      if (seen.has(report.id)) {
+        report.errors.push({ path: 'id', message: `duplicate id "${report.id}" (also defined in ${path.basename(seen.get(report.id))})` });
+      } else {
+        seen.set(report.id, report.file);
+      }
+    }
+
+    if (report.errors.length === 0) {
+      report.incident = document;
+    }
+  }
+
+  return reports;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  ID_FORMAT,
+  validateIncident,
+  formatIssues,
+  readIncidentFiles
+};
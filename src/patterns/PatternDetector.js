@@ -5,18 +5,66 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const config = require('./config');
+const config = require('../utils/config');
+const RuleEngine = require('./RuleEngine');
+const { mergeIncident } = RuleEngine;
+const builtinIncidents = require('./incidents');
+const { getAddedLines } = require('../git/DiffParser');
+const { parseSuppressions, findSuppression } = require('./Suppressions');
+const { classifyFile } = require('./FileClassifier');
+const { validateIncident, formatIssues, readIncidentFiles } = require('./IncidentSchema');
+const { examplesLines } = require('./IncidentExamples');
+const { matchesAny } = require('../utils/glob');
+const { isDockerfile, parseDockerfile } = require('../docker/DockerfileParser');
+const { runDockerfileCheck } = require('../docker/DockerfileAnalyzer');
+const { isWorkflowFile, parseWorkflow } = require('../workflows/WorkflowParser');
+const { runWorkflowCheck } = require('../workflows/WorkflowAnalyzer');
+const { runSecretsCheck, redact, redactLine } = require('./SecretsDetector');
+const { manifestType, parseManifest } = require('../dependencies/ManifestParser');
+const { runDependencyCheck, summarizeChanges } = require('../dependencies/DependencyAnalyzer');
+const { iacType, isTemplateCandidate, parseTemplate } = require('../iac/IacParser');
+const { runIacCheck, summarizeCost, combineCosts } = require('../iac/IacAnalyzer');
+const { isProjectConfig, parseProjectConfig, runConfigCheck } = require('../utils/configAnalyzer');
+const PluginHost = require('../plugins/PluginHost');
+const { checkCommitMessage } = require('../git/CommitMessagePolicy');
+const SensitivePathRegistry = require('../git/SensitivePaths');
+
+// Exemptions for the built-in checks that are not incident documents (by finding type)
+const BUILTIN_EXEMPTIONS = {
+  ENTERPRISE_SPRAWL: ['documentation'],
+  COST_INEFFICIENCY: ['documentation', 'investor-materials']
+};
+
+// Severities that fail a review (severity.blocking in .dreddrc)
+const isBlocking = finding => Boolean(config.severity[finding.severity] && config.severity[finding.severity].blocking);
+
+// Commendations for classified files
+const CLASS_COMMENDATIONS = {
+  documentation: { type: 'DOCUMENTATION', message: 'Documenting THE LAW - teaching what to avoid' },
+  'investor-materials': { type: 'INVESTOR_MATERIALS', message: 'Investor materials - describing market opportunity' }
+};
 
 class PatternDetector {
   constructor() {
     this.violations = [];
     this.warnings = [];
     this.commendations = [];
+    this.suppressed = [];
+    this.exempted = [];
+    this.secrets = [];
+    this.dependencies = [];
+    this.costs = [];
+    this.classification = [];
     this.incidents = null;
+    this.source = {};
+    this.ruleEngine = new RuleEngine();
+    this.plugins = new PluginHost();
   }
 
   /**
-   * Load incident patterns - LIVE DATA from Central Brain first, then local fallback
+   * Load incident patterns - LIVE DATA from Central Brain first, then local fallback.
+   * Built-in incident definitions are the base layer; loaded incidents override them by id.
+   * Every loaded incident is validated against IncidentSchema - invalid ones are rejected.
    */
   async loadIncidentPatterns() {
     // Try Central Brain first (LIVE DATA LAW)
@@ -25,8 +73,9 @@ class PatternDetector {
       try {
         const livePatterns = await centralBrain.fetchIncidentPatterns();
         if (Object.keys(livePatterns).length > 0) {
-          this.incidents = livePatterns;
-          console.log(`🧠 Loaded ${Object.keys(this.incidents).length} incident patterns from Central Brain (LIVE)`);
+          const accepted = this.validateIncidents(livePatterns, 'Central Brain');
+          this.incidents = this.mergeWithBuiltins(accepted);
+          console.log(`🧠 Loaded ${Object.keys(accepted).length} incident patterns from Central Brain (LIVE)`);
           return true;
         }
       } catch (error) {
@@ -36,390 +85,817 @@ class PatternDetector {
 
     // Fallback: Load from local incidents/ directory
     try {
-      const incidentsDir = config.paths.incidents;
-      const files = await fs.readdir(incidentsDir);
-
-      this.incidents = {};
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = await fs.readFile(path.join(incidentsDir, file), 'utf8');
-          const incident = JSON.parse(content);
-          this.incidents[incident.id] = incident;
+      const reports = await readIncidentFiles(config.paths.incidents, builtinIncidents);
+      const localIncidents = {};
+
+      for (const report of reports) {
+        if (report.incident) {
+          localIncidents[report.incident.id] = report.incident;
+        } else {
+          this.reportRejected(report.id || path.basename(report.file), report.file, report.errors);
         }
       }
 
-      console.log(`🧠 Loaded ${Object.keys(this.incidents).length} incident patterns (local fallback)`);
+      this.incidents = this.mergeWithBuiltins(localIncidents);
+      console.log(`🧠 Loaded ${Object.keys(localIncidents).length} incident patterns (local fallback)`);
       return true;
     } catch (error) {
       console.error('⚠️  Failed to load incident patterns:', error.message);
-      this.incidents = {};
+      this.incidents = this.mergeWithBuiltins({});
+      console.log(`🧠 Using ${Object.keys(this.incidents).length} built-in incident patterns`);
       return false;
     }
   }
 
+  /**
+   * Validate loaded incidents (merged with their built-in base) and drop invalid ones
+   * @param {object} loaded - Incidents keyed by id
+   * @param {string} source - Where they came from (for error messages)
+   * @returns {object} Valid incidents keyed by id
+   */
+  validateIncidents(loaded, source) {
+    const accepted = {};
+
+    for (const [id, incident] of Object.entries(loaded)) {
+      const document = incident && typeof incident === 'object' && !incident.id ? { ...incident, id } : incident;
+      const { errors } = validateIncident(mergeIncident(builtinIncidents[id], document));
+
+      if (document && document.id !== id) {
+        errors.push({ path: 'id', message: `"${document.id}" does not match its key "${id}"` });
+      }
+
+      if (errors.length > 0) {
+        this.reportRejected(id, source, errors);
+      } else {
+        accepted[id] = document;
+      }
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Print why an incident was rejected (the built-in definition, if any, stays in force)
+   */
+  reportRejected(id, source, errors) {
+    console.error(`⚠️  Rejected incident ${id} from ${source}:`);
+    for (const line of formatIssues(errors)) {
+      console.error(`   ${line}`);
+    }
+  }
+
+  /**
+   * Merge loaded incidents onto the built-in incident definitions, apply the
+   * configured policy and compile them
+   * @param {object} loaded - Incidents keyed by id
+   */
+  mergeWithBuiltins(loaded) {
+    const merged = {};
+
+    for (const [id, incident] of Object.entries(builtinIncidents)) {
+      merged[id] = mergeIncident(incident, loaded[id]);
+    }
+    for (const [id, incident] of Object.entries(loaded)) {
+      if (!merged[id]) {
+        merged[id] = incident;
+      }
+    }
+
+    const enforced = this.applyPolicy(merged);
+    this.ruleEngine.compileAll(enforced);
+    return enforced;
+  }
+
+  /**
+   * Apply the configured incident policy (.dreddrc): enabled/disabled incidents and severity overrides
+   * @param {object} incidents - Incidents keyed by id
+   * @returns {object} Enforced incidents keyed by id
+   */
+  applyPolicy(incidents) {
+    const { enabled, disabled } = config.incidents;
+    const enforced = {};
+
+    for (const [id, incident] of Object.entries(incidents)) {
+      if (enabled && !enabled.includes(id)) continue;
+      if (disabled.includes(id)) continue;
+
+      const severity = config.severityOverrides[id];
+      enforced[id] = severity ? mergeIncident(incident, { rule: { severity } }) : incident;
+    }
+
+    return enforced;
+  }
+
   /**
    * Analyze text/diff for violations
+   * @param {string} text - Text/diff to analyze
+   * @param {object} context - Analysis context (file, commit, etc.)
+   * @param {object} source - Optional { lines, content, original, deleted, file, messageEvidence, change,
+   *                          sensitivePaths }: line numbers of `text`, whole-file content, content before the
+   *                          change, whether the file was deleted, the parsed diff file (hunks, for plugins),
+   *                          whether evidence-only rules are left to the commit message (see
+   *                          analyzeCommitMessage), the cost of the whole change (see priceChange) and the
+   *                          SensitivePathRegistry that rules out exemptions (see applyExemptions)
    */
-  async analyze(text, context = {}) {
+  async analyze(text, context = {}, source = {}) {
     this.violations = [];
     this.warnings = [];
     this.commendations = [];
+    this.suppressed = [];
+    this.exempted = [];
+    this.secrets = [];
+    this.dependencies = [];
+    this.costs = [];
+    this.source = source;
 
     // Ensure incidents are loaded
     if (!this.incidents) {
       await this.loadIncidentPatterns();
     }
 
-    // Exception: Documentation about violations is allowed
-    const isDocumentation = this.isDocumentation(text);
-    if (isDocumentation) {
-      this.commendations.push({
-        type: 'DOCUMENTATION',
-        message: 'Documenting THE LAW - teaching what to avoid'
-      });
+    // Deleted files only matter when they take security controls (or costs) with them
+    if (source.deleted) {
+      await this.checkWorkflow(text, context);
+      await this.checkIac(text, context);
+      await this.checkConfig(text, context);
       return this.getResults();
     }
 
-    // Exception: Investor materials describing costs
-    const isInvestorMaterials = this.isInvestorMaterials(text);
-    if (isInvestorMaterials) {
-      this.commendations.push({
-        type: 'INVESTOR_MATERIALS',
-        message: 'Investor materials - describing market opportunity'
-      });
+    // Classify the file (path, extension, front-matter) - never the text of the diff
+    this.classification = this.classify(text, context);
+    for (const entry of this.classification) {
+      this.commendations.push(CLASS_COMMENDATIONS[entry.class]);
     }
 
-    // Check for incident patterns
-    await this.checkIssue43Pattern(text, context);
-    await this.checkIssue32Pattern(text, context);
-    await this.checkIssue41Pattern(text, context);
-    await this.checkDaymanNightmanTheme(text, context);
-    await this.checkAlpineBaseImagePattern(text, context);
-    await this.checkDockerAmd64PlatformPattern(text, context);
-    await this.checkLiveDataLawPattern(text, context);
-    await this.checkGitDirectoryBreakout(text, context);
+    // Leaked credentials - no built-in law exempts them, not even in documentation
+    await this.checkSecrets(text, context);
+
+    // An incident document's examples break its law on purpose - the keyword laws skip them,
+    // every other check still reads them
+    const law = this.withoutExamples(text, context);
+
+    // Check for incident patterns (declarative rules)
+    await this.checkIncidentRules(law.text, context, law.source);
+    await this.checkDockerfile(text, context);
+    await this.checkWorkflow(text, context);
+    await this.checkDependencies(text, context);
+    await this.checkIac(text, context);
+    await this.checkConfig(text, context);
+
+    // Check other violations - infrastructure templates are judged on the resources they
+    // deploy (checkIac), not on how their comments read
+    if (!iacType(context.file, typeof source.content === 'string' ? source.content : text)) {
+      await this.checkEnterpriseSprawl(law.text, context);
+      await this.checkCostEfficiency(law.text, context);
+    }
 
-    // Check other violations
-    await this.checkEnterpriseSprawl(text, context, isInvestorMaterials);
-    await this.checkHardcodedData(text, context);
-    await this.checkCostEfficiency(text, context, isInvestorMaterials);
+    // Organization rule packs (.dreddrc plugins), during analyzeFiles runs
+    await this.checkPlugins(text, context);
 
     // Check for commendations
     await this.checkCommendations(text);
 
+    // Rules that exempt this kind of file are reported, not enforced
+    this.applyExemptions(context);
+
+    // Honor inline dredd-ignore comments (and report invalid ones)
+    this.applySuppressions(text, context);
+
+    // Secret values never leave the detector (CLI output, baseline, Central Brain)
+    this.redactSecrets();
+
     return this.getResults();
   }
 
   /**
-   * Issue #43: Security Control Removal (CRITICAL)
+   * Classify the analyzed file (see FileClassifier)
+   */
+  classify(text, context) {
+    // Front-matter needs the top of the file: whole content, or a diff that starts at line 1
+    let content = null;
+    if (typeof this.source.content === 'string') {
+      content = this.source.content;
+    } else if (!this.source.lines || (this.source.lines[0] && this.source.lines[0].number === 1)) {
+      content = text;
+    }
+    return classifyFile(context.file, content);
+  }
+
+  /**
+   * Move findings of rules that exempt one of the file's classes to `exempted`.
+   * Exemptions are declared per rule (`pattern.detection.exemptions`) and only ever
+   * apply to the file that was classified - never to a sensitive path (CLAUDE.md is
+   * documentation, and a security control).
    */
-  async checkIssue43Pattern(text, context) {
-    const incident = this.incidents['issue-43'];
-    if (!incident) return;
+  applyExemptions(context) {
+    if (this.classification.length === 0) return;
 
-    const patterns = incident.pattern.detection.textPatterns.map(p => new RegExp(p, 'i'));
+    const registry = this.source.sensitivePaths || new SensitivePathRegistry();
+    if (context.file && registry.isSensitive(context.file)) return;
 
-    for (const pattern of patterns) {
-      if (pattern.test(text)) {
-        this.violations.push({
-          type: 'SECURITY_CONTROL_REMOVAL',
-          severity: 'CRITICAL',
-          incident: 'Issue #43',
-          message: '🚨 SECURITY CONTROL REMOVAL DETECTED',
-          details: `You are attempting to remove or modify security controls.
-This is the EXACT pattern that caused Issue #43.`,
-          financialRisk: {
-            min: incident.financialImpact.min,
-            max: incident.financialImpact.max,
-            proven: incident.financialImpact.proven
-          },
-          law: 'Security controls exist because of previous failures. DO NOT REMOVE.',
-          suggestedFix: `1. STOP immediately
-2. Ask Patrick why this security control exists
-3. Create a GitHub issue documenting your reason
-4. Get explicit approval before proceeding
-5. NEVER remove security controls for "simplicity"`,
-          context
+    for (const bucket of ['violations', 'warnings']) {
+      this[bucket] = this[bucket].filter(finding => {
+        const incident = finding.incidentId && this.incidents[finding.incidentId];
+        const declared = incident
+          ? ((incident.pattern && incident.pattern.detection) || {}).exemptions || []
+          : BUILTIN_EXEMPTIONS[finding.type] || [];
+
+        const entry = this.classification.find(classified => declared.includes(classified.class));
+        if (!entry) return true;
+
+        this.exempted.push({ finding, exemption: { class: entry.class, reason: entry.reason } });
+        return false;
+      });
+    }
+  }
+
+  /**
+   * Apply inline `dredd-ignore <incident>: reason=... until YYYY-MM-DD` suppressions.
+   * Suppressed findings move to `suppressed`; suppressions without a reason or past
+   * their expiry are not honored and are reported as warnings.
+   */
+  applySuppressions(text, context) {
+    let lines;
+    if (typeof this.source.content === 'string') {
+      lines = this.source.content.split('\n').map((content, i) => ({ number: i + 1, content }));
+    } else if (this.source.lines) {
+      lines = this.source.lines;
+    } else {
+      lines = text.split('\n').map((content, i) => ({ number: i + 1, content }));
+    }
+
+    const suppressions = parseSuppressions(lines);
+    if (suppressions.length === 0) return;
+
+    const attempted = new Set();
+    for (const bucket of ['violations', 'warnings']) {
+      this[bucket] = this[bucket].filter(finding => {
+        const suppression = findSuppression(finding, suppressions);
+        if (!suppression) return true;
+
+        attempted.add(suppression);
+        if (!suppression.valid) return true;
+
+        this.suppressed.push({ finding, suppression });
+        return false;
+      });
+    }
+
+    // Only report invalid suppressions that are new or were relied upon
+    const addedLines = new Set((this.source.lines || lines).map(line => line.number));
+    for (const suppression of suppressions) {
+      if (suppression.valid) continue;
+      if (!attempted.has(suppression) && !addedLines.has(suppression.line)) continue;
+
+      const expired = suppression.problem === 'EXPIRED';
+      this.warnings.push({
+        type: expired ? 'EXPIRED_SUPPRESSION' : 'INVALID_SUPPRESSION',
+        severity: 'MEDIUM',
+        message: expired
+          ? `⚠️  EXPIRED SUPPRESSION: ${suppression.incident} (until ${suppression.until})`
+          : `⚠️  SUPPRESSION WITHOUT JUSTIFICATION: ${suppression.incident}`,
+        details: expired
+          ? 'This dredd-ignore comment has expired and is no longer honored.'
+          : 'dredd-ignore comments must state a reason (reason=...) and are not honored without one.',
+        law: 'Every exception to THE LAW must be justified and time-boxed',
+        suggestedFix: `// dredd-ignore ${suppression.incident}: reason=<why this is acceptable> until <YYYY-MM-DD>`,
+        location: {
+          file: context.file || null,
+          line: suppression.line,
+          column: null,
+          lineText: suppression.text
+        },
+        context
+      });
+    }
+  }
+
+  /**
+   * Analyze parsed diff files one by one (added lines only) and aggregate the findings
+   * @param {Array} files - Parsed diff files (see git/DiffParser)
+   * @param {object} context - Shared analysis context
+   * @param {object} options - { readFile(path) } supplies whole-file content for file-scoped rules,
+   *                           { readOriginal(path) } the pre-change content for before/after comparisons,
+   *                           { messageEvidence: true } skips evidence-only rules because the caller
+   *                           judges them against the commit message (analyzeCommitMessage),
+   *                           { sensitivePaths: SensitivePathRegistry } the files no exemption applies to
+   *                           (default: configured paths only)
+   */
+  async analyzeFiles(files, context = {}, options = {}) {
+    const aggregate = { violations: [], warnings: [], commendations: [], suppressed: [], exempted: [], dependencies: [], costs: [] };
+    const analyzed = [];
+    const messageEvidence = Boolean(options.messageEvidence);
+
+    // The cost threshold applies to the change, not to each template: price them all first
+    const change = await this.priceChange(files, options);
+
+    // Each analyzeFiles call is one plugin run: init, analyzeFile per file, finalize
+    await this.plugins.init({ source: context.source || null });
+
+    for (const file of files) {
+      if (file.binary) continue;
+      if (matchesAny(file.path, config.ignorePatterns)) continue;
+
+      // Workflows, manifests, templates and project configurations are compared before/after, so
+      // removals matter even without added lines
+      const compared = isWorkflowFile(file.path) || manifestType(file.path) !== null ||
+        isTemplateCandidate(file.path) || isProjectConfig(file.path);
+      const original = options.readOriginal && file.status !== 'added' && compared
+        ? await options.readOriginal(file.oldPath || file.path)
+        : null;
+
+      let results;
+      if (file.status === 'deleted') {
+        if (typeof original !== 'string') continue;
+        results = await this.analyze('', { ...context, file: file.path }, {
+          lines: [], original, deleted: true, messageEvidence, change, sensitivePaths: options.sensitivePaths
         });
-        break;
+      } else {
+        const lines = getAddedLines(file);
+        if (lines.length === 0 && typeof original !== 'string') continue;
+
+        const content = options.readFile ? await options.readFile(file.path) : null;
+        results = await this.analyze(
+          lines.map(line => line.content).join('\n'),
+          { ...context, file: file.path },
+          { lines, content, original, file, messageEvidence, change, sensitivePaths: options.sensitivePaths }
+        );
+      }
+
+      analyzed.push(file.path);
+      aggregate.violations.push(...results.violations);
+      aggregate.warnings.push(...results.warnings);
+      aggregate.suppressed.push(...results.suppressed);
+      aggregate.exempted.push(...results.exempted);
+      aggregate.dependencies.push(...results.dependencies);
+      aggregate.costs.push(...results.costs);
+      for (const commendation of results.commendations) {
+        if (!aggregate.commendations.some(c => c.type === commendation.type)) {
+          aggregate.commendations.push(commendation);
+        }
       }
     }
+
+    // Cross-file plugin rules
+    const summary = { files: analyzed, violations: aggregate.violations, warnings: aggregate.warnings };
+    for (const { bucket, finding } of await this.plugins.finalize(summary)) {
+      aggregate[bucket].push(finding);
+    }
+
+    this.violations = aggregate.violations;
+    this.warnings = aggregate.warnings;
+    this.commendations = aggregate.commendations;
+    this.suppressed = aggregate.suppressed;
+    this.exempted = aggregate.exempted;
+    this.dependencies = aggregate.dependencies;
+    this.costs = aggregate.costs;
+    this.source = {};
+
+    return this.getResults();
   }
 
   /**
-   * Issue #32: NO NGINX Law (HIGH)
+   * Price every template a change touches (added, modified and deleted)
+   * @returns {object|null} combineCosts() of the change, or null when no priced resource changed
    */
-  async checkIssue32Pattern(text, context) {
-    const incident = this.incidents['issue-32'];
-    if (!incident) return;
+  async priceChange(files, options = {}) {
+    const costs = [];
+
+    for (const file of files) {
+      if (file.binary || !isTemplateCandidate(file.path)) continue;
+      if (matchesAny(file.path, config.ignorePatterns)) continue;
+
+      const original = options.readOriginal && file.status !== 'added'
+        ? await options.readOriginal(file.oldPath || file.path)
+        : null;
+      let content = null;
+      if (file.status !== 'deleted') {
+        content = options.readFile ? await options.readFile(file.path) : null;
+        if (typeof content !== 'string') {
+          content = getAddedLines(file).map(line => line.content).join('\n');
+        }
+      }
 
-    const patterns = incident.pattern.detection.textPatterns.map(p => new RegExp(p, 'i'));
+      const type = iacType(file.path, content !== null ? content : original);
+      if (!type) continue;
 
-    for (const pattern of patterns) {
-      if (pattern.test(text)) {
-        this.violations.push({
-          type: 'NO_NGINX_LAW',
-          severity: 'HIGH',
-          incident: 'Issue #32',
-          message: '⚠️  NO NGINX LAW VIOLATED',
-          details: 'You are attempting to add nginx. We use Node.js + Express for everything.',
-          law: 'NO NGINX - Use express.static() for static files',
-          suggestedFix: `Replace nginx with Express:
-
-// Static file serving
-app.use(express.static('public'));
-
-// With caching headers
-app.use(express.static('public', {
-  maxAge: '7d',
-  etag: true
-}));
-
-// Reverse proxy not needed - Azure Container Apps provides ingress`,
-          context
-        });
-        break;
+      const cost = summarizeCost(parseTemplate(original, type), parseTemplate(content, type));
+      if (cost) {
+        costs.push({ file: file.path, ...cost });
       }
     }
+
+    return combineCosts(costs);
   }
 
   /**
-   * Issue #41: Untested Deploy (HIGH)
+   * Judge a commit message against the files it changes (commit-msg hook, session-start history).
+   * Incidents that require evidence for the files they cover (Issue #41: workflow and deploy
+   * changes need local test evidence) are satisfied by evidence in the message - callers pass
+   * { messageEvidence: true } to analyzeFiles so the diff is not judged for them as well.
+   * @param {string} message - Cleaned commit message (see git/CommitMessagePolicy)
+   * @param {string[]} files - Paths the commit changes
+   * @param {object} context - Analysis context (commit, source)
+   * @param {object} options - { sensitivePaths: SensitivePathRegistry (with the repository's CODEOWNERS) },
+   *                           { evidenceOnly: true } skips the message policy (wording, issue references)
    */
-  async checkIssue41Pattern(text, context) {
-    // Check if workflow file is modified without evidence of local testing
-    const isWorkflowChange = context.file &&
-                             (context.file.includes('.github/workflows') ||
-                              context.file.includes('deploy'));
-
-    if (isWorkflowChange) {
-      // Look for test evidence
-      const hasTestEvidence = /test.*local/i.test(text) ||
-                              /local.*test/i.test(text) ||
-                              /verified.*local/i.test(text) ||
-                              /curl.*localhost/i.test(text);
-
-      if (!hasTestEvidence) {
-        this.warnings.push({
-          type: 'UNTESTED_DEPLOY',
-          severity: 'HIGH',
-          incident: 'Issue #41',
-          message: '⚠️  UNTESTED DEPLOYMENT PATTERN DETECTED',
-          details: 'You modified CI/CD workflows without evidence of local testing.',
-          law: 'ALWAYS test locally before production (no exceptions)',
-          suggestedFix: `1. Test changes locally first
-2. Document test results in commit message
-3. Show curl output or screenshot
-
-Example commit message:
-"Fix: Updated deploy workflow
-
-Local test:
-$ npm start
-✅ Server started on port 3000
-
-$ curl http://localhost:3000/health
-{\\\"status\\\":\\\"healthy\\\"}
-
-Production verification:
-$ curl https://2x4.dugganusa.com/health
-{\\\"status\\\":\\\"healthy\\\"}"`,
-          context
-        });
+  async analyzeCommitMessage(message, files, context = {}, options = {}) {
+    this.violations = [];
+    this.warnings = [];
+    this.commendations = [];
+    this.suppressed = [];
+    this.exempted = [];
+    this.secrets = [];
+    this.dependencies = [];
+    this.costs = [];
+    this.source = {};
+
+    if (!this.incidents) {
+      await this.loadIncidentPatterns();
+    }
+
+    for (const incident of Object.values(this.incidents)) {
+      const rule = this.ruleEngine.compile(incident);
+      if (!this.ruleEngine.isEvidenceOnly(incident) || !rule.files) continue;
+
+      const file = files.find(changed => this.ruleEngine.appliesTo(rule, { file: changed }));
+      if (!file) continue;
+
+      const result = this.ruleEngine.evaluate(incident, message, { ...context, file });
+      if (result) {
+        result.finding.location = { file, line: null, column: null, lineText: null };
+        this[result.bucket].push(result.finding);
+      }
+    }
+
+    if (!options.evidenceOnly) {
+      for (const { bucket, finding } of checkCommitMessage(message, files, context, options)) {
+        this[bucket].push(finding);
       }
     }
+
+    return this.getResults();
   }
 
   /**
-   * DAYMAN/NIGHTMAN Theme System Required
+   * Map a match back to file, line, column and the offending line
+   * @param {object|null} match - { index, input, scope } (input is the text that was searched)
+   * @param {object} context - Analysis context
    */
-  async checkDaymanNightmanTheme(text, context) {
-    const incident = this.incidents['dayman-nightman-theme'];
-    if (!incident) return;
-
-    // Only check customer-facing HTML files
-    const isCustomerFacingHTML = context.file && (
-      context.file.includes('/public/') && context.file.endsWith('.html') ||
-      context.file.includes('/services/') && context.file.endsWith('.html') ||
-      context.file.includes('status-page') && context.file.endsWith('.html')
-    );
-
-    if (!isCustomerFacingHTML) return;
-
-    // Check if file has theme system
-    const hasThemeVars = /:root\s*{[\s\S]*?--/.test(text);
-    const hasLightTheme = /\[data-theme=['"]light['"]\]/.test(text);
-    const hasToggleFunction = /function toggleTheme\(\)/.test(text);
-    const hasDaymanReference = /DAYMAN/.test(text);
-    const hasNightmanReference = /NIGHTMAN/.test(text);
-
-    const missingElements = [];
-    if (!hasThemeVars) missingElements.push(':root CSS variables');
-    if (!hasLightTheme) missingElements.push('[data-theme="light"] styles');
-    if (!hasToggleFunction) missingElements.push('toggleTheme() function');
-    if (!hasDaymanReference) missingElements.push('DAYMAN reference');
-    if (!hasNightmanReference) missingElements.push('NIGHTMAN reference');
-
-    if (missingElements.length > 0) {
-      this.warnings.push({
-        type: 'MISSING_THEME_SYSTEM',
-        severity: 'MEDIUM',
-        incident: 'DAYMAN/NIGHTMAN Theme',
-        message: '⚠️  DAYMAN/NIGHTMAN THEME SYSTEM MISSING',
-        details: `Customer-facing page is missing theme system elements: ${missingElements.join(', ')}`,
-        law: 'DAYMAN/NIGHTMAN THEME REQUIRED - All customer-facing pages must support theme toggle',
-        suggestedFix: `Add DAYMAN/NIGHTMAN theme system:
-
-1. Add CSS variables:
-:root {
-  /* NIGHTMAN (Dark) - Default */
-  --bg-primary: #0a0e27;
-  --bg-secondary: #141b2d;
-  --text-primary: #e2e8f0;
-  --accent-primary: #3b82f6;
-}
+  locate(match, context = {}) {
+    if (!match) {
+      return context.file ? { file: context.file, line: null, column: null, lineText: null } : null;
+    }
 
-[data-theme='light'] {
-  /* DAYMAN (Light) */
-  --bg-primary: #f8fafc;
-  --bg-secondary: #f1f5f9;
-  --text-primary: #0f172a;
-  --accent-primary: #3b82f6;
-}
+    const before = match.input.slice(0, match.index);
+    const lineIndex = before.split('\n').length - 1;
+    const lineStart = before.lastIndexOf('\n') + 1;
+    const lineEnd = match.input.indexOf('\n', match.index);
+
+    // Diff text is the added lines only - map back to real line numbers
+    const lines = match.scope === 'file' ? null : this.source.lines;
 
-2. Add toggle button:
-<button class="theme-toggle" onclick="toggleTheme()">
-  <span id="themeName">NIGHTMAN</span>
-  <span id="themeSubtitle">Fighter of the DAYMAN</span>
-</button>
-
-3. Add JavaScript:
-function toggleTheme() {
-  const html = document.documentElement;
-  const currentTheme = html.getAttribute('data-theme');
-  const newTheme = currentTheme === 'light' ? null : 'light';
-  if (newTheme === 'light') {
-    html.setAttribute('data-theme', 'light');
-    localStorage.setItem('theme', 'light');
-  } else {
-    html.removeAttribute('data-theme');
-    localStorage.setItem('theme', 'dark');
+    return {
+      file: context.file || null,
+      line: lines && lines[lineIndex] ? lines[lineIndex].number : lineIndex + 1,
+      column: match.index - lineStart + 1,
+      lineText: match.input.slice(lineStart, lineEnd === -1 ? undefined : lineEnd)
+    };
   }
-}
 
-Reference: microservices/router/public/index.html`,
-        context
-      });
+  /**
+   * Text and source with an incident document's examples blanked out, line for line (so
+   * locations still map); anything else as it is
+   * @returns {object} { text, source }
+   */
+  withoutExamples(text, context) {
+    const { content, lines } = this.source;
+    const span = typeof content === 'string' && /\.json$/i.test(context.file || '') ? examplesLines(content) : null;
+    if (!span) return { text, source: this.source };
+
+    const blank = (textLines, number) => textLines
+      .map((line, i) => (number(i) >= span.start && number(i) <= span.end ? '' : line))
+      .join('\n');
+    return {
+      text: blank(text.split('\n'), i => (lines && lines[i] ? lines[i].number : i + 1)),
+      source: { ...this.source, content: blank(content.split('\n'), i => i + 1) }
+    };
+  }
+
+  /**
+   * Evaluate every incident rule (built-in, local and Central Brain)
+   */
+  async checkIncidentRules(text, context, source = this.source) {
+    for (const incident of Object.values(this.incidents)) {
+      // The commit message is where test evidence lives - judged there, not in the diff
+      if (this.source.messageEvidence && this.ruleEngine.isEvidenceOnly(incident)) continue;
+      this.checkIncidentRule(incident, text, context, source);
     }
   }
 
   /**
-   * Alpine Base Image Law (HIGH)
+   * Evaluate a single incident rule and record its finding
+   * @param {object|string} incident - Incident document or incident id
+   * @param {object} source - What the text came from (default: the analyzed source)
    */
-  async checkAlpineBaseImagePattern(text, context) {
-    const incident = this.incidents['alpine-base-image'];
-    if (!incident) return;
+  checkIncidentRule(incident, text, context, source = this.source) {
+    if (typeof incident === 'string') {
+      incident = this.incidents[incident];
+    }
+    if (!incident) return null;
 
-    const patterns = incident.pattern.detection.textPatterns.map(p => new RegExp(p, 'i'));
+    const result = this.ruleEngine.evaluate(incident, text, context, source);
+    if (!result) return null;
 
-    for (const pattern of patterns) {
-      if (pattern.test(text)) {
-        this.violations.push({
-          type: 'ALPINE_BASE_IMAGE',
-          severity: 'HIGH',
-          incident: 'Alpine Base Image',
-          message: '🚨 BASE IMAGE LAW VIOLATED',
-          details: 'You are attempting to use Alpine Linux. We use Debian-based images ONLY (node:20-slim).',
-          financialRisk: {
-            min: incident.financialImpact.min,
-            max: incident.financialImpact.max,
-            proven: incident.financialImpact.proven
-          },
-          law: 'BASE IMAGE LAW: DEBIAN ONLY, NEVER ALPINE',
-          suggestedFix: `Replace Alpine with Debian:
-
-# Good: Debian-based (glibc)
-FROM node:20-slim
-
-# Bad: Alpine (musl libc)
-# FROM node:20-alpine
-
-Why Debian:
-- Standard glibc that all npm packages expect
-- Native modules work without recompilation
-- No mysterious segfaults in production
-- Battle-tested across millions of deployments
-- Azure Container Apps optimized for Debian
-
-Alpine's musl libc breaks Playwright, sharp, puppeteer, and other native modules.
-The 50MB "savings" is a lie when you add build dependencies.`,
-          context
-        });
-        break;
+    const location = this.locate(result.match, context);
+    if (location) {
+      result.finding.location = location;
+    }
+
+    this[result.bucket].push(result.finding);
+    return result.finding;
+  }
+
+  /**
+   * Structural Dockerfile checks (ARG substitution, stages, --platform, USER)
+   * for incidents that declare `pattern.detection.dockerfile`
+   */
+  async checkDockerfile(text, context) {
+    if (!isDockerfile(context.file)) return;
+
+    const hasContent = typeof this.source.content === 'string';
+    const content = hasContent ? this.source.content : text;
+    const contentLines = content.split('\n');
+    const parsed = parseDockerfile(content);
+
+    // In a diff, only report findings that an added line contributed to
+    const added = hasContent && this.source.lines
+      ? new Set(this.source.lines.map(line => line.number))
+      : null;
+    const lineNumber = line => !hasContent && this.source.lines && this.source.lines[line - 1]
+      ? this.source.lines[line - 1].number
+      : line;
+
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.dockerfile) continue;
+
+      for (const hit of runDockerfileCheck(detection.dockerfile, parsed)) {
+        if (added && !hit.lines.some(line => added.has(line))) continue;
+
+        const { bucket, finding } = this.ruleEngine.createFinding(incident, context, hit.values);
+        if (hit.note) {
+          finding.details += `\n${hit.note}`;
+        }
+        finding.location = {
+          file: context.file,
+          line: lineNumber(hit.line),
+          column: 1,
+          lineText: contentLines[hit.line - 1]
+        };
+        this[bucket].push(finding);
+      }
+    }
+  }
+
+  /**
+   * Semantic GitHub Actions checks (removed/disabled security jobs and steps, weakened
+   * permissions, risky triggers) for incidents that declare `pattern.detection.workflow`
+   */
+  async checkWorkflow(text, context) {
+    if (!isWorkflowFile(context.file)) return;
+
+    // Needs whole files - added lines alone are not valid YAML
+    const before = parseWorkflow(this.source.original);
+    const after = this.source.deleted ? null : parseWorkflow(this.source.content);
+    if (!after && !(this.source.deleted && before)) return;
+
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.workflow) continue;
+
+      const checks = Array.isArray(detection.workflow) ? detection.workflow : [detection.workflow];
+      for (const check of checks) {
+        for (const hit of runWorkflowCheck(check, before, after)) {
+          const { bucket, finding } = this.ruleEngine.createFinding(incident, context, hit.values);
+          finding.details += `\n${hit.note}`;
+          finding.location = {
+            file: context.file,
+            line: hit.line,
+            column: hit.line ? 1 : null,
+            lineText: hit.lineText
+          };
+          this[bucket].push(finding);
+        }
       }
     }
   }
 
   /**
-   * Docker AMD64 Platform Law (HIGH)
+   * Manifest-aware dependency review: records what changed in package.json / package-lock.json
+   * and runs supply-chain checks for incidents that declare `pattern.detection.dependencies`
    */
-  async checkDockerAmd64PlatformPattern(text, context) {
-    const incident = this.incidents['docker-amd64-platform'];
-    if (!incident) return;
+  async checkDependencies(text, context) {
+    const type = manifestType(context.file);
+    if (!type || typeof this.source.content !== 'string') return;
 
-    // Exception: References to the correct approach
-    if (text.includes('./build-and-push.sh') ||
-        text.includes('--platform linux/amd64')) {
-      return;
+    const before = parseManifest(this.source.original, type);
+    const after = parseManifest(this.source.content, type);
+    if (!after) return;
+
+    const changes = summarizeChanges(before, after);
+    if (Object.values(changes).some(list => list.length > 0)) {
+      this.dependencies.push({ file: context.file, type, ...changes });
     }
 
-    const patterns = incident.pattern.detection.textPatterns.map(p => new RegExp(p, 'i'));
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.dependencies) continue;
+
+      for (const hit of runDependencyCheck(detection.dependencies, before, after, this.source.content)) {
+        const { bucket, finding } = this.ruleEngine.createFinding(incident, context, hit.values);
+        finding.location = {
+          file: context.file,
+          line: hit.line,
+          column: hit.line ? 1 : null,
+          lineText: hit.lineText
+        };
+        this[bucket].push(finding);
+      }
+    }
+  }
 
-    for (const pattern of patterns) {
-      if (pattern.test(text)) {
-        this.violations.push({
-          type: 'DOCKER_AMD64_PLATFORM',
-          severity: 'HIGH',
-          incident: 'Docker AMD64 Platform',
-          message: '🚨 DOCKER BUILD LAW VIOLATED',
-          details: 'You are using docker build without --platform linux/amd64. Mac builds default to ARM64, breaking Azure Container Apps.',
-          financialRisk: {
-            min: incident.financialImpact.min,
-            max: incident.financialImpact.max,
-            proven: incident.financialImpact.proven
-          },
-          law: 'DOCKER BUILD LAW: ALWAYS AMD64 - Use ./build-and-push.sh',
-          suggestedFix: `NEVER use raw docker build. ALWAYS use the script:
-
-# Good: Using the build script
-./build-and-push.sh towelie 6.11.0
-
-# Also acceptable: Manual with correct platform
-docker buildx build --platform linux/amd64 \\
-  -t cleansheet2x4.azurecr.io/towelie:6.11.0 \\
-  --push .
-
-# Bad: Raw docker build (defaults to ARM64 on Mac)
-# docker build -t towelie:6.11.0 .
-
-Why this matters:
-- Azure Container Apps require linux/amd64
-- Mac Docker defaults to linux/arm64
-- Images build successfully but fail to start in Azure
-- Silent failures with cryptic error messages
-- Use the script to enforce correct platform`,
-          context
+  /**
+   * Infrastructure-as-code checks (Terraform, Bicep, ARM) on the resources a template
+   * deploys, for incidents that declare `pattern.detection.iac`
+   */
+  async checkIac(text, context) {
+    const content = typeof this.source.content === 'string' ? this.source.content : text;
+    const type = iacType(context.file, this.source.deleted ? this.source.original : content);
+    if (!type) return;
+
+    const before = parseTemplate(this.source.original, type);
+    const after = this.source.deleted ? null : parseTemplate(content, type);
+    if (!after && !this.source.deleted) return;
+
+    const cost = summarizeCost(before, after);
+    if (cost) {
+      this.costs.push({ file: context.file, type, ...cost });
+    }
+
+    // During analyzeFiles the change is priced as a whole and reported on one template;
+    // a file analyzed on its own is the whole change
+    let change = cost ? combineCosts([{ file: context.file, ...cost }]) : null;
+    if (this.source.change !== undefined) {
+      change = this.source.change && this.source.change.anchor === context.file ? this.source.change : null;
+    }
+
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.iac) continue;
+
+      for (const hit of runIacCheck(detection.iac, before, after, change)) {
+        const { bucket, finding } = this.ruleEngine.createFinding(incident, context, hit.values);
+        finding.location = {
+          file: context.file,
+          line: hit.line,
+          column: hit.line ? 1 : null,
+          lineText: hit.lineText
+        };
+        this[bucket].push(finding);
+      }
+    }
+  }
+
+  /**
+   * Project configuration (.dreddrc.*) changes that weaken the review, for incidents that
+   * declare `pattern.detection.config`
+   */
+  async checkConfig(text, context) {
+    if (!isProjectConfig(context.file)) return;
+
+    const content = this.source.deleted ? null : (typeof this.source.content === 'string' ? this.source.content : text);
+    const before = parseProjectConfig(this.source.original, context.file) || parseProjectConfig(null, context.file);
+    const after = parseProjectConfig(content, context.file);
+
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.config) continue;
+
+      for (const hit of runConfigCheck(detection.config, before, after, content)) {
+        const { bucket, finding } = this.ruleEngine.createFinding(incident, context, hit.values);
+        finding.location = {
+          file: context.file,
+          line: hit.line,
+          column: hit.line ? 1 : null,
+          lineText: hit.lineText
+        };
+        this[bucket].push(finding);
+      }
+    }
+  }
+
+  /**
+   * Turn KEV catalog matches (see kev/KevCatalog) into KEV_ZERO_TOLERANCE violations
+   * @param {Array} matches - KevCatalog.checkLockfile() results
+   * @param {object} context - Analysis context ({ file } is the lockfile)
+   * @param {string} lockfileContent - Lockfile content (for line numbers)
+   */
+  createKevViolations(matches, context = {}, lockfileContent = '') {
+    const incident = this.incidents && this.incidents['kev-zero-tolerance'];
+    if (!incident) return [];
+
+    const lines = String(lockfileContent).split('\n');
+    return matches.map(match => {
+      const vulnerability = match.vulnerability;
+      const { finding } = this.ruleEngine.createFinding(incident, context, {
+        cve: match.cve,
+        package: match.package,
+        version: match.version,
+        name: vulnerability.vulnerabilityName || vulnerability.product || match.cve,
+        dateAdded: vulnerability.dateAdded || 'unknown',
+        ransomware: vulnerability.knownRansomwareCampaignUse === 'Known' ? ', used in ransomware campaigns' : '',
+        deadline: match.deadline,
+        overdue: match.overdue ? ` - OVERDUE by ${match.overdueDays} day(s)` : '',
+        patched: match.patched ? `Patched in ${match.patched}.` : 'No patched version recorded.'
+      });
+
+      const index = lines.findIndex(line => line.includes(`"${match.installPath}"`));
+      finding.location = {
+        file: context.file || null,
+        line: index === -1 ? null : index + 1,
+        column: index === -1 ? null : 1,
+        lineText: index === -1 ? null : lines[index]
+      };
+      finding.deadline = match.deadline;
+      finding.overdue = match.overdue;
+      return finding;
+    });
+  }
+
+  /**
+   * Leaked credentials in added lines (known token formats, high-entropy strings, .env files)
+   * for incidents that declare `pattern.detection.secrets`
+   */
+  async checkSecrets(text, context) {
+    const lines = this.source.lines || text.split('\n').map((content, i) => ({ number: i + 1, content }));
+    const lineText = number => {
+      const line = lines.find(l => l.number === number);
+      return line ? line.content : null;
+    };
+
+    for (const incident of Object.values(this.incidents)) {
+      const detection = (incident.pattern && incident.pattern.detection) || {};
+      if (!detection.secrets) continue;
+
+      for (const hit of runSecretsCheck(detection.secrets, lines, context.file)) {
+        if (hit.value) {
+          this.secrets.push(hit);
+        }
+
+        const { bucket, finding } = this.ruleEngine.createFinding(incident, context, {
+          secretType: hit.name,
+          preview: hit.value ? redact(hit.value) : '',
+          entropy: hit.entropy ? hit.entropy.toFixed(2) : '',
+          file: context.file || 'file'
         });
-        break;
+        finding.location = {
+          file: context.file || null,
+          line: hit.line,
+          column: hit.column,
+          lineText: hit.line ? lineText(hit.line) : null
+        };
+        this[bucket].push(finding);
+      }
+    }
+  }
+
+  /**
+   * Replace detected secret values in every finding's line text with redacted previews
+   */
+  redactSecrets() {
+    if (this.secrets.length === 0) return;
+
+    const findings = [
+      ...this.violations,
+      ...this.warnings,
+      ...this.suppressed.map(entry => entry.finding),
+      ...this.exempted.map(entry => entry.finding)
+    ];
+    for (const finding of findings) {
+      if (finding.location && finding.location.lineText) {
+        finding.location.lineText = redactLine(finding.location.lineText, this.secrets);
       }
     }
+    for (const entry of this.suppressed) {
+      entry.suppression.text = redactLine(entry.suppression.text, this.secrets);
+    }
   }
 
   /**
    * Check for enterprise sprawl
    */
-  async checkEnterpriseSprawl(text, context, skipCostChecks = false) {
+  async checkEnterpriseSprawl(text, context) {
     const patterns = {
       'DDoS Protection': /ddos.*protection.*standard/i,
       'Private Link': /private.*link/i,
@@ -429,7 +905,8 @@ Why this matters:
     };
 
     for (const [name, pattern] of Object.entries(patterns)) {
-      if (pattern.test(text)) {
+      const match = pattern.exec(text);
+      if (match) {
         this.violations.push({
           type: 'ENTERPRISE_SPRAWL',
           severity: 'CRITICAL',
@@ -437,6 +914,7 @@ Why this matters:
           details: 'DugganUSA LLC has no legacy infrastructure to protect.',
           law: 'Born Without Sin - Do not preemptively acquire enterprise debt',
           suggestedFix: 'Remove this. We do not need enterprise sprawl pre-revenue.',
+          location: this.locate({ index: match.index, input: text }, context),
           context
         });
       }
@@ -444,149 +922,26 @@ Why this matters:
   }
 
   /**
-   * Live Data Law - Enhanced with incident-based learning (HIGH)
-   */
-  async checkLiveDataLawPattern(text, context) {
-    const incident = this.incidents['live-data-law'];
-    if (!incident) return;
-
-    // Only check HTML files and public JS files
-    const isRelevantFile = context.file && (
-      context.file.endsWith('.html') ||
-      context.file.includes('/public/') && context.file.endsWith('.js') ||
-      context.file.includes('/views/') && context.file.endsWith('.ejs')
-    );
-
-    if (!isRelevantFile) return;
-
-    // Check for exclusions (correct patterns)
-    const correctPatterns = [
-      /fetch\(.*['"]\/(health|api\/version)/i,
-      /getElementById\(.*version/i,
-      /updateSprintStats/i,
-      /textContent.*=.*data\./i,
-      /\/\/ Version from .*API/i
-    ];
-
-    for (const correct of correctPatterns) {
-      if (correct.test(text)) {
-        // This is the CORRECT approach - don't flag it
-        return;
-      }
-    }
-
-    // Now check for violations
-    const patterns = incident.pattern.detection.textPatterns.map(p => new RegExp(p, 'i'));
-
-    for (const pattern of patterns) {
-      if (pattern.test(text)) {
-        this.violations.push({
-          type: 'HARDCODED_LIVE_DATA',
-          severity: 'HIGH',
-          incident: 'Live Data Law',
-          message: '⚠️  LIVE DATA LAW VIOLATED',
-          details: 'You are hardcoding version numbers, metrics, or status data that should be fetched from APIs.',
-          financialRisk: {
-            min: incident.financialImpact.min,
-            max: incident.financialImpact.max,
-            proven: incident.financialImpact.proven
-          },
-          law: 'LIVE DATA LAW: NO HARDCODED VERSIONS/STATUS EVER',
-          suggestedFix: `Fetch from API instead:
-
-// Good: Fetch live data
-fetch('/health').then(r => r.json()).then(data => {
-  document.getElementById('version').textContent = data.version;
-  document.getElementById('corpus').textContent =
-    \`Corpus: \${data.ragConfig.corpusSize} docs validated ✓\`;
-  document.getElementById('uptime').textContent = data.uptime;
-});
-
-// Good: Auto-refresh every 60 seconds
-setInterval(() => {
-  fetch('/health').then(r => r.json()).then(updateUI);
-}, 60000);
-
-// Bad: Hardcoded (what you're doing now)
-<title>Platform v5.2.21</title>
-<footer>Corpus: 1,234 documents validated ✓</footer>
-
-Why this matters:
-- Hardcoded data requires manual updates on every release
-- Stale data misleads stakeholders
-- Zero entropy requires dynamic data fetching
-- Google Analytics pattern: fetch from APIs, not hardcode`,
-          context
-        });
-        break;
-      }
-    }
-  }
-
-  /**
-   * Git Directory Breakout Prevention (MEDIUM)
-   * Issue #95 - Directory discipline for git operations
-   */
-  async checkGitDirectoryBreakout(text, context) {
-    const incident = this.incidents['git-directory-breakout'];
-    if (!incident) return;
-
-    // Check for directory breakout patterns
-    // Match: cd ../.. && git, cd ../../ && git, cd .. && cd .. && git
-    if (text.match(/cd\s+(\.\.\/\.\.|\.\.\\\.\.|\.\.\/\.\.\/)\s+&&.*git/i) ||
-        text.match(/cd\s+\.\.\s+&&\s+cd\s+\.\.\s+&&.*git/i)) {
-      this.violations.push({
-        type: 'GIT_DIRECTORY_BREAKOUT',
-        severity: 'MEDIUM',
-        incident: 'Issue #95',
-        message: '⚠️  DIRECTORY BREAKOUT DETECTED',
-        details: 'You are using cd ../.. before git commands. This breaks out of current context and violates directory discipline.',
-        law: 'DIRECTORY DISCIPLINE LAW: Execute git from current directory (consistent with docker-wrong-directory)',
-        suggestedFix: `Execute git commands from current directory:
-
-❌ Bad (what you're doing):
-cd ../.. && git add -A && git commit
-
-✅ Good:
-git add -A
-git commit -m 'message'
-git push origin main
-
-✅ Also OK (relative paths):
-git add ../../some-file.md
-
-Why this matters:
-- Context integrity: Breaking out risks operating on wrong files
-- Consistency: We enforce directory discipline for Docker builds
-- User trust: Directory breakout is "sloppy" behavior
-- Related: docker-wrong-directory.json incident pattern`,
-        context
-      });
-    }
-  }
-
-  /**
-   * @deprecated - Use checkLiveDataLawPattern instead (incident-based)
+   * @deprecated - Live Data Law is evaluated by the rule engine (incident-based)
    * Kept for backward compatibility
    */
   async checkHardcodedData(text, context) {
-    // Delegate to new incident-based pattern
-    return this.checkLiveDataLawPattern(text, context);
+    // Delegate to the live-data-law incident rule
+    return this.checkIncidentRule('live-data-law', text, context);
   }
 
   /**
    * Check for cost inefficiency
    */
-  async checkCostEfficiency(text, context, skipCostChecks = false) {
-    if (skipCostChecks) return;
-
+  async checkCostEfficiency(text, context) {
     const expensivePatterns = [
       /\$[5-9]\d{2,}.*month/i,  // $500+/month
       /\$\d{4,}.*month/i         // $1000+/month
     ];
 
     for (const pattern of expensivePatterns) {
-      if (pattern.test(text)) {
+      const match = pattern.exec(text);
+      if (match) {
         this.warnings.push({
           type: 'COST_INEFFICIENCY',
           severity: 'HIGH',
@@ -594,6 +949,7 @@ Why this matters:
           details: 'DugganUSA LLC maintains lean infrastructure costs per business model.',
           law: 'Maintain extreme cost efficiency - it is our competitive moat',
           suggestedFix: 'Is there a cheaper alternative? We maintain cost efficiency religiously.',
+          location: this.locate({ index: match.index, input: text }, context),
           context
         });
         break;
@@ -601,6 +957,35 @@ Why this matters:
     }
   }
 
+  /**
+   * Run the active plugins (see plugins/PluginHost) on the analyzed file
+   */
+  async checkPlugins(text, context) {
+    if (this.plugins.active.length === 0 || !this.source.file) return;
+
+    const lines = this.source.lines || [];
+    const file = {
+      path: this.source.file.path,
+      oldPath: this.source.file.oldPath || null,
+      status: this.source.file.status,
+      hunks: this.source.file.hunks,
+      addedLines: lines,
+      content: typeof this.source.content === 'string' ? this.source.content : null,
+      original: typeof this.source.original === 'string' ? this.source.original : null,
+      classification: this.classification
+    };
+
+    for (const { bucket, finding } of await this.plugins.analyzeFile(file, context)) {
+      // Fill in the offending line when the plugin only gave a line number
+      if (finding.location.line && !finding.location.lineText) {
+        const added = lines.find(line => line.number === finding.location.line);
+        const whole = file.content !== null ? file.content.split('\n')[finding.location.line - 1] : undefined;
+        finding.location.lineText = added ? added.content : (whole !== undefined ? whole : null);
+      }
+      this[bucket].push(finding);
+    }
+  }
+
   /**
    * Check for commendations
    */
@@ -636,36 +1021,6 @@ Why this matters:
     }
   }
 
-  /**
-   * Check if text is documentation
-   */
-  isDocumentation(text) {
-    return (
-      text.includes('SECURITY-PHILOSOPHY') ||
-      text.includes('THE LAW') ||
-      text.includes('Born Without Sin') ||
-      text.includes('what NOT to do') ||
-      text.includes('What Legacy Enterprises') ||
-      text.includes("Why They Need It | Why You Don't") ||
-      text.includes('IMPLEMENTATION-PLAN') ||
-      text.includes('JUDGE-DREDD-AGENT-GUIDE')
-    );
-  }
-
-  /**
-   * Check if text is investor materials
-   */
-  isInvestorMaterials(text) {
-    return (
-      text.includes('ARR') ||
-      text.includes('portfolio value') ||
-      text.includes('Patent #') ||
-      text.includes('**Problem:**') ||
-      text.includes('competitors') ||
-      text.includes('TAM:')
-    );
-  }
-
   /**
    * Get analysis results
    */
@@ -674,10 +1029,17 @@ Why this matters:
       violations: this.violations,
       warnings: this.warnings,
       commendations: this.commendations,
+      suppressed: this.suppressed,
+      exempted: this.exempted,
+      dependencies: this.dependencies,
+      costs: this.costs,
+      pluginErrors: this.plugins.errors,
       hasViolations: this.violations.length > 0,
-      hasCritical: this.violations.some(v => v.severity === 'CRITICAL')
+      hasCritical: this.violations.some(v => v.severity === 'CRITICAL'),
+      hasBlocking: this.violations.some(isBlocking)
     };
   }
 }
 
 module.exports = PatternDetector;
+module.exports.isBlocking = isBlocking;
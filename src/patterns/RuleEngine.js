@@ -0,0 +1,339 @@
+/**
+ * Judge Dredd Agent - Rule Engine
+ * Evaluates declarative incident rules - the incident document IS the law
+ *
+ * Incident rule shape:
+ *   pattern.detection.textPatterns     - any match triggers the rule
+ *   pattern.detection.exclusions       - any match means the correct approach is used (skip)
+ *   pattern.detection.requiredEvidence - rule triggers when NONE of these match (Issue #41)
+ *   pattern.detection.requiredElements - rule triggers when any named element is missing
+ *   pattern.detection.files            - globs the rule is scoped to (requires context.file)
+ *   pattern.detection.excludeFiles     - globs the rule never applies to
+ *   pattern.detection.exemptions       - file classes whose findings are reported as exempted (see FileClassifier)
+ *   pattern.detection.scope            - 'diff' (added lines, default) or 'file' (whole file content)
+ *   pattern.detection.dockerfile       - structural Dockerfile check (see docker/DockerfileAnalyzer)
+ *   pattern.detection.workflow         - GitHub Actions before/after check(s) (see workflows/WorkflowAnalyzer)
+ *   pattern.detection.secrets          - leaked credential check (see patterns/SecretsDetector)
+ *   pattern.detection.dependencies     - supply-chain manifest check (see dependencies/DependencyAnalyzer)
+ *   pattern.detection.iac              - Terraform / Bicep / ARM resource and cost check (see iac/IacAnalyzer)
+ *   pattern.detection.kev              - KEV lockfile check (see kev/KevCatalog, run by `dredd kev`)
+ *   rule.type / severity / bucket / label / message / details / law / suggestedFix
+ *   rule.fix                           - machine-readable remedy (see fix/FixEngine)
+ *
+ * Patterns are strings (case-insensitive) or { pattern, flags } objects.
+ * The full document format is versioned and validated by IncidentSchema.
+ *
+ * Patterns are compiled once per incident object, screened for catastrophic backtracking and
+ * executed with a per-pattern time budget (see SafeRegex). A pattern that fails either check is
+ * disabled for the run: a disabled text pattern simply never matches, while a disabled exclusion,
+ * evidence or element pattern skips the whole rule rather than guessing and raising false alarms.
+ */
+
+const config = require('../utils/config');
+const { matchesAny } = require('../utils/glob');
+const { screenPattern, RegexExecutor } = require('./SafeRegex');
+
+const BUCKETS = ['violations', 'warnings'];
+
+class RuleEngine {
+  /**
+   * @param {object} options - { timeBudgetMs } per pattern execution
+   */
+  constructor(options = {}) {
+    this.compiled = new WeakMap();
+    this.executor = new RegexExecutor({ timeoutMs: options.timeBudgetMs || config.patterns.timeBudgetMs });
+    this.disabled = [];
+  }
+
+  /**
+   * Compile a pattern spec into a RegExp
+   * @param {string|object} spec - Pattern string or { pattern, flags }
+   */
+  compilePattern(spec) {
+    if (typeof spec === 'string') {
+      return new RegExp(spec, 'i');
+    }
+    return new RegExp(spec.pattern, spec.flags !== undefined ? spec.flags : 'i');
+  }
+
+  /**
+   * Compile and screen one pattern of an incident
+   * @param {object} incident - Incident document
+   * @param {string|object} spec - Pattern string or { pattern, flags }
+   * @param {string} at - Where the pattern lives (pattern.detection.textPatterns[0])
+   * @returns {object} { regex, at, disabled }
+   */
+  preparePattern(incident, spec, at) {
+    const pattern = { regex: null, at, disabled: false };
+
+    try {
+      pattern.regex = this.compilePattern(spec);
+    } catch (error) {
+      this.disable(incident, pattern, error.message);
+      return pattern;
+    }
+
+    const problem = screenPattern(pattern.regex.source);
+    if (problem) {
+      this.disable(incident, pattern, problem);
+    }
+    return pattern;
+  }
+
+  /**
+   * Disable a pattern for the rest of the run and report it
+   */
+  disable(incident, pattern, reason) {
+    pattern.disabled = true;
+    this.disabled.push({ incidentId: incident.id, at: pattern.at, reason });
+    console.warn(`⚠️  Pattern ${pattern.at} of incident ${incident.id} disabled for this run: ${reason}`);
+  }
+
+  /**
+   * Execute a pattern within its time budget
+   * @returns {object|null} { index, text } or null (no match, or the pattern is disabled)
+   */
+  execPattern(incident, pattern, text) {
+    if (pattern.disabled) return null;
+
+    const result = this.executor.exec(pattern.regex, text);
+    if (result.timedOut) {
+      this.disable(incident, pattern, `exceeded the ${this.executor.timeoutMs}ms time budget`);
+      return null;
+    }
+    return result.match;
+  }
+
+  /**
+   * Compile every incident up front (once per load) so unsafe patterns are reported immediately
+   * @param {object} incidents - Incidents keyed by id
+   */
+  compileAll(incidents) {
+    for (const incident of Object.values(incidents)) {
+      this.compile(incident);
+    }
+  }
+
+  /**
+   * Compile an incident into an executable rule (cached per incident object)
+   * @param {object} incident - Incident document
+   */
+  compile(incident) {
+    if (this.compiled.has(incident)) {
+      return this.compiled.get(incident);
+    }
+
+    const detection = (incident.pattern && incident.pattern.detection) || {};
+    const rule = incident.rule || {};
+    const title = incident.title || incident.id;
+
+    const prepare = list => (detection[list] || [])
+      .map((spec, i) => this.preparePattern(incident, spec, `pattern.detection.${list}[${i}]`));
+
+    const compiled = {
+      id: incident.id,
+      textPatterns: prepare('textPatterns'),
+      exclusions: prepare('exclusions'),
+      requiredEvidence: prepare('requiredEvidence'),
+      requiredElements: prepare('requiredElements').map((pattern, i) => ({
+        ...pattern,
+        name: detection.requiredElements[i].name
+      })),
+      files: detection.files || null,
+      excludeFiles: detection.excludeFiles || null,
+      scope: detection.scope === 'file' ? 'file' : 'diff',
+      type: rule.type || String(incident.id).toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+      severity: rule.severity || incident.severity || 'MEDIUM',
+      bucket: BUCKETS.includes(rule.bucket) ? rule.bucket : 'violations',
+      label: rule.label || title,
+      message: rule.message || `⚠️  ${String(title).toUpperCase()} DETECTED`,
+      details: rule.details || incident.description || `Matched incident pattern: ${title}`,
+      law: rule.law || incident.law || title,
+      suggestedFix: rule.suggestedFix || incident.suggestedFix || null,
+      fix: rule.fix || null,
+      financialImpact: incident.financialImpact || null
+    };
+
+    this.compiled.set(incident, compiled);
+    return compiled;
+  }
+
+  /**
+   * Check if an incident defines anything the engine can evaluate
+   * @param {object} incident - Incident document
+   */
+  isEvaluable(incident) {
+    const rule = this.compile(incident);
+    return rule.textPatterns.length > 0 ||
+           rule.requiredEvidence.length > 0 ||
+           rule.requiredElements.length > 0;
+  }
+
+  /**
+   * Check if an incident only asks for evidence (no patterns that find the problem itself),
+   * so what it judges is whether the change says how it was tested - the commit message
+   * @param {object} incident - Incident document
+   */
+  isEvidenceOnly(incident) {
+    const rule = this.compile(incident);
+    return rule.requiredEvidence.length > 0 &&
+           rule.textPatterns.length === 0 &&
+           rule.requiredElements.length === 0;
+  }
+
+  /**
+   * Check if a rule's file scope applies to the current context
+   */
+  appliesTo(rule, context) {
+    if (rule.files) {
+      if (!context.file || !matchesAny(context.file, rule.files)) return false;
+    }
+    if (rule.excludeFiles && context.file && matchesAny(context.file, rule.excludeFiles)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Evaluate an incident rule against text
+   * @param {object} incident - Incident document
+   * @param {string} text - Text/diff to analyze
+   * @param {object} context - Analysis context (file, commit, etc.)
+   * @param {object} source - Optional { content } whole-file text for file-scoped rules
+   * @returns {object|null} { bucket, finding, match } or null when the rule does not fire
+   */
+  evaluate(incident, text, context = {}, source = {}) {
+    const rule = this.compile(incident);
+
+    if (!this.isEvaluable(incident) || !this.appliesTo(rule, context)) {
+      return null;
+    }
+
+    // File-scoped rules judge the whole file, not just the added lines
+    const scope = rule.scope === 'file' && typeof source.content === 'string' ? 'file' : 'diff';
+    if (scope === 'file') {
+      text = source.content;
+    }
+
+    const matches = pattern => this.execPattern(incident, pattern, text) !== null;
+    const guarding = () => [...rule.exclusions, ...rule.requiredEvidence, ...rule.requiredElements]
+      .some(pattern => pattern.disabled);
+
+    // Exception: the correct approach is present
+    if (guarding() || rule.exclusions.some(matches)) {
+      return null;
+    }
+
+    let match = null;
+    if (rule.textPatterns.length > 0) {
+      for (const pattern of rule.textPatterns) {
+        const result = this.execPattern(incident, pattern, text);
+        if (result) {
+          match = { index: result.index, text: result.text, input: text, scope };
+          break;
+        }
+      }
+      if (!match) return null;
+    }
+
+    if (rule.requiredEvidence.some(matches)) {
+      return null;
+    }
+
+    const missing = rule.requiredElements
+      .filter(element => !matches(element))
+      .map(element => element.name);
+    if (rule.requiredElements.length > 0 && missing.length === 0) {
+      return null;
+    }
+
+    // A guard pattern that ran out of time cannot vouch for the code either way
+    if (guarding()) {
+      return null;
+    }
+
+    const { bucket, finding } = this.createFinding(incident, context, { missing: missing.join(', ') });
+    return { bucket, finding, match };
+  }
+
+  /**
+   * Build a finding from an incident's rule metadata
+   * @param {object} incident - Incident document
+   * @param {object} context - Analysis context
+   * @param {object} values - Placeholder values for {{name}} in message/details/suggestedFix
+   * @returns {object} { bucket, finding }
+   */
+  createFinding(incident, context = {}, values = {}) {
+    const rule = this.compile(incident);
+
+    const finding = {
+      type: rule.type,
+      severity: rule.severity,
+      incident: rule.label,
+      incidentId: rule.id,
+      message: this.interpolate(rule.message, values),
+      details: this.interpolate(rule.details, values)
+    };
+
+    if (rule.financialImpact) {
+      finding.financialRisk = {
+        min: rule.financialImpact.min,
+        max: rule.financialImpact.max,
+        proven: rule.financialImpact.proven
+      };
+    }
+
+    finding.law = rule.law;
+    if (rule.suggestedFix) {
+      finding.suggestedFix = this.interpolate(rule.suggestedFix, values);
+    }
+    if (rule.fix) {
+      finding.fix = rule.fix;
+    }
+    finding.context = context;
+
+    return { bucket: rule.bucket, finding };
+  }
+
+  /**
+   * Replace {{name}} placeholders in rule text
+   */
+  interpolate(template, values) {
+    return String(template).replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      values[key] !== undefined ? values[key] : placeholder
+    );
+  }
+}
+
+/**
+ * Merge an incident override (local file or Central Brain) onto a base incident.
+ * Detection and rule sections merge field-by-field so a Central Brain payload that
+ * only ships textPatterns keeps the built-in messages, and vice versa.
+ */
+function mergeIncident(base, override) {
+  if (!base) return override;
+  if (!override) return base;
+
+  const basePattern = base.pattern || {};
+  const overridePattern = override.pattern || {};
+
+  return {
+    ...base,
+    ...override,
+    pattern: {
+      ...basePattern,
+      ...overridePattern,
+      detection: {
+        ...(basePattern.detection || {}),
+        ...(overridePattern.detection || {})
+      }
+    },
+    rule: {
+      ...(base.rule || {}),
+      ...(override.rule || {})
+    }
+  };
+}
+
+module.exports = RuleEngine;
+module.exports.mergeIncident = mergeIncident;
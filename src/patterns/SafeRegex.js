@@ -0,0 +1,184 @@
+/**
+ * Judge Dredd Agent - Safe Regex Execution
+ * Incident patterns come from Central Brain and local files and run against diffs that can be
+ * megabytes long - a hostile or sloppy pattern must not hang a pre-commit hook.
+ *
+ *   screenPattern() - static screen for catastrophic-backtracking shapes (nested quantifiers)
+ *   RegexExecutor   - runs patterns in a worker thread with a per-pattern time budget; the
+ *                     calling thread blocks on Atomics.wait, so evaluation stays synchronous
+ */
+
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+/**
+ * Whether a quantifier token can repeat without bound (*, +, {n,})
+ */
+function isUnbounded(quantifier) {
+  return /^[*+]|^\{\d+,\}/.test(quantifier);
+}
+
+/**
+ * Screen a pattern for shapes that backtrack catastrophically, like (a+)+, (\w*\s?)* or (.*)*
+ * @param {string} source - Pattern source
+ * @returns {string|null} Problem description, or null when the pattern looks safe
+ */
+function screenPattern(source) {
+  // One frame per open group: does it contain an unbounded quantifier?
+  const groups = [{ start: 0, unbounded: false }];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i += 2;
+    } else if (char === '[') {
+      // Character class - skip to the closing bracket
+      i++;
+      if (source[i] === '^') i++;
+      if (source[i] === ']') i++;
+      while (i < source.length && source[i] !== ']') {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+    } else if (char === '(') {
+      groups.push({ start: i, unbounded: false });
+      i++;
+      continue;
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : groups[0];
+      i++;
+      const quantifier = (source.slice(i).match(QUANTIFIER) || [''])[0];
+      if (quantifier && isUnbounded(quantifier) && group.unbounded) {
+        return `nested quantifier ${source.slice(group.start, i + quantifier.length)} can backtrack catastrophically`;
+      }
+      if (group.unbounded || isUnbounded(quantifier)) {
+        groups[groups.length - 1].unbounded = true;
+      }
+      i += quantifier.length;
+      continue;
+    } else {
+      i++;
+    }
+
+    // Quantifier applied to the atom just consumed
+    const quantifier = (source.slice(i).match(QUANTIFIER) || [''])[0];
+    if (quantifier) {
+      if (isUnbounded(quantifier)) {
+        groups[groups.length - 1].unbounded = true;
+      }
+      i += quantifier.length;
+    }
+  }
+
+  return null;
+}
+
+// How long a worker may take to start (its startup never counts against a pattern's budget)
+const STARTUP_TIMEOUT_MS = 10000;
+
+/**
+ * Runs regexes off the main thread with a time budget. A pattern that exceeds its budget is
+ * reported by the caller and disabled for the run; the stuck worker is terminated and a fresh
+ * one is started for the next pattern.
+ */
+class RegexExecutor {
+  /**
+   * @param {object} options - { timeoutMs } budget per pattern execution
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 250;
+    this.worker = null;
+  }
+
+  /**
+   * Start the worker (lazily, and again after a timeout) and wait until it is ready, so the
+   * time budget of the next pattern only measures the pattern
+   * @throws {Error} When the worker does not come up
+   */
+  start() {
+    const channel = new MessageChannel();
+    this.signal = new Int32Array(new SharedArrayBuffer(4));
+    this.port = channel.port1;
+    this.sentText = null;
+    this.worker = new Worker(path.join(__dirname, 'regexWorker.js'), {
+      workerData: { signal: this.signal.buffer, port: channel.port2 },
+      transferList: [channel.port2]
+    });
+    this.worker.unref();
+    this.port.unref();
+
+    // The worker raises the signal once its message handler is installed
+    if (Atomics.wait(this.signal, 0, 0, STARTUP_TIMEOUT_MS) === 'timed-out') {
+      this.stop();
+      throw new Error(`Regex worker did not start within ${STARTUP_TIMEOUT_MS}ms`);
+    }
+  }
+
+  /**
+   * Stop the worker (a new one starts on the next exec)
+   */
+  stop() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.port.close();
+    this.worker = null;
+  }
+
+  /**
+   * Execute a compiled pattern against text within the time budget
+   * @param {RegExp} regex - Compiled pattern (source and flags are sent to the worker)
+   * @param {string} text - Text to search
+   * @returns {object} { match: { index, text } | null } or { timedOut: true }
+   */
+  exec(regex, text) {
+    const reply = this.run(regex, text, {});
+    return reply.timedOut ? reply : { match: reply.match };
+  }
+
+  /**
+   * Replace matches of a compiled pattern within the time budget (String.prototype.replace:
+   * the first match, or every match with the g flag; $1 and friends work in the replacement)
+   * @returns {object} { result: string } or { timedOut: true }
+   */
+  replace(regex, text, replacement) {
+    const reply = this.run(regex, text, { replacement: String(replacement) });
+    return reply.timedOut ? reply : { result: reply.result };
+  }
+
+  /**
+   * Send one operation to the worker and wait for its reply within the time budget
+   */
+  run(regex, text, operation) {
+    if (!this.worker) this.start();
+
+    // The text is sent once and reused by every pattern evaluated against it
+    const message = { source: regex.source, flags: regex.flags, ...operation };
+    if (text !== this.sentText) {
+      message.text = text;
+      this.sentText = text;
+    }
+
+    Atomics.store(this.signal, 0, 0);
+    this.worker.postMessage(message);
+
+    if (Atomics.wait(this.signal, 0, 0, this.timeoutMs) === 'timed-out') {
+      this.stop();
+      return { timedOut: true };
+    }
+
+    const reply = receiveMessageOnPort(this.port);
+    if (!reply || reply.message.error) {
+      throw new Error(`Pattern /${regex.source}/ failed: ${reply ? reply.message.error : 'no result from worker'}`);
+    }
+    return reply.message;
+  }
+}
+
+module.exports = {
+  screenPattern,
+  RegexExecutor
+};
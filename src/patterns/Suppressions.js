@@ -0,0 +1,79 @@
+/**
+ * Judge Dredd Agent - Inline Suppressions
+ * Parses `dredd-ignore` comments that acknowledge a specific finding in code
+ *
+ * Syntax (any comment style):
+ *   // dredd-ignore issue-32: reason=legacy proxy until 2026-12-01
+ *   # dredd-ignore alpine-base-image: reason=vendor image, tracked in #120
+ *
+ * A suppression applies to its own line and the next line only, and only to the
+ * named incident. Suppressions without a reason or past their expiry are invalid.
+ */
+
+const DIRECTIVE = /dredd-ignore\s+([A-Za-z0-9_.#-]+)(?::?\s*(.*))?$/;
+const REASON = /reason\s*=\s*(.*?)(?:\s+until\s+(\d{4}-\d{2}-\d{2}))?\s*$/i;
+const COMMENT_CLOSE = /\s*(?:-->|\*\/)\s*$/;
+
+/**
+ * Parse suppression directives from numbered lines
+ * @param {Array} lines - [{ number, content }]
+ * @param {Date} now - Reference date for expiry checks
+ * @returns {Array} [{ line, incident, reason, until, valid, problem, text }]
+ */
+function parseSuppressions(lines, now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  const suppressions = [];
+
+  for (const { number, content } of lines) {
+    const directive = content.replace(COMMENT_CLOSE, '').match(DIRECTIVE);
+    if (!directive) continue;
+
+    const suppression = {
+      line: number,
+      incident: directive[1],
+      reason: null,
+      until: null,
+      valid: true,
+      problem: null,
+      text: content.trim()
+    };
+
+    const reason = (directive[2] || '').match(REASON);
+    if (reason && reason[1].trim()) {
+      suppression.reason = reason[1].trim();
+      suppression.until = reason[2] || null;
+    }
+
+    if (!suppression.reason) {
+      suppression.valid = false;
+      suppression.problem = 'MISSING_REASON';
+    } else if (suppression.until && suppression.until < today) {
+      suppression.valid = false;
+      suppression.problem = 'EXPIRED';
+    }
+
+    suppressions.push(suppression);
+  }
+
+  return suppressions;
+}
+
+/**
+ * Find the suppression covering a finding (same line or the line above it)
+ * @param {object} finding - Finding with location and incidentId/type
+ * @param {Array} suppressions - Parsed suppressions for the finding's file
+ */
+function findSuppression(finding, suppressions) {
+  const line = finding.location && finding.location.line;
+  if (!line) return null;
+
+  return suppressions.find(s =>
+    (s.line === line || s.line === line - 1) &&
+    (s.incident === finding.incidentId || s.incident === finding.type)
+  ) || null;
+}
+
+module.exports = {
+  parseSuppressions,
+  findSuppression
+};
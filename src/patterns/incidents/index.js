@@ -0,0 +1,30 @@
+/**
+ * Judge Dredd Agent - Built-in Incident Definitions
+ * Base layer for THE LAW. Local and Central Brain incidents override these by id.
+ */
+
+module.exports = {
+  'issue-43': require('./issue-43.json'),
+  'issue-32': require('./issue-32.json'),
+  'issue-41': require('./issue-41.json'),
+  'dayman-nightman-theme': require('./dayman-nightman-theme.json'),
+  'alpine-base-image': require('./alpine-base-image.json'),
+  'docker-amd64-platform': require('./docker-amd64-platform.json'),
+  'live-data-law': require('./live-data-law.json'),
+  'git-directory-breakout': require('./git-directory-breakout.json'),
+  'dockerfile-root-user': require('./dockerfile-root-user.json'),
+  'dockerfile-latest-tag': require('./dockerfile-latest-tag.json'),
+  'dockerfile-npm-install-no-lockfile': require('./dockerfile-npm-install-no-lockfile.json'),
+  'workflow-permissions-weakened': require('./workflow-permissions-weakened.json'),
+  'workflow-pull-request-target': require('./workflow-pull-request-target.json'),
+  'secrets-known-format': require('./secrets-known-format.json'),
+  'secrets-high-entropy': require('./secrets-high-entropy.json'),
+  'secrets-env-file': require('./secrets-env-file.json'),
+  'dependency-install-script': require('./dependency-install-script.json'),
+  'dependency-url-source': require('./dependency-url-source.json'),
+  'dependency-typosquat': require('./dependency-typosquat.json'),
+  'kev-zero-tolerance': require('./kev-zero-tolerance.json'),
+  'iac-enterprise-sprawl': require('./iac-enterprise-sprawl.json'),
+  'iac-cost-increase': require('./iac-cost-increase.json'),
+  'dredd-config-weakened': require('./dredd-config-weakened.json')
+};
@@ -0,0 +1,46 @@
+/**
+ * Judge Dredd Agent - Regex Worker
+ * Executes incident patterns for RegexExecutor (see SafeRegex). Replies on the transferred
+ * port, then wakes the waiting thread through the shared signal. The signal is also raised
+ * once at startup, when the worker is ready for its first pattern.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+const signal = new Int32Array(workerData.signal);
+const port = workerData.port;
+const compiled = new Map();
+let text = '';
+
+parentPort.on('message', (message) => {
+  if (typeof message.text === 'string') {
+    text = message.text;
+  }
+
+  let reply;
+  try {
+    const key = `${message.flags}/${message.source}`;
+    if (!compiled.has(key)) {
+      compiled.set(key, new RegExp(message.source, message.flags));
+    }
+    const regex = compiled.get(key);
+    regex.lastIndex = 0;
+
+    if (typeof message.replacement === 'string') {
+      reply = { result: text.replace(regex, message.replacement) };
+    } else {
+      const match = regex.exec(text);
+      reply = { match: match ? { index: match.index, text: match[0] } : null };
+    }
+  } catch (error) {
+    reply = { error: error.message };
+  }
+
+  port.postMessage(reply);
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+});
+
+// Ready: RegexExecutor.start() is waiting for this before any pattern is timed
+Atomics.store(signal, 0, 1);
+Atomics.notify(signal, 0);
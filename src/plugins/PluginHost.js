@@ -0,0 +1,223 @@
+/**
+ * Judge Dredd Agent - Plugin Host
+ * Runs organization-specific rule packs (approved base images, banned SDKs, license
+ * headers...) listed in `.dreddrc` under `plugins` - npm module names or local JS files.
+ *
+ * A plugin is a CommonJS module exporting:
+ *
+ *   module.exports = {
+ *     name: 'acme-laws',
+ *     async init(run) {},                   // once per run: { cwd, source }
+ *     async analyzeFile(file, context) {},  // per changed file -> findings
+ *     async finalize(summary) {}            // once, after every file: { files, violations, warnings } -> findings
+ *   };
+ *
+ * Every hook is optional (analyzeFile or finalize is required) and may be async. A finding has
+ * the shape PatternDetector produces: { type, severity, message, details, law, suggestedFix,
+ * location: { file, line, column, lineText }, bucket: 'violations' | 'warnings' }.
+ *
+ * A plugin that throws never takes `dredd review` down: the error is recorded in `errors`
+ * and reported. A plugin that fails to load or init is skipped for the run; a failing
+ * analyzeFile skips that file only.
+ */
+
+const path = require('path');
+const config = require('../utils/config');
+
+const BUCKETS = ['violations', 'warnings'];
+const FINDING_FIELDS = ['type', 'severity', 'message', 'details', 'law', 'suggestedFix'];
+
+class PluginHost {
+  /**
+   * @param {string[]} specifiers - npm module names or absolute paths (config.plugins)
+   * @param {object} options - { cwd } npm modules resolve from here (defaults to process.cwd())
+   */
+  constructor(specifiers = config.plugins, options = {}) {
+    this.specifiers = specifiers || [];
+    this.cwd = options.cwd || process.cwd();
+    this.plugins = null;
+    this.active = [];
+    this.errors = [];
+  }
+
+  /**
+   * Require every plugin (once); modules that fail to load are recorded and skipped
+   */
+  load() {
+    if (this.plugins) return this.plugins;
+    this.plugins = [];
+
+    for (const specifier of this.specifiers) {
+      const fallbackName = path.basename(specifier, path.extname(specifier));
+      try {
+        const resolved = path.isAbsolute(specifier)
+          ? require.resolve(specifier)
+          : require.resolve(specifier, { paths: [this.cwd] });
+        let exported = require(resolved);
+        if (exported && exported.default && typeof exported.default === 'object') {
+          exported = exported.default;
+        }
+
+        if (!exported || typeof exported !== 'object') {
+          throw new Error('must export an object with analyzeFile and/or finalize');
+        }
+        if (typeof exported.analyzeFile !== 'function' && typeof exported.finalize !== 'function') {
+          throw new Error('exports neither analyzeFile nor finalize');
+        }
+
+        this.plugins.push({
+          name: typeof exported.name === 'string' && exported.name ? exported.name : fallbackName,
+          specifier,
+          module: exported
+        });
+      } catch (error) {
+        this.recordError({ name: fallbackName, specifier }, 'load', null, error);
+      }
+    }
+
+    return this.plugins;
+  }
+
+  /**
+   * Start a run: load plugins and call init. Plugins whose init throws sit the run out.
+   * @param {object} run - { cwd, source } passed to init
+   */
+  async init(run = {}) {
+    const plugins = this.load();
+    this.errors = this.errors.filter(error => error.hook === 'load');
+    this.active = [];
+
+    for (const plugin of plugins) {
+      if (await this.call(plugin, 'init', null, { cwd: this.cwd, ...run })) {
+        this.active.push(plugin);
+      }
+    }
+  }
+
+  /**
+   * Run every active plugin on one file
+   * @param {object} file - { path, oldPath, status, hunks, addedLines, content, original, classification }
+   * @param {object} context - Analysis context (file, source, commit...)
+   * @returns {Array} [{ bucket, finding }]
+   */
+  async analyzeFile(file, context) {
+    const results = [];
+
+    for (const plugin of this.active) {
+      if (typeof plugin.module.analyzeFile !== 'function') continue;
+
+      const returned = await this.call(plugin, 'analyzeFile', file.path, file, context);
+      if (returned) results.push(...this.normalize(plugin, 'analyzeFile', returned.value, context));
+    }
+
+    return results;
+  }
+
+  /**
+   * End the run: call every active plugin's finalize
+   * @param {object} summary - { files, violations, warnings }
+   * @returns {Array} [{ bucket, finding }]
+   */
+  async finalize(summary) {
+    const results = [];
+
+    for (const plugin of this.active) {
+      if (typeof plugin.module.finalize !== 'function') continue;
+
+      const returned = await this.call(plugin, 'finalize', null, summary);
+      if (returned) results.push(...this.normalize(plugin, 'finalize', returned.value, {}));
+    }
+
+    this.active = [];
+    return results;
+  }
+
+  /**
+   * Call a hook, isolating its errors
+   * @returns {object|null} { value } - the hook's result - or null when it threw
+   */
+  async call(plugin, hook, file, ...args) {
+    if (typeof plugin.module[hook] !== 'function') return { value: undefined };
+
+    try {
+      return { value: await plugin.module[hook](...args) };
+    } catch (error) {
+      this.recordError(plugin, hook, file, error);
+      return null;
+    }
+  }
+
+  /**
+   * Validate and normalize the findings a hook returned (invalid ones are reported, not kept)
+   * @returns {Array} [{ bucket, finding }]
+   */
+  normalize(plugin, hook, findings, context) {
+    if (findings === undefined || findings === null) return [];
+    if (!Array.isArray(findings)) {
+      this.recordError(plugin, hook, context.file, new Error('must return an array of findings'));
+      return [];
+    }
+
+    const results = [];
+    findings.forEach((returned, i) => {
+      const problem = this.findingProblem(returned);
+      if (problem) {
+        this.recordError(plugin, hook, context.file, new Error(`finding [${i}] ${problem}`));
+        return;
+      }
+
+      const finding = {};
+      for (const field of FINDING_FIELDS) {
+        if (returned[field] !== undefined) finding[field] = returned[field];
+      }
+      const location = returned.location || {};
+      finding.location = {
+        file: location.file || context.file || null,
+        line: location.line || null,
+        column: location.column || null,
+        lineText: location.lineText || null
+      };
+      finding.plugin = plugin.name;
+      finding.context = context;
+
+      results.push({ bucket: returned.bucket || 'violations', finding });
+    });
+
+    return results;
+  }
+
+  /**
+   * Why a returned finding is unusable (null when it is fine)
+   */
+  findingProblem(finding) {
+    if (!finding || typeof finding !== 'object') return 'must be an object';
+    if (typeof finding.type !== 'string' || !finding.type) return 'type must be a non-empty string';
+    if (typeof finding.message !== 'string' || !finding.message) return 'message must be a non-empty string';
+    if (!config.severity[finding.severity]) {
+      return `severity must be one of ${Object.keys(config.severity).join(', ')} (got ${JSON.stringify(finding.severity)})`;
+    }
+    if (finding.bucket !== undefined && !BUCKETS.includes(finding.bucket)) {
+      return `bucket must be one of ${BUCKETS.join(', ')}`;
+    }
+    if (finding.location !== undefined && (!finding.location || typeof finding.location !== 'object')) {
+      return 'location must be an object { file, line, column, lineText }';
+    }
+    return null;
+  }
+
+  /**
+   * Record a plugin error for reporting
+   */
+  recordError(plugin, hook, file, error) {
+    this.errors.push({
+      plugin: plugin.name,
+      specifier: plugin.specifier,
+      hook,
+      file: file || null,
+      // First line only - module resolution errors append the whole require stack
+      message: (error && error.message ? error.message : String(error)).split('\n')[0]
+    });
+  }
+}
+
+module.exports = PluginHost;
@@ -1,9 +1,14 @@
 /**
  * Judge Dredd Agent - Configuration
+ * Built-in defaults. Home, project (.dreddrc), environment and CLI layers are merged
+ * onto this object at startup by utils/configLoader.
  */
 
 const path = require('path');
 
+// Deleted lines that take a security step out of a workflow or agent instructions
+const SECURITY_STEPS = ['judge-dredd', 'security.*pipeline', 'sbom', 'kev', 'haveibeenpwned'];
+
 const config = {
   // File watching patterns
   watchPatterns: [
@@ -34,6 +39,58 @@ const config = {
   // Debounce milliseconds
   debounceMs: 500,
 
+  // Incident pattern execution (see patterns/SafeRegex)
+  patterns: {
+    timeBudgetMs: 250
+  },
+
+  // Cost law: projected monthly increase that counts as high cost (see iac/IacAnalyzer)
+  cost: {
+    monthlyThreshold: 500
+  },
+
+  // Incident policy
+  incidents: {
+    enabled: null,   // allowlist of incident ids (null = all)
+    disabled: []
+  },
+  severityOverrides: {},
+
+  // Security-sensitive files (changes to these are security control changes): globs, or
+  // { path, removal } where removal declares what counts as removing the control
+  // (see git/SensitivePaths)
+  sensitivePaths: [
+    { path: '**/scripts/judge-dredd.js', removal: { fileDeleted: true, deletedLines: 'any' } },
+    { path: '**/.github/workflows/deploy.yml', removal: { fileDeleted: true, deletedLines: SECURITY_STEPS } },
+    { path: '**/.github/workflows/sbom-security-pipeline.yml', removal: { fileDeleted: true, deletedLines: 'any' } },
+    { path: '**/.github/workflows/azure-governance-check.yml', removal: { fileDeleted: true, deletedLines: SECURITY_STEPS } },
+    { path: '**/CLAUDE.md', removal: { fileDeleted: true, deletedLines: SECURITY_STEPS } },
+    { path: '**/.dreddrc.*', removal: { fileDeleted: true, deletedLines: 'any' } }
+  ],
+
+  // CODEOWNERS paths owned by a security team are sensitive too
+  codeowners: {
+    securityOwners: 'security|appsec|secops'   // owners (@org/team or email) that are security teams
+  },
+
+  // Commit message policy (see git/CommitMessagePolicy)
+  commitMessages: {
+    conventional: false,   // enforce Conventional Commits subjects
+    types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+    issuePattern: '#\\d+|\\b[A-Z][A-Z0-9]+-\\d+\\b'   // GitHub (#41) or tracker keys (SEC-123)
+  },
+
+  // Git hooks written by `dredd hooks install` (see hooks/HookInstaller): severities that
+  // fail each hook (null = severity.blocking)
+  hooks: {
+    preCommit: { blocking: null },
+    commitMsg: { blocking: null },
+    prePush: { blocking: null }
+  },
+
+  // Organization rule packs (see plugins/PluginHost): npm module names or local JS files
+  plugins: [],
+
   // Git settings
   git: {
     defaultCommitCount: 10
@@ -44,6 +101,7 @@ const config = {
     root: path.resolve(__dirname, '../..'),
     incidents: path.resolve(__dirname, '../../compliance/learning/incidents'),
     evidence: path.resolve(__dirname, '../../compliance/evidence'),
+    kev: path.resolve(__dirname, '../../compliance/kev'),
     agentState: path.resolve(__dirname, '../../compliance/agent-state')
   },
 
@@ -0,0 +1,105 @@
+/**
+ * Judge Dredd Agent - Configuration Analyzer
+ * Checks on project configuration (.dreddrc.*) changes, referenced by incidents via
+ * `pattern.detection.config`
+ *
+ * Each check receives the settings the project file puts in force before and after the change
+ * (the defaults for keys it does not set, and for a file that is new or deleted) plus the new
+ * content, and returns hits: [{ line, lineText, values }]
+ */
+
+const path = require('path');
+const { DEFAULTS, PROJECT_FILES, parseLayer } = require('./configLoader');
+
+/**
+ * Is this a project configuration file?
+ */
+function isProjectConfig(file) {
+  return PROJECT_FILES.includes(path.posix.basename(String(file || '')));
+}
+
+/**
+ * Settings a project configuration puts in force
+ * @param {string|null} content - File content (null when there is no file)
+ * @param {string} file - Its path (the extension picks JSON or YAML)
+ * @returns {object|null} { key: value } over the defaults, or null when the content is invalid
+ */
+function parseProjectConfig(content, file) {
+  if (typeof content !== 'string') return { ...DEFAULTS };
+  try {
+    return { ...DEFAULTS, ...parseLayer(file, file, content).values };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Locate the first line mentioning one of the needles (a value, then its setting)
+ */
+function findLine(content, needles) {
+  const lines = String(content || '').split('\n');
+  for (const needle of needles) {
+    const index = lines.findIndex(line => line.includes(needle));
+    if (index !== -1) return { line: index + 1, lineText: lines[index] };
+  }
+  return { line: null, lineText: null };
+}
+
+const CHECKS = {
+  /**
+   * Changes that enforce less: severities that no longer fail a review, incidents switched
+   * off, files no longer analyzed, and rule packs that now run inside the review
+   */
+  'policy-weakened'(before, after, content) {
+    if (!after) return [];
+    const hits = [];
+    const hit = (setting, change, value) => hits.push({
+      ...findLine(content, [value, setting.split('.').pop()].filter(Boolean)),
+      values: { setting, change }
+    });
+    const added = key => after[key].filter(value => !before[key].includes(value));
+
+    for (const severity of before['severity.blocking']) {
+      if (!after['severity.blocking'].includes(severity)) hit('severity.blocking', `${severity} findings no longer fail a review`);
+    }
+    for (const id of added('incidents.disabled')) {
+      hit('incidents.disabled', `disables ${id}`, id);
+    }
+    const enabled = after['incidents.enabled'];
+    if (enabled && !before['incidents.enabled']) {
+      hit('incidents.enabled', `enforces only ${enabled.length ? enabled.join(', ') : 'no incidents'}`);
+    } else if (enabled) {
+      for (const id of before['incidents.enabled'].filter(id => !enabled.includes(id))) {
+        hit('incidents.enabled', `no longer enforces ${id}`);
+      }
+    }
+    for (const pattern of added('ignorePatterns')) {
+      hit('ignorePatterns', `ignores ${pattern}`, pattern);
+    }
+    for (const plugin of added('plugins')) {
+      hit('plugins', `loads ${plugin}`, path.basename(plugin));
+    }
+
+    return hits;
+  }
+};
+
+/**
+ * Run a named configuration check
+ * @param {string} check - Check name (from pattern.detection.config)
+ * @param {object} before - parseProjectConfig() of the old version
+ * @param {object|null} after - parseProjectConfig() of the new version
+ * @param {string} content - New file content (for line numbers)
+ * @returns {Array} Hits (empty for unknown checks so newer incidents degrade gracefully)
+ */
+function runConfigCheck(check, before, after, content) {
+  const run = CHECKS[check];
+  return run ? run(before, after, content) : [];
+}
+
+module.exports = {
+  isProjectConfig,
+  parseProjectConfig,
+  runConfigCheck,
+  checks: Object.keys(CHECKS)
+};
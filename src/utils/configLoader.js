@@ -0,0 +1,453 @@
+/**
+ * Judge Dredd Agent - Layered Configuration
+ * Merges policy settings onto the built-in defaults (utils/config), later layers winning:
+ *
+ *   1. defaults     - utils/config
+ *   2. home         - ~/.dredd/config (JSON or YAML)
+ *   3. project      - .dreddrc.json / .dreddrc.yml / .dreddrc.yaml (nearest, up to the repository root)
+ *   4. environment  - DREDD_<KEY> (e.g. DREDD_SEVERITY_BLOCKING=CRITICAL,HIGH)
+ *   5. CLI flags    - -c <key>=<value> (e.g. -c incidents.disabled=issue-41)
+ *
+ * Every layer is validated against SCHEMA. Objects merge key by key, arrays and scalars
+ * replace, and severity.overrides merges per incident. Relative paths resolve against the
+ * directory of the file that declares them (the working directory for env and flags).
+ *
+ * A change must not switch off its own review, so reviews of staged changes, ranges and pushes
+ * read the project layer from the revision the change starts from (see `project` in buildLayers).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const config = require('./config');
+
+const SEVERITIES = Object.keys(config.severity);
+const PROJECT_FILES = ['.dreddrc.json', '.dreddrc.yml', '.dreddrc.yaml'];
+
+/**
+ * Settings teams can configure (user-facing key → type)
+ *   ids        - incident ids
+ *   severities - severity names
+ *   overrides  - { incidentId: severity }
+ *   path       - directory
+ *   globs      - file globs
+ *   integer    - positive integer
+ *   boolean    - true or false
+ *   pattern    - regular expression source
+ *   modules    - npm module names or JS file paths (./, ../, / or ~)
+ *   sensitivePaths - globs, or { path, removal: { fileDeleted, deletedLines } } (see git/SensitivePaths)
+ */
+const SCHEMA = {
+  'incidents.enabled': { type: 'ids', nullable: true, description: 'Only these incidents are enforced (null = all)' },
+  'incidents.disabled': { type: 'ids', description: 'Incidents that are never enforced' },
+  'severity.overrides': { type: 'overrides', description: 'Severity per incident id' },
+  'severity.blocking': { type: 'severities', description: 'Severities that fail dredd review' },
+  'paths.incidents': { type: 'path', description: 'Local incident documents' },
+  'paths.evidence': { type: 'path', description: 'Compliance evidence' },
+  'paths.kev': { type: 'path', description: 'KEV snapshot and advisories' },
+  'paths.agentState': { type: 'path', description: 'Agent state' },
+  'sensitivePaths': { type: 'sensitivePaths', description: 'Security-sensitive files and what counts as removing them' },
+  'codeowners.securityOwners': { type: 'pattern', description: 'CODEOWNERS owners that are security teams' },
+  'ignorePatterns': { type: 'globs', description: 'Files never analyzed' },
+  'patterns.timeBudgetMs': { type: 'integer', description: 'Time budget per pattern execution' },
+  'cost.monthlyThreshold': { type: 'integer', description: 'Projected monthly cost increase (USD) that is flagged' },
+  'commitMessages.conventional': { type: 'boolean', description: 'Enforce Conventional Commits subjects' },
+  'commitMessages.types': { type: 'ids', description: 'Conventional Commits types' },
+  'commitMessages.issuePattern': { type: 'pattern', description: 'Issue reference security-sensitive commits need' },
+  'hooks.preCommit.blocking': { type: 'severities', nullable: true, description: 'Severities that fail the pre-commit hook (null = severity.blocking)' },
+  'hooks.commitMsg.blocking': { type: 'severities', nullable: true, description: 'Severities that fail the commit-msg hook (null = severity.blocking)' },
+  'hooks.prePush.blocking': { type: 'severities', nullable: true, description: 'Severities that fail the pre-push hook (null = severity.blocking)' },
+  'plugins': { type: 'modules', description: 'Organization rule packs (npm modules or JS files)' }
+};
+
+/**
+ * Environment variable for a key (severity.blocking → DREDD_SEVERITY_BLOCKING)
+ */
+function envName(key) {
+  return 'DREDD_' + key.replace(/([a-z])([A-Z])/g, '$1_$2').replace(/\./g, '_').toUpperCase();
+}
+
+/**
+ * User-facing settings currently in force in utils/config
+ */
+function currentSettings() {
+  return {
+    'incidents.enabled': config.incidents.enabled,
+    'incidents.disabled': config.incidents.disabled,
+    'severity.overrides': config.severityOverrides,
+    'severity.blocking': SEVERITIES.filter(severity => config.severity[severity].blocking),
+    'paths.incidents': config.paths.incidents,
+    'paths.evidence': config.paths.evidence,
+    'paths.kev': config.paths.kev,
+    'paths.agentState': config.paths.agentState,
+    'sensitivePaths': config.sensitivePaths,
+    'codeowners.securityOwners': config.codeowners.securityOwners,
+    'ignorePatterns': config.ignorePatterns,
+    'patterns.timeBudgetMs': config.patterns.timeBudgetMs,
+    'cost.monthlyThreshold': config.cost.monthlyThreshold,
+    'commitMessages.conventional': config.commitMessages.conventional,
+    'commitMessages.types': config.commitMessages.types,
+    'commitMessages.issuePattern': config.commitMessages.issuePattern,
+    'hooks.preCommit.blocking': config.hooks.preCommit.blocking,
+    'hooks.commitMsg.blocking': config.hooks.commitMsg.blocking,
+    'hooks.prePush.blocking': config.hooks.prePush.blocking,
+    'plugins': config.plugins
+  };
+}
+
+// Built-in defaults, captured before any layer is applied
+const DEFAULTS = structuredClone(currentSettings());
+
+/**
+ * Flatten a layer document to { 'a.b': value } following SCHEMA
+ * @throws {Error} On keys the schema does not know
+ */
+function flatten(document, prefix = '') {
+  const flat = {};
+
+  for (const [name, value] of Object.entries(document)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (SCHEMA[key]) {
+      flat[key] = value;
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+               Object.keys(SCHEMA).some(known => known.startsWith(`${key}.`))) {
+      Object.assign(flat, flatten(value, key));
+    } else {
+      const known = Object.keys(SCHEMA).filter(k => k.startsWith(prefix ? `${prefix}.` : ''));
+      throw new Error(`${key}: unknown setting (known: ${known.join(', ')})`);
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * Validate (and normalize) one setting
+ * @param {string} key - Setting key
+ * @param {*} value - Value from a layer
+ * @param {string} baseDir - Directory relative paths resolve against
+ * @returns {*} Normalized value
+ * @throws {Error} With the exact key at fault
+ */
+function validateSetting(key, value, baseDir) {
+  const { type, nullable } = SCHEMA[key];
+  const fail = message => { throw new Error(`${key}: ${message}`); };
+
+  if (value === null && nullable) return null;
+
+  const stringList = () => {
+    if (!Array.isArray(value)) fail('must be an array');
+    value.forEach((item, i) => {
+      if (typeof item !== 'string' || item === '') fail(`[${i}] must be a non-empty string`);
+    });
+    return value;
+  };
+
+  switch (type) {
+    case 'ids':
+    case 'globs':
+      return stringList();
+    case 'severities':
+      stringList().forEach((severity, i) => {
+        if (!SEVERITIES.includes(severity)) fail(`[${i}] must be one of ${SEVERITIES.join(', ')} (got "${severity}")`);
+      });
+      return value;
+    case 'overrides':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) fail('must be an object { incidentId: severity }');
+      for (const [id, severity] of Object.entries(value)) {
+        if (!SEVERITIES.includes(severity)) fail(`${id} must be one of ${SEVERITIES.join(', ')} (got ${JSON.stringify(severity)})`);
+      }
+      return value;
+    case 'path':
+      if (typeof value !== 'string' || value === '') fail('must be a non-empty path');
+      return path.resolve(baseDir, value.replace(/^~(?=$|\/)/, os.homedir()));
+    case 'modules':
+      // File paths resolve like any other path; npm module names are resolved when loaded
+      return stringList().map(specifier => /^(?:\.{1,2}(?:\/|$)|\/|~(?:\/|$))/.test(specifier)
+        ? path.resolve(baseDir, specifier.replace(/^~(?=$|\/)/, os.homedir()))
+        : specifier);
+    case 'sensitivePaths':
+      if (!Array.isArray(value)) fail('must be an array');
+      value.forEach((entry, i) => {
+        if (typeof entry === 'string') {
+          if (entry === '') fail(`[${i}] must be a non-empty glob`);
+          return;
+        }
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) fail(`[${i}] must be a glob or { path, removal }`);
+        for (const name of Object.keys(entry)) {
+          if (!['path', 'removal'].includes(name)) fail(`[${i}].${name}: unknown field (known: path, removal)`);
+        }
+        if (typeof entry.path !== 'string' || entry.path === '') fail(`[${i}].path must be a non-empty glob`);
+        if (entry.removal === undefined) return;
+
+        const { removal } = entry;
+        if (!removal || typeof removal !== 'object' || Array.isArray(removal)) fail(`[${i}].removal must be an object { fileDeleted, deletedLines }`);
+        for (const name of Object.keys(removal)) {
+          if (!['fileDeleted', 'deletedLines'].includes(name)) fail(`[${i}].removal.${name}: unknown field (known: fileDeleted, deletedLines)`);
+        }
+        if (removal.fileDeleted !== undefined && typeof removal.fileDeleted !== 'boolean') {
+          fail(`[${i}].removal.fileDeleted must be true or false`);
+        }
+        if (removal.deletedLines !== undefined && removal.deletedLines !== 'any') {
+          if (!Array.isArray(removal.deletedLines)) fail(`[${i}].removal.deletedLines must be "any" or a list of regular expressions`);
+          removal.deletedLines.forEach((source, j) => {
+            if (typeof source !== 'string' || source === '') fail(`[${i}].removal.deletedLines[${j}] must be a non-empty regular expression`);
+            try {
+              new RegExp(source);
+            } catch (error) {
+              fail(`[${i}].removal.deletedLines[${j}]: ${error.message}`);
+            }
+          });
+        }
+      });
+      return value;
+    case 'integer':
+      if (!Number.isInteger(value) || value < 1) fail(`must be a positive integer (got ${JSON.stringify(value)})`);
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') fail(`must be true or false (got ${JSON.stringify(value)})`);
+      return value;
+    case 'pattern':
+      if (typeof value !== 'string' || value === '') fail('must be a non-empty regular expression');
+      try {
+        new RegExp(value);
+      } catch (error) {
+        fail(error.message);
+      }
+      return value;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Parse a string value (environment variable or -c flag) for a key
+ */
+function parseString(key, raw) {
+  const { type, nullable } = SCHEMA[key];
+  const list = () => raw.split(',').map(item => item.trim()).filter(Boolean);
+
+  if (nullable && raw.trim() === '') return null;
+  switch (type) {
+    case 'ids':
+    case 'globs':
+    case 'severities':
+    case 'modules':
+    case 'sensitivePaths':
+      return list();
+    case 'overrides':
+      return Object.fromEntries(list().map(entry => {
+        const [id, severity] = entry.split('=').map(part => part.trim());
+        return [id, severity];
+      }));
+    case 'integer':
+      return /^\d+$/.test(raw.trim()) ? Number(raw.trim()) : raw;
+    case 'boolean':
+      return ['true', 'false'].includes(raw.trim()) ? raw.trim() === 'true' : raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse and validate configuration file content
+ * @param {string} source - Where it came from (in errors and provenance)
+ * @param {string} file - Its path: the extension picks JSON or YAML, relative paths resolve against its directory
+ * @param {string} content - File content
+ * @returns {object} { source, values }
+ * @throws {Error} On unparsable or invalid content
+ */
+function parseLayer(source, file, content) {
+  let document;
+  try {
+    document = file.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid configuration ${source}: ${error.message}`);
+  }
+  if (document === null || document === undefined) {
+    return { source, values: {} };
+  }
+  if (typeof document !== 'object' || Array.isArray(document)) {
+    throw new Error(`Invalid configuration ${source}: must be an object`);
+  }
+
+  try {
+    const values = {};
+    for (const [key, value] of Object.entries(flatten(document))) {
+      values[key] = validateSetting(key, value, path.dirname(file));
+    }
+    return { source, values };
+  } catch (error) {
+    throw new Error(`Invalid configuration ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Read and validate a configuration file layer
+ * @returns {object|null} { source, values } or null when the file does not exist
+ * @throws {Error} On unreadable, unparsable or invalid files
+ */
+function readLayer(file) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Cannot read configuration ${file}: ${error.message}`);
+  }
+  return parseLayer(file, file, content);
+}
+
+/**
+ * Find the project configuration: nearest .dreddrc.* from cwd up to the repository root
+ */
+function findProjectFile(cwd) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    const found = PROJECT_FILES.map(name => path.join(dir, name)).filter(file => fs.existsSync(file));
+    if (found.length > 1) {
+      throw new Error(`Multiple project configurations in ${dir}: ${found.map(file => path.basename(file)).join(', ')}`);
+    }
+    if (found.length === 1) return found[0];
+
+    const parent = path.dirname(dir);
+    if (fs.existsSync(path.join(dir, '.git')) || parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Build every layer, validated
+ * @param {object} options - { cwd, home, env, flags: ['key=value'], project } - project is the
+ *                           project configuration to use instead of the one on disk: { source, file,
+ *                           content } (e.g. read from a revision), or null for none
+ * @returns {Array} [{ source, values }] in precedence order (defaults first)
+ */
+function buildLayers(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const home = options.home || os.homedir();
+  const env = options.env || process.env;
+  const layers = [{ source: 'default', values: structuredClone(DEFAULTS) }];
+
+  const homeLayer = readLayer(path.join(home, '.dredd', 'config'));
+  if (homeLayer) layers.push(homeLayer);
+
+  if (options.project !== undefined) {
+    const { project } = options;
+    if (project) layers.push(parseLayer(project.source, project.file, project.content));
+  } else {
+    const projectFile = findProjectFile(cwd);
+    if (projectFile) layers.push(readLayer(projectFile));
+  }
+
+  for (const key of Object.keys(SCHEMA)) {
+    const name = envName(key);
+    if (env[name] === undefined) continue;
+    try {
+      layers.push({ source: `env ${name}`, values: { [key]: validateSetting(key, parseString(key, env[name]), cwd) } });
+    } catch (error) {
+      throw new Error(`Invalid environment variable ${name}: ${error.message}`);
+    }
+  }
+
+  for (const flag of options.flags || []) {
+    const separator = flag.indexOf('=');
+    const key = separator === -1 ? flag : flag.slice(0, separator);
+    try {
+      if (separator === -1) throw new Error('expected <key>=<value>');
+      if (!SCHEMA[key]) throw new Error(`unknown setting (known: ${Object.keys(SCHEMA).join(', ')})`);
+      layers.push({ source: `flag -c ${key}`, values: { [key]: validateSetting(key, parseString(key, flag.slice(separator + 1)), cwd) } });
+    } catch (error) {
+      throw new Error(`Invalid flag -c ${flag}: ${error.message}`);
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Merge layers, recording where each value came from
+ * @returns {object} { values: { key: value }, sources: { key: source } } - severity.overrides
+ *                   sources are recorded per incident (severity.overrides.<id>)
+ */
+function mergeLayers(layers) {
+  const values = {};
+  const sources = {};
+
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (SCHEMA[key].type === 'overrides') {
+        values[key] = { ...(values[key] || {}), ...value };
+        for (const id of Object.keys(value)) {
+          sources[`${key}.${id}`] = layer.source;
+        }
+        if (!sources[key]) sources[key] = layer.source;
+      } else {
+        values[key] = value;
+        sources[key] = layer.source;
+      }
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Apply merged settings onto utils/config (the object every module reads)
+ */
+function applySettings(values) {
+  config.incidents = {
+    enabled: values['incidents.enabled'],
+    disabled: values['incidents.disabled']
+  };
+  config.severityOverrides = values['severity.overrides'];
+  for (const severity of SEVERITIES) {
+    config.severity[severity].blocking = values['severity.blocking'].includes(severity);
+  }
+  config.paths.incidents = values['paths.incidents'];
+  config.paths.evidence = values['paths.evidence'];
+  config.paths.kev = values['paths.kev'];
+  config.paths.agentState = values['paths.agentState'];
+  config.sensitivePaths = values['sensitivePaths'];
+  config.codeowners = {
+    securityOwners: values['codeowners.securityOwners']
+  };
+  config.ignorePatterns = values['ignorePatterns'];
+  config.patterns.timeBudgetMs = values['patterns.timeBudgetMs'];
+  config.cost.monthlyThreshold = values['cost.monthlyThreshold'];
+  config.commitMessages = {
+    conventional: values['commitMessages.conventional'],
+    types: values['commitMessages.types'],
+    issuePattern: values['commitMessages.issuePattern']
+  };
+  config.hooks = {
+    preCommit: { blocking: values['hooks.preCommit.blocking'] },
+    commitMsg: { blocking: values['hooks.commitMsg.blocking'] },
+    prePush: { blocking: values['hooks.prePush.blocking'] }
+  };
+  config.plugins = values['plugins'];
+}
+
+/**
+ * Load every layer and apply the merged result to utils/config
+ * @param {object} options - { cwd, home, env, flags, project } (see buildLayers)
+ * @returns {object} { values, sources, layers } - for `dredd config print`
+ * @throws {Error} When any layer is invalid
+ */
+function loadConfig(options = {}) {
+  const layers = buildLayers(options);
+  const { values, sources } = mergeLayers(layers);
+  applySettings(values);
+  return { values, sources, layers: layers.map(layer => layer.source) };
+}
+
+module.exports = {
+  SCHEMA,
+  DEFAULTS,
+  PROJECT_FILES,
+  envName,
+  parseLayer,
+  loadConfig
+};
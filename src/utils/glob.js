@@ -0,0 +1,68 @@
+/**
+ * Judge Dredd Agent - Glob Matching
+ * Minimal glob support for incident file scopes (`**`, `*`, `?`)
+ */
+
+const cache = new Map();
+
+/**
+ * Normalize a file path for glob matching (forward slashes, no leading ./)
+ * @param {string} file - File path
+ */
+function normalizePath(file) {
+  return String(file).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Convert a glob to an anchored regular expression
+ * @param {string} glob - Glob pattern, e.g. `**\/public/**\/*.html`
+ */
+function globToRegExp(glob) {
+  if (cache.has(glob)) return cache.get(glob);
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories, trailing `**` matches anything
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(glob, regex);
+  return regex;
+}
+
+/**
+ * Check if a file path matches any of the given globs
+ * @param {string} file - File path
+ * @param {string[]} globs - Glob patterns
+ */
+function matchesAny(file, globs) {
+  if (!file || !Array.isArray(globs)) return false;
+
+  const normalized = normalizePath(file);
+  return globs.some(glob => globToRegExp(glob).test(normalized));
+}
+
+module.exports = {
+  normalizePath,
+  globToRegExp,
+  matchesAny
+};
@@ -0,0 +1,132 @@
+/**
+ * Judge Dredd Agent - Unified Diff
+ * Line-based unified diff for previewing fixes (dredd fix --dry-run)
+ */
+
+// Beyond this many changed lines a full LCS table is too expensive - fall back to replace-all
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Compute a line edit script: [{ type: 'equal'|'del'|'add', line }]
+ */
+function diffLines(oldLines, newLines) {
+  // Trim the common prefix and suffix - fixes usually touch a few lines
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const script = oldLines.slice(0, start).map(line => ({ type: 'equal', line }));
+
+  if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+    script.push(...oldMiddle.map(line => ({ type: 'del', line })));
+    script.push(...newMiddle.map(line => ({ type: 'add', line })));
+  } else {
+    // Longest common subsequence table (suffix lengths)
+    const rows = oldMiddle.length;
+    const cols = newMiddle.length;
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = oldMiddle[i] === newMiddle[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        script.push({ type: 'equal', line: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        script.push({ type: 'del', line: oldMiddle[i++] });
+      } else {
+        script.push({ type: 'add', line: newMiddle[j++] });
+      }
+    }
+    while (i < rows) script.push({ type: 'del', line: oldMiddle[i++] });
+    while (j < cols) script.push({ type: 'add', line: newMiddle[j++] });
+  }
+
+  script.push(...oldLines.slice(oldEnd).map(line => ({ type: 'equal', line })));
+  return script;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} file - File path (used in the ---/+++ header)
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {number} context - Context lines around each change
+ * @returns {string} Unified diff ('' when identical)
+ */
+function createUnifiedDiff(file, oldText, newText, context = 3) {
+  if (oldText === newText) return '';
+
+  const splitLines = text => {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  const script = diffLines(splitLines(oldText), splitLines(newText));
+
+  // Annotate with line numbers
+  let oldLine = 1;
+  let newLine = 1;
+  const entries = script.map(entry => {
+    const annotated = { ...entry, oldLine, newLine };
+    if (entry.type !== 'add') oldLine++;
+    if (entry.type !== 'del') newLine++;
+    return annotated;
+  });
+
+  // Group changes (with context) into hunks
+  const hunks = [];
+  let current = null;
+  entries.forEach((entry, index) => {
+    if (entry.type === 'equal') return;
+
+    const from = Math.max(0, index - context);
+    const to = Math.min(entries.length - 1, index + context);
+    if (current && from <= current.to + 1) {
+      current.to = to;
+    } else {
+      current = { from, to };
+      hunks.push(current);
+    }
+  });
+
+  const output = [`--- a/${file}`, `+++ b/${file}`];
+  for (const { from, to } of hunks) {
+    const slice = entries.slice(from, to + 1);
+    const oldCount = slice.filter(e => e.type !== 'add').length;
+    const newCount = slice.filter(e => e.type !== 'del').length;
+    const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice.find(e => e.type !== 'add').oldLine;
+    const newStart = newCount === 0 ? slice[0].newLine - 1 : slice.find(e => e.type !== 'del').newLine;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const entry of slice) {
+      const prefix = entry.type === 'add' ? '+' : entry.type === 'del' ? '-' : ' ';
+      output.push(prefix + entry.line);
+    }
+  }
+
+  return output.join('\n') + '\n';
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff
+};
@@ -22,12 +22,32 @@ const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
 const chalk = require('chalk');
+const GitAnalyzer = require('../git/GitAnalyzer');
+const KevCatalog = require('../kev/KevCatalog');
+const config = require('../utils/config');
+const { manifestType, parseManifest } = require('../dependencies/ManifestParser');
+const { summarizeChanges } = require('../dependencies/DependencyAnalyzer');
+
+// Dependency churn window for Temporal Decay
+const DEPENDENCY_WINDOW_DAYS = 90;
+
+// Decay per actively exploited vulnerability in the lockfile (KEV zero tolerance)
+const KEV_DECAY_PERCENT = 20;
+
+// Git failures that mean there is no history to read: not a repository, or no git at all
+// (e.g. a slim container image) - the history-based metrics are skipped, not failed
+const NO_HISTORY = ['NOT_A_REPOSITORY', 'GIT_NOT_FOUND'];
+const withoutHistory = fallback => error => {
+  if (NO_HISTORY.includes(error.code)) return fallback;
+  throw error;
+};
 
 class FourDimensionalVerifier {
   constructor(options = {}) {
-    // Find repo root (look for .git directory)
-    this.baseDir = options.baseDir || this.findRepoRoot();
-    this.corpusPath = options.corpusPath || path.join(this.baseDir, 'crown-jewels/butterbot-training-dataset-v1.jsonl');
+    // Repository to verify (any checked-out repo); its root is resolved by git in verify()
+    this.git = new GitAnalyzer(options.repoPath || process.cwd());
+    this.baseDir = options.baseDir || null;
+    this.corpusPath = options.corpusPath || null;
     this.productionBaseUrl = options.productionBaseUrl || 'https://2x4.dugganusa.com';
     this.verbose = options.verbose || false;
 
@@ -46,26 +66,15 @@ class FourDimensionalVerifier {
   }
 
   /**
-   * Find repository root by looking for .git directory
+   * Resolve the repository root and the paths that hang off it
    */
-  findRepoRoot() {
-    let currentDir = process.cwd();
-    const { root } = path.parse(currentDir);
-
-    while (currentDir !== root) {
-      const gitPath = path.join(currentDir, '.git');
-      try {
-        if (require('fs').existsSync(gitPath)) {
-          return currentDir;
-        }
-      } catch (error) {
-        // Continue searching
-      }
-      currentDir = path.dirname(currentDir);
+  async resolvePaths() {
+    if (!this.baseDir) {
+      this.baseDir = await this.git.getRepoRoot();
+    }
+    if (!this.corpusPath) {
+      this.corpusPath = path.join(this.baseDir, 'crown-jewels/butterbot-training-dataset-v1.jsonl');
     }
-
-    // Fallback to current directory if .git not found
-    return process.cwd();
   }
 
   /**
@@ -82,6 +91,8 @@ class FourDimensionalVerifier {
     const startTime = Date.now();
 
     try {
+      await this.resolvePaths();
+
       // Run all 5 dimensions in parallel (efficiency optimization)
       const [
         dimension1,
@@ -762,36 +773,52 @@ class FourDimensionalVerifier {
     const temporal = {
       lastCommitAge: 0,
       dependencyAge: 0,
+      dependencyChurn: null,
       cveExposure: 0,
+      kev: null,
       decayPercent: 0,
       message: ''
     };
 
     try {
-      // Get last commit timestamp (from git)
-      // TODO: Wire up to git-analyzer
+      // Last commit timestamp (from git)
       const now = Date.now();
-      const lastCommitTime = now - (24 * 60 * 60 * 1000); // Mock: 1 day ago
+      const [lastCommit] = await this.git.getRecentCommits(1).catch(withoutHistory([]));
+      const lastCommitTime = lastCommit ? lastCommit.committer.timestamp : now;
       temporal.lastCommitAge = Math.floor((now - lastCommitTime) / (24 * 60 * 60 * 1000));
 
-      // Estimate CVE exposure (λ ≈ 50 CVEs/month for Node.js ecosystem)
-      const monthsSinceUpdate = temporal.lastCommitAge / 30;
-      temporal.cveExposure = Math.floor(monthsSinceUpdate * 50);
-
       // Calculate decay percent (rough heuristic)
-      // - 0-7 days: 0% decay
-      // - 8-30 days: 1-3% decay
-      // - 31+ days: 3-10% decay
-      if (temporal.lastCommitAge <= 7) {
-        temporal.decayPercent = 0;
-      } else if (temporal.lastCommitAge <= 30) {
-        temporal.decayPercent = Math.min(3, temporal.lastCommitAge / 10);
-      } else {
-        temporal.decayPercent = Math.min(10, temporal.lastCommitAge / 30);
+      temporal.decayPercent = this.decayForAge(temporal.lastCommitAge);
+
+      // Dependencies rot on their own clock - stale manifests decay even in active repos
+      temporal.dependencyChurn = await this.calculateDependencyChurn();
+      if (temporal.dependencyChurn.lastUpdate) {
+        temporal.dependencyAge = Math.floor((now - temporal.dependencyChurn.lastUpdate) / (24 * 60 * 60 * 1000));
+        temporal.decayPercent = Math.max(temporal.decayPercent, this.decayForAge(temporal.dependencyAge));
+      }
+
+      // CVE exposure: locked packages with actively exploited vulnerabilities (offline KEV catalog)
+      temporal.kev = await this.calculateKevExposure();
+      temporal.cveExposure = temporal.kev.matches.length;
+      if (temporal.cveExposure > 0) {
+        temporal.decayPercent = Math.min(this.EPISTEMIC_CAP, temporal.decayPercent + KEV_DECAY_PERCENT * temporal.cveExposure);
       }
 
-      temporal.message = `Last update: ${temporal.lastCommitAge} days ago, ` +
-                        `estimated CVE exposure: ${temporal.cveExposure}, ` +
+      const kevSummary = !temporal.kev.catalogLoaded
+        ? 'KEV exposure: unknown (no catalog snapshot), '
+        : temporal.cveExposure > 0
+          ? `KEV exposure: ${temporal.kev.matches.map(m => `${m.cve} in ${m.package}@${m.version}${m.overdue ? ' (overdue)' : ''}`).join(', ')}, `
+          : 'KEV exposure: 0, ';
+
+      const churn = temporal.dependencyChurn;
+      const dependencySummary = churn.lastUpdate
+        ? `dependencies updated ${temporal.dependencyAge} days ago ` +
+          `(${churn.upgraded} upgraded, ${churn.added} added, ${churn.removed} removed in ${churn.windowDays} days), `
+        : 'no dependency manifests in history, ';
+
+      temporal.message = (lastCommit ? `Last update: ${temporal.lastCommitAge} days ago, ` : 'Last update: unknown (no git history), ') +
+                        dependencySummary +
+                        kevSummary +
                         `decay: ${temporal.decayPercent.toFixed(1)}%`;
 
     } catch (error) {
@@ -802,6 +829,101 @@ class FourDimensionalVerifier {
     return temporal;
   }
 
+  /**
+   * Decay percent for an age in days (rough heuristic)
+   * - 0-7 days: 0% decay
+   * - 8-30 days: 1-3% decay
+   * - 31+ days: 3-10% decay
+   */
+  decayForAge(days) {
+    if (days <= 7) return 0;
+    if (days <= 30) return Math.min(3, days / 10);
+    return Math.min(10, days / 30);
+  }
+
+  /**
+   * KEV exposure of the repository lockfile
+   * @returns {object} { catalogLoaded, catalogVersion, snapshotAge, matches: [{ cve, package, version, deadline, overdue }] }
+   */
+  async calculateKevExposure() {
+    const exposure = { catalogLoaded: false, catalogVersion: null, snapshotAge: null, matches: [] };
+
+    const catalog = await new KevCatalog(config.paths.kev).load();
+    if (!catalog.loaded) return exposure;
+
+    exposure.catalogLoaded = true;
+    exposure.catalogVersion = catalog.catalog.catalogVersion || null;
+    exposure.snapshotAge = catalog.snapshotAge();
+
+    let lockfile;
+    try {
+      lockfile = await fs.readFile(path.join(this.baseDir, 'package-lock.json'), 'utf-8');
+    } catch (error) {
+      return exposure;
+    }
+
+    exposure.matches = catalog.checkLockfile(lockfile).map(match => ({
+      cve: match.cve,
+      package: match.package,
+      version: match.version,
+      deadline: match.deadline,
+      overdue: match.overdue
+    }));
+    return exposure;
+  }
+
+  /**
+   * Dependency churn from package.json / package-lock.json history: changes counted over the
+   * window, lastUpdate from the latest manifest commit ever
+   * @returns {object} { windowDays, commits, added, removed, upgraded, downgraded, lastUpdate (ms, null without manifests) }
+   */
+  async calculateDependencyChurn() {
+    const churn = {
+      windowDays: DEPENDENCY_WINDOW_DAYS,
+      commits: 0,
+      added: 0,
+      removed: 0,
+      upgraded: 0,
+      downgraded: 0,
+      lastUpdate: null
+    };
+
+    const manifests = ['*package.json', '*package-lock.json', '*npm-shrinkwrap.json'];
+
+    // Age comes from the last manifest commit however old it is - a manifest untouched for
+    // longer than the window is the stalest of all, not exempt
+    const [latest] = await this.git.getFileHistory(manifests, { limit: 1 }).catch(withoutHistory([]));
+    if (latest) churn.lastUpdate = latest.committer.timestamp;
+
+    const history = await this.git.getFileHistory(manifests, {
+      since: `${DEPENDENCY_WINDOW_DAYS} days ago`,
+      limit: 50
+    }).catch(withoutHistory([]));
+
+    for (const commit of history) {
+      let changed = false;
+
+      for (const file of commit.files) {
+        const type = manifestType(file.path);
+        if (!type) continue;
+
+        // Deleted manifests have no after; renamed ones are compared with their old path
+        const changes = summarizeChanges(
+          parseManifest(await this.git.readFileAtRevision(`${commit.hash}^`, file.oldPath || file.path), type),
+          file.status === 'D' ? null : parseManifest(await this.git.readFileAtRevision(commit.hash, file.path), type)
+        );
+        for (const kind of ['added', 'removed', 'upgraded', 'downgraded']) {
+          churn[kind] += changes[kind].length;
+          changed = changed || changes[kind].length > 0;
+        }
+      }
+
+      if (changed) churn.commits++;
+    }
+
+    return churn;
+  }
+
   /**
    * 5D CORRELATION: The Strange Loop (upgraded from 4D)
    * All dimensions must agree on 95% for Gödel-compliant consistency
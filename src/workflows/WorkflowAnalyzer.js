@@ -0,0 +1,356 @@
+/**
+ * Judge Dredd Agent - Workflow Analyzer
+ * Semantic before/after checks for GitHub Actions workflows, referenced by
+ * incidents via `pattern.detection.workflow`
+ *
+ * Each check receives the parsed workflow before and after the change (either may be
+ * null for added/deleted files) and returns hits: [{ line, lineText, values, note }]
+ *   line     - line in the new version (null when the job/step no longer exists)
+ *   lineText - offending line (from the old version for removals)
+ *   values   - placeholders for the incident's message/details ({{job}}, {{step}}, ...)
+ *   note     - exactly what changed
+ */
+
+const { stepLabel } = require('./WorkflowParser');
+
+const SECURITY_CONTROL = /security|sbom|\bkev\b|dredd|codeql|sast|scan|audit|trivy|snyk|semgrep|gitleaks|trufflehog|secret|vuln|dependency-review|osv|grype|sonar/i;
+const JUDGE_DREDD = /judge[-_\s]?dredd|\bdredd\b/i;
+const PR_HEAD_REF = /github\.event\.pull_request\.head|github\.head_ref|refs\/pull\//;
+
+// GITHUB_TOKEN permission scopes (read-all/write-all expand to these)
+const PERMISSION_SCOPES = [
+  'actions', 'attestations', 'checks', 'contents', 'deployments', 'discussions', 'id-token',
+  'issues', 'packages', 'pages', 'pull-requests', 'repository-projects', 'security-events', 'statuses'
+];
+const ACCESS_LEVELS = { none: 0, read: 1, write: 2 };
+
+/**
+ * `if: false`, `if: ${{ false }}`, `if: 'false'`
+ */
+function isDisabled(condition) {
+  if (condition === false) return true;
+  return typeof condition === 'string' && /^\s*(\$\{\{\s*)?false(\s*\}\})?\s*$/i.test(condition);
+}
+
+/**
+ * `continue-on-error: true` (or an expression that is literally true)
+ */
+function ignoresFailure(value) {
+  if (value === true) return true;
+  return typeof value === 'string' && /^\s*(\$\{\{\s*)?true(\s*\}\})?\s*$/i.test(value);
+}
+
+function isSecurityStep(step) {
+  return SECURITY_CONTROL.test([step.id, step.name, step.uses, step.run].filter(Boolean).join('\n'));
+}
+
+function isSecurityJob(job) {
+  return SECURITY_CONTROL.test([job.id, job.name, job.uses].filter(Boolean).join('\n')) ||
+    job.steps.some(isSecurityStep);
+}
+
+function isDreddStep(step) {
+  return JUDGE_DREDD.test([step.id, step.name, step.uses, step.run].filter(Boolean).join('\n'));
+}
+
+/**
+ * Checkout of untrusted pull request code (actions/checkout with the PR head, gh pr checkout, ...)
+ */
+function isPullRequestCheckout(step) {
+  if (step.uses && /^actions\/checkout@/i.test(step.uses)) {
+    return PR_HEAD_REF.test(`${step.with.ref || ''}\n${step.with.repository || ''}`);
+  }
+  if (step.run) {
+    return /\bgh\s+pr\s+checkout\b/.test(step.run) ||
+      /\bgit\s+(fetch|checkout|pull)\b[^\n]*(pull\/|github\.event\.pull_request\.head|github\.head_ref)/.test(step.run);
+  }
+  return false;
+}
+
+function findJob(workflow, id) {
+  return workflow ? workflow.jobs.find(job => job.id === id) || null : null;
+}
+
+/**
+ * Find the same step in another version of a job (by identity, then by what it runs)
+ */
+function findStep(job, step) {
+  if (!job) return null;
+  return job.steps.find(other => other.key && other.key === step.key) ||
+    job.steps.find(other => (other.uses || other.run) && other.uses === step.uses && other.run === step.run) ||
+    null;
+}
+
+function workflowLabel(workflow) {
+  return workflow && workflow.name ? `'${workflow.name}'` : 'workflow';
+}
+
+/**
+ * Expand a permissions block to { scope: level } (null when the block is absent)
+ */
+function expandPermissions(permissions) {
+  if (permissions === undefined || permissions === null) return null;
+
+  if (typeof permissions === 'string') {
+    const level = permissions === 'write-all' ? ACCESS_LEVELS.write
+      : permissions === 'read-all' ? ACCESS_LEVELS.read
+        : ACCESS_LEVELS.none;
+    return Object.fromEntries(PERMISSION_SCOPES.map(scope => [scope, level]));
+  }
+
+  // Scopes not listed in an explicit block get no access
+  const expanded = Object.fromEntries(PERMISSION_SCOPES.map(scope => [scope, ACCESS_LEVELS.none]));
+  for (const [scope, level] of Object.entries(permissions)) {
+    expanded[scope] = ACCESS_LEVELS[String(level)] !== undefined ? ACCESS_LEVELS[String(level)] : ACCESS_LEVELS.none;
+  }
+  return expanded;
+}
+
+/**
+ * A permissions block as written (read-all, or "scope: level, ...")
+ */
+function describePermissions(permissions) {
+  return typeof permissions === 'string'
+    ? permissions
+    : Object.entries(permissions).map(([scope, level]) => `${scope}: ${level}`).join(', ') || '{}';
+}
+
+/**
+ * Compare two permissions blocks
+ * @returns {string|null} Description of the weakening, or null if not weakened
+ */
+function comparePermissions(before, after) {
+  const old = expandPermissions(before);
+  const updated = expandPermissions(after);
+
+  // Without a block the token gets the repository default - which may be read-only, so an
+  // explicit grant of write access is a weakening, not a clarification
+  if (!old) {
+    if (!updated || !Object.values(updated).some(level => level === ACCESS_LEVELS.write)) return null;
+    return `no permissions block → ${describePermissions(after)}`;
+  }
+  if (!updated) {
+    return 'permissions block removed (GITHUB_TOKEN falls back to the repository default)';
+  }
+
+  const levelName = level => Object.keys(ACCESS_LEVELS).find(name => ACCESS_LEVELS[name] === level);
+  const raised = Object.keys(updated)
+    .filter(scope => updated[scope] > (old[scope] || ACCESS_LEVELS.none))
+    .map(scope => `${scope}: ${levelName(old[scope] || ACCESS_LEVELS.none)} → ${levelName(updated[scope])}`);
+
+  if (raised.length === 0) return null;
+
+  // read-all/write-all raise every scope - describe the blocks instead of listing them all
+  if (typeof after === 'string') {
+    return `${describePermissions(before)} → ${after}`;
+  }
+  return raised.join(', ');
+}
+
+/**
+ * Does this workflow or job declare a permissions block?
+ */
+function hasPermissions(entry) {
+  return entry.permissions !== undefined && entry.permissions !== null;
+}
+
+/**
+ * The permissions a job's token gets: its own block, else the workflow's
+ */
+function effectivePermissions(workflow, job) {
+  return hasPermissions(job) ? job.permissions : workflow.permissions;
+}
+
+/**
+ * Jobs or steps switched off with a given predicate (if: false, continue-on-error: true)
+ */
+function newlyFlagged(before, after, field, predicate, describe) {
+  if (!after) return [];
+  const hits = [];
+
+  for (const job of after.jobs) {
+    const oldJob = findJob(before, job.id);
+    const securityJob = isSecurityJob(job) || Boolean(oldJob && isSecurityJob(oldJob));
+
+    if (securityJob && predicate(job[field]) && !(oldJob && predicate(oldJob[field]))) {
+      const line = after.lineOf(['jobs', job.id, field === 'if' ? 'if' : 'continue-on-error']);
+      hits.push({
+        line,
+        lineText: after.lineText(line),
+        values: { job: job.id, step: null },
+        note: describe(`Security job '${job.id}'`)
+      });
+    }
+
+    for (const step of job.steps) {
+      if (!securityJob && !isSecurityStep(step)) continue;
+      if (!predicate(step[field])) continue;
+
+      const oldStep = findStep(oldJob, step);
+      if (oldStep && predicate(oldStep[field])) continue;
+
+      const line = after.lineOf(['jobs', job.id, 'steps', step.index, field === 'if' ? 'if' : 'continue-on-error']);
+      hits.push({
+        line,
+        lineText: after.lineText(line),
+        values: { job: job.id, step: stepLabel(step) },
+        note: describe(`${isDreddStep(step) ? 'Judge Dredd step' : 'Step'} ${stepLabel(step)} in job '${job.id}'`)
+      });
+    }
+  }
+
+  return hits;
+}
+
+const CHECKS = {
+  /**
+   * Security jobs that no longer exist (including deleted workflow files)
+   */
+  'job-removed'(before, after) {
+    if (!before) return [];
+
+    return before.jobs
+      .filter(job => isSecurityJob(job) && !findJob(after, job.id))
+      .map(job => ({
+        line: null,
+        lineText: before.lineText(before.lineOf(['jobs', job.id])),
+        values: { job: job.id, step: null },
+        note: after
+          ? `Security job '${job.id}' was removed from ${workflowLabel(before)}`
+          : `Workflow ${workflowLabel(before)} was deleted, removing security job '${job.id}'`
+      }));
+  },
+
+  /**
+   * Judge Dredd steps and steps of security jobs that were deleted
+   */
+  'step-removed'(before, after) {
+    if (!before || !after) return [];
+    const hits = [];
+
+    for (const oldJob of before.jobs) {
+      const job = findJob(after, oldJob.id);
+      if (!job) continue;
+
+      const securityJob = isSecurityJob(oldJob);
+      for (const step of oldJob.steps) {
+        if (!securityJob && !isSecurityStep(step)) continue;
+        if (findStep(job, step)) continue;
+
+        hits.push({
+          line: null,
+          lineText: before.lineText(before.lineOf(['jobs', oldJob.id, 'steps', step.index])),
+          values: { job: oldJob.id, step: stepLabel(step) },
+          note: isDreddStep(step)
+            ? `Judge Dredd step ${stepLabel(step)} was deleted from job '${oldJob.id}'`
+            : `Step ${stepLabel(step)} was removed from security job '${oldJob.id}'`
+        });
+      }
+    }
+
+    return hits;
+  },
+
+  /**
+   * Security jobs or steps switched off with `if: false`
+   */
+  disabled(before, after) {
+    return newlyFlagged(before, after, 'if', isDisabled, subject => `${subject} was disabled with if: false`);
+  },
+
+  /**
+   * Security jobs or steps that can no longer fail the build
+   */
+  'continue-on-error'(before, after) {
+    return newlyFlagged(before, after, 'continueOnError', ignoresFailure,
+      subject => `${subject} now sets continue-on-error: true (failures no longer block)`);
+  },
+
+  /**
+   * Workflow or job permissions blocks that grant more than before
+   */
+  'permissions-weakened'(before, after) {
+    if (!before || !after) return [];
+    const hits = [];
+
+    const workflowChange = comparePermissions(before.permissions, after.permissions);
+    if (workflowChange) {
+      const line = after.lineOf(['permissions']);
+      hits.push({
+        line,
+        lineText: line ? after.lineText(line) : before.lineText(before.lineOf(['permissions'])),
+        values: { scope: 'workflow', change: workflowChange },
+        note: `Workflow permissions weakened: ${workflowChange}`
+      });
+    }
+
+    // Jobs are compared on what their token gets, so a job block that outgrants the workflow's
+    // counts; jobs that only inherit change with the workflow and are reported there
+    for (const oldJob of before.jobs) {
+      const job = findJob(after, oldJob.id);
+      if (!job) continue;
+      if (!hasPermissions(oldJob) && !hasPermissions(job)) continue;
+
+      let jobChange = comparePermissions(effectivePermissions(before, oldJob), effectivePermissions(after, job));
+      if (!jobChange) continue;
+      if (!hasPermissions(job) && hasPermissions(after)) {
+        jobChange = `job block removed, inherits workflow ${describePermissions(after.permissions)} (${jobChange})`;
+      }
+
+      const line = after.lineOf(['jobs', job.id, 'permissions']) || after.lineOf(['jobs', job.id]);
+      hits.push({
+        line,
+        lineText: line ? after.lineText(line) : before.lineText(before.lineOf(['jobs', oldJob.id, 'permissions'])),
+        values: { scope: `job '${job.id}'`, change: jobChange },
+        note: `Job '${job.id}' permissions weakened: ${jobChange}`
+      });
+    }
+
+    return hits;
+  },
+
+  /**
+   * pull_request_target workflows that check out the pull request's code
+   */
+  'pull-request-target-checkout'(before, after) {
+    if (!after || !after.triggers.includes('pull_request_target')) return [];
+    const hadTrigger = Boolean(before && before.triggers.includes('pull_request_target'));
+    const hits = [];
+
+    for (const job of after.jobs) {
+      for (const step of job.steps) {
+        if (!isPullRequestCheckout(step)) continue;
+
+        const oldStep = hadTrigger ? findStep(findJob(before, job.id), step) : null;
+        if (oldStep && isPullRequestCheckout(oldStep)) continue;
+
+        const line = after.lineOf(['jobs', job.id, 'steps', step.index]);
+        hits.push({
+          line,
+          lineText: after.lineText(line),
+          values: { job: job.id, step: stepLabel(step) },
+          note: `Job '${job.id}' step ${stepLabel(step)} checks out pull request code under pull_request_target`
+        });
+      }
+    }
+
+    return hits;
+  }
+};
+
+/**
+ * Run a named workflow check
+ * @param {string} check - Check name (from pattern.detection.workflow)
+ * @param {object|null} before - parseWorkflow() of the old version (null for new files)
+ * @param {object|null} after - parseWorkflow() of the new version (null for deleted files)
+ * @returns {Array} Hits (empty for unknown checks so newer incidents degrade gracefully)
+ */
+function runWorkflowCheck(check, before, after) {
+  const run = CHECKS[check];
+  return run ? run(before, after) : [];
+}
+
+module.exports = {
+  runWorkflowCheck,
+  checks: Object.keys(CHECKS)
+};
@@ -0,0 +1,128 @@
+/**
+ * Judge Dredd Agent - Workflow Parser
+ * Parses GitHub Actions workflow YAML into jobs and steps with source line numbers
+ */
+
+const YAML = require('yaml');
+const { normalizePath } = require('../utils/glob');
+
+/**
+ * Check if a file path is a GitHub Actions workflow (.github/workflows/*.yml)
+ */
+function isWorkflowFile(file) {
+  if (!file) return false;
+  return /(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/i.test(normalizePath(String(file)));
+}
+
+/**
+ * Stable identity for a step across versions (id, then name, then uses, then first run line)
+ */
+function stepKey(step) {
+  if (step.id) return `id:${step.id}`;
+  if (step.name) return `name:${step.name}`;
+  if (step.uses) return `uses:${step.uses}`;
+  if (step.run) return `run:${String(step.run).trim().split('\n')[0]}`;
+  return null;
+}
+
+/**
+ * Human-readable step label
+ */
+function stepLabel(step) {
+  if (step.name) return `'${step.name}'`;
+  if (step.uses) return `uses: ${step.uses}`;
+  if (step.run) return `run: ${String(step.run).trim().split('\n')[0]}`;
+  return `#${step.index + 1}`;
+}
+
+/**
+ * Normalize the `on:` block into a list of trigger names
+ */
+function parseTriggers(on) {
+  if (!on) return [];
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on.map(String);
+  if (typeof on === 'object') return Object.keys(on);
+  return [];
+}
+
+/**
+ * Parse a workflow file
+ * @param {string} content - Workflow YAML
+ * @returns {object|null} { name, triggers, permissions, jobs: [{ id, name, if, continueOnError, permissions,
+ *                          steps: [{ index, key, name, uses, run, with, if, continueOnError }] }], lineOf, lineText }
+ *                          or null when the content is missing or not valid YAML
+ */
+function parseWorkflow(content) {
+  if (typeof content !== 'string') return null;
+
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(content, { lineCounter, uniqueKeys: false });
+  if (doc.errors.length > 0) return null;
+
+  const data = doc.toJS() || {};
+  if (typeof data !== 'object' || Array.isArray(data)) return null;
+
+  const contentLines = content.split('\n');
+
+  /**
+   * Line number of a key or sequence item (e.g. ['jobs', 'sbom', 'steps', 2])
+   */
+  const lineOf = keyPath => {
+    const parent = keyPath.length > 1 ? doc.getIn(keyPath.slice(0, -1), true) : doc.contents;
+    const last = keyPath[keyPath.length - 1];
+    let node = null;
+
+    if (YAML.isMap(parent)) {
+      const pair = parent.items.find(item => YAML.isScalar(item.key) && String(item.key.value) === String(last));
+      node = pair ? pair.key : null;
+    } else if (YAML.isSeq(parent)) {
+      node = parent.items[last] || null;
+    }
+
+    if (!node || !node.range) return null;
+    return lineCounter.linePos(node.range[0]).line;
+  };
+
+  const lineText = line => (line ? contentLines[line - 1] : null);
+
+  const jobs = Object.entries(data.jobs || {})
+    .filter(([, job]) => job && typeof job === 'object')
+    .map(([id, job]) => ({
+      id,
+      name: job.name || null,
+      if: job.if,
+      continueOnError: job['continue-on-error'],
+      permissions: job.permissions,
+      uses: job.uses || null,
+      steps: (Array.isArray(job.steps) ? job.steps : [])
+        .map((step, index) => ({ ...(step || {}), index }))
+        .map(step => ({
+          index: step.index,
+          key: stepKey(step),
+          id: step.id || null,
+          name: step.name || null,
+          uses: step.uses || null,
+          run: step.run || null,
+          with: step.with || {},
+          if: step.if,
+          continueOnError: step['continue-on-error']
+        }))
+    }));
+
+  return {
+    name: data.name || null,
+    triggers: parseTriggers(data.on),
+    permissions: data.permissions,
+    jobs,
+    lineOf,
+    lineText
+  };
+}
+
+module.exports = {
+  isWorkflowFile,
+  stepKey,
+  stepLabel,
+  parseWorkflow
+};
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseManifest } = require('../../src/dependencies/ManifestParser');
+const { runDependencyCheck, summarizeChanges, findSimilarPackage, editDistance } = require('../../src/dependencies/DependencyAnalyzer');
+
+const json = data => JSON.stringify(data, null, 2);
+const check = (name, before, after, type = 'package') =>
+  runDependencyCheck(name, before && parseManifest(json(before), type), parseManifest(json(after), type), json(after));
+
+test('install-script reports new or changed lifecycle scripts with their line', () => {
+  const before = { scripts: { test: 'node --test' } };
+  const after = { scripts: { test: 'node --test', postinstall: 'node setup.js' } };
+
+  const [hit] = check('install-script', before, after);
+  assert.deepEqual(hit.values, { package: 'package.json', script: 'postinstall', command: ' (node setup.js)' });
+  assert.equal(hit.line, 4);
+  assert.deepEqual(check('install-script', after, after), []);
+});
+
+test('install-script reports lockfile packages that gained an install script', () => {
+  const before = { packages: { 'node_modules/a': { version: '1.0.0' } } };
+  const after = { packages: { 'node_modules/a': { version: '1.0.1', hasInstallScript: true } } };
+
+  assert.deepEqual(check('install-script', before, after, 'lock').map(hit => hit.values.package), ['a@1.0.1']);
+});
+
+test('url-dependency reports git, URL and tarball sources but not the registry', () => {
+  const hits = check('url-dependency', null, {
+    dependencies: { a: 'github:someone/a', b: 'https://example.com/b.tgz', c: 'user/c#main', d: '^1.0.0', '@scope/e': '^2.0.0' }
+  });
+  assert.deepEqual(hits.map(hit => hit.values.package), ['a', 'b', 'c']);
+
+  const lock = check('url-dependency', null, {
+    packages: {
+      'node_modules/x': { version: '1.0.0', resolved: 'https://evil.example.com/x.tgz' },
+      'node_modules/y': { version: '1.0.0', resolved: 'https://registry.npmjs.org/y/-/y-1.0.0.tgz' }
+    }
+  }, 'lock');
+  assert.deepEqual(lock.map(hit => hit.values.source), ['https://evil.example.com/x.tgz']);
+});
+
+test('typosquat reports new packages that imitate popular ones', () => {
+  const hits = check('typosquat', { dependencies: { lodash: '^4' } }, {
+    dependencies: { lodash: '^4', 'expres': '^4', 'l0dash': '^4', '@acme/lodash': '^1', chalk: '^4' }
+  });
+  assert.deepEqual(hits.map(hit => [hit.values.package, hit.values.similarTo]), [['expres', 'express'], ['l0dash', 'lodash']]);
+});
+
+test('similar names: edit distance with transpositions, look-alikes, exact and short names', () => {
+  assert.equal(editDistance('lodahs', 'lodash'), 1);
+  assert.equal(editDistance('kitten', 'sitting'), 3);
+  assert.equal(findSimilarPackage('reqeust'), 'request');
+  assert.equal(findSimilarPackage('react'), null);
+  assert.equal(findSimilarPackage('ws2'), null);
+});
+
+test('summarizes dependency changes as labels', () => {
+  const summary = summarizeChanges(
+    parseManifest(json({ dependencies: { a: '1.0.0', b: '1.0.0' } }), 'package'),
+    parseManifest(json({ dependencies: { a: '2.0.0', c: '1.0.0' } }), 'package')
+  );
+  assert.deepEqual(summary.upgraded, ['a 1.0.0 → 2.0.0']);
+  assert.deepEqual(summary.added, ['c@1.0.0']);
+  assert.deepEqual(summary.removed, ['b@1.0.0']);
+});
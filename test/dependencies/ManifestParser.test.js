@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { manifestType, parseManifest, compareVersions, diffManifests } = require('../../src/dependencies/ManifestParser');
+
+const pkg = data => parseManifest(JSON.stringify(data), 'package');
+
+test('recognizes package.json and lockfiles', () => {
+  assert.equal(manifestType('web/package.json'), 'package');
+  assert.equal(manifestType('package-lock.json'), 'lock');
+  assert.equal(manifestType('npm-shrinkwrap.json'), 'lock');
+  assert.equal(manifestType('packages.json'), null);
+});
+
+test('parses every dependency type and the scripts of package.json', () => {
+  const parsed = pkg({ dependencies: { chalk: '^4.1.2' }, devDependencies: { nodemon: '3' }, scripts: { test: 'node --test' } });
+
+  assert.deepEqual(parsed.packages.chalk, {
+    name: 'chalk', version: null, spec: '^4.1.2', dependencyType: 'dependencies', resolved: null, hasInstallScript: false
+  });
+  assert.equal(parsed.packages.nodemon.dependencyType, 'devDependencies');
+  assert.deepEqual(parsed.scripts, { test: 'node --test' });
+});
+
+test('parses v2/v3 lockfiles by install path and v1 lockfiles by nesting', () => {
+  const v3 = parseManifest(JSON.stringify({
+    packages: {
+      '': { name: 'app' },
+      'node_modules/esbuild': { version: '0.20.0', hasInstallScript: true, dev: true },
+      'node_modules/a/node_modules/b': { version: '1.0.0', resolved: 'https://registry.npmjs.org/b/-/b-1.0.0.tgz' }
+    }
+  }), 'lock');
+  assert.deepEqual(Object.keys(v3.packages), ['node_modules/esbuild', 'node_modules/a/node_modules/b']);
+  assert.equal(v3.packages['node_modules/a/node_modules/b'].name, 'b');
+  assert.equal(v3.packages['node_modules/esbuild'].hasInstallScript, true);
+  assert.equal(v3.packages['node_modules/esbuild'].dependencyType, 'devDependencies');
+
+  const v1 = parseManifest(JSON.stringify({ dependencies: { a: { version: '1.0.0', dependencies: { b: { version: '2.0.0' } } } } }), 'lock');
+  assert.deepEqual(Object.keys(v1.packages), ['node_modules/a', 'node_modules/a/node_modules/b']);
+});
+
+test('invalid or missing content parses to null', () => {
+  assert.equal(parseManifest('{ "dependencies": ', 'package'), null);
+  assert.equal(parseManifest(null, 'package'), null);
+});
+
+test('compares versions and ranges by their numbers', () => {
+  assert.equal(compareVersions('^1.2.3', '1.10.0'), -1);
+  assert.equal(compareVersions('2.0.0', '~2'), 0);
+  assert.equal(compareVersions('3.0.0', '2.9.9'), 1);
+  assert.equal(compareVersions('latest', '1.0.0'), null);
+});
+
+test('diffs two manifests into added, removed, upgraded, downgraded and changed', () => {
+  const before = pkg({ dependencies: { a: '^1.0.0', b: '^2.0.0', c: '^3.0.0', d: 'github:x/d', e: '1.0.0' } });
+  const after = pkg({ dependencies: { a: '^1.1.0', b: '^1.9.0', d: 'github:x/d#v2', e: '1.0.0', f: '1.0.0' } });
+
+  const changes = diffManifests(before, after);
+  const names = list => list.map(entry => entry.name);
+  assert.deepEqual(names(changes.added), ['f']);
+  assert.deepEqual(names(changes.removed), ['c']);
+  assert.deepEqual(names(changes.upgraded), ['a']);
+  assert.deepEqual(names(changes.downgraded), ['b']);
+  assert.deepEqual(names(changes.changed), ['d']);
+  assert.deepEqual([changes.upgraded[0].from, changes.upgraded[0].to], ['^1.0.0', '^1.1.0']);
+
+  assert.deepEqual(names(diffManifests(null, after).added), ['a', 'b', 'd', 'e', 'f']);
+});
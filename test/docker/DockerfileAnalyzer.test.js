@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDockerfile } = require('../../src/docker/DockerfileParser');
+const { runDockerfileCheck, checks } = require('../../src/docker/DockerfileAnalyzer');
+
+const run = (check, ...lines) => runDockerfileCheck(check, parseDockerfile(lines.join('\n')));
+
+test('alpine-base-image reports the resolved image and its ARG lines', () => {
+  const [hit] = run('alpine-base-image', 'ARG BASE=node:20-alpine', 'FROM ${BASE}');
+
+  assert.deepEqual(hit.lines, [2, 1]);
+  assert.equal(hit.values.image, 'node:20-alpine');
+  assert.equal(hit.note, 'Resolved: FROM ${BASE} → node:20-alpine');
+  assert.deepEqual(run('alpine-base-image', 'FROM node:20-slim'), []);
+});
+
+test('platform allows only linux/amd64', () => {
+  assert.equal(run('platform', 'FROM --platform=linux/arm64 node:20-slim').length, 1);
+  assert.deepEqual(run('platform', 'FROM --platform=linux/amd64 node:20-slim'), []);
+  assert.deepEqual(run('platform', 'FROM --platform=$BUILDPLATFORM node:20-slim'), []);
+});
+
+test('root-user judges the final stage only', () => {
+  assert.equal(run('root-user', 'FROM node:20-slim', 'RUN npm ci')[0].values.user, 'root (no USER instruction)');
+  assert.equal(run('root-user', 'FROM node:20-slim', 'USER 0:0')[0].line, 2);
+  assert.deepEqual(run('root-user', 'FROM node:20 AS build', 'FROM node:20-slim', 'USER node'), []);
+  assert.equal(run('root-user', 'FROM node:20 AS build', 'USER node', 'FROM node:20-slim').length, 1);
+});
+
+test('latest-tag flags untagged and :latest images but not digests, scratch or stages', () => {
+  assert.equal(run('latest-tag', 'FROM node', 'FROM nginx:latest').length, 2);
+  assert.deepEqual(run('latest-tag', 'FROM node@sha256:abc', 'FROM scratch', 'FROM node:20 AS base', 'FROM base'), []);
+});
+
+test('npm-install-no-lockfile needs a lockfile copied earlier in the stage', () => {
+  const [hit] = run('npm-install-no-lockfile', 'FROM node:20', 'COPY src/ ./src/', 'RUN npm install');
+  assert.equal(hit.line, 3);
+
+  assert.deepEqual(run('npm-install-no-lockfile', 'FROM node:20', 'COPY package*.json ./', 'RUN npm install'), []);
+  assert.deepEqual(run('npm-install-no-lockfile', 'FROM node:20', 'RUN npm install -g pnpm'), []);
+});
+
+test('unknown checks return no hits', () => {
+  assert.deepEqual(run('no-such-check', 'FROM node'), []);
+  assert.ok(checks.includes('root-user'));
+});
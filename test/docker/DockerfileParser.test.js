@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isDockerfile, substitute, parseImageRef, parseDockerfile } = require('../../src/docker/DockerfileParser');
+
+test('recognizes Dockerfile names', () => {
+  for (const file of ['Dockerfile', 'deploy/Dockerfile.prod', 'app.dockerfile', 'Containerfile']) {
+    assert.equal(isDockerfile(file), true, file);
+  }
+  for (const file of ['Dockerfile-notes.md', 'docker-compose.yml', null]) {
+    assert.equal(isDockerfile(file), false, String(file));
+  }
+});
+
+test('substitutes $VAR, ${VAR} and the :- / :+ operators', () => {
+  const vars = { NODE: '20', EMPTY: '', UNSET: null };
+
+  assert.equal(substitute('node:${NODE}-slim', vars), 'node:20-slim');
+  assert.equal(substitute('node:$NODE', vars), 'node:20');
+  assert.equal(substitute('${EMPTY:-fallback}', vars), 'fallback');
+  assert.equal(substitute('${UNSET:-fallback}', vars), 'fallback');
+  assert.equal(substitute('${NODE:+set}${EMPTY:+set}', vars), 'set');
+  assert.equal(substitute('${MISSING}', vars), '${MISSING}');
+});
+
+test('parses image references with registry ports, tags and digests', () => {
+  assert.deepEqual(parseImageRef('node:20-slim'), { name: 'node', tag: '20-slim', digest: null });
+  assert.deepEqual(parseImageRef('registry:5000/team/app'), { name: 'registry:5000/team/app', tag: null, digest: null });
+  assert.deepEqual(parseImageRef('node@sha256:abc'), { name: 'node', tag: null, digest: 'sha256:abc' });
+});
+
+test('parses stages with global ARGs, platforms and the user of each stage', () => {
+  const parsed = parseDockerfile([
+    'ARG NODE_VERSION=20',
+    'FROM --platform=linux/amd64 node:${NODE_VERSION}-alpine AS build',
+    'USER builder',
+    'RUN npm ci \\',
+    '  && npm run build',
+    '',
+    'FROM build AS test',
+    'FROM node:${NODE_VERSION}-slim',
+    'ENV APP_USER=node',
+    'USER $APP_USER'
+  ].join('\n'));
+
+  assert.deepEqual(parsed.globalArgs, { NODE_VERSION: '20' });
+  const [build, derived, final] = parsed.stages;
+
+  assert.deepEqual([build.name, build.image, build.platform, build.argLines], ['build', 'node:20-alpine', 'linux/amd64', [1]]);
+  assert.deepEqual(build.imageRef, { name: 'node', tag: '20-alpine', digest: null });
+  assert.deepEqual(build.instructions[1].lines, [4, 5]);
+  assert.equal(build.instructions[1].args, 'npm ci  && npm run build');
+
+  // A stage built on another inherits its user and has no image of its own
+  assert.equal(derived.baseStage, build);
+  assert.equal(derived.imageRef, null);
+  assert.equal(derived.user, 'builder');
+
+  assert.deepEqual([final.image, final.user, final.userLine], ['node:20-slim', 'node', 10]);
+});
+
+test('heredocs are one instruction', () => {
+  const { instructions } = parseDockerfile([
+    'FROM debian:12',
+    'RUN <<EOF',
+    'apt-get update',
+    'EOF',
+    'USER app'
+  ].join('\n'));
+
+  assert.deepEqual(instructions.map(i => [i.instruction, i.line, i.endLine]), [['FROM', 1, 1], ['RUN', 2, 4], ['USER', 5, 5]]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const FixEngine = require('../../src/fix/FixEngine');
+const PatternDetector = require('../../src/patterns/PatternDetector');
+
+const detector = new PatternDetector();
+const engine = new FixEngine(detector);
+
+// The detector reports what it loaded on stdout, which the test runner reserves for results
+test.before(async () => {
+  const log = mock.method(console, 'log', () => {});
+  await detector.loadIncidentPatterns();
+  log.mock.restore();
+});
+test.after(() => engine.executor.stop());
+
+test('shares the detector\'s regex worker', () => {
+  assert.equal(engine.executor, detector.ruleEngine.executor);
+});
+
+test('replace edits apply to the finding\'s line only', () => {
+  const content = 'FROM node:20-alpine AS build\nFROM node:20-alpine\n';
+  const finding = {
+    location: { line: 2 },
+    fix: { edits: [{ type: 'replace', pattern: '^(FROM\\s+)\\S*alpine\\S*', replacement: '$1node:20-slim' }] }
+  };
+
+  assert.equal(engine.applyFix(content, finding), 'FROM node:20-alpine AS build\nFROM node:20-slim\n');
+  assert.equal(engine.applyFix(content, { ...finding, location: null }), 'FROM node:20-slim AS build\nFROM node:20-alpine\n');
+});
+
+test('insert edits respect their anchor and unless pattern', () => {
+  const edit = { type: 'insert', anchor: '</head>', position: 'before', content: '<meta name="color-scheme">', unless: 'color-scheme' };
+
+  assert.equal(engine.applyEdit('<head></head>', edit), '<head><meta name="color-scheme"></head>');
+  assert.equal(engine.applyEdit('<head><meta name="color-scheme"></head>', edit), '<head><meta name="color-scheme"></head>');
+  assert.equal(engine.applyEdit('<body></body>', edit), '<body></body>');
+  assert.equal(engine.applyEdit('<head></head>', { ...edit, anchor: '<head>', position: 'after' }), '<head><meta name="color-scheme"></head>');
+});
+
+test('a fix that changes nothing, or has no descriptor, returns null', () => {
+  const finding = { fix: { edits: [{ type: 'replace', pattern: 'alpine', replacement: 'slim' }] } };
+
+  assert.equal(engine.applyFix('FROM node:20-slim', finding), null);
+  assert.equal(engine.applyFix('FROM node:20-alpine', {}), null);
+});
+
+test('rejects unsafe patterns and unknown edit types', () => {
+  assert.throws(() => engine.applyEdit('aaaa', { type: 'replace', pattern: '(a+)+$' }), /Fix pattern .* rejected/);
+  assert.throws(() => engine.applyEdit('aaaa', { type: 'rename' }), /Unknown fix edit type: rename/);
+});
+
+test('applies fixes the caller confirms and reports the declined ones', async () => {
+  const script = 'set -e\ndocker build -t api .\n';
+
+  const fixed = await engine.fixFile('scripts/deploy.sh', script, { confirm: async () => true });
+  assert.equal(fixed.content, 'set -e\ndocker build --platform linux/amd64 -t api .\n');
+  assert.deepEqual(fixed.applied.map(entry => entry.description), ['Add --platform linux/amd64 to docker build']);
+
+  const declined = await engine.fixFile('scripts/deploy.sh', script, { confirm: async () => false });
+  assert.equal(declined.content, script);
+  assert.deepEqual(declined.applied, []);
+  assert.deepEqual(declined.declined.map(finding => [finding.incidentId, finding.location.line]), [['docker-amd64-platform', 2]]);
+});
+
+test('fixes a Dockerfile base image', async () => {
+  const { content, applied } = await engine.fixFile('Dockerfile', 'FROM node:20-alpine\nWORKDIR /app\n');
+
+  assert.equal(content, 'FROM node:20-slim\nWORKDIR /app\n');
+  assert.deepEqual(applied.map(entry => entry.finding.incidentId), ['alpine-base-image']);
+});
+
+test('rewrites cd ../.. && git only when git ends the command chain', async () => {
+  const { content, applied, unfixable } = await engine.fixFile('scripts/release.sh', 'cd ../.. && git status\n');
+  assert.equal(content, 'git -C ../.. status\n');
+  assert.deepEqual(applied.map(entry => entry.finding.incidentId), ['git-directory-breakout']);
+  assert.deepEqual(unfixable, []);
+
+  // git -C would move only the first command: commit and publish would run where they started
+  const chained = 'cd ../.. && git add -A && git commit -m x && npm publish\n';
+  const result = await engine.fixFile('scripts/release.sh', chained);
+  assert.equal(result.content, chained);
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(result.unfixable.map(finding => [finding.incidentId, finding.location.line]), [['git-directory-breakout', 1]]);
+});
+
+test('reports an Alpine image chosen through an ARG as unfixable', async () => {
+  const dockerfile = 'ARG BASE=node:20-alpine\nFROM ${BASE}\nUSER node\n';
+  const { content, applied, unfixable } = await engine.fixFile('Dockerfile', dockerfile);
+
+  assert.equal(content, dockerfile);
+  assert.deepEqual(applied, []);
+  assert.deepEqual(unfixable.map(finding => finding.incidentId), ['alpine-base-image']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LOG_ARGS, parseCommitLog, parseTrailers } = require('../../src/git/CommitLog');
+
+const IDENTITY = {
+  GIT_AUTHOR_NAME: 'Ada Author',
+  GIT_AUTHOR_EMAIL: 'ada@example.com',
+  GIT_AUTHOR_DATE: '1700000000 +0000',
+  GIT_COMMITTER_NAME: 'Cy Committer',
+  GIT_COMMITTER_EMAIL: 'cy@example.com',
+  GIT_COMMITTER_DATE: '1700000100 +0000'
+};
+
+// A scratch repository: a root commit, then a rename, a deletion, a binary file and a tricky message
+function buildRepo(dir) {
+  const git = (...args) => execFileSync('git', ['-C', dir, ...args], { env: { ...process.env, ...IDENTITY }, encoding: 'utf8' });
+
+  git('init', '-q');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const a = 1;\nconst b = 2;\nconst c = 3;\nconst d = 4;\n');
+  fs.writeFileSync(path.join(dir, 'old notes.txt'), 'remove me\n');
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init | first');
+
+  git('mv', 'app.js', 'server.js');
+  fs.appendFileSync(path.join(dir, 'server.js'), 'const e = 5;\n');
+  git('rm', '-q', 'old notes.txt');
+  fs.writeFileSync(path.join(dir, 'logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01, 0x02]));
+  git('add', '-A');
+  git('commit', '-q', '-m', 'Rename app\n\nBody line one\nBody | two\n\nSigned-off-by: Ada Author <ada@example.com>\nReviewed-by: Bo');
+
+  return git;
+}
+
+test('parses real git log output into commit records', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = buildRepo(dir);
+
+  const commits = parseCommitLog(git('log', ...LOG_ARGS));
+  assert.equal(commits.length, 2);
+
+  const [latest, root] = commits;
+  assert.deepEqual(root.parents, []);
+  assert.deepEqual(latest.parents, [root.hash]);
+  assert.match(latest.hash, /^[0-9a-f]{40}$/);
+
+  assert.equal(root.subject, 'init | first');
+  assert.equal(latest.subject, 'Rename app');
+  assert.match(latest.body, /^Body line one\nBody \| two/);
+  assert.ok(latest.message.startsWith('Rename app\n\nBody line one'));
+  assert.deepEqual(latest.author, { name: 'Ada Author', email: 'ada@example.com', timestamp: 1700000000000 });
+  assert.deepEqual(latest.committer, { name: 'Cy Committer', email: 'cy@example.com', timestamp: 1700000100000 });
+  assert.deepEqual(latest.trailers, [
+    { key: 'Signed-off-by', value: 'Ada Author <ada@example.com>' },
+    { key: 'Reviewed-by', value: 'Bo' }
+  ]);
+
+  const byPath = Object.fromEntries(latest.files.map(file => [file.path, file]));
+  assert.deepEqual(Object.keys(byPath).sort(), ['logo.png', 'old notes.txt', 'server.js']);
+  assert.equal(byPath['server.js'].status, 'R');
+  assert.equal(byPath['server.js'].oldPath, 'app.js');
+  assert.ok(byPath['server.js'].similarity > 50);
+  assert.deepEqual([byPath['server.js'].added, byPath['server.js'].deleted], [1, 0]);
+  assert.deepEqual([byPath['old notes.txt'].status, byPath['old notes.txt'].deleted], ['D', 1]);
+  assert.deepEqual(
+    [byPath['logo.png'].status, byPath['logo.png'].binary, byPath['logo.png'].added],
+    ['A', true, null]
+  );
+});
+
+test('ignores output before the first record and tolerates empty logs', () => {
+  assert.deepEqual(parseCommitLog(''), []);
+  assert.deepEqual(parseCommitLog('warning: something\n'), []);
+});
+
+test('parses trailer lines', () => {
+  assert.deepEqual(parseTrailers('Signed-off-by: A <a@example.com>\nnot a trailer\nDredd-Bypass:  hotfix  \n'), [
+    { key: 'Signed-off-by', value: 'A <a@example.com>' },
+    { key: 'Dredd-Bypass', value: 'hotfix' }
+  ]);
+});
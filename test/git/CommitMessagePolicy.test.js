@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/utils/config');
+const SensitivePathRegistry = require('../../src/git/SensitivePaths');
+const { parseCodeowners } = require('../../src/git/Codeowners');
+const { cleanMessage, splitMessage, isConventional, isVague, checkCommitMessage } = require('../../src/git/CommitMessagePolicy');
+
+const types = results => results.map(result => result.finding.type);
+
+test('cleans messages the way git stores them', () => {
+  const raw = [
+    '#41 Pin the deploy runner',
+    '',
+    'Body text',
+    '# Please enter the commit message',
+    '#',
+    '# ------------------------ >8 ------------------------',
+    'diff --git a/x b/x',
+    ''
+  ].join('\n');
+
+  assert.equal(cleanMessage(raw), '#41 Pin the deploy runner\n\nBody text');
+  assert.equal(cleanMessage('Subject\n; note\n', ';'), 'Subject');
+  assert.deepEqual(splitMessage('  Subject \n\n Body\n'), { subject: 'Subject', body: 'Body' });
+});
+
+test('recognizes Conventional Commit subjects', () => {
+  assert.equal(isConventional('fix(auth): reject expired tokens'), true);
+  assert.equal(isConventional('feat!: drop node 16'), true);
+  assert.equal(isConventional('feature: add login'), false);
+  assert.equal(isConventional('fix:missing space'), false);
+  assert.equal(isConventional('Fix login'), false);
+});
+
+test('recognizes vague subjects', () => {
+  for (const subject of ['wip', 'fix stuff', 'Updates.', 'fix: minor tweaks', 'chore(deps): misc']) {
+    assert.equal(isVague(subject), true, subject);
+  }
+  assert.equal(isVague('fix: reject expired session tokens'), false);
+  assert.equal(isVague('Bump chalk to 4.1.2'), false);
+});
+
+test('security-sensitive changes need an issue reference', () => {
+  const codeowners = { rules: parseCodeowners('/infra/ @acme/platform @acme/security-team\n') };
+  const sensitivePaths = new SensitivePathRegistry(['**/deploy.yml'], codeowners);
+  const files = ['.github/workflows/deploy.yml', 'infra/main.tf', 'src/app.js'];
+
+  const [missing] = checkCommitMessage('Move deploy to the new runner', files, { source: 'commit-msg' }, { sensitivePaths });
+  assert.equal(missing.finding.type, 'COMMIT_MISSING_ISSUE');
+  assert.match(missing.finding.details, /changes \.github\/workflows\/deploy\.yml, infra\/main\.tf but/);
+  assert.match(missing.finding.details, /Approval needed from @acme\/platform, @acme\/security-team\./);
+  assert.deepEqual(missing.finding.location, { file: null, line: 1, column: null, lineText: 'Move deploy to the new runner' });
+  assert.deepEqual(missing.finding.context, { source: 'commit-msg' });
+
+  assert.deepEqual(checkCommitMessage('Move deploy to the new runner\n\nRefs #43', files, {}, { sensitivePaths }), []);
+  assert.deepEqual(checkCommitMessage('SEC-12 Move deploy to the new runner', files, {}, { sensitivePaths }), []);
+  assert.deepEqual(checkCommitMessage('Move the login form', ['src/app.js'], {}, { sensitivePaths }), []);
+});
+
+test('judges wording, except for messages git generates', (t) => {
+  const conventional = config.commitMessages.conventional;
+  t.after(() => { config.commitMessages.conventional = conventional; });
+  const sensitivePaths = new SensitivePathRegistry([]);
+
+  assert.deepEqual(types(checkCommitMessage('', [], {}, { sensitivePaths })), ['COMMIT_VAGUE_MESSAGE']);
+  assert.deepEqual(types(checkCommitMessage('fix stuff', [], {}, { sensitivePaths })), ['COMMIT_VAGUE_MESSAGE']);
+  assert.deepEqual(types(checkCommitMessage('Reject expired session tokens', [], {}, { sensitivePaths })), []);
+
+  config.commitMessages.conventional = true;
+  assert.deepEqual(types(checkCommitMessage('Reject expired session tokens', [], {}, { sensitivePaths })), ['COMMIT_NOT_CONVENTIONAL']);
+  assert.deepEqual(types(checkCommitMessage('fix: wip', [], {}, { sensitivePaths })), ['COMMIT_VAGUE_MESSAGE']);
+  assert.deepEqual(types(checkCommitMessage("Merge branch 'main' into feature", [], {}, { sensitivePaths })), []);
+  assert.deepEqual(types(checkCommitMessage('fixup! wip', [], {}, { sensitivePaths })), []);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff, getAddedLines, getRemovedLines, fileFromContent } = require('../../src/git/DiffParser');
+
+const MODIFIED = [
+  'diff --git a/src/app.js b/src/app.js',
+  'index 1111111..2222222 100644',
+  '--- a/src/app.js',
+  '+++ b/src/app.js',
+  '@@ -10,3 +10,4 @@ function start() {',
+  ' const port = 3000;',
+  '-const host = "0.0.0.0";',
+  '+const host = "127.0.0.1";',
+  '+const debug = false;',
+  ' listen(port, host);',
+  '\\ No newline at end of file'
+].join('\n');
+
+test('parses hunks with old and new line numbers', () => {
+  const [file] = parseUnifiedDiff(MODIFIED);
+
+  assert.equal(file.path, 'src/app.js');
+  assert.equal(file.status, 'modified');
+  assert.equal(file.hunks.length, 1);
+
+  const [hunk] = file.hunks;
+  assert.deepEqual(
+    [hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines, hunk.section],
+    [10, 3, 10, 4, 'function start() {']
+  );
+  assert.deepEqual(hunk.lines.map(line => line.type), ['context', 'del', 'add', 'add', 'context']);
+});
+
+test('added and removed lines carry their own side\'s line numbers', () => {
+  const [file] = parseUnifiedDiff(MODIFIED);
+
+  assert.deepEqual(getAddedLines(file), [
+    { number: 11, content: 'const host = "127.0.0.1";' },
+    { number: 12, content: 'const debug = false;' }
+  ]);
+  assert.deepEqual(getRemovedLines(file), [{ number: 11, content: 'const host = "0.0.0.0";' }]);
+});
+
+test('recognizes added, deleted, renamed and binary files', () => {
+  const files = parseUnifiedDiff([
+    'diff --git a/new.txt b/new.txt',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/new.txt',
+    '@@ -0,0 +1 @@',
+    '+hello',
+    'diff --git a/gone.txt b/gone.txt',
+    'deleted file mode 100644',
+    '--- a/gone.txt',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-bye',
+    'diff --git a/old name.js b/new name.js',
+    'similarity index 100%',
+    'rename from old name.js',
+    'rename to new name.js',
+    'diff --git a/logo.png b/logo.png',
+    'Binary files a/logo.png and b/logo.png differ'
+  ].join('\n'));
+
+  assert.deepEqual(files.map(file => [file.path, file.oldPath, file.status, file.binary]), [
+    ['new.txt', 'new.txt', 'added', false],
+    ['gone.txt', 'gone.txt', 'deleted', false],
+    ['new name.js', 'old name.js', 'renamed', false],
+    ['logo.png', 'logo.png', 'modified', true]
+  ]);
+  assert.equal(files[0].hunks[0].oldLines, 0);
+  assert.equal(files[0].hunks[0].newLines, 1);
+});
+
+test('unquotes paths git quotes for special characters', () => {
+  const [file] = parseUnifiedDiff([
+    'diff --git "a/tab\\there.txt" "b/tab\\there.txt"',
+    '--- "a/tab\\there.txt"',
+    '+++ "b/tab\\there.txt"',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b'
+  ].join('\n'));
+
+  assert.equal(file.path, 'tab\there.txt');
+});
+
+test('lines that look like headers inside a hunk are content', () => {
+  const [file] = parseUnifiedDiff([
+    'diff --git a/notes.md b/notes.md',
+    '--- a/notes.md',
+    '+++ b/notes.md',
+    '@@ -1,2 +1,2 @@',
+    '---- old rule',
+    '+++++ new rule',
+    ' @@ not a hunk @@'
+  ].join('\n'));
+
+  assert.equal(file.hunks.length, 1);
+  assert.deepEqual(getRemovedLines(file), [{ number: 1, content: '--- old rule' }]);
+  assert.deepEqual(getAddedLines(file), [{ number: 1, content: '++++ new rule' }]);
+});
+
+test('ignores output before the first file and empty input', () => {
+  assert.deepEqual(parseUnifiedDiff(''), []);
+  assert.deepEqual(parseUnifiedDiff(null), []);
+  assert.equal(parseUnifiedDiff(`commit abc\nAuthor: a\n\n${MODIFIED}`).length, 1);
+});
+
+test('fileFromContent marks every line as added', () => {
+  const file = fileFromContent('notes.txt', 'one\ntwo\n');
+
+  assert.equal(file.status, 'added');
+  assert.deepEqual(getAddedLines(file), [{ number: 1, content: 'one' }, { number: 2, content: 'two' }]);
+  assert.deepEqual(fileFromContent('empty.txt', '').hunks, []);
+});
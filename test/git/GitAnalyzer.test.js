@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GitAnalyzer = require('../../src/git/GitAnalyzer');
+const GitError = require('../../src/git/GitError');
+
+const IDENTITY = {
+  GIT_AUTHOR_NAME: 'Ada Author',
+  GIT_AUTHOR_EMAIL: 'ada@example.com',
+  GIT_COMMITTER_NAME: 'Ada Author',
+  GIT_COMMITTER_EMAIL: 'ada@example.com'
+};
+
+// A scratch repository and a git runner for setting it up
+function scratchRepo(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-git-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', ['-C', dir, ...args], { env: { ...process.env, ...IDENTITY }, encoding: 'utf8' }).trim();
+  git('init', '-q');
+  return { dir, git };
+}
+
+test('reports failures as GitErrors with a code', async (t) => {
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-nogit-'));
+  t.after(() => fs.rmSync(outside, { recursive: true, force: true }));
+
+  await assert.rejects(new GitAnalyzer(outside).resolveCommit('HEAD'), { name: 'GitError', code: 'NOT_A_REPOSITORY' });
+  await assert.rejects(new GitAnalyzer(path.join(outside, 'missing')).resolveCommit('HEAD'), { code: 'NOT_A_REPOSITORY' });
+
+  // Without git on PATH the repository path stands in for the root; commands still fail loudly
+  const { PATH } = process.env;
+  process.env.PATH = outside;
+  try {
+    assert.equal(await new GitAnalyzer(outside).getRepoRoot(), outside);
+    await assert.rejects(new GitAnalyzer(outside).resolveCommit('HEAD'), { code: 'GIT_NOT_FOUND' });
+  } finally {
+    process.env.PATH = PATH;
+  }
+
+  const { dir } = scratchRepo(t);
+  const error = await new GitAnalyzer(dir).run(['frobnicate']).catch(e => e);
+  assert.ok(error instanceof GitError);
+  assert.equal(error.code, 'GIT_FAILED');
+  assert.deepEqual(error.args, ['frobnicate']);
+  assert.equal(error.exitCode, 1);
+});
+
+test('rejects revisions that are options, ranges or paths before running git', async (t) => {
+  const { dir } = scratchRepo(t);
+  const git = new GitAnalyzer(dir);
+
+  for (const revision of ['--output=/tmp/x', 'main..HEAD', 'HEAD:secret.txt', 'HEAD; rm -rf /', '']) {
+    await assert.rejects(git.resolveCommit(revision), { code: 'INVALID_REVISION' }, revision);
+  }
+});
+
+test('works in a repository without commits', async (t) => {
+  const { dir } = scratchRepo(t);
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const a = 1;\n');
+  const git = new GitAnalyzer(dir);
+
+  assert.equal(await git.hasHead(), false);
+  assert.match(await git.getBaseRevision(), /^[0-9a-f]{40}$/);
+  assert.equal(await git.resolveCommit('HEAD'), null);
+});
+
+test('reads files and resolves commits in any repository path', async (t) => {
+  const { dir, git: setup } = scratchRepo(t);
+  const odd = '$(touch pwned) notes.txt';
+  fs.mkdirSync(path.join(dir, 'src'));
+  fs.writeFileSync(path.join(dir, odd), 'first\n');
+  setup('add', '-A');
+  setup('commit', '-q', '-m', 'init');
+  fs.writeFileSync(path.join(dir, odd), 'second\n');
+  setup('commit', '-q', '-am', 'update');
+
+  const git = new GitAnalyzer(path.join(dir, 'src'));
+  assert.equal(await git.getRepoRoot(), fs.realpathSync(dir));
+  assert.equal(await git.readFileAtRevision('HEAD~1', odd), 'first\n');
+  assert.equal(await git.readWorkingFile(odd), 'second\n');
+  assert.equal(await git.readFileAtRevision('HEAD', 'missing.txt'), null);
+  assert.equal(fs.existsSync(path.join(dir, 'pwned')), false);
+  assert.match(await git.resolveCommit('HEAD~1'), /^[0-9a-f]{40}$/);
+  assert.equal(await git.resolveCommit('HEAD~5'), null);
+});
+
+test('reads the project configuration as of a revision, nearest first', async (t) => {
+  const { dir, git: setup } = scratchRepo(t);
+  fs.mkdirSync(path.join(dir, 'packages', 'web'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'packages', 'web', 'index.js'), '');
+  fs.writeFileSync(path.join(dir, '.dreddrc.yml'), 'severity:\n  blocking: [CRITICAL, HIGH]\n');
+  setup('add', '-A');
+  setup('commit', '-q', '-m', 'policy');
+
+  // What the working tree says does not matter
+  fs.writeFileSync(path.join(dir, '.dreddrc.yml'), 'severity:\n  blocking: []\n');
+  fs.writeFileSync(path.join(dir, 'packages', 'web', '.dreddrc.json'), '{}');
+
+  const git = new GitAnalyzer(path.join(dir, 'packages', 'web'));
+  const project = await git.readProjectConfig('HEAD');
+  assert.equal(project.source, 'HEAD:.dreddrc.yml');
+  assert.equal(project.file, path.join(fs.realpathSync(dir), '.dreddrc.yml'));
+  assert.equal(project.content, 'severity:\n  blocking: [CRITICAL, HIGH]\n');
+
+  // The nearest one wins, and two in one directory are ambiguous
+  setup('add', '-A');
+  setup('commit', '-q', '-m', 'package policy');
+  assert.equal((await git.readProjectConfig('HEAD')).source, 'HEAD:packages/web/.dreddrc.json');
+  fs.writeFileSync(path.join(dir, '.dreddrc.json'), '{}');
+  setup('add', '-A');
+  setup('commit', '-q', '-m', 'second root policy');
+  assert.equal((await new GitAnalyzer(dir).readProjectConfig('HEAD~1')).source, 'HEAD~1:.dreddrc.yml');
+  await assert.rejects(new GitAnalyzer(dir).readProjectConfig('HEAD'), /Multiple project configurations in HEAD:\.: \.dreddrc\.json, \.dreddrc\.yml/);
+
+  setup('rm', '-q', '.dreddrc.json', '.dreddrc.yml', 'packages/web/.dreddrc.json');
+  setup('commit', '-q', '-m', 'no policy');
+  assert.equal(await git.readProjectConfig('HEAD'), null);
+});
+
+test('resolves commit ranges and lists their commits oldest first, without merges', async (t) => {
+  const { dir, git: setup } = scratchRepo(t);
+  const commit = (file, message) => {
+    fs.writeFileSync(path.join(dir, file), `${message}\n`);
+    setup('add', '-A');
+    setup('commit', '-q', '-m', message);
+  };
+  commit('a.txt', 'base');
+  const base = setup('rev-parse', 'HEAD');
+  setup('checkout', '-q', '-b', 'feature');
+  commit('b.txt', 'feature one');
+  commit('c.txt', 'feature two');
+  setup('checkout', '-q', '-');
+  commit('d.txt', 'main moves on');
+  setup('merge', '-q', '--no-ff', '-m', 'Merge branch feature', 'feature');
+
+  const git = new GitAnalyzer(dir);
+  const range = await git.resolveRange(`${base}..HEAD`);
+  assert.equal(range.base, base);
+  assert.equal(range.mergeBase, base);
+  assert.deepEqual(
+    (await git.getRangeCommits(range.base, range.head)).map(entry => entry.subject).sort(),
+    ['feature one', 'feature two', 'main moves on']
+  );
+  assert.deepEqual((await git.getRangeCommits('HEAD^2~2', 'feature')).map(entry => entry.subject), ['feature one', 'feature two']);
+
+  await assert.rejects(git.resolveRange('HEAD'), { code: 'INVALID_REVISION' });
+  await assert.rejects(git.resolveRange('nope..HEAD'), { code: 'UNKNOWN_REVISION' });
+
+  // Unrelated histories have no merge base
+  setup('checkout', '-q', '--orphan', 'other');
+  setup('rm', '-rqf', '.');
+  commit('e.txt', 'unrelated');
+  assert.equal((await git.resolveRange('feature..other')).mergeBase, null);
+});
+
+test('keeps staged and unstaged changes apart, before and after the first commit', async (t) => {
+  const { dir, git: setup } = scratchRepo(t);
+  const git = new GitAnalyzer(dir);
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const staged = 1;\n');
+  setup('add', 'app.js');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const staged = 1;\nconst unstaged = 2;\n');
+
+  const [file] = (await git.getStagedDiff()).files;
+  assert.deepEqual([file.path, file.status], ['app.js', 'added']);
+  assert.equal(await git.readIndexFile('app.js'), 'const staged = 1;\n');
+  assert.equal(await git.readIndexFile('missing.js'), null);
+  assert.deepEqual(await git.getStagedFiles(), ['app.js']);
+
+  setup('commit', '-q', '-m', 'init');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const staged = 3;\nconst unstaged = 2;\n');
+  setup('add', 'app.js');
+  fs.writeFileSync(path.join(dir, 'app.js'), 'const staged = 3;\nconst unstaged = 4;\n');
+
+  const changes = await git.getUncommittedChanges();
+  assert.match(changes.staged, /^\+const staged = 3;$/m);
+  assert.doesNotMatch(changes.staged, /unstaged = 4/);
+  assert.match(changes.unstaged, /^\+const unstaged = 4;$/m);
+  assert.doesNotMatch(changes.unstaged, /^\+const staged/m);
+  assert.equal((changes.combined.match(/^diff --git/gm) || []).length, 1);
+  assert.equal(changes.hasChanges, true);
+
+  const [staged] = (await git.getStagedDiff()).files;
+  assert.deepEqual(staged.hunks.flatMap(hunk => hunk.lines).filter(line => line.type !== 'context').map(line => line.content), [
+    'const staged = 1;',
+    'const staged = 3;',
+    'const unstaged = 2;'
+  ]);
+});
+
+test('lists the commits a push sends, including a new history\'s root', async (t) => {
+  const { dir, git: setup } = scratchRepo(t);
+  const remote = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-remote-'));
+  t.after(() => fs.rmSync(remote, { recursive: true, force: true }));
+  execFileSync('git', ['init', '-q', '--bare', remote]);
+  setup('remote', 'add', 'origin', remote);
+
+  const commit = message => {
+    fs.writeFileSync(path.join(dir, 'log.txt'), `${message}\n`, { flag: 'a' });
+    setup('add', '-A');
+    setup('commit', '-q', '-m', message);
+    return setup('rev-parse', 'HEAD');
+  };
+  const git = new GitAnalyzer(dir);
+  const subjects = commits => commits.map(entry => entry.subject);
+
+  // Nothing on the remote yet: every commit goes, the root (no parents) first
+  const root = commit('root');
+  commit('second');
+  const outgoing = await git.getOutgoingCommits('HEAD', { remote: 'origin' });
+  assert.deepEqual(subjects(outgoing), ['root', 'second']);
+  assert.deepEqual(outgoing[0].parents, []);
+  assert.equal(outgoing[0].hash, root);
+
+  // Once pushed, only what follows is outgoing - also to a remote given by URL
+  setup('push', '-q', 'origin', 'HEAD:refs/heads/main');
+  const third = commit('third');
+  assert.deepEqual(subjects(await git.getOutgoingCommits('HEAD', { remote: 'origin' })), ['third']);
+  assert.deepEqual(subjects(await git.getOutgoingCommits('HEAD', { remote })), ['third']);
+
+  // Commits the remote tip being replaced already has are not sent again
+  assert.deepEqual(subjects(await git.getOutgoingCommits('HEAD', { remote: 'elsewhere', remoteHash: third })), []);
+  await assert.rejects(git.getOutgoingCommits('HEAD', { remoteHash: '--all' }), { code: 'INVALID_REVISION' });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SensitivePathRegistry = require('../../src/git/SensitivePaths');
+const { patternToGlobs, parseCodeowners, loadCodeowners, ruleFor } = require('../../src/git/Codeowners');
+const { matchesAny } = require('../../src/utils/glob');
+
+const CODEOWNERS = [
+  '# Default owners',
+  '*                     @acme/developers',
+  '/.github/workflows/   @acme/platform @acme/security-team',
+  'docs/*                @acme/writers',
+  '*.tf                  security@acme.example',
+  '/.github/workflows/docs.yml',
+  '!/ignored/            @acme/nobody',
+  ''
+].join('\n');
+
+test('turns CODEOWNERS patterns into globs with GitHub\'s anchoring', () => {
+  const matches = (pattern, file) => matchesAny(file, patternToGlobs(pattern));
+
+  assert.equal(matches('*.js', 'src/deep/app.js'), true);
+  assert.equal(matches('apps/', 'services/apps/api/index.js'), true);
+  assert.equal(matches('/build/', 'build/out.js'), true);
+  assert.equal(matches('/build/', 'src/build/out.js'), false);
+  assert.equal(matches('docs/*', 'docs/intro.md'), true);
+  assert.equal(matches('docs/*', 'docs/api/intro.md'), false);
+  assert.equal(patternToGlobs('!secret'), null);
+  assert.equal(patternToGlobs('[Dd]ocs'), null);
+});
+
+test('the last matching CODEOWNERS rule wins, even without owners', () => {
+  const rules = parseCodeowners(CODEOWNERS);
+
+  assert.equal(rules.length, 5);
+  assert.deepEqual(ruleFor(rules, '.github/workflows/deploy.yml').owners, ['@acme/platform', '@acme/security-team']);
+  assert.deepEqual(ruleFor(rules, '.github/workflows/docs.yml').owners, []);
+  assert.deepEqual(ruleFor(rules, 'infra/main.tf').owners, ['security@acme.example']);
+  assert.equal(ruleFor(rules, 'src/app.js').line, 2);
+  assert.equal(ruleFor([], 'src/app.js'), null);
+});
+
+test('finds CODEOWNERS where GitHub looks for it', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-codeowners-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  assert.equal(loadCodeowners(root), null);
+
+  fs.mkdirSync(path.join(root, 'docs'));
+  fs.writeFileSync(path.join(root, 'docs', 'CODEOWNERS'), '* @acme/docs\n');
+  fs.mkdirSync(path.join(root, '.github'));
+  fs.writeFileSync(path.join(root, '.github', 'CODEOWNERS'), CODEOWNERS);
+
+  const loaded = loadCodeowners(root);
+  assert.equal(loaded.file, path.join(root, '.github', 'CODEOWNERS'));
+  assert.equal(loaded.rules.length, 5);
+});
+
+test('merges configured paths with security-owned CODEOWNERS paths', () => {
+  const registry = new SensitivePathRegistry(
+    ['**/deploy.yml', { path: '**/.github/workflows/*.yml', removal: { deletedLines: ['npm audit'] } }],
+    { rules: parseCodeowners(CODEOWNERS) }
+  );
+
+  const deploy = registry.match('.github/workflows/deploy.yml');
+  assert.deepEqual(deploy.paths, ['**/deploy.yml', '**/.github/workflows/*.yml', 'CODEOWNERS:3 /.github/workflows/']);
+  assert.deepEqual(deploy.securityOwners, ['@acme/security-team']);
+  assert.deepEqual(deploy.removal, { fileDeleted: true, deletedLines: ['npm audit'] });
+
+  assert.deepEqual(registry.match('infra/main.tf').paths, ['CODEOWNERS:5 *.tf']);
+  assert.equal(registry.isSensitive('docs/intro.md'), false);
+  assert.deepEqual(registry.owners('docs/intro.md'), ['@acme/writers']);
+  assert.equal(registry.isSensitive('src/app.js'), false);
+});
+
+test('finds removals by each path\'s declared rule', () => {
+  const registry = new SensitivePathRegistry([
+    '**/judge.js',
+    { path: '**/ci.yml', removal: { fileDeleted: false, deletedLines: ['npm audit', 'sbom'] } },
+    { path: '**/CLAUDE.md', removal: { deletedLines: 'any' } }
+  ]);
+  const removedLines = [
+    { number: 4, content: '      - run: npm audit --audit-level=high' },
+    { number: 5, content: '      - run: npm test' },
+    { number: 6, content: '   ' }
+  ];
+
+  assert.deepEqual(registry.findRemovals('scripts/judge.js', { deleted: true }), ['file deleted']);
+  assert.deepEqual(registry.findRemovals('scripts/judge.js', { deleted: false, removedLines }), []);
+  assert.deepEqual(registry.findRemovals('.github/workflows/ci.yml', { deleted: true, removedLines }), [
+    'line 4 deleted: - run: npm audit --audit-level=high'
+  ]);
+  assert.deepEqual(registry.findRemovals('CLAUDE.md', { deleted: false, removedLines }), [
+    'line 4 deleted: - run: npm audit --audit-level=high',
+    'line 5 deleted: - run: npm test'
+  ]);
+  assert.deepEqual(registry.findRemovals('src/app.js', { deleted: true }), []);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SKIP_VARIABLE, bypassReason, auditLogPath, recordBypass, readBypasses } = require('../../src/hooks/Bypass');
+
+test('a bypass needs a real reason', () => {
+  assert.equal(bypassReason({}), null);
+  assert.equal(bypassReason({ [SKIP_VARIABLE]: '  ' }), null);
+  assert.equal(bypassReason({ [SKIP_VARIABLE]: 'hotfix for INC-42,\n  reviewed by @security' }), 'hotfix for INC-42, reviewed by @security');
+
+  for (const value of ['1', 'true', 'skip', 'urgent']) {
+    assert.throws(() => bypassReason({ [SKIP_VARIABLE]: value }), /DREDD_SKIP needs a reason/);
+  }
+});
+
+test('records bypasses in the audit log and reads them back', async (t) => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'dredd-bypass-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  assert.deepEqual(await readBypasses(root), []);
+
+  const entry = { hook: 'pre-commit', reason: 'hotfix for INC-42', user: { name: 'Ada', email: 'ada@example.com' }, branch: 'main', head: 'abc123' };
+  const recorded = await recordBypass(root, entry);
+  assert.match(recorded.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+  await fs.promises.appendFile(auditLogPath(root), 'not json\n');
+  await recordBypass(root, { ...entry, hook: 'pre-push' });
+
+  const entries = await readBypasses(root);
+  assert.equal(auditLogPath(root), path.join(root, '.dredd', 'bypass.jsonl'));
+  assert.deepEqual(entries[0], recorded);
+  assert.deepEqual(entries[1], { invalid: 'not json' });
+  assert.equal(entries[2].hook, 'pre-push');
+});
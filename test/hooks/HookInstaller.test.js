@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HOOKS, MARKER, CHAINED_SUFFIX, hookScript, installHooks, uninstallHooks } = require('../../src/hooks/HookInstaller');
+
+const COMMAND = ['/usr/bin/node', "/opt/dredd's cli/index.js"];
+
+function hooksDir(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-hooks-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return path.join(root, 'hooks');
+}
+
+test('hook scripts quote the command and chain the previous hook', () => {
+  const script = hookScript('commit-msg', COMMAND);
+
+  assert.ok(script.startsWith(`#!/bin/sh\n${MARKER}: commit-msg`));
+  assert.match(script, /exec '\/usr\/bin\/node' '\/opt\/dredd'\\''s cli\/index\.js' 'hooks' 'run' 'commit-msg' "\$@"/);
+  assert.match(script, /commit-msg\.dredd-chained" "\$@" \|\| exit \$\?/);
+});
+
+test('pre-push scripts hand standard input to both hooks', () => {
+  const script = hookScript('pre-push', COMMAND);
+
+  assert.match(script, /^input=\$\(cat\)$/m);
+  assert.equal((script.match(/printf '%s\\n' "\$input" \|/g) || []).length, 2);
+  assert.doesNotMatch(script, /^exec /m);
+});
+
+test('a chained hook runs first and its failure stops the hook', { skip: process.platform === 'win32' }, async (t) => {
+  const dir = hooksDir(t);
+  await fs.promises.mkdir(dir);
+  fs.writeFileSync(path.join(dir, 'pre-commit'), '#!/bin/sh\necho chained >> "$(dirname "$0")/ran"\nexit 3\n', { mode: 0o755 });
+  await installHooks(dir, ['/bin/sh', '-c', 'echo dredd >> ran'], ['pre-commit']);
+
+  let status = 0;
+  try {
+    execFileSync(path.join(dir, 'pre-commit'), { cwd: dir, stdio: 'ignore' });
+  } catch (error) {
+    status = error.status;
+  }
+  assert.equal(status, 3);
+  assert.equal(fs.readFileSync(path.join(dir, 'ran'), 'utf8'), 'chained\n');
+});
+
+test('installs every hook, chaining existing ones, and refreshes on reinstall', async (t) => {
+  const dir = hooksDir(t);
+
+  const first = await installHooks(dir, COMMAND);
+  assert.deepEqual(first.map(entry => [entry.hook, entry.action, entry.chained]), HOOKS.map(hook => [hook, 'installed', null]));
+  assert.equal(fs.statSync(path.join(dir, 'pre-commit')).mode & 0o111, 0o111);
+
+  await uninstallHooks(dir);
+  fs.writeFileSync(path.join(dir, 'pre-push'), '#!/bin/sh\nexit 0\n');
+  const second = await installHooks(dir, COMMAND);
+  const prePush = second.find(entry => entry.hook === 'pre-push');
+  assert.equal(prePush.action, 'chained');
+  assert.equal(prePush.chained, path.join(dir, 'pre-push' + CHAINED_SUFFIX));
+  assert.equal(fs.readFileSync(prePush.chained, 'utf8'), '#!/bin/sh\nexit 0\n');
+
+  const third = await installHooks(dir, COMMAND);
+  assert.ok(third.every(entry => entry.action === 'updated'));
+  assert.equal(third.find(entry => entry.hook === 'pre-push').chained, prePush.chained);
+});
+
+test('refuses to install over a foreign hook when one is already chained', async (t) => {
+  const dir = hooksDir(t);
+  await installHooks(dir, COMMAND, ['commit-msg']);
+  fs.writeFileSync(path.join(dir, 'pre-commit'), '#!/bin/sh\necho theirs\n');
+  fs.writeFileSync(path.join(dir, 'pre-commit' + CHAINED_SUFFIX), '#!/bin/sh\necho older\n');
+  const before = fs.readdirSync(dir).sort();
+
+  await assert.rejects(installHooks(dir, COMMAND), /pre-commit is not a Dredd hook, but pre-commit\.dredd-chained already exists/);
+  assert.deepEqual(fs.readdirSync(dir).sort(), before);
+  assert.equal(fs.readFileSync(path.join(dir, 'pre-commit'), 'utf8'), '#!/bin/sh\necho theirs\n');
+});
+
+test('refuses a hooks path that is not a directory', async (t) => {
+  const dir = hooksDir(t);
+  fs.writeFileSync(dir, '');
+
+  await assert.rejects(installHooks(dir, COMMAND), /is not a directory \(check core\.hooksPath\)/);
+});
+
+test('uninstalling restores chained hooks and leaves foreign ones alone', async (t) => {
+  const dir = hooksDir(t);
+  await fs.promises.mkdir(dir);
+  fs.writeFileSync(path.join(dir, 'pre-push'), '#!/bin/sh\necho original\n');
+  await installHooks(dir, COMMAND);
+  fs.writeFileSync(path.join(dir, 'commit-msg'), '#!/bin/sh\necho replaced\n');
+
+  const removed = await uninstallHooks(dir);
+  assert.deepEqual(Object.fromEntries(removed.map(entry => [entry.hook, entry.action])), {
+    'pre-commit': 'removed',
+    'commit-msg': 'foreign',
+    'pre-push': 'restored'
+  });
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['commit-msg', 'pre-push']);
+  assert.equal(fs.readFileSync(path.join(dir, 'pre-push'), 'utf8'), '#!/bin/sh\necho original\n');
+
+  assert.ok((await uninstallHooks(dir, ['pre-commit'])).every(entry => entry.action === 'missing'));
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../../src/utils/config');
+const { parseTemplate } = require('../../src/iac/IacParser');
+const { runIacCheck, summarizeCost, combineCosts, estimateCost, formatUsd } = require('../../src/iac/IacAnalyzer');
+
+const terraform = (...resources) => parseTemplate(resources.join('\n'), 'terraform');
+const FIREWALL = 'resource "azurerm_firewall" "hub" {\n  sku_tier = "Premium"\n}';
+const GATEWAY = 'resource "azurerm_application_gateway" "agw" {\n  sku {\n    name = "WAF_v2"\n    tier = "WAF_v2"\n  }\n}';
+const REDIS = 'resource "azurerm_redis_cache" "cache" {\n  sku_name = "Standard"\n}';
+const REDIS_PREMIUM = 'resource "azurerm_redis_cache" "cache" {\n  sku_name = "Premium"\n}';
+const STORAGE = 'resource "azurerm_storage_account" "data" {}';
+
+test('formats monthly amounts', () => {
+  assert.equal(formatUsd(1277.5), '$1,277.50');
+  assert.equal(formatUsd(-16.06), '-$16.06');
+});
+
+test('estimates the fixed monthly cost of priced resources only', () => {
+  const { total, items } = estimateCost(terraform(FIREWALL, REDIS, STORAGE));
+
+  assert.equal(items.length, 2);
+  assert.equal(total, 1277.5 + 40.15);
+  assert.equal(estimateCost(null).total, 0);
+});
+
+test('assumes the default SKU when none is literal, and skips unknown SKUs', () => {
+  const [assumed] = estimateCost(terraform('resource "azurerm_firewall" "fw" {\n  sku_tier = var.tier\n}')).items;
+  assert.deepEqual([assumed.price.sku, assumed.price.assumed], ['Standard', true]);
+
+  assert.equal(estimateCost(terraform('resource "azurerm_firewall" "fw" {\n  sku_tier = "Ultra"\n}')).items.length, 0);
+});
+
+test('summarizes what changed in a template', () => {
+  const cost = summarizeCost(terraform(REDIS, GATEWAY), terraform(REDIS_PREMIUM));
+
+  assert.equal(cost.delta, 404.42 - 40.15 - 323.39);
+  assert.deepEqual(cost.changes, [
+    'Azure Cache for Redis cache (Premium) +$364.27',
+    'Application Gateway agw (WAF_v2) removed -$323.39'
+  ]);
+  assert.equal(summarizeCost(terraform(REDIS), terraform(REDIS, STORAGE)), null);
+});
+
+test('combines the costs of every template in a change', () => {
+  const costs = [
+    { file: 'a.tf', ...summarizeCost(null, terraform(REDIS)) },
+    { file: 'b.tf', ...summarizeCost(null, terraform(FIREWALL)) }
+  ];
+  const change = combineCosts(costs);
+
+  assert.equal(change.delta, 40.15 + 1277.5);
+  assert.equal(change.anchor, 'b.tf');
+  assert.deepEqual(change.files, ['a.tf', 'b.tf']);
+  assert.ok(change.changes.every(line => /^[ab]\.tf: /.test(line)));
+  assert.equal(combineCosts([]), null);
+});
+
+test('flags enterprise resources only when they are introduced', () => {
+  const [hit] = runIacCheck('enterprise-resource', null, terraform(FIREWALL));
+  assert.equal(hit.line, 1);
+  assert.equal(hit.values.resource, 'Azure Firewall hub (Premium)');
+  assert.equal(hit.values.monthly, '$1,277.50');
+
+  assert.deepEqual(runIacCheck('enterprise-resource', terraform(FIREWALL), terraform(FIREWALL, REDIS)), []);
+  assert.equal(runIacCheck('enterprise-resource', terraform(REDIS), terraform(REDIS_PREMIUM)).length, 1);
+  assert.deepEqual(runIacCheck('enterprise-resource', terraform(FIREWALL), null), []);
+});
+
+test('judges the cost threshold on the whole change', (t) => {
+  const threshold = config.cost.monthlyThreshold;
+  t.after(() => { config.cost.monthlyThreshold = threshold; });
+  config.cost.monthlyThreshold = 500;
+
+  // Two templates under the threshold on their own, over it together
+  const first = terraform(GATEWAY);
+  const second = terraform('resource "azurerm_application_gateway" "edge" {\n  sku_name = "WAF_v2"\n}');
+  const change = combineCosts([
+    { file: 'a.tf', ...summarizeCost(null, first) },
+    { file: 'b.tf', ...summarizeCost(null, second) }
+  ]);
+
+  const [hit] = runIacCheck('cost-increase', null, first, change);
+  assert.equal(hit.values.delta, '$646.78');
+  assert.equal(hit.values.templates, 'a.tf, b.tf');
+  assert.equal(hit.values.threshold, '$500.00');
+
+  // A resource moved between templates costs nothing
+  const moved = combineCosts([
+    { file: 'a.tf', ...summarizeCost(first, null) },
+    { file: 'b.tf', ...summarizeCost(null, first) }
+  ]);
+  assert.equal(moved.delta, 0);
+  assert.deepEqual(runIacCheck('cost-increase', null, first, moved), []);
+
+  // Without the change (no other template priced) nothing is judged
+  assert.deepEqual(runIacCheck('cost-increase', null, first), []);
+});
+
+test('unknown checks return no hits', () => {
+  assert.deepEqual(runIacCheck('quantum-sprawl', null, terraform(FIREWALL)), []);
+});
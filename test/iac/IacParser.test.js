@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { iacType, isTemplateCandidate, parseTemplate, tokenizeHcl } = require('../../src/iac/IacParser');
+
+const TERRAFORM = [
+  '# Hub network',
+  'resource "azurerm_firewall" "hub" {',
+  '  name     = "fw-${var.env}"',
+  '  sku_tier = "Premium"',
+  '  policy   = <<EOT',
+  '  { "not": "a block" }',
+  '  EOT',
+  '}',
+  '',
+  'resource "azurerm_api_management" "apim" {',
+  '  count    = 2',
+  '  sku_name = var.apim_sku   // computed',
+  '}',
+  '',
+  'data "azurerm_client_config" "current" {}',
+  ''
+].join('\n');
+
+const BICEP = [
+  "param env string = 'prod'",
+  "resource vault 'Microsoft.KeyVault/vaults@2023-07-01' existing = {",
+  "  name: 'shared'",
+  '}',
+  "resource redis 'Microsoft.Cache/redis@2023-08-01' = {",
+  "  name: 'cache-${env}'",
+  '  properties: {',
+  "    sku: { name: 'Premium', family: 'P', capacity: 1 }",
+  "    note: '} not the end'",
+  '  }',
+  '}',
+  ''
+].join('\n');
+
+const ARM = JSON.stringify({
+  $schema: 'https://schema.management.azure.com/schemas/2019-04-01/deploymentTemplate.json#',
+  resources: [
+    {
+      type: 'Microsoft.Network/applicationGateways',
+      name: 'agw',
+      properties: { sku: { name: 'WAF_v2', tier: "[parameters('tier')]" } },
+      copy: { name: 'agws', count: 3 }
+    },
+    { type: 'Microsoft.Network/azureFirewalls', name: 'old', existing: true }
+  ]
+}, null, 2);
+
+test('recognizes template types', () => {
+  assert.equal(iacType('infra/main.tf'), 'terraform');
+  assert.equal(iacType('infra/main.bicep'), 'bicep');
+  assert.equal(iacType('azuredeploy.json', ARM), 'arm');
+  assert.equal(iacType('package.json', '{"name":"app"}'), null);
+  assert.equal(iacType('azuredeploy.json'), null);
+
+  assert.equal(isTemplateCandidate('azuredeploy.json'), true);
+  assert.equal(isTemplateCandidate('README.md'), false);
+});
+
+test('tokenizes HCL without comments', () => {
+  const tokens = tokenizeHcl('a = "x" # note\nb = 2 // more\n/* block */ c = true');
+  assert.ok(!tokens.some(token => /note|more|block/.test(token.value)));
+  assert.deepEqual(
+    tokens.filter(token => token.kind === 'ident').map(token => token.value),
+    ['a', 'b', 'c', 'true']
+  );
+});
+
+test('parses Terraform resources, literal SKUs and counts', () => {
+  const { type, resources } = parseTemplate(TERRAFORM, 'terraform');
+
+  assert.equal(type, 'terraform');
+  assert.deepEqual(resources.map(resource => [resource.kind, resource.name, resource.sku, resource.count, resource.line]), [
+    ['azurerm_firewall', 'hub', ['Premium'], 1, 2],
+    ['azurerm_api_management', 'apim', [], 2, 10]
+  ]);
+  assert.equal(resources[0].lineText, 'resource "azurerm_firewall" "hub" {');
+});
+
+test('parses Bicep resources, skipping existing ones and strings in bodies', () => {
+  const { resources } = parseTemplate(BICEP, 'bicep');
+
+  assert.equal(resources.length, 1);
+  assert.deepEqual(
+    [resources[0].kind, resources[0].name, resources[0].sku, resources[0].line],
+    ['Microsoft.Cache/redis', 'redis', ['Premium'], 5]
+  );
+});
+
+test('parses ARM resources, ignoring expression SKUs and existing resources', () => {
+  const { resources } = parseTemplate(ARM, 'arm');
+
+  assert.equal(resources.length, 1);
+  const [gateway] = resources;
+  assert.deepEqual([gateway.kind, gateway.name, gateway.sku, gateway.count], ['Microsoft.Network/applicationGateways', 'agw', ['WAF_v2'], 3]);
+  assert.match(gateway.lineText, /"Microsoft\.Network\/applicationGateways"/);
+});
+
+test('returns null for missing or unparsable templates', () => {
+  assert.equal(parseTemplate(null, 'terraform'), null);
+  assert.equal(parseTemplate('{', 'arm'), null);
+  assert.equal(parseTemplate('x', 'cloudformation'), null);
+});
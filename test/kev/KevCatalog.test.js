@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KevCatalog = require('../../src/kev/KevCatalog');
+
+const CATALOG = {
+  catalogVersion: '2026.06.01',
+  dateReleased: '2026-06-01T00:00:00.000Z',
+  vulnerabilities: [{ cveID: 'CVE-2026-1000', dateAdded: '2026-06-01' }]
+};
+const ADVISORIES = {
+  advisories: [
+    { cve: 'CVE-2026-1000', package: 'left-pad', vulnerable: '<1.3.1', patched: '1.3.1' },
+    { cve: 'CVE-2026-2000', package: 'left-pad', vulnerable: '*' }
+  ]
+};
+const LOCKFILE = JSON.stringify({
+  packages: {
+    '': { name: 'app' },
+    'node_modules/left-pad': { version: '1.3.0' },
+    'node_modules/a/node_modules/left-pad': { version: '1.3.1' }
+  }
+});
+
+async function withCatalog(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dredd-kev-'));
+  try {
+    await fs.writeFile(path.join(dir, 'catalog.json'), JSON.stringify(CATALOG));
+    await fs.writeFile(path.join(dir, 'advisories.json'), JSON.stringify(ADVISORIES));
+    const catalog = new KevCatalog(path.join(dir, 'kev'));
+    await run(catalog, dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('a missing snapshot loads as empty', async () => {
+  await withCatalog(async catalog => {
+    await catalog.load();
+    assert.equal(catalog.loaded, false);
+    assert.deepEqual(catalog.checkLockfile(LOCKFILE), []);
+  });
+});
+
+test('update installs the snapshot and matches locked versions in KEV only', async () => {
+  await withCatalog(async (catalog, dir) => {
+    const summary = await catalog.update(path.join(dir, 'catalog.json'), path.join(dir, 'advisories.json'));
+    assert.deepEqual(summary, { vulnerabilities: 1, advisories: 2, catalogVersion: '2026.06.01' });
+
+    const reloaded = await new KevCatalog(catalog.directory).load();
+    const matches = reloaded.checkLockfile(LOCKFILE, new Date('2026-06-01T12:00:00Z'));
+
+    // CVE-2026-2000 is not in the catalog, and 1.3.1 is patched
+    assert.deepEqual(matches.map(m => [m.cve, m.installPath, m.patched]), [['CVE-2026-1000', 'node_modules/left-pad', '1.3.1']]);
+    assert.equal(reloaded.snapshotAge(new Date('2026-06-11T00:00:00Z')), 10);
+  });
+});
+
+test('remediation deadlines run from dateAdded', () => {
+  const vulnerability = { dateAdded: '2026-06-01' };
+
+  assert.deepEqual(KevCatalog.remediationDeadline(vulnerability, new Date('2026-06-01T12:00:00Z')),
+    { deadline: '2026-06-02T00:00:00.000Z', overdue: false, overdueDays: 0 });
+  assert.deepEqual(KevCatalog.remediationDeadline(vulnerability, new Date('2026-06-05T01:00:00Z')),
+    { deadline: '2026-06-02T00:00:00.000Z', overdue: true, overdueDays: 3 });
+
+  // Without a usable dateAdded the clock starts now
+  const now = new Date('2026-06-10T00:00:00Z');
+  assert.equal(KevCatalog.remediationDeadline({}, now).deadline, '2026-06-11T00:00:00.000Z');
+});
+
+test('rejects documents that are not a catalog or advisory mapping', () => {
+  assert.throws(() => KevCatalog.validateCatalog({}), /missing "vulnerabilities"/);
+  assert.throws(() => KevCatalog.validateCatalog({ vulnerabilities: [{ cveID: 'nope' }] }), /vulnerabilities\[0\]/);
+  assert.throws(() => KevCatalog.validateAdvisories({ advisories: [{ cve: 'CVE-2026-1' }] }), /needs "cve" and "package"/);
+  assert.throws(() => KevCatalog.validateAdvisories({ advisories: [{ cve: 'CVE-2026-1', package: 'a', vulnerable: 'not a range' }] }),
+    /invalid range/);
+});
+
+test('an invalid lockfile is an error', async () => {
+  await withCatalog(async catalog => {
+    await catalog.load();
+    assert.throws(() => catalog.checkLockfile('{'), /Invalid package-lock.json/);
+  });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Baseline = require('../../src/patterns/Baseline');
+
+const finding = (lineText, overrides = {}) => ({
+  type: 'EXTERNAL_PROXY',
+  incidentId: 'issue-32',
+  severity: 'CRITICAL',
+  location: { file: 'src/app.js', line: 12, lineText },
+  ...overrides
+});
+
+test('fingerprints survive line shifts and whitespace edits', () => {
+  const original = finding('proxy("http://x")');
+  const moved = finding('   proxy("http://x")  ', { location: { file: 'src/app.js', line: 40, lineText: '   proxy("http://x")  ' } });
+
+  assert.equal(Baseline.fingerprint(original), Baseline.fingerprint(moved));
+  assert.notEqual(Baseline.fingerprint(original), Baseline.fingerprint(finding('proxy("http://y")')));
+  assert.notEqual(Baseline.fingerprint(original), Baseline.fingerprint(finding('proxy("http://x")', { incidentId: 'issue-41' })));
+});
+
+test('apply splits new findings from baselined ones and recomputes the flags', () => {
+  const baseline = new Baseline('/unused');
+  assert.equal(baseline.create([finding('old()'), finding('old()')]), 1);
+
+  const results = baseline.apply({
+    violations: [finding('old()'), finding('new()', { severity: 'LOW' })],
+    warnings: [],
+    hasViolations: true,
+    hasCritical: true
+  });
+
+  assert.deepEqual(results.violations.map(v => v.location.lineText), ['new()']);
+  assert.deepEqual(results.baselined.map(v => v.location.lineText), ['old()']);
+  assert.equal(results.hasViolations, true);
+  assert.equal(results.hasCritical, false);
+});
+
+test('prune drops entries that no longer occur', () => {
+  const baseline = new Baseline('/unused');
+  baseline.create([finding('a()'), finding('b()')]);
+
+  assert.equal(baseline.prune([finding('b()')]), 1);
+  assert.equal(baseline.has(finding('a()')), false);
+  assert.equal(baseline.has(finding('b()')), true);
+});
+
+test('save and load round-trip; a missing file is an empty baseline', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dredd-baseline-'));
+  try {
+    const file = Baseline.defaultPath(dir);
+    assert.equal((await new Baseline(file).load()).entries.length, 0);
+
+    const baseline = new Baseline(file);
+    baseline.create([finding('a()')]);
+    await baseline.save();
+
+    const loaded = await new Baseline(file).load();
+    assert.equal(loaded.has(finding('a()')), true);
+    assert.equal(JSON.parse(await fs.readFile(file, 'utf8')).version, 1);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('an unreadable baseline file is an error, not an empty baseline', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dredd-baseline-'));
+  try {
+    const file = path.join(dir, 'baseline.json');
+    await fs.writeFile(file, '{ not json');
+    await assert.rejects(new Baseline(file).load(), /Invalid baseline file/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
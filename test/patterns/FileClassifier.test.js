@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyFile, frontMatterClasses } = require('../../src/patterns/FileClassifier');
+
+const names = entries => entries.map(entry => entry.class);
+
+test('classifies documentation by extension and well-known names', () => {
+  assert.deepEqual(classifyFile('docs/guide.md'), [{ class: 'documentation', reason: 'extension .md' }]);
+  assert.deepEqual(names(classifyFile('README')), ['documentation']);
+  assert.deepEqual(names(classifyFile('pkg/CHANGELOG.old')), ['documentation']);
+  assert.deepEqual(classifyFile('src/app.js'), []);
+  assert.deepEqual(classifyFile(null), []);
+});
+
+test('classifies investor materials by path', () => {
+  assert.deepEqual(names(classifyFile('investors/2026-q2.md')), ['documentation', 'investor-materials']);
+  assert.deepEqual(names(classifyFile('decks/seed-pitch-deck.pdf')), ['investor-materials']);
+});
+
+test('markup files opt into classes through front-matter', () => {
+  const content = '---\ntitle: Update\ndredd-classification: investor-materials\n---\n# Q2\n';
+
+  assert.deepEqual(classifyFile('notes/q2.md', content).map(entry => entry.reason),
+    ['extension .md', 'front-matter dredd-classification: investor-materials']);
+
+  // Only markup carries front-matter, and unknown classes are dropped
+  assert.deepEqual(classifyFile('notes/q2.yml', content), []);
+  assert.deepEqual(frontMatterClasses('---\ndredd-classification: [documentation, poetry]\n---\n'), ['documentation']);
+});
+
+test('front-matter must open the file and be valid YAML', () => {
+  assert.deepEqual(frontMatterClasses('# Title\n---\ndredd-classification: investor-materials\n---\n'), []);
+  assert.deepEqual(frontMatterClasses('---\ndredd-classification: [unclosed\n---\n'), []);
+  assert.deepEqual(frontMatterClasses(null), []);
+});
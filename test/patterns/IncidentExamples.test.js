@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mock } = require('node:test');
+const PatternDetector = require('../../src/patterns/PatternDetector');
+const { normalizeExample, describeExample, examplesLines, testIncident } = require('../../src/patterns/IncidentExamples');
+
+const detector = new PatternDetector();
+
+// The detector reports what it loaded on stdout, which the test runner reserves for results
+test.before(async () => {
+  const log = mock.method(console, 'log', () => {});
+  await detector.loadIncidentPatterns();
+  log.mock.restore();
+});
+test.after(() => detector.ruleEngine.executor.stop());
+
+test('normalizes string and object examples', () => {
+  assert.deepEqual(normalizeExample('eval(input)'), { description: null, file: null, content: 'eval(input)', original: null, deleted: false });
+  assert.deepEqual(normalizeExample({ file: 'Dockerfile', original: 'FROM x', deleted: 1 }), {
+    description: null, file: 'Dockerfile', content: '', original: 'FROM x', deleted: true
+  });
+});
+
+test('labels examples by description, file and first line', () => {
+  assert.equal(describeExample(normalizeExample({ description: 'raw build', content: 'x' })), 'raw build');
+  assert.equal(describeExample(normalizeExample({ file: 'a.sh', content: '\n  docker build .\nmore' })), 'a.sh: docker build .');
+  assert.equal(describeExample(normalizeExample('y'.repeat(80))), 'y'.repeat(57) + '...');
+});
+
+test('every built-in incident passes its own examples', async () => {
+  for (const incident of Object.values(detector.incidents)) {
+    const result = await testIncident(detector, incident);
+    assert.deepEqual(result.failures, [], `${incident.id} examples failed`);
+  }
+});
+
+test('reports examples that contradict the incident', async () => {
+  const incident = {
+    ...detector.incidents['alpine-base-image'],
+    examples: {
+      match: [{ file: 'Dockerfile', content: 'FROM node:20-slim' }],
+      noMatch: [{ description: 'alpine slips through', file: 'Dockerfile', content: 'FROM node:20-alpine' }]
+    }
+  };
+
+  const result = await testIncident(detector, incident);
+  assert.deepEqual([result.match, result.noMatch], [{ passed: 0, total: 1 }, { passed: 0, total: 1 }]);
+  assert.deepEqual(result.failures, [
+    { expectation: 'match', label: 'Dockerfile: FROM node:20-slim' },
+    { expectation: 'noMatch', label: 'alpine slips through' }
+  ]);
+});
+
+test('finds the lines of an incident document\'s examples', () => {
+  const document = [
+    '{',
+    '  "id": "no-alpine",',
+    '  "pattern": { "detection": { "textPatterns": ["alpine"] } },',
+    '  "examples": {',
+    '    "match": ["FROM node:20-alpine", "say \\"}\\""]',
+    '  },',
+    '  "title": "examples"',
+    '}'
+  ].join('\n');
+
+  assert.deepEqual(examplesLines(document), { start: 4, end: 6 });
+  assert.equal(examplesLines('{ "id": "x", "pattern": {} }'), null);
+  assert.equal(examplesLines('{ "examples": {} }'), null);
+  assert.equal(examplesLines('{'), null);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUnifiedDiff } = require('../../src/git/DiffParser');
+const { validateIncident } = require('../../src/patterns/IncidentSchema');
+const { generalizeLine, candidatePatterns, suggestFiles, commitExample, buildIncident } = require('../../src/patterns/IncidentScaffold');
+
+const COMMIT = { hash: '0123456789abcdef0123456789abcdef01234567', subject: 'Speed up deploys' };
+
+const FILES = parseUnifiedDiff([
+  'diff --git a/.github/workflows/deploy.yml b/.github/workflows/deploy.yml',
+  'index 1111111..2222222 100644',
+  '--- a/.github/workflows/deploy.yml',
+  '+++ b/.github/workflows/deploy.yml',
+  '@@ -4,4 +4,4 @@ jobs:',
+  '     steps:',
+  '-      - run: npm audit --audit-level=high',
+  '+      - run: echo skipping audit',
+  '+      }',
+  '       - run: docker build --platform linux/amd64 -t api:1.2.3 .',
+  'diff --git a/logo.png b/logo.png',
+  'index 1111111..2222222 100644',
+  'Binary files a/logo.png and b/logo.png differ'
+].join('\n'));
+
+test('generalizes whitespace and numbers, and skips plain lines', () => {
+  assert.equal(generalizeLine('  image: node:20.11  '), 'image:\\s+node:\\d+\\.\\d+');
+  assert.ok(new RegExp(generalizeLine('FROM node:18-alpine')).test('FROM   node:22-alpine'));
+  assert.equal(generalizeLine('  });'), null);
+  assert.ok(generalizeLine(`echo ${'word '.repeat(60)}`).length <= 130);
+});
+
+test('proposes added lines as patterns and removed lines as exclusions', () => {
+  const { textPatterns, exclusions } = candidatePatterns(FILES);
+
+  assert.deepEqual(textPatterns.map(candidate => [candidate.text, candidate.line]), [
+    ['- run: echo skipping audit', 5]
+  ]);
+  assert.equal(textPatterns[0].file, '.github/workflows/deploy.yml');
+  assert.deepEqual(exclusions.map(candidate => candidate.text), ['- run: npm audit --audit-level=high']);
+  assert.ok(new RegExp(exclusions[0].pattern, 'i').test('  - run:  npm audit --audit-level=high'));
+
+  assert.deepEqual(suggestFiles(textPatterns), ['**/deploy.yml']);
+});
+
+test('preloads the commit as an example when a chosen pattern matches it', () => {
+  const [candidate] = candidatePatterns(FILES).textPatterns;
+
+  assert.deepEqual(commitExample(COMMIT, FILES, [candidate.pattern], ['**/deploy.yml']), {
+    description: 'Commit 0123456: Speed up deploys',
+    file: '.github/workflows/deploy.yml',
+    content: '      - run: echo skipping audit\n      }'
+  });
+  assert.equal(commitExample(COMMIT, FILES, [candidate.pattern], ['**/*.tf']), null);
+  assert.equal(commitExample(COMMIT, FILES, ['never matches']), null);
+});
+
+test('builds a schema-valid incident document', () => {
+  const { textPatterns, exclusions } = candidatePatterns(FILES);
+  const incident = buildIncident({
+    id: 'skipped-audit',
+    title: 'Skipped dependency audit',
+    severity: 'HIGH',
+    law: 'AUDIT LAW: NEVER SKIP npm audit',
+    financialImpact: { min: 1000, max: 5000 },
+    textPatterns: textPatterns.map(candidate => candidate.pattern),
+    exclusions: exclusions.map(candidate => candidate.pattern),
+    files: suggestFiles(textPatterns),
+    example: commitExample(COMMIT, FILES, textPatterns.map(candidate => candidate.pattern))
+  });
+
+  assert.equal(incident.rule.type, 'SKIPPED_AUDIT');
+  assert.equal(incident.rule.message, '🚨 SKIPPED DEPENDENCY AUDIT');
+  assert.deepEqual(incident.financialImpact, { min: 1000, max: 5000, proven: true });
+  assert.deepEqual(incident.pattern.detection.files, ['**/deploy.yml']);
+  assert.equal(incident.examples.match.length, 1);
+  assert.deepEqual(validateIncident(incident).errors, []);
+
+  const bare = buildIncident({
+    id: 'bare', title: 'Bare', severity: 'MEDIUM', law: 'L', financialImpact: null,
+    textPatterns: ['x+y'], exclusions: [], files: [], example: null
+  });
+  assert.deepEqual(Object.keys(bare), ['id', 'title', 'pattern', 'rule']);
+  assert.deepEqual(bare.pattern, { detection: { textPatterns: ['x+y'] } });
+});
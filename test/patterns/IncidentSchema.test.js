@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const builtinIncidents = require('../../src/patterns/incidents');
+const { validateIncident, formatIssues, readIncidentFiles } = require('../../src/patterns/IncidentSchema');
+
+const minimal = (detection, extra = {}) => ({ id: 'local-1', pattern: { detection }, ...extra });
+const paths = issues => issues.map(issue => issue.path);
+
+test('every built-in incident is valid', () => {
+  for (const [id, incident] of Object.entries(builtinIncidents)) {
+    assert.deepEqual(validateIncident(incident).errors, [], id);
+  }
+});
+
+test('requires an id usable in dredd-ignore comments and a detection mechanism', () => {
+  assert.deepEqual(paths(validateIncident({ pattern: { detection: { textPatterns: ['x'] } } }).errors), ['id']);
+  assert.deepEqual(paths(validateIncident(minimal({ textPatterns: ['x'] }, { id: 'has space' })).errors), ['id']);
+  assert.deepEqual(paths(validateIncident({ id: 'a' }).errors), ['pattern']);
+  assert.ok(validateIncident(minimal({ exclusions: ['x'] })).errors.length > 0);
+  assert.deepEqual(paths(validateIncident('nope').errors), ['']);
+});
+
+test('rejects invalid, empty and unsafe patterns', () => {
+  const { errors } = validateIncident(minimal({ textPatterns: ['(unclosed', '', '(a+)+$', { pattern: 'ok', flags: 'q' }] }));
+
+  assert.deepEqual(paths(errors), [
+    'pattern.detection.textPatterns[0]',
+    'pattern.detection.textPatterns[1]',
+    'pattern.detection.textPatterns[2]',
+    'pattern.detection.textPatterns[3]'
+  ]);
+});
+
+test('rejects bad severities, scopes and financial impact', () => {
+  const { errors } = validateIncident(minimal({ textPatterns: ['x'], scope: 'repo' }, {
+    rule: { severity: 'URGENT' },
+    financialImpact: { min: 10, max: 1 }
+  }));
+
+  assert.deepEqual(paths(errors).sort(), ['financialImpact', 'pattern.detection.scope', 'rule.severity']);
+});
+
+test('unknown checks and file classes are warnings, not errors', () => {
+  const { errors, warnings } = validateIncident(minimal({ dockerfile: 'from-the-future', textPatterns: ['x'], exemptions: ['poetry'] }));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(paths(warnings), ['pattern.detection.exemptions', 'pattern.detection.dockerfile']);
+});
+
+test('formats issues with their path', () => {
+  assert.deepEqual(formatIssues([{ path: 'id', message: 'bad' }, { path: '', message: 'worse' }]), ['id: bad', '(root): worse']);
+});
+
+test('reads a directory: invalid JSON, duplicates and partial overrides of built-ins', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dredd-incidents-'));
+  try {
+    await fs.writeFile(path.join(dir, 'a.json'), JSON.stringify(minimal({ textPatterns: ['x'] })));
+    await fs.writeFile(path.join(dir, 'b.json'), JSON.stringify(minimal({ textPatterns: ['y'] })));
+    await fs.writeFile(path.join(dir, 'c.json'), '{ broken');
+    await fs.writeFile(path.join(dir, 'd.json'), JSON.stringify({ id: 'issue-32', rule: { severity: 'HIGH' } }));
+    await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+    const reports = await readIncidentFiles(dir, builtinIncidents);
+    assert.deepEqual(reports.map(report => path.basename(report.file)), ['a.json', 'b.json', 'c.json', 'd.json']);
+    assert.deepEqual(reports.map(report => report.errors.length > 0), [false, true, true, false]);
+    assert.match(reports[1].errors[0].message, /duplicate id "local-1"/);
+    assert.equal(reports[2].incident, null);
+    assert.deepEqual(reports[3].incident, { id: 'issue-32', rule: { severity: 'HIGH' } });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
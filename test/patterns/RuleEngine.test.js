@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RuleEngine = require('../../src/patterns/RuleEngine');
+const { mergeIncident } = RuleEngine;
+
+const engine = new RuleEngine();
+test.after(() => engine.executor.stop());
+
+const incident = (detection, rule = {}) => ({
+  id: 'test-incident',
+  title: 'Test Incident',
+  pattern: { detection },
+  rule: { type: 'TEST', severity: 'HIGH', message: 'found {{missing}}', ...rule }
+});
+
+test('a text pattern match fires the rule with its location in the text', () => {
+  const result = engine.evaluate(incident({ textPatterns: ['cd\\s+\\.\\./\\.\\.'] }), 'echo hi\ncd ../.. && ls');
+
+  assert.equal(result.bucket, 'violations');
+  assert.equal(result.finding.type, 'TEST');
+  assert.equal(result.finding.severity, 'HIGH');
+  assert.equal(result.match.index, 8);
+  assert.equal(result.match.text, 'cd ../..');
+  assert.equal(result.match.scope, 'diff');
+});
+
+test('string patterns are case-insensitive, object patterns use their own flags', () => {
+  assert.ok(engine.evaluate(incident({ textPatterns: ['secret'] }), 'SECRET'));
+  assert.equal(engine.evaluate(incident({ textPatterns: [{ pattern: 'secret', flags: '' }] }), 'SECRET'), null);
+});
+
+test('an exclusion match means the correct approach is used', () => {
+  const rule = incident({ textPatterns: ['http://'], exclusions: ['localhost'] });
+
+  assert.ok(engine.evaluate(rule, 'fetch("http://api.example.com")'));
+  assert.equal(engine.evaluate(rule, 'fetch("http://localhost:3000")'), null);
+});
+
+test('required evidence fires only when none of it is present', () => {
+  const rule = incident({ files: ['**/deploy*'], requiredEvidence: ['tested.*local'] });
+
+  assert.ok(engine.evaluate(rule, 'ship it', { file: 'scripts/deploy.sh' }));
+  assert.equal(engine.evaluate(rule, 'Tested locally first', { file: 'scripts/deploy.sh' }), null);
+  assert.ok(engine.isEvidenceOnly(rule));
+});
+
+test('required elements report the names of the missing ones', () => {
+  const rule = incident({
+    textPatterns: ['FROM '],
+    requiredElements: [{ name: 'platform', pattern: '--platform' }, { name: 'user', pattern: '^USER ', flags: 'im' }]
+  });
+
+  const result = engine.evaluate(rule, 'FROM node:20');
+  assert.equal(result.finding.message, 'found platform, user');
+  assert.equal(engine.evaluate(rule, 'FROM --platform=linux/amd64 node:20\nUSER node'), null);
+  assert.equal(engine.isEvidenceOnly(rule), false);
+});
+
+test('file scope: files and excludeFiles globs', () => {
+  const rule = incident({ textPatterns: ['TODO'], files: ['src/**'], excludeFiles: ['src/vendor/**'] });
+
+  assert.ok(engine.evaluate(rule, 'TODO', { file: 'src/app.js' }));
+  assert.equal(engine.evaluate(rule, 'TODO', { file: 'docs/readme.md' }), null);
+  assert.equal(engine.evaluate(rule, 'TODO', { file: 'src/vendor/lib.js' }), null);
+  assert.equal(engine.evaluate(rule, 'TODO'), null);
+});
+
+test('file-scoped rules judge the whole file content', () => {
+  const rule = incident({ textPatterns: ['FROM '], requiredElements: [{ name: 'user', pattern: '^USER ', flags: 'im' }], scope: 'file' });
+  const content = 'FROM node:20\nUSER node\n';
+
+  assert.equal(engine.evaluate(rule, 'FROM node:20', {}, { content }), null);
+  assert.ok(engine.evaluate(rule, 'FROM node:20', {}, {}));
+});
+
+test('a pattern that cannot be screened is disabled instead of running', () => {
+  const local = new RuleEngine();
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(local.evaluate(incident({ textPatterns: ['(a+)+$'] }), 'aaaa'), null);
+    // A disabled guard pattern skips the whole rule rather than raising a false alarm
+    assert.equal(local.evaluate(incident({ textPatterns: ['a'], exclusions: ['(b*)*c'] }), 'a'), null);
+  } finally {
+    console.warn = warn;
+    local.executor.stop();
+  }
+
+  assert.deepEqual(local.disabled.map(entry => entry.at), ['pattern.detection.textPatterns[0]', 'pattern.detection.exclusions[0]']);
+});
+
+test('createFinding interpolates placeholders and keeps unknown ones', () => {
+  const rule = incident({ textPatterns: ['x'] }, {
+    bucket: 'warnings',
+    message: '{{name}} is {{age}} days old',
+    suggestedFix: 'Replace {{name}} ({{unknown}})'
+  });
+
+  const { bucket, finding } = engine.createFinding(rule, { file: 'a.js' }, { name: 'left-pad', age: 3 });
+  assert.equal(bucket, 'warnings');
+  assert.equal(finding.message, 'left-pad is 3 days old');
+  assert.equal(finding.suggestedFix, 'Replace left-pad ({{unknown}})');
+  assert.deepEqual(finding.context, { file: 'a.js' });
+});
+
+test('mergeIncident merges detection and rule field by field', () => {
+  const merged = mergeIncident(
+    incident({ textPatterns: ['a'], exclusions: ['b'] }, { message: 'base' }),
+    { pattern: { detection: { textPatterns: ['c'] } }, rule: { severity: 'LOW' } }
+  );
+
+  assert.deepEqual(merged.pattern.detection, { textPatterns: ['c'], exclusions: ['b'] });
+  assert.equal(merged.rule.message, 'base');
+  assert.equal(merged.rule.severity, 'LOW');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { screenPattern, RegexExecutor } = require('../../src/patterns/SafeRegex');
+
+test('screens nested unbounded quantifiers', () => {
+  for (const source of ['(a+)+$', '(\\w*\\s?)*x', '(.*)*', '((ab)+c)*', '(?:x+){2,}']) {
+    assert.match(screenPattern(source), /nested quantifier/, source);
+  }
+});
+
+test('passes bounded, escaped and character-class quantifiers', () => {
+  for (const source of ['(a+)?', '(ab){1,3}', '\\(a+\\)+', '[(a+)]+', 'cd\\s+(\\.\\./\\.\\./?)\\s+&&', '(a|b)+', '^\\d{4}-\\d{2}$']) {
+    assert.equal(screenPattern(source), null, source);
+  }
+});
+
+test('executes patterns in the worker and reports matches', (t) => {
+  const executor = new RegexExecutor({ timeoutMs: 1000 });
+  t.after(() => executor.stop());
+
+  assert.deepEqual(executor.exec(/b+/i, 'aaBBc'), { match: { index: 2, text: 'BB' } });
+  assert.deepEqual(executor.exec(/z/, 'aaBBc'), { match: null });
+  assert.deepEqual(executor.replace(/cd (\.\.\/\.\.)/g, 'cd ../.. && x; cd ../.. && y', 'git -C $1'),
+    { result: 'git -C ../.. && x; git -C ../.. && y' });
+});
+
+test('a pattern over its time budget times out and the next one runs in a fresh worker', (t) => {
+  const executor = new RegexExecutor({ timeoutMs: 50 });
+  t.after(() => executor.stop());
+
+  assert.deepEqual(executor.exec(/(a+)+$/, `${'a'.repeat(32)}!`), { timedOut: true });
+  assert.equal(executor.worker, null);
+  assert.deepEqual(executor.exec(/!/, 'a!'), { match: { index: 1, text: '!' } });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSuppressions, findSuppression } = require('../../src/patterns/Suppressions');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const numbered = (...contents) => contents.map((content, i) => ({ number: i + 1, content }));
+
+test('parses incident, reason and expiry in any comment style', () => {
+  const [slashes, hash, html] = parseSuppressions(numbered(
+    'proxy(); // dredd-ignore issue-32: reason=legacy proxy until 2026-12-01',
+    '# dredd-ignore alpine-base-image: reason=vendor image, tracked in #120',
+    '<!-- dredd-ignore issue-41 reason=docs only -->'
+  ), NOW);
+
+  assert.deepEqual(
+    [slashes.line, slashes.incident, slashes.reason, slashes.until, slashes.valid],
+    [1, 'issue-32', 'legacy proxy', '2026-12-01', true]
+  );
+  assert.deepEqual([hash.incident, hash.reason, hash.until], ['alpine-base-image', 'vendor image, tracked in #120', null]);
+  assert.deepEqual([html.incident, html.reason], ['issue-41', 'docs only']);
+});
+
+test('a suppression without a reason is invalid', () => {
+  const suppressions = parseSuppressions(numbered('// dredd-ignore issue-32', '// dredd-ignore issue-32: reason=  '), NOW);
+
+  assert.deepEqual(suppressions.map(s => [s.valid, s.problem]), [[false, 'MISSING_REASON'], [false, 'MISSING_REASON']]);
+});
+
+test('a suppression past its expiry is invalid', () => {
+  const [expired, lastDay] = parseSuppressions(numbered(
+    '// dredd-ignore issue-32: reason=migration until 2026-06-14',
+    '// dredd-ignore issue-32: reason=migration until 2026-06-15'
+  ), NOW);
+
+  assert.deepEqual([expired.valid, expired.problem], [false, 'EXPIRED']);
+  assert.equal(lastDay.valid, true);
+});
+
+test('lines without a directive are ignored', () => {
+  assert.deepEqual(parseSuppressions(numbered('const ignore = "dredd";', 'dredd-ignore'), NOW), []);
+});
+
+test('covers its own line and the next, for the named incident only', () => {
+  const suppressions = parseSuppressions([{ number: 10, content: '// dredd-ignore issue-32: reason=legacy' }], NOW);
+  const finding = (line, incidentId = 'issue-32', type = 'EXTERNAL_PROXY') => ({ incidentId, type, location: { line } });
+
+  assert.ok(findSuppression(finding(10), suppressions));
+  assert.ok(findSuppression(finding(11), suppressions));
+  assert.equal(findSuppression(finding(12), suppressions), null);
+  assert.equal(findSuppression(finding(9), suppressions), null);
+  assert.equal(findSuppression(finding(11, 'issue-41', 'UNTESTED_DEPLOY'), suppressions), null);
+  assert.equal(findSuppression({ incidentId: 'issue-32', location: { line: null } }, suppressions), null);
+});
+
+test('built-in findings are matched by type', () => {
+  const suppressions = parseSuppressions([{ number: 3, content: '# dredd-ignore ENTERPRISE_SPRAWL: reason=approved in ADR-7' }], NOW);
+
+  assert.ok(findSuppression({ type: 'ENTERPRISE_SPRAWL', location: { line: 4 } }, suppressions));
+});
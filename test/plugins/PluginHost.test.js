@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginHost = require('../../src/plugins/PluginHost');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-plugins-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Write a plugin module and return its absolute path
+function plugin(name, source) {
+  const file = path.join(dir, `${name}.js`);
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+const BANNED_SDK = plugin('banned-sdk', `
+  const seen = [];
+  module.exports = {
+    name: 'acme-laws',
+    async init(run) { seen.length = 0; this.run = run; },
+    async analyzeFile(file, context) {
+      seen.push(file.path);
+      if (!file.content.includes('legacy-sdk')) return [];
+      return [{
+        type: 'BANNED_SDK', severity: 'HIGH', message: 'legacy-sdk is banned', bucket: 'warnings',
+        location: { line: 2, lineText: "require('legacy-sdk')" }, extra: 'dropped'
+      }];
+    },
+    finalize(summary) {
+      return [{ type: 'FILES_SEEN', severity: 'INFO', message: seen.join(',') + ' after ' + summary.violations + ' violations' }];
+    }
+  };
+`);
+
+test('runs plugins over a review and normalizes their findings', async () => {
+  const host = new PluginHost([BANNED_SDK], { cwd: dir });
+  await host.init({ source: 'review' });
+  assert.deepEqual(host.active.map(entry => entry.name), ['acme-laws']);
+  assert.deepEqual(host.active[0].module.run, { cwd: dir, source: 'review' });
+
+  const context = { file: 'src/app.js', source: 'review' };
+  const [result] = await host.analyzeFile({ path: 'src/app.js', content: "x\nrequire('legacy-sdk')" }, context);
+  assert.equal(result.bucket, 'warnings');
+  assert.deepEqual(result.finding, {
+    type: 'BANNED_SDK',
+    severity: 'HIGH',
+    message: 'legacy-sdk is banned',
+    location: { file: 'src/app.js', line: 2, column: null, lineText: "require('legacy-sdk')" },
+    plugin: 'acme-laws',
+    context
+  });
+  assert.deepEqual(await host.analyzeFile({ path: 'README.md', content: 'docs' }, { file: 'README.md' }), []);
+
+  const [summary] = await host.finalize({ files: 2, violations: 0, warnings: 1 });
+  assert.equal(summary.bucket, 'violations');
+  assert.equal(summary.finding.message, 'src/app.js,README.md after 0 violations');
+  assert.deepEqual(host.active, []);
+  assert.deepEqual(host.errors, []);
+});
+
+test('resolves npm module names from the working directory', async () => {
+  const moduleDir = path.join(dir, 'node_modules', 'dredd-plugin-headers');
+  fs.mkdirSync(moduleDir, { recursive: true });
+  fs.writeFileSync(path.join(moduleDir, 'index.js'), 'module.exports = { default: { finalize() { return []; } } };');
+
+  const host = new PluginHost(['dredd-plugin-headers'], { cwd: dir });
+  await host.init();
+  assert.deepEqual(host.active.map(entry => entry.name), ['dredd-plugin-headers']);
+});
+
+test('isolates plugins that fail to load, init or analyze', async () => {
+  const host = new PluginHost([
+    path.join(dir, 'missing.js'),
+    plugin('no-hooks', 'module.exports = { name: "idle" };'),
+    plugin('bad-init', 'module.exports = { init() { throw new Error("no licence server"); }, finalize() { return []; } };'),
+    plugin('flaky', `module.exports = {
+      analyzeFile(file) {
+        if (file.path === 'boom.js') throw new Error('parser crashed');
+        return [{ type: 'X', severity: 'SEVERE', message: 'bad severity' }, { type: 'Y', severity: 'INFO', message: 'ok' }];
+      },
+      finalize() { return 'not a list'; }
+    };`)
+  ], { cwd: dir });
+
+  await host.init();
+  assert.deepEqual(host.active.map(entry => entry.name), ['flaky']);
+
+  assert.deepEqual(await host.analyzeFile({ path: 'boom.js' }, { file: 'boom.js' }), []);
+  const kept = await host.analyzeFile({ path: 'ok.js' }, { file: 'ok.js' });
+  assert.deepEqual(kept.map(entry => entry.finding.type), ['Y']);
+  await host.finalize({});
+
+  assert.deepEqual(host.errors.map(error => [error.plugin, error.hook, error.file]), [
+    ['missing', 'load', null],
+    ['no-hooks', 'load', null],
+    ['bad-init', 'init', null],
+    ['flaky', 'analyzeFile', 'boom.js'],
+    ['flaky', 'analyzeFile', 'ok.js'],
+    ['flaky', 'finalize', null]
+  ]);
+  assert.match(host.errors[0].message, /^Cannot find module/);
+  assert.equal(host.errors[1].message, 'exports neither analyzeFile nor finalize');
+  assert.match(host.errors[4].message, /^finding \[0\] severity must be one of/);
+  assert.equal(host.errors[5].message, 'must return an array of findings');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { isProjectConfig, parseProjectConfig, runConfigCheck } = require('../../src/utils/configAnalyzer');
+
+const check = (before, after, file = '.dreddrc.yml') =>
+  runConfigCheck('policy-weakened', parseProjectConfig(before, file), parseProjectConfig(after, file), after);
+const changes = hits => hits.map(hit => `${hit.values.setting}: ${hit.values.change}`);
+
+test('recognizes project configuration files anywhere in the tree', () => {
+  assert.equal(isProjectConfig('.dreddrc.json'), true);
+  assert.equal(isProjectConfig('packages/web/.dreddrc.yaml'), true);
+  assert.equal(isProjectConfig('docs/dreddrc.md'), false);
+  assert.equal(isProjectConfig(null), false);
+});
+
+test('policy-weakened reports every setting that enforces less, on its line', () => {
+  const before = 'severity:\n  blocking: [CRITICAL, HIGH]\nincidents:\n  disabled: [issue-41]\n';
+  const after = [
+    'severity:',
+    '  blocking: [CRITICAL]',
+    'incidents:',
+    '  disabled: [issue-41, alpine-base-image]',
+    'ignorePatterns:',
+    '  - "**/Dockerfile"',
+    'plugins:',
+    '  - ./tools/rules.js',
+    ''
+  ].join('\n');
+
+  const hits = check(before, after);
+  assert.deepEqual(changes(hits), [
+    'severity.blocking: HIGH findings no longer fail a review',
+    'incidents.disabled: disables alpine-base-image',
+    'ignorePatterns: ignores **/Dockerfile',
+    `plugins: loads ${path.resolve('tools/rules.js')}`
+  ]);
+  assert.deepEqual(hits.map(hit => hit.line), [2, 4, 6, 8]);
+});
+
+test('policy-weakened compares against the defaults for new and deleted files', () => {
+  // A new file that switches everything off
+  assert.deepEqual(changes(check(null, '{"severity":{"blocking":[]},"ignorePatterns":["**/*"]}', '.dreddrc.json')), [
+    'severity.blocking: CRITICAL findings no longer fail a review',
+    'ignorePatterns: ignores **/*'
+  ]);
+
+  // Narrowing the enabled incidents, from all to some and from some to fewer
+  assert.deepEqual(changes(check(null, 'incidents:\n  enabled: [issue-43]\n')), ['incidents.enabled: enforces only issue-43']);
+  assert.deepEqual(changes(check('incidents:\n  enabled: [issue-43, issue-32]\n', 'incidents:\n  enabled: [issue-43]\n')),
+    ['incidents.enabled: no longer enforces issue-32']);
+
+  // Deleting a file that made HIGH block (no content: the defaults)
+  const hits = runConfigCheck('policy-weakened', parseProjectConfig('severity:\n  blocking: [CRITICAL, HIGH]\n', '.dreddrc.yml'),
+    parseProjectConfig(null, '.dreddrc.yml'), null);
+  assert.deepEqual(changes(hits), ['severity.blocking: HIGH findings no longer fail a review']);
+  assert.equal(hits[0].line, null);
+});
+
+test('policy-weakened ignores tightening and invalid configurations', () => {
+  assert.deepEqual(check('severity:\n  blocking: [CRITICAL]\n', 'severity:\n  blocking: [CRITICAL, HIGH]\ncost:\n  monthlyThreshold: 100\n'), []);
+  assert.deepEqual(check('incidents:\n  disabled: [issue-41, issue-32]\n', 'incidents:\n  disabled: [issue-41]\n'), []);
+
+  // The loader rejects invalid files outright, so there is nothing to compare
+  assert.equal(parseProjectConfig('severity:\n  blocking: [FATAL]\n', '.dreddrc.yml'), null);
+  assert.deepEqual(runConfigCheck('policy-weakened', parseProjectConfig(null, '.dreddrc.yml'), null, 'colour: red\n'), []);
+  assert.deepEqual(runConfigCheck('unknown-check', {}, {}, ''), []);
+});
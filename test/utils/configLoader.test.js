@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../src/utils/config');
+const { envName, loadConfig } = require('../../src/utils/configLoader');
+
+// A home and a repository (with .git, so the project search stops there) per test
+function setup(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-config-'));
+  const home = path.join(root, 'home');
+  const repo = path.join(root, 'repo');
+  fs.mkdirSync(path.join(home, '.dredd'), { recursive: true });
+  fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+  fs.mkdirSync(path.join(repo, 'packages', 'web'), { recursive: true });
+
+  t.after(() => {
+    loadConfig({ cwd: repo, home, env: {} });
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  return { home, repo, load: (options = {}) => loadConfig({ cwd: repo, home, env: {}, ...options }) };
+}
+
+test('environment variable names follow the key', () => {
+  assert.equal(envName('severity.blocking'), 'DREDD_SEVERITY_BLOCKING');
+  assert.equal(envName('hooks.preCommit.blocking'), 'DREDD_HOOKS_PRE_COMMIT_BLOCKING');
+});
+
+test('without configuration every value comes from the defaults', (t) => {
+  const { load } = setup(t);
+  const { sources, layers } = load();
+
+  assert.deepEqual(layers, ['default']);
+  assert.ok(Object.values(sources).every(source => source === 'default'));
+});
+
+test('later layers win: home, project, environment, flags', (t) => {
+  const { home, repo, load } = setup(t);
+  fs.writeFileSync(path.join(home, '.dredd', 'config'), 'cost:\n  monthlyThreshold: 100\nincidents:\n  disabled: [issue-32]\n');
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), JSON.stringify({ cost: { monthlyThreshold: 200 }, paths: { incidents: './laws' } }));
+
+  const { values, sources } = load({
+    cwd: path.join(repo, 'packages', 'web'),
+    env: { DREDD_COST_MONTHLY_THRESHOLD: '300' },
+    flags: ['incidents.disabled=issue-41,issue-43']
+  });
+
+  assert.equal(values['cost.monthlyThreshold'], 300);
+  assert.equal(sources['cost.monthlyThreshold'], 'env DREDD_COST_MONTHLY_THRESHOLD');
+  assert.deepEqual(values['incidents.disabled'], ['issue-41', 'issue-43']);
+  assert.equal(sources['incidents.disabled'], 'flag -c incidents.disabled');
+
+  // Relative paths resolve against the file that declares them
+  assert.equal(values['paths.incidents'], path.join(repo, 'laws'));
+  assert.equal(sources['paths.incidents'], path.join(repo, '.dreddrc.json'));
+
+  // The merged result is applied to the shared config
+  assert.equal(config.cost.monthlyThreshold, 300);
+  assert.deepEqual(config.incidents.disabled, ['issue-41', 'issue-43']);
+});
+
+test('severity overrides merge per incident and blocking severities apply', (t) => {
+  const { repo, load } = setup(t);
+  fs.writeFileSync(path.join(repo, '.dreddrc.yml'), 'severity:\n  overrides:\n    issue-32: MEDIUM\n  blocking: [CRITICAL]\n');
+
+  const { values, sources } = load({ flags: ['severity.overrides=issue-41=INFO'] });
+
+  assert.deepEqual(values['severity.overrides'], { 'issue-32': 'MEDIUM', 'issue-41': 'INFO' });
+  assert.equal(sources['severity.overrides.issue-32'], path.join(repo, '.dreddrc.yml'));
+  assert.equal(sources['severity.overrides.issue-41'], 'flag -c severity.overrides');
+  assert.equal(config.severity.CRITICAL.blocking, true);
+  assert.equal(config.severity.HIGH.blocking, false);
+});
+
+test('nullable settings accept null and an empty environment value', (t) => {
+  const { load } = setup(t);
+
+  assert.equal(load({ env: { DREDD_HOOKS_PRE_PUSH_BLOCKING: '' } }).values['hooks.prePush.blocking'], null);
+  assert.deepEqual(load({ env: { DREDD_HOOKS_PRE_PUSH_BLOCKING: 'CRITICAL' } }).values['hooks.prePush.blocking'], ['CRITICAL']);
+});
+
+test('invalid layers name the file or variable and the key at fault', (t) => {
+  const { home, repo, load } = setup(t);
+
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), JSON.stringify({ severity: { blocking: ['FATAL'] } }));
+  assert.throws(() => load(), /\.dreddrc\.json: severity\.blocking: \[0\] must be one of/);
+
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), JSON.stringify({ colour: 'red' }));
+  assert.throws(() => load(), /colour: unknown setting/);
+
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), '{');
+  assert.throws(() => load(), /Invalid configuration .*\.dreddrc\.json/);
+  fs.rmSync(path.join(repo, '.dreddrc.json'));
+
+  fs.writeFileSync(path.join(home, '.dredd', 'config'), '- a list\n');
+  assert.throws(() => load(), /must be an object/);
+  fs.rmSync(path.join(home, '.dredd', 'config'));
+
+  assert.throws(() => load({ env: { DREDD_PATTERNS_TIME_BUDGET_MS: 'fast' } }), /DREDD_PATTERNS_TIME_BUDGET_MS: patterns\.timeBudgetMs: must be a positive integer/);
+  assert.throws(() => load({ flags: ['nope=1'] }), /Invalid flag -c nope=1: unknown setting/);
+  assert.throws(() => load({ flags: ['ignorePatterns'] }), /expected <key>=<value>/);
+});
+
+test('two project files in one directory are ambiguous', (t) => {
+  const { repo, load } = setup(t);
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), '{}');
+  fs.writeFileSync(path.join(repo, '.dreddrc.yml'), '');
+
+  assert.throws(() => load(), /Multiple project configurations/);
+  fs.rmSync(path.join(repo, '.dreddrc.yml'));
+});
+
+test('a project layer read from a revision replaces the one on disk', (t) => {
+  const { repo, load } = setup(t);
+  fs.writeFileSync(path.join(repo, '.dreddrc.json'), JSON.stringify({ severity: { blocking: [] } }));
+
+  const project = {
+    source: 'HEAD:.dreddrc.yml',
+    file: path.join(repo, '.dreddrc.yml'),
+    content: 'severity:\n  blocking: [CRITICAL, HIGH]\npaths:\n  incidents: laws\n'
+  };
+  const { values, sources } = load({ project });
+  assert.deepEqual(values['severity.blocking'], ['CRITICAL', 'HIGH']);
+  assert.equal(sources['severity.blocking'], 'HEAD:.dreddrc.yml');
+  assert.equal(values['paths.incidents'], path.join(repo, 'laws'));
+
+  // None at that revision: the defaults, whatever the working tree says
+  assert.deepEqual(load({ project: null }).values['severity.blocking'], ['CRITICAL']);
+
+  assert.throws(() => load({ project: { ...project, content: 'colour: red\n' } }), /Invalid configuration HEAD:\.dreddrc\.yml: colour/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePath, globToRegExp, matchesAny } = require('../../src/utils/glob');
+
+test('normalizes separators and leading ./', () => {
+  assert.equal(normalizePath('.\\src\\app.js'), 'src/app.js');
+  assert.equal(normalizePath('./Dockerfile'), 'Dockerfile');
+});
+
+test('** spans directories, * and ? stay within one', () => {
+  assert.equal(matchesAny('Dockerfile', ['**/Dockerfile']), true);
+  assert.equal(matchesAny('services/api/Dockerfile', ['**/Dockerfile']), true);
+  assert.equal(matchesAny('public/a/b/index.html', ['**/public/**/*.html']), true);
+  assert.equal(matchesAny('src/app.js', ['*.js']), false);
+  assert.equal(matchesAny('docs/guide', ['docs/**']), true);
+  assert.equal(matchesAny('v1.yml', ['v?.yml']), true);
+  assert.equal(matchesAny('v10.yml', ['v?.yml']), false);
+});
+
+test('other characters match literally', () => {
+  assert.equal(matchesAny('app.min.js', ['app.min.js']), true);
+  assert.equal(matchesAny('appXminXjs', ['app.min.js']), false);
+  assert.equal(matchesAny('a+b (1).txt', ['a+b (1).txt']), true);
+  assert.equal(globToRegExp('**/*.ts'), globToRegExp('**/*.ts'));
+});
+
+test('matches nothing without a file or a list of globs', () => {
+  assert.equal(matchesAny('', ['**']), false);
+  assert.equal(matchesAny('src/app.js', null), false);
+  assert.equal(matchesAny('src/app.js', []), false);
+});
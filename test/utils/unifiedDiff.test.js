@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines, createUnifiedDiff } = require('../../src/utils/unifiedDiff');
+
+test('computes a minimal line edit script', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+    { type: 'equal', line: 'a' },
+    { type: 'del', line: 'b' },
+    { type: 'add', line: 'x' },
+    { type: 'equal', line: 'c' },
+    { type: 'add', line: 'd' }
+  ]);
+});
+
+test('creates hunks with context and line numbers', () => {
+  const before = Array.from({ length: 12 }, (_, i) => `line ${i + 1}`);
+  const after = [...before];
+  after[1] = 'line two';
+  after.splice(10, 1);
+
+  assert.equal(createUnifiedDiff('app.txt', before.join('\n') + '\n', after.join('\n') + '\n', 1), [
+    '--- a/app.txt',
+    '+++ b/app.txt',
+    '@@ -1,3 +1,3 @@',
+    ' line 1',
+    '-line 2',
+    '+line two',
+    ' line 3',
+    '@@ -10,3 +10,2 @@',
+    ' line 10',
+    '-line 11',
+    ' line 12',
+    ''
+  ].join('\n'));
+});
+
+test('merges nearby changes and handles insertions into empty files', () => {
+  const diff = createUnifiedDiff('a', 'one\ntwo\nthree\n', 'ONE\ntwo\nTHREE\n');
+  assert.equal((diff.match(/^@@/gm) || []).length, 1);
+  assert.match(diff, /^@@ -1,3 \+1,3 @@$/m);
+
+  assert.equal(createUnifiedDiff('new', '', 'hello\n'), '--- a/new\n+++ b/new\n@@ -0,0 +1,1 @@\n+hello\n');
+  assert.equal(createUnifiedDiff('same', 'x\n', 'x\n'), '');
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FourDimensionalVerifier = require('../../src/verifier/FiveDVerifier');
+
+// Run with a PATH that has no git on it (as in the node:20-slim image)
+function withoutGit(t) {
+  const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-nopath-'));
+  const { PATH } = process.env;
+  process.env.PATH = empty;
+  t.after(() => {
+    process.env.PATH = PATH;
+    fs.rmSync(empty, { recursive: true, force: true });
+  });
+}
+
+test('without git the repository path is the root and the history-based metrics are skipped', async (t) => {
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'dredd-verify-'));
+  t.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  withoutGit(t);
+
+  const verifier = new FourDimensionalVerifier({ repoPath: repo });
+  await verifier.resolvePaths();
+  assert.equal(verifier.baseDir, repo);
+  assert.equal(verifier.corpusPath, path.join(repo, 'crown-jewels/butterbot-training-dataset-v1.jsonl'));
+
+  const temporal = await verifier.calculateTemporalDecay();
+  assert.doesNotMatch(temporal.message, /error/i);
+  assert.match(temporal.message, /^Last update: unknown \(no git history\), no dependency manifests in history/);
+  assert.equal(temporal.dependencyChurn.lastUpdate, null);
+  assert.equal(temporal.decayPercent, 0);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWorkflow } = require('../../src/workflows/WorkflowParser');
+const { runWorkflowCheck } = require('../../src/workflows/WorkflowAnalyzer');
+
+const BEFORE = `name: Security
+on: [pull_request]
+permissions:
+  contents: read
+jobs:
+  sbom:
+    steps:
+      - uses: actions/checkout@v4
+      - name: Judge Dredd
+        run: npx dredd review
+      - name: Upload SBOM
+        run: ./upload.sh
+  build:
+    steps:
+      - run: npm ci
+      - name: npm audit
+        run: npm audit
+`;
+
+const check = (name, before, after) => runWorkflowCheck(
+  name,
+  before === null ? null : parseWorkflow(before),
+  after === null ? null : parseWorkflow(after)
+);
+
+test('job-removed reports security jobs that disappear, including with the file', () => {
+  const withoutSbom = BEFORE.replace(/ {2}sbom:[\s\S]*?(?= {2}build:)/, '');
+
+  assert.deepEqual(check('job-removed', BEFORE, withoutSbom).map(hit => hit.values.job), ['sbom']);
+  assert.match(check('job-removed', BEFORE, null)[0].note, /was deleted, removing security job 'sbom'/);
+  assert.deepEqual(check('job-removed', BEFORE, BEFORE), []);
+});
+
+test('step-removed reports Dredd steps and security steps', () => {
+  const after = BEFORE.replace('      - name: Judge Dredd\n        run: npx dredd review\n', '')
+    .replace('      - name: npm audit\n        run: npm audit\n', '');
+
+  const hits = check('step-removed', BEFORE, after);
+  assert.deepEqual(hits.map(hit => hit.values.step), ["'Judge Dredd'", "'npm audit'"]);
+  assert.match(hits[0].note, /^Judge Dredd step/);
+  assert.equal(hits[0].lineText, '      - name: Judge Dredd');
+});
+
+test('disabled and continue-on-error report only newly switched-off controls', () => {
+  const disabled = BEFORE.replace('  sbom:\n', '  sbom:\n    if: ${{ false }}\n');
+  const [hit] = check('disabled', BEFORE, disabled);
+  assert.deepEqual([hit.values.job, hit.line], ['sbom', 7]);
+  assert.deepEqual(check('disabled', disabled, disabled), []);
+
+  const tolerant = BEFORE.replace('        run: npm audit\n', '        run: npm audit\n        continue-on-error: true\n');
+  assert.deepEqual(check('continue-on-error', BEFORE, tolerant).map(h => h.values.step), ["'npm audit'"]);
+
+  // Steps of ordinary jobs may be switched off
+  const lint = `${BEFORE}  lint:\n    steps:\n      - run: npm run lint\n`;
+  assert.deepEqual(check('disabled', lint, lint.replace('npm run lint\n', 'npm run lint\n        if: false\n')), []);
+});
+
+test('permissions-weakened compares expanded scopes', () => {
+  const hits = check('permissions-weakened', BEFORE, BEFORE.replace('contents: read', 'contents: write'));
+  assert.equal(hits[0].values.change, 'contents: read → write');
+
+  assert.equal(check('permissions-weakened', BEFORE, BEFORE.replace('permissions:\n  contents: read', 'permissions: write-all'))[0].values.change,
+    'contents: read → write-all');
+  assert.match(check('permissions-weakened', BEFORE, BEFORE.replace('permissions:\n  contents: read\n', ''))[0].note, /permissions block removed/);
+  assert.deepEqual(check('permissions-weakened', BEFORE, BEFORE.replace('contents: read', 'contents: none')), []);
+});
+
+test('permissions-weakened compares what each job\'s token gets', () => {
+  const readAll = BEFORE.replace('permissions:\n  contents: read', 'permissions: read-all');
+  const jobWriteAll = readAll.replace('  sbom:\n', '  sbom:\n    permissions: write-all\n');
+  const hits = check('permissions-weakened', readAll, jobWriteAll);
+  assert.deepEqual(hits.map(hit => [hit.values.scope, hit.values.change]), [["job 'sbom'", 'read-all → write-all']]);
+  assert.equal(hits[0].lineText, '    permissions: write-all');
+
+  // Removing a job's own block hands it the workflow's
+  const jobRead = BEFORE.replace('permissions:\n  contents: read', 'permissions: write-all').replace('  sbom:\n', '  sbom:\n    permissions: read-all\n');
+  assert.match(check('permissions-weakened', jobRead, jobRead.replace('    permissions: read-all\n', ''))[0].values.change,
+    /job block removed, inherits workflow write-all/);
+
+  // A job that grants no more than the workflow did is not a weakening
+  assert.deepEqual(check('permissions-weakened', readAll, readAll.replace('  sbom:\n', '  sbom:\n    permissions:\n      contents: read\n')), []);
+});
+
+test('permissions-weakened flags write access granted where there was no block', () => {
+  const none = BEFORE.replace('permissions:\n  contents: read\n', '');
+  const hits = check('permissions-weakened', none, none.replace('on: [pull_request]\n', 'on: [pull_request]\npermissions: write-all\n'));
+  assert.deepEqual(hits.map(hit => hit.values.change), ['no permissions block → write-all']);
+
+  assert.equal(check('permissions-weakened', none, none.replace('  sbom:\n', '  sbom:\n    permissions:\n      packages: write\n'))[0].values.change,
+    'no permissions block → packages: write');
+  assert.deepEqual(check('permissions-weakened', none, none.replace('on: [pull_request]\n', 'on: [pull_request]\npermissions: read-all\n')), []);
+});
+
+test('pull-request-target-checkout flags checking out the PR head', () => {
+  const target = BEFORE
+    .replace('on: [pull_request]', 'on: [pull_request_target]')
+    .replace('      - uses: actions/checkout@v4\n', '      - uses: actions/checkout@v4\n        with:\n          ref: ${{ github.event.pull_request.head.sha }}\n');
+
+  assert.deepEqual(check('pull-request-target-checkout', BEFORE, target).map(hit => hit.values.job), ['sbom']);
+  assert.deepEqual(check('pull-request-target-checkout', target, target), []);
+  assert.deepEqual(check('pull-request-target-checkout', null, BEFORE), []);
+});
+
+test('unknown checks return no hits', () => {
+  assert.deepEqual(check('no-such-check', BEFORE, null), []);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isWorkflowFile, stepKey, parseWorkflow } = require('../../src/workflows/WorkflowParser');
+
+const WORKFLOW = `name: CI
+on:
+  push:
+  pull_request:
+permissions:
+  contents: read
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: Test
+        run: npm test
+        continue-on-error: true
+  scan:
+    if: false
+    steps:
+      - id: audit
+        run: npm audit
+`;
+
+test('recognizes workflow files under .github/workflows only', () => {
+  assert.equal(isWorkflowFile('.github/workflows/ci.yml'), true);
+  assert.equal(isWorkflowFile('pkg/.github/workflows/release.yaml'), true);
+  assert.equal(isWorkflowFile('.github/workflows/scripts/run.sh'), false);
+  assert.equal(isWorkflowFile('.github/dependabot.yml'), false);
+});
+
+test('parses triggers, permissions, jobs and steps', () => {
+  const workflow = parseWorkflow(WORKFLOW);
+
+  assert.equal(workflow.name, 'CI');
+  assert.deepEqual(workflow.triggers, ['push', 'pull_request']);
+  assert.deepEqual(workflow.permissions, { contents: 'read' });
+  assert.deepEqual(workflow.jobs.map(job => job.id), ['test', 'scan']);
+
+  const [checkout, run] = workflow.jobs[0].steps;
+  assert.deepEqual([checkout.key, checkout.uses], ['uses:actions/checkout@v4', 'actions/checkout@v4']);
+  assert.deepEqual([run.key, run.run, run.continueOnError], ['name:Test', 'npm test', true]);
+  assert.equal(workflow.jobs[1].if, false);
+  assert.equal(workflow.jobs[1].steps[0].key, 'id:audit');
+});
+
+test('maps keys and steps back to their lines', () => {
+  const workflow = parseWorkflow(WORKFLOW);
+
+  assert.equal(workflow.lineOf(['permissions']), 5);
+  assert.equal(workflow.lineOf(['jobs', 'scan', 'if']), 16);
+  assert.equal(workflow.lineOf(['jobs', 'test', 'steps', 1]), 12);
+  assert.equal(workflow.lineText(12), '      - name: Test');
+  assert.equal(workflow.lineOf(['jobs', 'missing']), null);
+});
+
+test('accepts string and list triggers', () => {
+  assert.deepEqual(parseWorkflow('on: push\njobs: {}\n').triggers, ['push']);
+  assert.deepEqual(parseWorkflow('on: [push, workflow_dispatch]\n').triggers, ['push', 'workflow_dispatch']);
+});
+
+test('returns null for missing or invalid YAML', () => {
+  assert.equal(parseWorkflow(null), null);
+  assert.equal(parseWorkflow('jobs: [unclosed'), null);
+  assert.equal(parseWorkflow('- a\n- b\n'), null);
+});
+
+test('step identity prefers id, then name, uses and the first run line', () => {
+  assert.equal(stepKey({ id: 'a', name: 'b' }), 'id:a');
+  assert.equal(stepKey({ run: 'npm ci\nnpm test' }), 'run:npm ci');
+  assert.equal(stepKey({}), null);
+});